@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/*
+ * Make a pool minter wallet the second owner of a collection, so the collection accepts mints
+ * from it. Sent from the primary minter wallet, which must be the collection owner (or its
+ * current second owner). A collection has a single second owner: this replaces the current one.
+ * The server leases the primary wallet for its own transfers, so this refuses to send while the
+ * server is running: two senders would race for the wallet's seqno.
+ */
+
+import process from 'node:process';
+import { Address, toNano } from '@ton/ton';
+import { collectionRegistry } from '../src/services/collectionRegistry.js';
+import { getMinterWallet, getTonClient } from '../src/services/tonClient.js';
+import { buildChangeSecondOwnerBody, getSecondOwnerAddress } from '../src/services/collectionContract.js';
+import { sendFromMinterWallet } from '../src/services/nativeMinter.js';
+import { assertServerStopped } from '../src/services/serverLock.js';
+
+const HELP_TEXT = `Usage: npm run authorise:minter -- --wallet=<id> [options]
+
+Replaces the collection's current second owner. Stop the server first: it sends from the
+primary wallet too, and this refuses to run while the server holds DATA_DIR/server.lock.
+
+Options:
+  --wallet=<id>         Pool wallet to authorise (pool-1)
+  --collection=<id>     Collection to authorise it on (default: the default collection)
+  --dry-run             Print the current and new second owner without sending anything
+  --force               Send even though DATA_DIR/server.lock says the server is running
+  -h, --help            Show this help message
+
+Environment variables used:
+  MINT_WALLET_MNEMONIC             Primary minter wallet; sends the change and pays its fees
+  MINT_WALLET_POOL_MNEMONICS       Pool wallets that --wallet can name
+  NFT_COLLECTION_ADDRESS           Default collection
+  NFT_COLLECTIONS_FILE             Other collections that --collection can name
+  TON_HTTP_ENDPOINT                RPC endpoint
+  TON_API_KEY                      Optional Toncenter API key for the endpoint above
+  DATA_DIR                         Directory holding the server's lock file (default: ./data)
+`;
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs.includes('--help') || cliArgs.includes('-h')) {
+  process.stdout.write(HELP_TEXT);
+  process.exit(0);
+}
+
+let walletId = null;
+let collectionId = null;
+let dryRun = false;
+let force = false;
+
+for (const arg of cliArgs) {
+  if (arg.startsWith('--wallet=')) {
+    walletId = arg.slice('--wallet='.length);
+  } else if (arg.startsWith('--collection=')) {
+    collectionId = arg.slice('--collection='.length);
+  } else if (arg === '--dry-run') {
+    dryRun = true;
+  } else if (arg === '--force') {
+    force = true;
+  }
+}
+
+async function main() {
+  if (!walletId) {
+    throw new Error('--wallet is required');
+  }
+  const collection = collectionRegistry.get(collectionId);
+  const client = getTonClient();
+  const { walletContract } = await getMinterWallet(walletId);
+  const currentSecondOwner = await getSecondOwnerAddress(client, collection.address);
+
+  console.log(`Collection ${collection.id} (${collection.address})`);
+  console.log(`Current second owner: ${currentSecondOwner ? currentSecondOwner.toString() : 'none'}`);
+  console.log(`New second owner:     ${walletContract.address.toString()} (${walletId})`);
+
+  if (currentSecondOwner?.equals(walletContract.address)) {
+    console.log('Wallet is already authorised.');
+    return;
+  }
+  if (dryRun) {
+    return;
+  }
+  assertServerStopped({ action: 'change the second owner from the primary wallet', force });
+
+  const { seqno } = await sendFromMinterWallet({
+    client,
+    to: Address.parse(collection.address),
+    value: toNano('0.02'),
+    body: buildChangeSecondOwnerBody({ secondOwnerAddress: walletContract.address }),
+  });
+  console.log(`Sent change_second_owner from the primary wallet (seqno ${seqno}). Re-run with --dry-run to check it landed.`);
+}
+
+main().catch((error) => {
+  console.error(error?.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/*
+ * Compare the backend's mint records (colour registry and mint jobs) with the collections
+ * on-chain. Backfills what the chain proves was minted, records orphaned items, and reports
+ * mismatches and unreadable items. Exits with code 2 when something needs a human.
+ */
+
+import process from 'node:process';
+import config from '../src/config/env.js';
+import { collectionRegistry } from '../src/services/collectionRegistry.js';
+import { createMintReconciler, summarizeReconciliationReport } from '../src/services/mintReconciler.js';
+import { assertServerStopped } from '../src/services/serverLock.js';
+
+const HELP_TEXT = `Usage: npm run reconcile:mints [-- [options]]
+
+Options:
+  --collection=<id>     Collection to reconcile (default: every configured collection)
+  --from=<index>        First item index to check (default: 0)
+  --to=<index>          Stop before this item index (default: collection next_item_index)
+  --dry-run             Report without changing any local record
+  --json                Print the reports as JSON instead of plain text
+  --force               Run even though DATA_DIR/server.lock says the server is running
+  -h, --help            Show this help message
+
+Stop the server first, or pass --dry-run: the server keeps its own copy of the records and
+would overwrite the changes. Without --dry-run the script refuses to run while
+DATA_DIR/server.lock names a live server. MINT_RECONCILE_INTERVAL_MS runs the same check inside
+the server instead.
+
+Environment variables used:
+  NFT_COLLECTION_ADDRESS           Default collection
+  NFT_COLLECTIONS_FILE             Other collections that --collection can name
+  TON_HTTP_ENDPOINT                RPC endpoint
+  TON_API_KEY                      Optional Toncenter API key for the endpoint above
+  DATA_DIR                         Directory holding colour-registry.json and mint-jobs.json (default: ./data)
+`;
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs.includes('--help') || cliArgs.includes('-h')) {
+  process.stdout.write(HELP_TEXT);
+  process.exit(0);
+}
+
+let fromIndex = 0;
+let toIndex;
+let collectionId = null;
+let dryRun = false;
+let outputJson = false;
+let force = false;
+
+for (const arg of cliArgs) {
+  if (arg.startsWith('--from=')) {
+    fromIndex = Number.parseInt(arg.slice('--from='.length), 10);
+  } else if (arg.startsWith('--to=')) {
+    toIndex = Number.parseInt(arg.slice('--to='.length), 10);
+  } else if (arg.startsWith('--collection=')) {
+    collectionId = arg.slice('--collection='.length);
+  } else if (arg === '--dry-run') {
+    dryRun = true;
+  } else if (arg === '--json') {
+    outputJson = true;
+  } else if (arg === '--force') {
+    force = true;
+  }
+}
+
+function printReport(report) {
+  console.log(summarizeReconciliationReport(report) ?? `Reconciled ${report.scanned} items of ${report.collectionId}: everything matches.`);
+  for (const item of report.backfilled) {
+    console.log(`  backfilled #${item.itemIndex} ${item.color} (${item.reason}, holder ${item.holder})`);
+  }
+  for (const job of report.recoveredJobs) {
+    console.log(`  recovered job ${job.jobId} -> items ${job.itemIndexes.join(', ')}`);
+  }
+  for (const item of report.orphans) {
+    console.log(`  orphan #${item.itemIndex} ${item.color} ${item.nftAddress}`);
+  }
+  for (const mismatch of report.mismatches) {
+    console.log(`  mismatch (${mismatch.reason}) #${mismatch.itemIndex}: ${JSON.stringify(mismatch)}`);
+  }
+  for (const entry of report.missing) {
+    console.log(`  missing on-chain: ${entry.color} recorded as #${entry.recordedItemIndex} (holder ${entry.holder})`);
+  }
+  for (const job of report.unresolvedJobs) {
+    console.log(`  interrupted job ${job.jobId} (${job.colors.join(', ')}) not found on-chain`);
+  }
+  for (const failure of report.failures) {
+    console.log(`  ${failure.reason} #${failure.itemIndex} ${failure.nftAddress}${failure.error ? `: ${failure.error}` : ''}`);
+  }
+}
+
+async function main() {
+  if (!config.dataDir && !dryRun) {
+    throw new Error('DATA_DIR must be set so the records can be persisted (or pass --dry-run)');
+  }
+  if (!Number.isInteger(fromIndex) || fromIndex < 0 || (toIndex !== undefined && !Number.isInteger(toIndex))) {
+    throw new Error('--from and --to must be non-negative integers');
+  }
+  if (!dryRun) {
+    assertServerStopped({ action: 'reconcile the mint records (or pass --dry-run)', force });
+  }
+
+  const reconciler = createMintReconciler({ notify: null });
+  const options = { fromIndex, toIndex, dryRun };
+  const reports = collectionId
+    ? [await reconciler.reconcile({ ...options, collectionId: collectionRegistry.get(collectionId).id })]
+    : await reconciler.reconcileAll(options);
+
+  if (outputJson) {
+    process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  } else {
+    reports.forEach(printReport);
+  }
+
+  const needsAttention = reports.some((report) => report.mismatches.length > 0
+    || report.missing.length > 0
+    || report.unresolvedJobs.length > 0
+    || report.failures.length > 0);
+  process.exit(needsAttention ? 2 : 0);
+}
+
+main().catch((error) => {
+  console.error(error?.message ?? error);
+  process.exit(1);
+});
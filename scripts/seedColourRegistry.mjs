@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/*
+ * Walk the deployed collection and record every colour already minted on-chain in the
+ * backend's colour registry, so pre-existing colours are rejected by POST /mint and the bot.
+ * Safe to re-run: colours the registry already knows as minted are left untouched.
+ */
+
+import process from 'node:process';
+import config from '../src/config/env.js';
+import { colourRegistry, seedColourRegistryFromChain } from '../src/services/colourRegistry.js';
+import { collectionRegistry } from '../src/services/collectionRegistry.js';
+import { assertServerStopped } from '../src/services/serverLock.js';
+
+const HELP_TEXT = `Usage: npm run seed:colours [-- [options]]
+
+Options:
+  --collection=<id>     Collection to scan (default: the default collection)
+  --from=<index>        First item index to scan (default: 0)
+  --to=<index>          Stop before this item index (default: collection next_item_index)
+  --json                Print the summary as a JSON object instead of plain text
+  --force               Run even though DATA_DIR/server.lock says the server is running
+  -h, --help            Show this help message
+
+Stop the server first: it keeps its own copy of colour-registry.json and would overwrite what
+this script adds. The script refuses to run while DATA_DIR/server.lock names a live server.
+
+Environment variables used:
+  NFT_COLLECTION_ADDRESS           Default collection
+  NFT_COLLECTIONS_FILE             Other collections that --collection can name
+  TON_HTTP_ENDPOINT                RPC endpoint
+  TON_API_KEY                      Optional Toncenter API key for the endpoint above
+  DATA_DIR                         Directory holding colour-registry.json (default: ./data)
+`;
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs.includes('--help') || cliArgs.includes('-h')) {
+  process.stdout.write(HELP_TEXT);
+  process.exit(0);
+}
+
+let fromIndex = 0;
+let toIndex;
+let outputJson = false;
+let collectionId = null;
+let force = false;
+
+for (const arg of cliArgs) {
+  if (arg.startsWith('--from=')) {
+    fromIndex = Number.parseInt(arg.slice('--from='.length), 10);
+  } else if (arg.startsWith('--to=')) {
+    toIndex = Number.parseInt(arg.slice('--to='.length), 10);
+  } else if (arg.startsWith('--collection=')) {
+    collectionId = arg.slice('--collection='.length);
+  } else if (arg === '--json') {
+    outputJson = true;
+  } else if (arg === '--force') {
+    force = true;
+  }
+}
+
+async function main() {
+  const collection = collectionRegistry.get(collectionId);
+  if (!config.dataDir) {
+    throw new Error('DATA_DIR must be set so the registry can be persisted');
+  }
+  if (!Number.isInteger(fromIndex) || fromIndex < 0 || (toIndex !== undefined && !Number.isInteger(toIndex))) {
+    throw new Error('--from and --to must be non-negative integers');
+  }
+  assertServerStopped({ action: 'seed the colour registry', force });
+
+  const summary = await seedColourRegistryFromChain({
+    registry: colourRegistry,
+    collectionId: collection.id,
+    collectionAddress: collection.address,
+    fromIndex,
+    toIndex,
+    onItem: (item) => {
+      if (!outputJson && !item.deployed) {
+        console.warn(`Item #${item.itemIndex} is not deployed: ${item.error}`);
+      }
+    },
+  });
+
+  const total = colourRegistry.all().filter((entry) => entry.collectionId === collection.id).length;
+  const result = { collectionId: collection.id, ...summary, total };
+  if (outputJson) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    console.log(`Scanned ${result.scanned} items of ${collection.id}, added ${result.added} colours (${result.total} in registry).`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error?.message ?? error);
+  process.exit(1);
+});
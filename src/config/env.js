@@ -1,3 +1,5 @@
+import fs from 'node:fs';
+import path from 'node:path';
 import dotenv from 'dotenv';
 
 const DEFAULT_TEST_MNEMONIC = Array(24).fill('abandon').join(' ');
@@ -29,9 +31,6 @@ if (mnemonicWords.length !== 24) {
 }
 
 const rawCollectionAddress = (process.env.NFT_COLLECTION_ADDRESS?.trim() ?? (process.env.NODE_ENV === 'test' ? DEFAULT_TEST_COLLECTION_ADDRESS : ''));
-if (!rawCollectionAddress) {
-  throw new Error('NFT_COLLECTION_ADDRESS is required');
-}
 
 const rawNetwork = process.env.TON_NETWORK?.trim().toLowerCase();
 const tonNetwork = rawNetwork === 'testnet' || rawNetwork === 'mainnet'
@@ -78,6 +77,29 @@ const normalizeTonAmount = (value, fallback) => {
   return parsed;
 };
 
+const normalizePositiveInteger = (value, fallback, name) => {
+  const source = value === undefined || value === null || String(value).trim() === '' ? String(fallback) : String(value).trim();
+  const parsed = Number.parseInt(source, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer, received "${source}"`);
+  }
+  return parsed;
+};
+
+const normalizeNonNegativeInteger = (value, fallback, name) => {
+  const source = value === undefined || value === null || String(value).trim() === '' ? String(fallback) : String(value).trim();
+  const parsed = Number.parseInt(source, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, received "${source}"`);
+  }
+  return parsed;
+};
+
+const parseList = (value) => (value ?? '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
 const itemDeployAmountTon = normalizeTonAmount(process.env.NFT_ITEM_DEPLOY_AMOUNT_TON, '0.002');
 const collectionMintValueTon = normalizeTonAmount(process.env.NFT_COLLECTION_MINT_VALUE_TON, '0.009');
 
@@ -85,6 +107,30 @@ if (collectionMintValueTon < itemDeployAmountTon) {
   throw new Error('NFT_COLLECTION_MINT_VALUE_TON must be greater than or equal to NFT_ITEM_DEPLOY_AMOUNT_TON');
 }
 
+const MINT_STRATEGIES = new Set(['native', 'blueprint']);
+const mintStrategy = (process.env.MINT_STRATEGY?.trim().toLowerCase() || 'native');
+if (!MINT_STRATEGIES.has(mintStrategy)) {
+  throw new Error(`Unsupported MINT_STRATEGY "${mintStrategy}". Expected one of: ${Array.from(MINT_STRATEGIES).join(', ')}`);
+}
+
+const mintConfirmTimeoutMs = normalizePositiveInteger(process.env.MINT_CONFIRM_TIMEOUT_MS, 120000, 'MINT_CONFIRM_TIMEOUT_MS');
+const mintConfirmPollIntervalMs = normalizePositiveInteger(process.env.MINT_CONFIRM_POLL_INTERVAL_MS, 2000, 'MINT_CONFIRM_POLL_INTERVAL_MS');
+
+const mintBatchMaxItems = normalizePositiveInteger(process.env.MINT_BATCH_MAX_ITEMS, 1000, 'MINT_BATCH_MAX_ITEMS');
+
+const idempotencyKeyTtlHours = normalizePositiveInteger(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 24, 'IDEMPOTENCY_KEY_TTL_HOURS');
+
+// Finished mint jobs are dropped after this many days; 0 keeps them for good.
+const mintJobRetentionDays = normalizeNonNegativeInteger(process.env.MINT_JOB_RETENTION_DAYS, 30, 'MINT_JOB_RETENTION_DAYS');
+
+// 0 disables a quota.
+const mintQuota = {
+  perUserDaily: normalizeNonNegativeInteger(process.env.MINT_QUOTA_PER_USER_DAILY, 0, 'MINT_QUOTA_PER_USER_DAILY'),
+  perWalletTotal: normalizeNonNegativeInteger(process.env.MINT_QUOTA_PER_WALLET_TOTAL, 0, 'MINT_QUOTA_PER_WALLET_TOTAL'),
+  exemptTelegramUserIds: parseList(process.env.MINT_QUOTA_EXEMPT_TELEGRAM_IDS),
+  exemptWallets: parseList(process.env.MINT_QUOTA_EXEMPT_WALLETS),
+};
+
 const backendBaseUrlRaw = (process.env.BACKEND_PUBLIC_BASE_URL ?? `http://localhost:${port}`).trim();
 if (!backendBaseUrlRaw) {
   throw new Error('BACKEND_PUBLIC_BASE_URL cannot be empty');
@@ -92,6 +138,117 @@ if (!backendBaseUrlRaw) {
 
 const backendBaseUrl = backendBaseUrlRaw.replace(/\/$/, '');
 
+const COLLECTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+function normalizeTimestamp(value, name) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Date.parse(String(value));
+  if (Number.isNaN(parsed)) {
+    throw new Error(`${name} must be an ISO 8601 date, received "${value}"`);
+  }
+  return new Date(parsed).toISOString();
+}
+
+function readCollectionsFile(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`NFT_COLLECTIONS_FILE could not be read: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('NFT_COLLECTIONS_FILE must contain a JSON array of collections');
+  }
+  return entries;
+}
+
+// Seasonal collections. NFT_COLLECTIONS_FILE lists { id, address, name?, metadataBaseUrl?,
+// mintValueTon?, itemDeployAmountTon?, startsAt?, endsAt? } entries. NFT_DEFAULT_COLLECTION_ID
+// picks the collection behind the unscoped routes (/mint, /metadata/:itemIndex); when it is not
+// listed in the file it is built from NFT_COLLECTION_ADDRESS and the NFT_* amounts.
+const defaultCollectionId = process.env.NFT_DEFAULT_COLLECTION_ID?.trim() || 'default';
+if (!COLLECTION_ID_PATTERN.test(defaultCollectionId)) {
+  throw new Error(`NFT_DEFAULT_COLLECTION_ID "${defaultCollectionId}" may only contain letters, digits, "-" and "_"`);
+}
+
+const collectionEntries = readCollectionsFile(process.env.NFT_COLLECTIONS_FILE?.trim());
+if (!collectionEntries.some((entry) => entry?.id === defaultCollectionId)) {
+  if (!rawCollectionAddress) {
+    throw new Error('NFT_COLLECTION_ADDRESS is required');
+  }
+  collectionEntries.unshift({ id: defaultCollectionId, address: rawCollectionAddress });
+}
+
+const collections = collectionEntries.map((entry, position) => {
+  const label = `NFT_COLLECTIONS_FILE entry ${position}`;
+  if (!entry || typeof entry !== 'object' || !COLLECTION_ID_PATTERN.test(String(entry.id ?? ''))) {
+    throw new Error(`${label} needs an id made of letters, digits, "-" and "_"`);
+  }
+  if (typeof entry.address !== 'string' || !entry.address.trim()) {
+    throw new Error(`${label} (${entry.id}) needs an address`);
+  }
+  const isDefault = entry.id === defaultCollectionId;
+  const collection = {
+    id: entry.id,
+    name: entry.name ?? null,
+    address: entry.address.trim(),
+    metadataBaseUrl: (entry.metadataBaseUrl ?? (isDefault ? backendBaseUrl : `${backendBaseUrl}/collections/${entry.id}`)).replace(/\/$/, ''),
+    mintValueTon: normalizeTonAmount(entry.mintValueTon?.toString(), String(collectionMintValueTon)),
+    itemDeployAmountTon: normalizeTonAmount(entry.itemDeployAmountTon?.toString(), String(itemDeployAmountTon)),
+    startsAt: normalizeTimestamp(entry.startsAt, `${label} (${entry.id}) startsAt`),
+    endsAt: normalizeTimestamp(entry.endsAt, `${label} (${entry.id}) endsAt`),
+  };
+  if (collection.mintValueTon < collection.itemDeployAmountTon) {
+    throw new Error(`${label} (${entry.id}) mintValueTon must be greater than or equal to itemDeployAmountTon`);
+  }
+  return collection;
+});
+
+const collectionIds = collections.map((collection) => collection.id);
+const duplicateCollectionId = collectionIds.find((id, position) => collectionIds.indexOf(id) !== position);
+if (duplicateCollectionId) {
+  throw new Error(`NFT_COLLECTIONS_FILE lists collection "${duplicateCollectionId}" more than once`);
+}
+const defaultCollection = collections.find((collection) => collection.id === defaultCollectionId);
+
+// TEP-64 collection metadata served at /collection.json. NFT_COLLECTION_METADATA_FILE maps
+// collection IDs to fields such as { name, description, image, cover_image, social_links,
+// marketplace } that override the defaults built from the collection.
+function readCollectionMetadataFile(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`NFT_COLLECTION_METADATA_FILE could not be read: ${error.message}`);
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('NFT_COLLECTION_METADATA_FILE must contain a JSON object keyed by collection ID');
+  }
+  for (const [id, entry] of Object.entries(entries)) {
+    if (!collectionIds.includes(id)) {
+      throw new Error(`NFT_COLLECTION_METADATA_FILE describes unknown collection "${id}"`);
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`NFT_COLLECTION_METADATA_FILE entry "${id}" must be an object`);
+    }
+    if (entry.social_links !== undefined
+      && (!Array.isArray(entry.social_links) || !entry.social_links.every((link) => typeof link === 'string'))) {
+      throw new Error(`NFT_COLLECTION_METADATA_FILE entry "${id}" social_links must be an array of URLs`);
+    }
+  }
+  return entries;
+}
+
+const collectionMetadata = readCollectionMetadataFile(process.env.NFT_COLLECTION_METADATA_FILE?.trim());
+
 function normalizeWebhookPathInput(value, fallback = '/telegram/webhook') {
   const raw = value && value.trim() ? value.trim() : fallback;
   const prefixed = raw.startsWith('/') ? raw : `/${raw}`;
@@ -103,6 +260,7 @@ const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN?.trim();
 const telegramWebhookPath = normalizeWebhookPathInput(process.env.TELEGRAM_WEBHOOK_PATH);
 const telegramSecretToken = process.env.TELEGRAM_WEBHOOK_SECRET?.trim();
 const telegramWebhookSet = (process.env.TELEGRAM_SET_WEBHOOK ?? '').toLowerCase();
+const telegramAdminIds = parseList(process.env.TELEGRAM_ADMIN_IDS);
 
 const telegram = telegramBotToken
   ? {
@@ -112,13 +270,138 @@ const telegram = telegramBotToken
       webhookPath: telegramWebhookPath,
       secretToken: telegramSecretToken ?? undefined,
       autoSetWebhook: telegramWebhookSet === 'true' || telegramWebhookSet === '1',
+      adminIds: telegramAdminIds,
     }
   : {
       enabled: false,
+      adminIds: telegramAdminIds,
     };
 
+// How Telegram user IDs appear in public item metadata and on-chain item content: left out
+// (`omit`), as a salted hash (`hash`, needs TELEGRAM_ID_HASH_SALT) or as the raw ID (`public`).
+// Users can override it for their own items with the bot's /privacy command.
+const TELEGRAM_ID_PRIVACY_MODES = new Set(['omit', 'hash', 'public']);
+const telegramIdPrivacyMode = process.env.TELEGRAM_ID_PRIVACY?.trim().toLowerCase() || 'omit';
+if (!TELEGRAM_ID_PRIVACY_MODES.has(telegramIdPrivacyMode)) {
+  throw new Error(`Unsupported TELEGRAM_ID_PRIVACY "${telegramIdPrivacyMode}". Expected one of: ${Array.from(TELEGRAM_ID_PRIVACY_MODES).join(', ')}`);
+}
+const telegramIdHashSalt = process.env.TELEGRAM_ID_HASH_SALT?.trim() || null;
+if (telegramIdPrivacyMode === 'hash' && !telegramIdHashSalt) {
+  throw new Error('TELEGRAM_ID_HASH_SALT is required when TELEGRAM_ID_PRIVACY is hash');
+}
+const telegramIdPrivacy = {
+  mode: telegramIdPrivacyMode,
+  hashSalt: telegramIdHashSalt,
+};
+
+// POST /mint takes the Telegram user from signed Mini App initData. The insecure flag restores
+// the old behaviour of trusting `telegramUserId` from the body and is meant for local development only.
+const insecureAllowUnverifiedMint = ['true', '1'].includes((process.env.INSECURE_ALLOW_UNVERIFIED_MINT ?? '').trim().toLowerCase());
+// Shared secret for operator routes (POST /mint/batch, GET /mints). Unset disables them.
+const adminApiToken = process.env.ADMIN_API_TOKEN?.trim() || null;
+
+const mintAuth = {
+  initDataMaxAgeSeconds: normalizePositiveInteger(process.env.TELEGRAM_INIT_DATA_MAX_AGE_SECONDS, 86400, 'TELEGRAM_INIT_DATA_MAX_AGE_SECONDS'),
+  allowUnverified: insecureAllowUnverifiedMint,
+  requireWalletProof: ['true', '1'].includes((process.env.MINT_REQUIRE_WALLET_PROOF ?? '').trim().toLowerCase()),
+};
+
+// TON Connect ton_proof: domains the dApp is served from, and how old a signed proof may be.
+const tonProofAllowedDomains = parseList(process.env.TON_PROOF_ALLOWED_DOMAINS);
+const tonProof = {
+  allowedDomains: tonProofAllowedDomains.length > 0 ? tonProofAllowedDomains : [new URL(backendBaseUrl).host],
+  maxAgeSeconds: normalizePositiveInteger(process.env.TON_PROOF_MAX_AGE_SECONDS, 900, 'TON_PROOF_MAX_AGE_SECONDS'),
+};
+
+// Paid mode: users pay an invoice to PAID_MINT_RECEIVING_ADDRESS and the mint is queued once the
+// transfer with the matching comment arrives.
+const paidMintEnabled = ['true', '1'].includes((process.env.PAID_MINT_ENABLED ?? '').trim().toLowerCase());
+const paidMintReceivingAddress = process.env.PAID_MINT_RECEIVING_ADDRESS?.trim() || null;
+if (paidMintEnabled && !paidMintReceivingAddress) {
+  throw new Error('PAID_MINT_RECEIVING_ADDRESS is required when PAID_MINT_ENABLED is set');
+}
+const paidMint = {
+  enabled: paidMintEnabled,
+  receivingAddress: paidMintReceivingAddress,
+  priceTon: normalizeTonAmount(process.env.PAID_MINT_PRICE_TON, '0.1'),
+  invoiceTtlMinutes: normalizePositiveInteger(process.env.PAID_MINT_INVOICE_TTL_MINUTES, 30, 'PAID_MINT_INVOICE_TTL_MINUTES'),
+  pollIntervalMs: normalizePositiveInteger(process.env.PAID_MINT_POLL_INTERVAL_MS, 10000, 'PAID_MINT_POLL_INTERVAL_MS'),
+  refunds: !['false', '0'].includes((process.env.PAID_MINT_REFUNDS ?? '').trim().toLowerCase()),
+  refundFeeTon: normalizeTonAmount(process.env.PAID_MINT_REFUND_FEE_TON, '0.01'),
+};
+
+// Outbound webhooks: every URL receives mint.queued / mint.succeeded / mint.failed, signed
+// with WEBHOOK_SECRET. Receivers have no other way to tell our events from forged ones, so
+// the secret is required as soon as a URL is configured.
+const webhooks = {
+  urls: parseList(process.env.WEBHOOK_URLS),
+  secret: process.env.WEBHOOK_SECRET?.trim() || null,
+  maxAttempts: normalizePositiveInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 6, 'WEBHOOK_MAX_ATTEMPTS'),
+  initialBackoffMs: normalizePositiveInteger(process.env.WEBHOOK_INITIAL_BACKOFF_MS, 2000, 'WEBHOOK_INITIAL_BACKOFF_MS'),
+  timeoutMs: normalizePositiveInteger(process.env.WEBHOOK_TIMEOUT_MS, 5000, 'WEBHOOK_TIMEOUT_MS'),
+};
+if (webhooks.urls.length > 0 && !webhooks.secret) {
+  throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set, so receivers can verify the events');
+}
+
 const walletVersion = normalizeWalletVersion(process.env.MINT_WALLET_VERSION);
 
+// Minter wallet balances. Mints are refused below MINT_WALLET_MIN_BALANCE_TON (or below what one
+// mint costs, whichever is higher); below MINT_WALLET_WARN_BALANCE_TON the alert chats are told.
+const optionalTonAmount = (value) => (value?.trim() ? normalizeTonAmount(value) : null);
+const minterBalance = {
+  minTon: optionalTonAmount(process.env.MINT_WALLET_MIN_BALANCE_TON),
+  warnTon: optionalTonAmount(process.env.MINT_WALLET_WARN_BALANCE_TON),
+  checkIntervalMs: normalizeNonNegativeInteger(
+    process.env.MINT_WALLET_BALANCE_CHECK_INTERVAL_MS,
+    5 * 60 * 1000,
+    'MINT_WALLET_BALANCE_CHECK_INTERVAL_MS',
+  ),
+  alertRepeatMs: normalizePositiveInteger(process.env.MINT_WALLET_ALERT_REPEAT_MS, 60 * 60 * 1000, 'MINT_WALLET_ALERT_REPEAT_MS'),
+  alertChatIds: process.env.TELEGRAM_ALERT_CHAT_IDS?.trim()
+    ? parseList(process.env.TELEGRAM_ALERT_CHAT_IDS)
+    : telegramAdminIds,
+};
+
+// How often the server compares local mint records with the collections on-chain; 0 leaves it
+// to `npm run reconcile:mints`.
+const reconcileIntervalMs = normalizeNonNegativeInteger(process.env.MINT_RECONCILE_INTERVAL_MS, 0, 'MINT_RECONCILE_INTERVAL_MS');
+
+// How long `GET /nft/:itemIndex` reuses what it read from the chain for an item.
+const nftLookupCacheTtlMs = normalizeNonNegativeInteger(process.env.NFT_LOOKUP_CACHE_TTL_MS, 30000, 'NFT_LOOKUP_CACHE_TTL_MS');
+
+// How long SIGTERM/SIGINT wait for running mints (and the replies about them) before exiting.
+const shutdownTimeoutMs = normalizeNonNegativeInteger(process.env.SHUTDOWN_TIMEOUT_MS, 25000, 'SHUTDOWN_TIMEOUT_MS');
+
+// Minter wallet pool. `MINT_WALLET_MNEMONIC` is always the `primary` wallet, the collections'
+// owner. A collection accepts mints only from its owner and a single second owner, so the pool
+// takes one extra wallet, `pool-1`, to be made second owner with `npm run authorise:minter`.
+const poolMnemonics = (process.env.MINT_WALLET_POOL_MNEMONICS ?? '')
+  .split(';')
+  .map((entry) => entry.split(/\s+/).filter(Boolean))
+  .filter((words) => words.length > 0);
+if (poolMnemonics.length > 1) {
+  throw new Error('MINT_WALLET_POOL_MNEMONICS takes a single wallet: collections accept mints only from their owner and one second owner');
+}
+const minterWallets = [
+  { id: 'primary', mnemonicWords, version: walletVersion },
+  ...poolMnemonics.map((words, position) => {
+    if (words.length !== 24) {
+      throw new Error(`MINT_WALLET_POOL_MNEMONICS entry ${position + 1} must contain exactly 24 words`);
+    }
+    return { id: `pool-${position + 1}`, mnemonicWords: words, version: walletVersion };
+  }),
+];
+const minterWalletAuthorisationTtlMs = normalizePositiveInteger(
+  process.env.MINT_WALLET_AUTHORISATION_TTL_MS,
+  5 * 60 * 1000,
+  'MINT_WALLET_AUTHORISATION_TTL_MS',
+);
+
+// Local persistence (mint jobs, etc.). Tests run fully in memory unless DATA_DIR is set explicitly.
+const rawDataDir = process.env.DATA_DIR?.trim() || (process.env.NODE_ENV === 'test' ? '' : 'data');
+const dataDir = rawDataDir ? path.resolve(process.cwd(), rawDataDir) : null;
+
 // MinIO Configuration (S3-compatible object storage)
 const minioEndpoint = process.env.MINIO_ENDPOINT?.trim(); // e.g., http://localhost:9000
 const minioAccessKey = process.env.MINIO_ACCESS_KEY?.trim();
@@ -133,12 +416,35 @@ export const config = {
   tonApiKey,
   tonNetwork,
   mnemonicWords,
-  collectionAddress: rawCollectionAddress,
+  collectionAddress: defaultCollection.address,
+  collections,
+  defaultCollectionId,
+  collectionMetadata,
   itemDeployAmountTon,
   collectionMintValueTon,
+  mintStrategy,
+  mintConfirmTimeoutMs,
+  mintConfirmPollIntervalMs,
+  mintBatchMaxItems,
+  idempotencyKeyTtlHours,
+  mintJobRetentionDays,
+  mintQuota,
   backendBaseUrl,
   telegram,
+  telegramIdPrivacy,
+  adminApiToken,
+  mintAuth,
+  tonProof,
+  paidMint,
+  webhooks,
   walletVersion,
+  minterWallets,
+  minterWalletAuthorisationTtlMs,
+  minterBalance,
+  reconcileIntervalMs,
+  nftLookupCacheTtlMs,
+  shutdownTimeoutMs,
+  dataDir,
   // MinIO
   minioEndpoint,
   minioAccessKey,
@@ -1,9 +1,29 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
 import express from 'express';
 import morgan from 'morgan';
 import config from './config/env.js';
-import { mintColorNft } from './services/mintService.js';
-import { buildMetadata } from './services/metadataService.js';
-import { buildColorSvg } from './services/svgGenerator.js';
+import { mintJobQueue, toPublicJob } from './services/mintJobQueue.js';
+import { normalizeIdempotencyKey } from './services/idempotencyStore.js';
+import { TelegramInitDataError, verifyTelegramInitData } from './services/telegramInitData.js';
+import { tonProofPayloadStore, verifyTonProof } from './services/tonProof.js';
+import { verifiedWalletStore } from './services/verifiedWalletStore.js';
+import { paidMintService, toPublicInvoice } from './services/paidMintService.js';
+import { webhookDispatcher } from './services/webhookDispatcher.js';
+import { streamMintFeed, streamMintJob } from './services/mintEventStream.js';
+import { collectionRegistry } from './services/collectionRegistry.js';
+import { minterWalletPool } from './services/minterWalletPool.js';
+import { minterBalanceMonitor } from './services/minterBalanceMonitor.js';
+import { mintingControl } from './services/mintingControl.js';
+import { mintReconciler } from './services/mintReconciler.js';
+import { mintLedger, parseMintLedgerQuery, toPublicMintEntry } from './services/mintLedger.js';
+import { handleShutdownSignals } from './services/gracefulShutdown.js';
+import { acquireServerLock } from './services/serverLock.js';
+import { buildCollectionMetadata, buildMetadata } from './services/metadataService.js';
+import { itemMetadataStore } from './services/itemMetadataStore.js';
+import { colourRarityIndex } from './services/colourTraits.js';
+import { nftLookup } from './services/nftLookup.js';
+import { buildColorSvg, buildPaletteSvg } from './services/svgGenerator.js';
+import { colourRegistry } from './services/colourRegistry.js';
 import { assertHexColor, assertTelegramUserId, assertTonAddress } from './utils/validation.js';
 import { registerTelegramBot } from './services/telegramBotService.js';
 
@@ -13,7 +33,7 @@ app.use(express.json({ limit: '1mb' }));
 app.use(morgan('tiny'));
 
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), minting: mintingControl.status() });
 });
 
 // Handle /image{itemIndex} (no slash) - redirect to proper format
@@ -56,73 +76,392 @@ app.get(/^\/metadata(\d+)/, (req, res) => {
   res.redirect(301, `/metadata/${itemIndex}${queryString}`);
 });
 
-app.get('/metadata/:itemIndex', (req, res) => {
-  const { itemIndex } = req.params;
-  const { color, wallet, tg, mintedAt } = req.query;
+// Same as above for collection-scoped metadata URLs.
+app.get(/^\/collections\/([^/]+)\/metadata(\d+)/, (req, res) => {
+  const [, collectionId, itemIndex] = req.path.match(/^\/collections\/([^/]+)\/metadata(\d+)/);
+  const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+  res.redirect(301, `/collections/${collectionId}/metadata/${itemIndex}${queryString}`);
+});
 
-  if (!color) {
-    return res.status(400).json({ error: 'color query parameter is required' });
+/**
+ * Serves `/metadata/:itemIndex` for the default collection and
+ * `/collections/:collectionId/metadata/:itemIndex` for any configured one, from the record
+ * written when the item was minted. Query parameters, which older metadata URIs carry, are
+ * ignored; items with no record are 404.
+ */
+function sendItemMetadata(req, res, next) {
+  let collection;
+  try {
+    collection = collectionRegistry.get(req.params.collectionId);
+  } catch (error) {
+    return next(error);
+  }
+
+  const item = itemMetadataStore.get(Number(req.params.itemIndex), { collectionId: collection.id });
+  if (!item) {
+    return res.status(404).json({ error: 'NFT item not found' });
   }
 
-  let walletAddress;
+  res.json(buildMetadata({
+    itemIndex: item.itemIndex,
+    color: item.color,
+    walletAddress: item.walletAddress,
+    telegramUserId: item.telegramUserId,
+    mintedAt: item.mintedAt,
+    minioUrl: item.minioUrl,
+    collectionName: collection.name,
+    rarity: colourRarityIndex.rarityOf(item.color, { collectionId: collection.id }),
+  }));
+}
+
+app.get('/metadata/:itemIndex', sendItemMetadata);
+app.get('/collections/:collectionId/metadata/:itemIndex', sendItemMetadata);
+
+/**
+ * Serves `/collection.json` for the default collection (the URI deriveCollectionAddress.mjs
+ * puts on-chain) and `/collections/:collectionId/collection.json` for any configured one.
+ */
+function sendCollectionMetadata(req, res, next) {
   try {
-    if (wallet) {
-      walletAddress = assertTonAddress(String(wallet), 'wallet');
-    }
+    const collection = collectionRegistry.get(req.params.collectionId);
+    res.json(buildCollectionMetadata(collection, { overrides: config.collectionMetadata[collection.id] }));
   } catch (error) {
-    return res.status(400).json({ error: error.message });
+    next(error);
   }
+}
 
-  let telegramUserId;
-  if (tg !== undefined) {
-    const numeric = Number(tg);
-    if (Number.isNaN(numeric)) {
-      return res.status(400).json({ error: 'tg must be numeric' });
+app.get('/collection.json', sendCollectionMetadata);
+app.get('/collections/:collectionId/collection.json', sendCollectionMetadata);
+
+/**
+ * The collection's avatar and cover: a mosaic of every colour minted into it so far.
+ */
+function sendPaletteImage(size) {
+  return (req, res, next) => {
+    try {
+      const collection = collectionRegistry.get(req.params.collectionId);
+      const colours = colourRegistry.all()
+        .filter((entry) => entry.status === 'minted' && entry.collectionId === collection.id)
+        .map((entry) => entry.color);
+      res.setHeader('Content-Type', 'image/svg+xml');
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      res.send(buildPaletteSvg(colours, size));
+    } catch (error) {
+      next(error);
     }
-    telegramUserId = numeric;
+  };
+}
+
+app.get('/collections/:collectionId/image.svg', sendPaletteImage({ width: 512, height: 512 }));
+app.get('/collections/:collectionId/cover.svg', sendPaletteImage({ width: 1500, height: 500 }));
+
+/**
+ * Serves `/nft/:itemIndex` for the default collection and `/collections/:collectionId/nft/:itemIndex`
+ * for any configured one: the item as it is on-chain now, read through a short cache.
+ */
+async function sendNftItem(req, res, next) {
+  try {
+    const item = await nftLookup.lookup(Number(req.params.itemIndex), { collectionId: req.params.collectionId });
+    res.setHeader('Cache-Control', `public, max-age=${Math.floor(nftLookup.ttlMs / 1000)}`);
+    res.json(item);
+  } catch (error) {
+    next(error);
   }
+}
 
-  let colorHex;
+app.get('/nft/:itemIndex', sendNftItem);
+app.get('/collections/:collectionId/nft/:itemIndex', sendNftItem);
+
+app.get('/collections', (_req, res) => {
+  res.json({ collections: collectionRegistry.list().map((collection) => collectionRegistry.toPublic(collection)) });
+});
+
+app.get('/collections/:collectionId', (req, res, next) => {
   try {
-    colorHex = assertHexColor(`#${String(color).replace(/^#/, '')}`);
+    res.json(collectionRegistry.toPublic(collectionRegistry.get(req.params.collectionId)));
   } catch (error) {
-    return res.status(400).json({ error: error.message });
+    next(error);
   }
+});
 
-  const metadata = buildMetadata({
-    itemIndex,
-    color: colorHex,
-    walletAddress,
-    telegramUserId,
-    mintedAt,
+function readIdempotencyKey(req) {
+  const bodyKey = Array.isArray(req.body) ? undefined : req.body?.idempotencyKey;
+  return normalizeIdempotencyKey(req.get('Idempotency-Key') ?? bodyKey);
+}
+
+function sendJobAccepted(res, { job, replayed }) {
+  if (replayed) {
+    res.setHeader('Idempotent-Replayed', 'true');
+  }
+  res.status(202).json({
+    ...toPublicJob(job),
+    statusUrl: `${config.backendBaseUrl}/mint/${job.id}`,
   });
+}
+
+/**
+ * The Telegram user a mint is attributed to comes from the Mini App's signed initData
+ * (`X-Telegram-Init-Data` header or `initData` body field), never from the request body,
+ * unless INSECURE_ALLOW_UNVERIFIED_MINT is set for local development.
+ */
+function resolveTelegramUserId(req) {
+  const initData = req.get('X-Telegram-Init-Data') ?? req.body?.initData;
+  if (initData) {
+    const { user } = verifyTelegramInitData(initData, {
+      botToken: config.telegram.botToken,
+      maxAgeSeconds: config.mintAuth.initDataMaxAgeSeconds,
+    });
+    return user.id;
+  }
+  if (config.mintAuth.allowUnverified) {
+    return assertTelegramUserId(req.body?.telegramUserId);
+  }
+  throw new TelegramInitDataError('Telegram Mini App initData is required', { code: 'INIT_DATA_REQUIRED' });
+}
 
-  res.json(metadata);
+const digestToken = (token) => createHash('sha256').update(String(token)).digest();
+
+/**
+ * Operator routes take `Authorization: Bearer <ADMIN_API_TOKEN>`. They are disabled while
+ * ADMIN_API_TOKEN is unset, so a fresh deployment never exposes them.
+ */
+function hasAdminToken(req) {
+  const [scheme, token] = (req.get('Authorization') ?? '').split(' ');
+  return Boolean(config.adminApiToken && scheme === 'Bearer' && token
+    && timingSafeEqual(digestToken(token), digestToken(config.adminApiToken)));
+}
+
+function requireAdminToken(req, _res, next) {
+  if (hasAdminToken(req)) {
+    return next();
+  }
+  const error = new Error('This route requires the admin API token');
+  error.statusCode = 401;
+  error.code = 'ADMIN_TOKEN_REQUIRED';
+  if (!config.adminApiToken) {
+    error.message = 'This route is disabled until ADMIN_API_TOKEN is configured';
+    error.statusCode = 403;
+    error.code = 'ADMIN_API_DISABLED';
+  }
+  next(error);
+}
+
+// With MINT_REQUIRE_WALLET_PROOF, mints only go to wallets the user proved with ton_proof.
+function assertWalletVerified(telegramUserId, walletAddress) {
+  if (config.mintAuth.requireWalletProof && !verifiedWalletStore.isVerified(telegramUserId, walletAddress)) {
+    const error = new Error('Prove ownership of this wallet with TON Connect before minting to it');
+    error.statusCode = 403;
+    error.code = 'WALLET_NOT_VERIFIED';
+    throw error;
+  }
+}
+
+/**
+ * Mint routes scoped with `/collections/:collectionId` mint into that collection; the
+ * unscoped ones use the default collection.
+ */
+function parseMintRequest(req) {
+  const { walletAddress, color } = req.body ?? {};
+  const collection = collectionRegistry.get(req.params.collectionId);
+  mintingControl.assertOpen({ collectionId: collection.id });
+
+  const telegramUserId = resolveTelegramUserId(req);
+  const normalizedWallet = assertTonAddress(walletAddress);
+  const normalizedColor = assertHexColor(color);
+
+  assertWalletVerified(telegramUserId, normalizedWallet);
+
+  return {
+    walletAddress: normalizedWallet,
+    telegramUserId,
+    color: normalizedColor,
+    collectionId: collection.id,
+  };
+}
+
+// In paid mode every mint goes through an invoice; nothing may be minted for free.
+function assertFreeMinting(message) {
+  if (paidMintService) {
+    const error = new Error(message);
+    error.statusCode = 402;
+    error.code = 'PAYMENT_REQUIRED';
+    throw error;
+  }
+}
+
+function handleMint(req, res, next) {
+  try {
+    assertFreeMinting(`Minting requires payment; request an invoice from POST ${req.path}/invoice`);
+
+    const mintRequest = parseMintRequest(req);
+    const idempotencyKey = readIdempotencyKey(req);
+
+    const accepted = mintJobQueue.enqueueIdempotent(mintRequest, {
+      idempotencyKey,
+      scope: `telegram:${mintRequest.telegramUserId}`,
+      source: 'api',
+    });
+
+    sendJobAccepted(res, accepted);
+  } catch (error) {
+    next(error);
+  }
+}
+
+function handleMintInvoice(req, res, next) {
+  try {
+    if (!paidMintService) {
+      return res.status(404).json({ error: 'Paid minting is not enabled' });
+    }
+
+    const invoice = paidMintService.createInvoice(parseMintRequest(req));
+    res.status(201).json({
+      ...toPublicInvoice(invoice),
+      statusUrl: `${config.backendBaseUrl}/mint/invoice/${invoice.id}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.post('/mint', handleMint);
+app.post('/collections/:collectionId/mint', handleMint);
+app.post('/mint/invoice', handleMintInvoice);
+app.post('/collections/:collectionId/mint/invoice', handleMintInvoice);
+
+app.get('/mint/invoice/:invoiceId', (req, res) => {
+  const invoice = paidMintService?.get(req.params.invoiceId);
+  if (!invoice) {
+    return res.status(404).json({ error: 'Mint invoice not found' });
+  }
+  res.json(toPublicInvoice(invoice));
 });
 
-app.post('/mint', async (req, res, next) => {
+app.post('/ton-proof/payload', (req, res, next) => {
   try {
-    const { walletAddress, telegramUserId, color } = req.body ?? {};
+    const telegramUserId = resolveTelegramUserId(req);
+    res.json(tonProofPayloadStore.issue({ telegramUserId }));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const normalizedWallet = assertTonAddress(walletAddress);
-    const normalizedColor = assertHexColor(color);
-    const numericTelegramId = assertTelegramUserId(telegramUserId);
+app.post('/ton-proof/verify', (req, res, next) => {
+  try {
+    const telegramUserId = resolveTelegramUserId(req);
+    const { address, public_key: publicKey, proof } = req.body ?? {};
 
-    const result = await mintColorNft({
-      walletAddress: normalizedWallet,
-      telegramUserId: numericTelegramId,
-      color: normalizedColor,
+    const verified = verifyTonProof({ address, publicKey, proof }, {
+      telegramUserId,
+      payloadStore: tonProofPayloadStore,
+      allowedDomains: config.tonProof.allowedDomains,
+      maxAgeSeconds: config.tonProof.maxAgeSeconds,
+    });
+    const record = verifiedWalletStore.markVerified({
+      telegramUserId,
+      walletAddress: verified.address.toString(),
+      publicKey: verified.publicKey,
     });
 
-    res.status(202).json({
-      status: 'submitted',
-      ...result,
+    res.json({
+      telegramUserId,
+      walletAddress: record.walletAddress,
+      verifiedAt: record.verifiedAt,
     });
   } catch (error) {
     next(error);
   }
 });
 
+app.post('/mint/batch', requireAdminToken, (req, res, next) => {
+  try {
+    assertFreeMinting('Batch minting is not available while paid minting is enabled');
+
+    const entries = Array.isArray(req.body) ? req.body : req.body?.items;
+    const collection = collectionRegistry.get(Array.isArray(req.body) ? undefined : req.body?.collectionId);
+    mintingControl.assertOpen({ collectionId: collection.id });
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+
+    if (entries.length > config.mintBatchMaxItems) {
+      return res.status(400).json({ error: `items cannot contain more than ${config.mintBatchMaxItems} entries` });
+    }
+
+    const items = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+      try {
+        const item = {
+          walletAddress: assertTonAddress(entry?.walletAddress),
+          telegramUserId: assertTelegramUserId(entry?.telegramUserId),
+          color: assertHexColor(entry?.color),
+        };
+        assertWalletVerified(item.telegramUserId, item.walletAddress);
+        items.push(item);
+      } catch (error) {
+        errors.push({ index, error: error.message });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'One or more batch entries are invalid', details: { errors } });
+    }
+
+    const accepted = mintJobQueue.enqueueIdempotent({ items, collectionId: collection.id }, {
+      type: 'batch',
+      idempotencyKey: readIdempotencyKey(req),
+      scope: 'admin',
+      source: 'api',
+    });
+
+    sendJobAccepted(res, accepted);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/mint/:jobId', (req, res) => {
+  const job = mintJobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Mint job not found' });
+  }
+  res.json(toPublicJob(job));
+});
+
+app.get('/mint/:jobId/events', (req, res) => {
+  if (!mintJobQueue.get(req.params.jobId)) {
+    return res.status(404).json({ error: 'Mint job not found' });
+  }
+  streamMintJob(req, res, { jobId: req.params.jobId });
+});
+
+// Addresses, balances and errors of the minter wallets are for operators only.
+app.get('/minter-wallets', requireAdminToken, (_req, res) => {
+  res.json({ wallets: minterWalletPool.status() });
+});
+
+/**
+ * The whole ledger for operators; Mini App users (signed initData) only see their own mints.
+ */
+app.get('/mints', (req, res, next) => {
+  try {
+    const filters = parseMintLedgerQuery(req.query);
+    if (!hasAdminToken(req)) {
+      filters.telegramUserId = resolveTelegramUserId(req);
+    }
+    const page = mintLedger.query(filters);
+    res.json({ ...page, mints: page.mints.map((entry) => toPublicMintEntry(entry)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/events/mints', (req, res) => {
+  streamMintFeed(req, res);
+});
+
 app.use((err, _req, res, _next) => {
   console.error('[mint:error]', err);
   const statusCode = typeof err.statusCode === 'number' && Number.isInteger(err.statusCode)
@@ -133,19 +472,54 @@ app.use((err, _req, res, _next) => {
     error: err.message ?? 'Internal Server Error',
   };
 
+  if (typeof err.code === 'string') {
+    payload.code = err.code;
+  }
+
   if (err.details && typeof err.details === 'object') {
     payload.details = err.details;
   }
 
+  if (typeof err.retryAfterSeconds === 'number') {
+    res.setHeader('Retry-After', String(err.retryAfterSeconds));
+  }
+
   res.status(statusCode).json(payload);
 });
 
 registerTelegramBot(app);
 
 if (process.env.NODE_ENV !== 'test') {
-  app.listen(config.port, () => {
+  if (config.mintAuth.allowUnverified) {
+    console.warn('[server] INSECURE_ALLOW_UNVERIFIED_MINT is set: POST /mint trusts telegramUserId from the request body');
+  }
+  // Claimed before anything reads the data files or sends from the minter wallets; the CLI
+  // scripts that do either refuse to run while it is held.
+  acquireServerLock();
+  // Subscribe before the queue starts so jobs failed during restart recovery are reported too.
+  if (webhookDispatcher.enabled) {
+    webhookDispatcher.attachTo(mintJobQueue);
+    webhookDispatcher.start();
+  }
+  paidMintService?.attachTo(mintJobQueue);
+  mintJobQueue.start();
+  // Refuses to start when refunds would leave from a wallet other than the one that is paid.
+  await paidMintService?.start();
+  minterBalanceMonitor.start();
+  // After the queue has failed the jobs a crash interrupted, so their mints can be recovered.
+  mintReconciler.start();
+  const server = app.listen(config.port, () => {
     console.log(`TON Colours backend listening on port ${config.port}`);
   });
+  handleShutdownSignals({
+    server,
+    stopIntake: [
+      () => paidMintService?.stop(),
+      () => minterBalanceMonitor.stop(),
+      () => mintReconciler.stop(),
+    ],
+    stopServices: [() => webhookDispatcher.stop()],
+  });
 }
 
 export default app;
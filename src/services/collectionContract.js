@@ -0,0 +1,198 @@
+import { Address, Dictionary, beginCell } from '@ton/ton';
+
+// Mirrors the op codes in the-path-season-1-nft/wrappers/NftCollection.ts
+export const CollectionOpcodes = Object.freeze({
+  mint: 1,
+  batch_mint: 2,
+  change_owner: 3,
+  change_content: 4,
+  return_balance: 5,
+  change_second_owner: 6,
+  stop_minting: 666,
+});
+
+// The contract throws 399 once a batch_mint dictionary reaches 250 entries.
+export const MAX_BATCH_MINT_ITEMS = 249;
+
+const OFF_CHAIN_CONTENT_PREFIX = 0x01;
+
+function toAddress(value) {
+  return typeof value === 'string' ? Address.parse(value) : value;
+}
+
+export function encodeOffChainContentWithoutPrefix(content) {
+  return beginCell().storeStringTail(content).endCell();
+}
+
+export function decodeOffChainContent(cell) {
+  const slice = cell.beginParse();
+  const prefix = slice.loadUint(8);
+  if (prefix !== OFF_CHAIN_CONTENT_PREFIX) {
+    throw new Error(`Unknown content prefix: ${prefix.toString(16)}`);
+  }
+  return slice.loadStringTail();
+}
+
+/**
+ * Item content is stored relative to the collection's common content, so it carries no
+ * off-chain prefix (same layout as NftCollection.sendDeployNewNft).
+ */
+export function buildNftItemMessage({ ownerAddress, itemContent }) {
+  return beginCell()
+    .storeAddress(toAddress(ownerAddress))
+    .storeRef(encodeOffChainContentWithoutPrefix(itemContent))
+    .endCell();
+}
+
+export function buildMintBody({ queryId = 0, itemIndex, ownerAddress, itemContent, itemDeployAmount }) {
+  return beginCell()
+    .storeUint(CollectionOpcodes.mint, 32)
+    .storeUint(queryId, 64)
+    .storeUint(itemIndex, 64)
+    .storeCoins(itemDeployAmount)
+    .storeRef(buildNftItemMessage({ ownerAddress, itemContent }))
+    .endCell();
+}
+
+const batchMintItemValue = {
+  serialize(src, builder) {
+    builder.storeCoins(src.itemDeployAmount);
+    builder.storeRef(buildNftItemMessage(src));
+  },
+  parse() {
+    throw new Error('Parsing batch mint items is not supported');
+  },
+};
+
+/**
+ * Items are keyed by their explicit index, so they must start at the collection's
+ * `next_item_index` and be contiguous (the contract deploys them in ascending order).
+ */
+export function buildBatchMintBody({ queryId = 0, items }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Batch mint requires at least one item');
+  }
+  if (items.length > MAX_BATCH_MINT_ITEMS) {
+    throw new Error(`Batch mint supports at most ${MAX_BATCH_MINT_ITEMS} items per message`);
+  }
+
+  const dict = Dictionary.empty(Dictionary.Keys.Uint(64), batchMintItemValue);
+  for (const item of items) {
+    dict.set(item.itemIndex, item);
+  }
+
+  return beginCell()
+    .storeUint(CollectionOpcodes.batch_mint, 32)
+    .storeUint(queryId, 64)
+    .storeRef(beginCell().storeDictDirect(dict).endCell())
+    .endCell();
+}
+
+/**
+ * Let `secondOwnerAddress` mint alongside the owner (op 6). Only the owner or the current
+ * second owner may send it, and the contract keeps a single second owner.
+ */
+export function buildChangeSecondOwnerBody({ queryId = 0, secondOwnerAddress }) {
+  return beginCell()
+    .storeUint(CollectionOpcodes.change_second_owner, 32)
+    .storeUint(queryId, 64)
+    .storeAddress(toAddress(secondOwnerAddress))
+    .endCell();
+}
+
+/**
+ * Close the collection for good (op 666, same body as NftCollection.sendStopMinting): every
+ * later mint or batch_mint is rejected with 4666.
+ */
+export function buildStopMintingBody({ queryId = 0 } = {}) {
+  return beginCell()
+    .storeUint(CollectionOpcodes.stop_minting, 32)
+    .storeUint(queryId, 64)
+    .endCell();
+}
+
+export function buildItemContent({ itemIndex, color, ownerAddress, telegramUserId }) {
+  const colourHex = color.replace(/^#/, '');
+  const ownerForUri = encodeURIComponent(String(ownerAddress));
+  const content = `${itemIndex}?color=${colourHex}&wallet=${ownerForUri}`;
+  return telegramUserId === undefined || telegramUserId === null ? content : `${content}&tg=${telegramUserId}`;
+}
+
+/**
+ * Parse the relative item content written by buildItemContent (or the blueprint script):
+ * `<index>?color=RRGGBB&wallet=<address>[&tg=<id>]`. Unknown or missing fields come back null.
+ */
+export function parseItemContent(content) {
+  if (typeof content !== 'string' || !content) {
+    return null;
+  }
+  const [pathPart, query = ''] = content.split('?');
+  const params = new URLSearchParams(query);
+  const indexMatch = pathPart.match(/(\d+)$/);
+  const colourParam = params.get('color');
+  const telegramParam = params.get('tg');
+  return {
+    itemIndex: indexMatch ? Number(indexMatch[1]) : null,
+    color: colourParam && /^[0-9a-fA-F]{6}$/.test(colourParam) ? `#${colourParam.toUpperCase()}` : null,
+    walletAddress: params.get('wallet') || null,
+    telegramUserId: telegramParam && /^\d+$/.test(telegramParam) ? Number(telegramParam) : null,
+  };
+}
+
+export async function getCollectionData(client, collectionAddress) {
+  const { stack } = await client.runMethod(toAddress(collectionAddress), 'get_collection_data');
+  const nextItemId = stack.readNumber();
+  const collectionContent = decodeOffChainContent(stack.readCell());
+  const ownerAddress = stack.readAddress();
+  return { nextItemId, collectionContent, ownerAddress };
+}
+
+export async function getSecondOwnerAddress(client, collectionAddress) {
+  const { stack } = await client.runMethod(toAddress(collectionAddress), 'get_second_owner_address');
+  return stack.readAddressOpt();
+}
+
+export async function getMintingCompleteFlag(client, collectionAddress) {
+  const { stack } = await client.runMethod(toAddress(collectionAddress), 'get_minting_complete_flag');
+  return stack.readNumber() !== 0;
+}
+
+export async function getNftAddressByIndex(client, collectionAddress, itemIndex) {
+  const { stack } = await client.runMethod(toAddress(collectionAddress), 'get_nft_address_by_index', [
+    { type: 'int', value: BigInt(itemIndex) },
+  ]);
+  return stack.readAddress();
+}
+
+export async function getNftData(client, nftAddress) {
+  const { stack } = await client.runMethod(toAddress(nftAddress), 'get_nft_data');
+  const initialized = stack.readBoolean();
+  const itemIndex = stack.readNumber();
+  const collectionAddress = stack.readAddressOpt();
+  const ownerAddress = stack.readAddressOpt();
+  const contentCell = stack.readCellOpt();
+  return {
+    initialized,
+    itemIndex,
+    collectionAddress,
+    ownerAddress,
+    individualContent: contentCell ? contentCell.beginParse().loadStringTail() : null,
+  };
+}
+
+export default {
+  CollectionOpcodes,
+  MAX_BATCH_MINT_ITEMS,
+  buildMintBody,
+  buildBatchMintBody,
+  buildChangeSecondOwnerBody,
+  buildItemContent,
+  buildNftItemMessage,
+  buildStopMintingBody,
+  getCollectionData,
+  getMintingCompleteFlag,
+  getNftAddressByIndex,
+  getNftData,
+  getSecondOwnerAddress,
+  parseItemContent,
+};
@@ -0,0 +1,90 @@
+import { Address } from '@ton/ton';
+import config from '../config/env.js';
+import { getTonClient } from './tonClient.js';
+import {
+  getCollectionData,
+  getNftAddressByIndex,
+  getNftData,
+  parseItemContent,
+} from './collectionContract.js';
+
+// The RPC reports a get-method that did not run, as on an uninitialised account, with its exit
+// code. Any other error (a timeout, a 429, an outage) says nothing about the item itself.
+function isExitCodeError(error) {
+  return /exit_code/.test(error?.message ?? '');
+}
+
+function undeployedItem(itemIndex, nftAddress, error) {
+  return {
+    itemIndex,
+    nftAddress: nftAddress?.toString() ?? null,
+    deployed: false,
+    initialized: false,
+    ownerAddress: null,
+    individualContent: null,
+    content: null,
+    error: error?.message ?? String(error),
+  };
+}
+
+/**
+ * Read one item's on-chain state. Items whose contract is not deployed (its get-method exits
+ * with an error code) come back with `deployed: false` and the RPC error. Other RPC failures
+ * are thrown, since they do not show the item is missing.
+ */
+export async function readCollectionItem({ client = getTonClient(), collectionAddress = config.collectionAddress, itemIndex }) {
+  const collection = typeof collectionAddress === 'string' ? Address.parse(collectionAddress) : collectionAddress;
+  const nftAddress = await getNftAddressByIndex(client, collection, itemIndex);
+
+  let data;
+  try {
+    data = await getNftData(client, nftAddress);
+  } catch (error) {
+    if (!isExitCodeError(error)) {
+      throw error;
+    }
+    return undeployedItem(itemIndex, nftAddress, error);
+  }
+
+  return {
+    itemIndex,
+    nftAddress: nftAddress.toString(),
+    deployed: true,
+    initialized: data.initialized,
+    ownerAddress: data.ownerAddress ? data.ownerAddress.toString() : null,
+    individualContent: data.individualContent,
+    content: parseItemContent(data.individualContent),
+    error: null,
+  };
+}
+
+/**
+ * Walk collection items from `fromIndex` up to (excluding) the collection's `nextItemId`,
+ * or `toIndex` when given. An item that cannot be read is yielded with `deployed: false` and
+ * its error, so one failed call does not end the walk.
+ */
+export async function* iterateCollectionItems({
+  client = getTonClient(),
+  collectionAddress = config.collectionAddress,
+  fromIndex = 0,
+  toIndex,
+} = {}) {
+  const collection = typeof collectionAddress === 'string' ? Address.parse(collectionAddress) : collectionAddress;
+  const { nextItemId } = await getCollectionData(client, collection);
+  const end = typeof toIndex === 'number' ? Math.min(toIndex, nextItemId) : nextItemId;
+
+  for (let itemIndex = fromIndex; itemIndex < end; itemIndex += 1) {
+    let item;
+    try {
+      item = await readCollectionItem({ client, collectionAddress: collection, itemIndex });
+    } catch (error) {
+      item = undeployedItem(itemIndex, null, error);
+    }
+    yield item;
+  }
+}
+
+export default {
+  iterateCollectionItems,
+  readCollectionItem,
+};
@@ -0,0 +1,117 @@
+import { Address } from '@ton/ton';
+import config from '../config/env.js';
+
+export class CollectionNotFoundError extends Error {
+  constructor(collectionId) {
+    super(`Collection "${collectionId}" does not exist`);
+    this.name = 'CollectionNotFoundError';
+    this.code = 'COLLECTION_NOT_FOUND';
+    this.statusCode = 404;
+    this.details = { collectionId };
+  }
+}
+
+export class CollectionNotActiveError extends Error {
+  constructor(collection, { now = Date.now() } = {}) {
+    const notStarted = collection.startsAt && now < Date.parse(collection.startsAt);
+    super(notStarted
+      ? `Minting for collection "${collection.id}" opens at ${collection.startsAt}`
+      : `Minting for collection "${collection.id}" closed at ${collection.endsAt}`);
+    this.name = 'CollectionNotActiveError';
+    this.code = 'COLLECTION_NOT_ACTIVE';
+    this.statusCode = 403;
+    this.details = {
+      collectionId: collection.id,
+      startsAt: collection.startsAt,
+      endsAt: collection.endsAt,
+    };
+  }
+}
+
+export function isCollectionActive(collection, now = Date.now()) {
+  if (collection.startsAt && now < Date.parse(collection.startsAt)) {
+    return false;
+  }
+  return !(collection.endsAt && now >= Date.parse(collection.endsAt));
+}
+
+export function toPublicCollection(collection, { now = Date.now(), isDefault = false } = {}) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    address: collection.address,
+    default: isDefault,
+    active: isCollectionActive(collection, now),
+    startsAt: collection.startsAt,
+    endsAt: collection.endsAt,
+    mintUrl: `${config.backendBaseUrl}/collections/${collection.id}/mint`,
+  };
+}
+
+/**
+ * The collections this backend mints into. `get()` without an ID, or with a null one,
+ * resolves to the default collection so callers that predate collections keep working.
+ */
+export class CollectionRegistry {
+  constructor({ collections, defaultId }) {
+    this.collections = new Map();
+    for (const collection of collections) {
+      let address;
+      try {
+        address = Address.parse(collection.address);
+      } catch (_error) {
+        throw new Error(`Collection "${collection.id}" has an invalid address "${collection.address}"`);
+      }
+      this.collections.set(collection.id, Object.freeze({ ...collection, address: address.toString() }));
+    }
+    if (!this.collections.has(defaultId)) {
+      throw new Error(`Default collection "${defaultId}" is not configured`);
+    }
+    this.defaultId = defaultId;
+  }
+
+  get default() {
+    return this.collections.get(this.defaultId);
+  }
+
+  get(collectionId) {
+    if (collectionId === undefined || collectionId === null) {
+      return this.default;
+    }
+    const collection = this.collections.get(String(collectionId));
+    if (!collection) {
+      throw new CollectionNotFoundError(collectionId);
+    }
+    return collection;
+  }
+
+  /**
+   * Resolve a collection that is open for minting right now.
+   */
+  assertMintable(collectionId, { now = Date.now() } = {}) {
+    const collection = this.get(collectionId);
+    if (!isCollectionActive(collection, now)) {
+      throw new CollectionNotActiveError(collection, { now });
+    }
+    return collection;
+  }
+
+  list() {
+    return Array.from(this.collections.values());
+  }
+
+  toPublic(collection, options) {
+    return toPublicCollection(collection, { ...options, isDefault: collection.id === this.defaultId });
+  }
+}
+
+export function createCollectionRegistry({
+  collections = config.collections,
+  defaultId = config.defaultCollectionId,
+} = {}) {
+  return new CollectionRegistry({ collections, defaultId });
+}
+
+export const collectionRegistry = createCollectionRegistry();
+
+export default collectionRegistry;
@@ -0,0 +1,240 @@
+import path from 'node:path';
+import config from '../config/env.js';
+import { normalizeHexColor } from '../utils/color.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { iterateCollectionItems } from './collectionItems.js';
+
+const toIsoString = () => new Date().toISOString();
+
+export class ColourAlreadyMintedError extends Error {
+  constructor(color, entry, { collectionId = entry?.collectionId ?? null } = {}) {
+    const message = entry?.status === 'minted'
+      ? `Colour ${color} has already been minted`
+      : `Colour ${color} is already being minted`;
+    super(message);
+    this.name = 'ColourAlreadyMintedError';
+    this.code = 'COLOUR_ALREADY_MINTED';
+    this.statusCode = 409;
+    this.details = {
+      color,
+      collectionId,
+      status: entry?.status ?? null,
+      itemIndex: entry?.itemIndex ?? null,
+      nftAddress: entry?.nftAddress ?? null,
+    };
+  }
+}
+
+/**
+ * One entry per colour and collection. A colour is `reserved` by a holder (usually a mint job
+ * ID) from the moment it is accepted until the mint either lands (`minted`) or fails (entry
+ * removed). All methods are synchronous, so check-and-reserve cannot interleave with another
+ * request. Every method takes an optional `collectionId`, defaulting to the default collection.
+ */
+export class ColourRegistry {
+  constructor({ filePath = null, defaultCollectionId = config.defaultCollectionId } = {}) {
+    this.filePath = filePath;
+    this.defaultCollectionId = defaultCollectionId;
+    this.entries = new Map();
+    this.load();
+  }
+
+  key(color, collectionId) {
+    return `${collectionId ?? this.defaultCollectionId}:${normalizeHexColor(color)}`;
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { colours: [] });
+    const entries = Array.isArray(snapshot?.colours) ? snapshot.colours : [];
+    for (const entry of entries) {
+      if (entry && typeof entry.color === 'string') {
+        // Entries written before collections existed belong to the default collection.
+        const scoped = { ...entry, collectionId: entry.collectionId ?? this.defaultCollectionId };
+        this.entries.set(this.key(scoped.color, scoped.collectionId), scoped);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { colours: this.all() });
+  }
+
+  get(color, { collectionId } = {}) {
+    return this.entries.get(this.key(color, collectionId)) ?? null;
+  }
+
+  isTaken(color, { holder = null, collectionId } = {}) {
+    const entry = this.get(color, { collectionId });
+    if (!entry) {
+      return false;
+    }
+    return !(entry.status === 'reserved' && holder && entry.holder === holder);
+  }
+
+  /**
+   * Reserve every colour or none. Re-reserving a colour already held by `holder` is a no-op,
+   * so the same job can pass through several checkpoints.
+   */
+  reserveMany(colors, { holder, ownerAddress = null, telegramUserId = null, collectionId = this.defaultCollectionId } = {}) {
+    if (!holder) {
+      throw new Error('Colour reservations require a holder');
+    }
+    const normalized = colors.map((color) => normalizeHexColor(color));
+    const seen = new Set();
+    for (const color of normalized) {
+      if (seen.has(color)) {
+        throw new ColourAlreadyMintedError(color, { status: 'reserved' }, { collectionId });
+      }
+      seen.add(color);
+      if (this.isTaken(color, { holder, collectionId })) {
+        throw new ColourAlreadyMintedError(color, this.get(color, { collectionId }));
+      }
+    }
+
+    const now = toIsoString();
+    for (const color of normalized) {
+      if (this.get(color, { collectionId })?.holder === holder) {
+        continue;
+      }
+      this.entries.set(this.key(color, collectionId), {
+        color,
+        collectionId,
+        status: 'reserved',
+        holder,
+        ownerAddress,
+        telegramUserId,
+        itemIndex: null,
+        nftAddress: null,
+        reservedAt: now,
+        mintedAt: null,
+      });
+    }
+    this.persist();
+    return normalized.map((color) => this.get(color, { collectionId }));
+  }
+
+  reserve(color, options) {
+    return this.reserveMany([color], options)[0];
+  }
+
+  confirm(color, {
+    holder,
+    itemIndex = null,
+    nftAddress = null,
+    ownerAddress,
+    mintedAt = toIsoString(),
+    collectionId = this.defaultCollectionId,
+  } = {}) {
+    const normalized = normalizeHexColor(color);
+    const existing = this.get(normalized, { collectionId });
+    if (existing && existing.holder !== holder) {
+      throw new ColourAlreadyMintedError(normalized, existing);
+    }
+    const entry = {
+      ...existing,
+      color: normalized,
+      collectionId,
+      status: 'minted',
+      holder: holder ?? null,
+      ownerAddress: ownerAddress ?? existing?.ownerAddress ?? null,
+      itemIndex,
+      nftAddress,
+      mintedAt,
+    };
+    this.entries.set(this.key(normalized, collectionId), entry);
+    this.persist();
+    return entry;
+  }
+
+  release(color, { holder, collectionId } = {}) {
+    const existing = this.get(color, { collectionId });
+    if (!existing || existing.status !== 'reserved' || existing.holder !== holder) {
+      return false;
+    }
+    this.entries.delete(this.key(color, collectionId));
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Record colours that are already on-chain. Existing minted entries win over seeds so a
+   * re-run never rewrites what the backend minted itself; the first item per colour wins.
+   */
+  seed(items, { collectionId = this.defaultCollectionId } = {}) {
+    let added = 0;
+    for (const item of items) {
+      if (!item?.color) {
+        continue;
+      }
+      const color = normalizeHexColor(item.color);
+      const existing = this.get(color, { collectionId });
+      if (existing?.status === 'minted') {
+        continue;
+      }
+      this.entries.set(this.key(color, collectionId), {
+        color,
+        collectionId,
+        status: 'minted',
+        holder: 'seed',
+        ownerAddress: item.ownerAddress ?? null,
+        telegramUserId: item.telegramUserId ?? null,
+        itemIndex: item.itemIndex ?? null,
+        nftAddress: item.nftAddress ?? null,
+        reservedAt: null,
+        mintedAt: item.mintedAt ?? null,
+      });
+      added += 1;
+    }
+    this.persist();
+    return added;
+  }
+
+  all() {
+    return Array.from(this.entries.values());
+  }
+
+  clear() {
+    this.entries.clear();
+    this.persist();
+  }
+}
+
+export function createColourRegistry(options) {
+  return new ColourRegistry(options);
+}
+
+/**
+ * Walk the collection on-chain and record every colour found in item content.
+ * Returns how many items were scanned and how many colours were added.
+ */
+export async function seedColourRegistryFromChain({ registry, collectionId, onItem, ...walkOptions }) {
+  const found = [];
+  let scanned = 0;
+  for await (const item of iterateCollectionItems(walkOptions)) {
+    scanned += 1;
+    onItem?.(item);
+    if (item.content?.color) {
+      found.push({
+        color: item.content.color,
+        itemIndex: item.itemIndex,
+        nftAddress: item.nftAddress,
+        ownerAddress: item.ownerAddress,
+        telegramUserId: item.content.telegramUserId,
+      });
+    }
+  }
+  const added = registry.seed(found, { collectionId });
+  return { scanned, added };
+}
+
+export const colourRegistry = createColourRegistry({
+  filePath: config.dataDir ? path.join(config.dataDir, 'colour-registry.json') : null,
+});
+
+export default colourRegistry;
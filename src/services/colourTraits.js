@@ -0,0 +1,162 @@
+import { hexToHsl, hexToRgb, isDarkColor, normalizeHexColor } from '../utils/color.js';
+import { nearestColorName } from '../utils/colorNames.js';
+import { colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+
+// [upper bound (exclusive), label]; the last label takes the rest.
+const LIGHTNESS_BANDS = [[20, 'Very Dark'], [40, 'Dark'], [60, 'Medium'], [80, 'Light'], [Infinity, 'Very Light']];
+const SATURATION_BANDS = [[10, 'Unsaturated'], [40, 'Muted'], [70, 'Moderate'], [Infinity, 'Vivid']];
+const HUE_FAMILIES = [
+  [15, 'Red'], [45, 'Orange'], [70, 'Yellow'], [165, 'Green'], [195, 'Cyan'],
+  [255, 'Blue'], [290, 'Purple'], [345, 'Pink'], [Infinity, 'Red'],
+];
+const WEB_SAFE_CHANNELS = new Set([0x00, 0x33, 0x66, 0x99, 0xcc, 0xff]);
+
+function band(value, bands) {
+  return bands.find(([upper]) => value < upper)[1];
+}
+
+function specialPatterns(hex, { r, g, b }) {
+  const digits = hex.slice(1);
+  const channels = [r, g, b];
+  const patterns = [];
+  if (r === g && g === b) {
+    patterns.push('Greyscale');
+  }
+  if (channels.every((channel) => channel === 0 || channel === 255)) {
+    const full = channels.filter((channel) => channel === 255).length;
+    if (full === 1) {
+      patterns.push('Primary');
+    } else if (full === 2) {
+      patterns.push('Secondary');
+    }
+  }
+  if (digits === [...digits].reverse().join('')) {
+    patterns.push('Palindrome');
+  }
+  if (digits[0] === digits[1] && digits[2] === digits[3] && digits[4] === digits[5]) {
+    patterns.push('Shorthand');
+  }
+  if (channels.every((channel) => WEB_SAFE_CHANNELS.has(channel))) {
+    patterns.push('Web Safe');
+  }
+  return patterns;
+}
+
+/**
+ * Traits that follow from the colour alone: the nearest CSS colour name, the hue family
+ * (`Neutral` for near-greys), lightness and saturation bands, whether it reads as light or
+ * dark, and special `patterns` such as Greyscale, Primary or Palindrome.
+ */
+export function deriveColourTraits(color) {
+  const hex = normalizeHexColor(color);
+  const { h, s, l } = hexToHsl(hex);
+  return {
+    name: nearestColorName(hex),
+    hueFamily: s < 10 ? 'Neutral' : band(h, HUE_FAMILIES),
+    lightness: band(l, LIGHTNESS_BANDS),
+    saturation: band(s, SATURATION_BANDS),
+    tone: isDarkColor(hex) ? 'Dark' : 'Light',
+    patterns: specialPatterns(hex, hexToRgb(hex)),
+  };
+}
+
+export function colourTraitAttributes(traits) {
+  return [
+    { trait_type: 'Color Name', value: traits.name },
+    { trait_type: 'Hue Family', value: traits.hueFamily },
+    { trait_type: 'Lightness', value: traits.lightness },
+    { trait_type: 'Saturation', value: traits.saturation },
+    { trait_type: 'Tone', value: traits.tone },
+    ...traits.patterns.map((pattern) => ({ trait_type: 'Pattern', value: pattern })),
+  ];
+}
+
+// The values rarity is counted over; an item without patterns counts as "None".
+function rarityKeys(traits) {
+  return [
+    `name:${traits.name}`,
+    `hue:${traits.hueFamily}`,
+    `lightness:${traits.lightness}`,
+    `saturation:${traits.saturation}`,
+    `tone:${traits.tone}`,
+    `patterns:${traits.patterns.join('+') || 'None'}`,
+  ];
+}
+
+const roundScore = (score) => Math.round(score * 100) / 100;
+
+/**
+ * Rarity of a colour among those minted into its collection. Each trait value adds
+ * `minted / minted with that value`, so rare values weigh more; `rank` 1 is the rarest
+ * (ties share a rank). Distributions are rebuilt when the collection's minted count changes:
+ * minted entries are never removed, so a changed set always means a changed count.
+ */
+export class ColourRarityIndex {
+  constructor({ colourRegistry }) {
+    this.colourRegistry = colourRegistry;
+    this.traits = new Map();
+    this.distributions = new Map();
+  }
+
+  traitsOf(color) {
+    const hex = normalizeHexColor(color);
+    if (!this.traits.has(hex)) {
+      this.traits.set(hex, deriveColourTraits(hex));
+    }
+    return this.traits.get(hex);
+  }
+
+  distribution(collectionId) {
+    const minted = this.colourRegistry.all()
+      .filter((entry) => entry.status === 'minted' && entry.collectionId === collectionId)
+      .map((entry) => normalizeHexColor(entry.color));
+    const cached = this.distributions.get(collectionId);
+    if (cached && cached.total === minted.length) {
+      return cached;
+    }
+
+    const counts = new Map();
+    for (const color of minted) {
+      for (const key of rarityKeys(this.traitsOf(color))) {
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+    }
+    const scores = new Map(minted.map((color) => [
+      color,
+      roundScore(rarityKeys(this.traitsOf(color)).reduce((sum, key) => sum + minted.length / counts.get(key), 0)),
+    ]));
+    const ranks = new Map();
+    const ordered = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+    ordered.forEach(([color, score], position) => {
+      const previous = ordered[position - 1];
+      ranks.set(color, previous && previous[1] === score ? ranks.get(previous[0]) : position + 1);
+    });
+
+    const built = { total: minted.length, counts, scores, ranks };
+    this.distributions.set(collectionId, built);
+    return built;
+  }
+
+  /**
+   * `{ score, rank, total }` for `color`. A colour not minted into the collection is scored as
+   * if it were the next one, with `rank: null`.
+   */
+  rarityOf(color, { collectionId }) {
+    const hex = normalizeHexColor(color);
+    const { total, counts, scores, ranks } = this.distribution(collectionId);
+    if (scores.has(hex)) {
+      return { score: scores.get(hex), rank: ranks.get(hex), total };
+    }
+    const score = rarityKeys(this.traitsOf(hex))
+      .reduce((sum, key) => sum + (total + 1) / ((counts.get(key) ?? 0) + 1), 0);
+    return { score: roundScore(score), rank: null, total };
+  }
+}
+
+export function createColourRarityIndex({ colourRegistry = defaultColourRegistry } = {}) {
+  return new ColourRarityIndex({ colourRegistry });
+}
+
+export const colourRarityIndex = createColourRarityIndex();
+
+export default colourRarityIndex;
@@ -0,0 +1,84 @@
+import config from '../config/env.js';
+import { mintJobQueue } from './mintJobQueue.js';
+import { closeEventStreams } from './mintEventStream.js';
+
+function waitAtMost(promise, timeoutMs) {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  return Promise.race([promise.then(() => true), deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stop the process without losing a mint, all within `timeoutMs`:
+ * 1. stop taking connections and run `stopIntake` (pollers and timers that create work);
+ * 2. let the queue finish its running jobs and settle what is left (see MintJobQueue#shutdown);
+ * 3. end the SSE streams and wait for open requests, such as Telegram updates still replying
+ *    about their mint, dropping whatever is left at the deadline;
+ * 4. run `stopServices`.
+ * Resolves with the queue's summary of unfinished jobs.
+ */
+export async function shutdownGracefully({
+  server = null,
+  queue = mintJobQueue,
+  timeoutMs = config.shutdownTimeoutMs,
+  stopIntake = [],
+  stopServices = [],
+  closeStreams = closeEventStreams,
+  now = Date.now,
+} = {}) {
+  const startedAt = now();
+  const remainingMs = () => Math.max(0, timeoutMs - (now() - startedAt));
+  const serverClosed = server
+    ? new Promise((resolve) => {
+      server.close(() => resolve());
+    })
+    : Promise.resolve();
+
+  await Promise.all(stopIntake.map((stop) => stop()));
+  const unfinished = await queue.shutdown({ timeoutMs: remainingMs() });
+  if (unfinished.queued > 0 || unfinished.running > 0) {
+    console.warn(
+      `[shutdown] ${unfinished.running} running and ${unfinished.queued} queued mint jobs left unfinished; `
+      + (unfinished.persisted ? 'they are kept for the next start' : 'they were failed and their users told'),
+    );
+  }
+
+  closeStreams();
+  if (!(await waitAtMost(serverClosed, remainingMs()))) {
+    console.warn('[shutdown] Dropping requests still open at the shutdown deadline');
+    server.closeAllConnections?.();
+  }
+
+  await Promise.all(stopServices.map((stop) => stop()));
+  return unfinished;
+}
+
+/**
+ * Run `shutdownGracefully(options)` on the first SIGTERM or SIGINT and exit when it is done.
+ * A second signal exits straight away.
+ */
+export function handleShutdownSignals(options, { signals = ['SIGTERM', 'SIGINT'], exit = (code) => process.exit(code) } = {}) {
+  let shuttingDown = false;
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      console.warn(`[shutdown] Received ${signal} again; exiting without waiting`);
+      exit(1);
+      return;
+    }
+    shuttingDown = true;
+    console.log(`[shutdown] Received ${signal}; finishing running mints for up to ${options.timeoutMs ?? config.shutdownTimeoutMs} ms`);
+    shutdownGracefully(options).then(
+      () => exit(0),
+      (error) => {
+        console.error('[shutdown] Graceful shutdown failed', error);
+        exit(1);
+      },
+    );
+  };
+  signals.forEach((signal) => process.on(signal, onSignal));
+  return onSignal;
+}
+
+export default shutdownGracefully;
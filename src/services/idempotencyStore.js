@@ -0,0 +1,121 @@
+import { createHash } from 'node:crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const MAX_KEY_LENGTH = 255;
+
+export class IdempotencyConflictError extends Error {
+  constructor(message, { details } = {}) {
+    super(message);
+    this.name = 'IdempotencyConflictError';
+    this.code = 'IDEMPOTENCY_KEY_REUSED';
+    this.statusCode = 409;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+export function normalizeIdempotencyKey(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    const error = new Error('Idempotency key must be a string');
+    error.statusCode = 400;
+    throw error;
+  }
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.length > MAX_KEY_LENGTH) {
+    const error = new Error(`Idempotency key must be between 1 and ${MAX_KEY_LENGTH} characters`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return trimmed;
+}
+
+export function fingerprintRequest(request) {
+  return createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Maps client-supplied idempotency keys to the job they created. The job itself carries the
+ * outcome, so a replay can always report the latest status of the original mint.
+ */
+export class IdempotencyStore {
+  constructor({ filePath = null, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.records = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { keys: [] });
+    const records = Array.isArray(snapshot?.keys) ? snapshot.keys : [];
+    for (const record of records) {
+      if (record && typeof record.key === 'string') {
+        this.records.set(record.key, record);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { keys: this.all() });
+  }
+
+  isExpired(record, now = Date.now()) {
+    return now - Date.parse(record.createdAt) > this.ttlMs;
+  }
+
+  get(key) {
+    const record = this.records.get(key);
+    if (!record) {
+      return null;
+    }
+    if (this.isExpired(record)) {
+      this.records.delete(key);
+      this.persist();
+      return null;
+    }
+    return record;
+  }
+
+  set(key, { fingerprint, jobId }) {
+    const now = Date.now();
+    for (const [existingKey, record] of this.records) {
+      if (this.isExpired(record, now)) {
+        this.records.delete(existingKey);
+      }
+    }
+    const record = {
+      key,
+      fingerprint,
+      jobId,
+      createdAt: new Date(now).toISOString(),
+    };
+    this.records.set(key, record);
+    this.persist();
+    return record;
+  }
+
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  clear() {
+    this.records.clear();
+    this.persist();
+  }
+}
+
+export function createIdempotencyStore(options) {
+  return new IdempotencyStore(options);
+}
+
+export default IdempotencyStore;
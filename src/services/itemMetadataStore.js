@@ -0,0 +1,133 @@
+import path from 'node:path';
+import config from '../config/env.js';
+import { normalizeHexColor } from '../utils/color.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+
+const toIsoString = () => new Date().toISOString();
+
+/**
+ * The canonical metadata inputs of every minted item, per collection and item index, written
+ * when the mint lands. `GET /metadata/:itemIndex` is served from these records only, so a
+ * crafted query string cannot change what an item shows. An item is recorded once; a later
+ * record for the same index is ignored.
+ *
+ * Items minted before this store existed are looked up in the colour registry (which also
+ * holds seeded and reconciled items) the first time they are asked for, and recorded then.
+ */
+export class ItemMetadataStore {
+  constructor({ filePath = null, colourRegistry = null, defaultCollectionId = config.defaultCollectionId } = {}) {
+    this.filePath = filePath;
+    this.colourRegistry = colourRegistry;
+    this.defaultCollectionId = defaultCollectionId;
+    this.items = new Map();
+    this.load();
+  }
+
+  key(itemIndex, collectionId) {
+    return `${collectionId ?? this.defaultCollectionId}:${itemIndex}`;
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { items: [] });
+    const items = Array.isArray(snapshot?.items) ? snapshot.items : [];
+    for (const item of items) {
+      if (item && Number.isSafeInteger(item.itemIndex) && typeof item.collectionId === 'string') {
+        this.items.set(this.key(item.itemIndex, item.collectionId), item);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { items: this.all() });
+  }
+
+  record({
+    itemIndex,
+    color,
+    walletAddress = null,
+    telegramUserId = null,
+    mintedAt = null,
+    minioUrl = null,
+    collectionId = this.defaultCollectionId,
+  }) {
+    if (!Number.isSafeInteger(itemIndex) || itemIndex < 0) {
+      throw new Error(`Cannot record metadata for item index ${itemIndex}`);
+    }
+    const normalizedColor = normalizeHexColor(color);
+    const existing = this.items.get(this.key(itemIndex, collectionId));
+    if (existing) {
+      if (existing.color !== normalizedColor) {
+        console.warn(`[itemMetadataStore] Item ${collectionId}#${itemIndex} is recorded as ${existing.color}; ignoring ${normalizedColor}`);
+      }
+      return existing;
+    }
+
+    const item = {
+      collectionId,
+      itemIndex,
+      color: normalizedColor,
+      walletAddress,
+      telegramUserId,
+      mintedAt,
+      minioUrl,
+      recordedAt: toIsoString(),
+    };
+    this.items.set(this.key(itemIndex, collectionId), item);
+    this.persist();
+    return item;
+  }
+
+  get(itemIndex, { collectionId = this.defaultCollectionId } = {}) {
+    if (!Number.isSafeInteger(itemIndex)) {
+      return null;
+    }
+    const stored = this.items.get(this.key(itemIndex, collectionId));
+    if (stored) {
+      return stored;
+    }
+
+    const minted = this.colourRegistry?.all().find((entry) => entry.status === 'minted'
+      && entry.itemIndex === itemIndex
+      && (entry.collectionId ?? this.defaultCollectionId) === collectionId);
+    if (!minted) {
+      return null;
+    }
+    return this.record({
+      collectionId,
+      itemIndex,
+      color: minted.color,
+      walletAddress: minted.ownerAddress,
+      telegramUserId: minted.telegramUserId,
+      mintedAt: minted.mintedAt,
+    });
+  }
+
+  all() {
+    return Array.from(this.items.values())
+      .sort((a, b) => a.collectionId.localeCompare(b.collectionId) || a.itemIndex - b.itemIndex);
+  }
+
+  clear() {
+    this.items.clear();
+    this.persist();
+  }
+}
+
+export function createItemMetadataStore({
+  filePath = config.dataDir ? path.join(config.dataDir, 'item-metadata.json') : null,
+  colourRegistry = defaultColourRegistry,
+  defaultCollectionId = config.defaultCollectionId,
+} = {}) {
+  return new ItemMetadataStore({ filePath, colourRegistry, defaultCollectionId });
+}
+
+export const itemMetadataStore = createItemMetadataStore();
+
+export default itemMetadataStore;
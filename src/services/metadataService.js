@@ -2,6 +2,8 @@ import { buildColorSvg } from './svgGenerator.js';
 import { normalizeHexColor } from '../utils/color.js';
 import config from '../config/env.js';
 import { isMinioConfigured, getColorSvgUrl } from './minioStorage.js';
+import { colourTraitAttributes, deriveColourTraits } from './colourTraits.js';
+import { TELEGRAM_IDENTITY_TRAITS, telegramPrivacyStore } from './telegramPrivacy.js';
 
 function toBase64(input) {
   return Buffer.from(input, 'utf8').toString('base64');
@@ -14,6 +16,9 @@ export function buildMetadata({
   telegramUserId,
   mintedAt,
   minioUrl, // Optional: pre-uploaded MinIO URL
+  collectionName, // Optional: seasonal collection the item belongs to
+  rarity, // Optional: { score, rank, total } from the collection's ColourRarityIndex
+  telegramPrivacy = telegramPrivacyStore, // Decides whether and how telegramUserId is shown
 }) {
   const normalizedColor = normalizeHexColor(color);
   
@@ -36,12 +41,26 @@ export function buildMetadata({
     imageUrl = url.toString();
   }
   
+  const traits = deriveColourTraits(normalizedColor);
   const attributes = [
     { trait_type: 'Color', value: normalizedColor },
+    ...colourTraitAttributes(traits),
   ];
 
-  if (telegramUserId) {
-    attributes.push({ trait_type: 'Telegram User ID', value: String(telegramUserId) });
+  if (rarity) {
+    attributes.push({ trait_type: 'Rarity Score', value: rarity.score, display_type: 'number' });
+    if (rarity.rank) {
+      attributes.push({ trait_type: 'Rarity Rank', value: rarity.rank, display_type: 'number', max_value: rarity.total });
+    }
+  }
+
+  if (collectionName) {
+    attributes.push({ trait_type: 'Collection', value: collectionName });
+  }
+
+  const telegramIdentity = telegramPrivacy.publicIdentity(telegramUserId);
+  if (telegramIdentity) {
+    attributes.push({ trait_type: TELEGRAM_IDENTITY_TRAITS[telegramIdentity.type], value: telegramIdentity.value });
   }
 
   if (walletAddress) {
@@ -62,14 +81,26 @@ export function buildMetadata({
     external_url: 'https://ton.org/',
     properties: {
       color: normalizedColor,
+      traits,
+      rarity: rarity ?? null,
       walletAddress: walletAddress ?? null,
-      telegramUserId: telegramUserId ?? null,
+      telegramUserId: telegramIdentity?.type === 'id' ? telegramUserId : null,
+      telegram: telegramIdentity,
     },
   };
 }
 
-export function buildMetadataUri({ baseUrl, itemIndex, color, walletAddress, telegramUserId, mintedAt }) {
+export function buildMetadataUri({
+  baseUrl,
+  itemIndex,
+  color,
+  walletAddress,
+  telegramUserId: rawTelegramUserId,
+  mintedAt,
+  telegramPrivacy = telegramPrivacyStore,
+}) {
   const normalizedColor = normalizeHexColor(color);
+  const telegramUserId = telegramPrivacy.contentTelegramUserId(rawTelegramUserId);
   const url = new URL(`${baseUrl}/metadata/${itemIndex}`);
   url.searchParams.set('color', normalizedColor.replace('#', ''));
   if (walletAddress) {
@@ -84,7 +115,24 @@ export function buildMetadataUri({ baseUrl, itemIndex, color, walletAddress, tel
   return url.toString();
 }
 
+/**
+ * TEP-64 collection metadata. `image` and `cover_image` default to mosaics of the colours
+ * minted so far (`/collections/:id/image.svg` and `cover.svg`); `overrides` come from
+ * NFT_COLLECTION_METADATA_FILE and win over every default.
+ */
+export function buildCollectionMetadata(collection, { overrides = {}, baseUrl = config.backendBaseUrl } = {}) {
+  const paletteUrl = (file) => `${baseUrl}/collections/${encodeURIComponent(collection.id)}/${file}`;
+  return {
+    name: collection.name ?? 'TON Colours',
+    description: 'Unique colours minted on The Open Network by Telegram mini app users. Every colour exists once.',
+    image: paletteUrl('image.svg'),
+    cover_image: paletteUrl('cover.svg'),
+    ...overrides,
+  };
+}
+
 export default {
   buildMetadata,
   buildMetadataUri,
+  buildCollectionMetadata,
 };
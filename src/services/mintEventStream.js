@@ -0,0 +1,187 @@
+import { EventEmitter } from 'node:events';
+import { mintJobQueue, toPublicJob } from './mintJobQueue.js';
+
+const JOB_EVENTS = [
+  ['job:running', 'running'],
+  ['job:progress', 'progress'],
+  ['job:succeeded', 'succeeded'],
+  ['job:failed', 'failed'],
+];
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed']);
+
+const openStreams = new Set();
+
+/**
+ * Switch `res` to a Server-Sent Events stream. A comment line is written every `heartbeatMs`
+ * so proxies keep the connection open; listeners passed to `onClose` run once the client
+ * disconnects or the stream is ended.
+ */
+export function openEventStream(req, res, { heartbeatMs = 15000 } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const closeHandlers = [];
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+  heartbeat.unref?.();
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    openStreams.delete(stream);
+    clearInterval(heartbeat);
+    closeHandlers.forEach((handler) => handler());
+  };
+  req.on('close', close);
+
+  const stream = {
+    send(event, data, { id } = {}) {
+      if (closed) {
+        return;
+      }
+      const lines = [];
+      if (id !== undefined && id !== null) {
+        lines.push(`id: ${id}`);
+      }
+      lines.push(`event: ${event}`, `data: ${JSON.stringify(data)}`);
+      res.write(`${lines.join('\n')}\n\n`);
+    },
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+    end() {
+      close();
+      res.end();
+    },
+  };
+  openStreams.add(stream);
+  return stream;
+}
+
+/**
+ * End every open stream, for shutdown. Clients reconnect on their own after the `retry` delay.
+ */
+export function closeEventStreams() {
+  for (const stream of openStreams) {
+    stream.end();
+  }
+}
+
+/**
+ * Stream one job: a `snapshot` of its current state, then `running`, `progress`, and finally
+ * `succeeded` or `failed`, after which the stream ends. Every event carries the public job.
+ */
+export function streamMintJob(req, res, { queue = mintJobQueue, jobId, heartbeatMs } = {}) {
+  const job = queue.get(jobId);
+  const stream = openEventStream(req, res, { heartbeatMs });
+  stream.send('snapshot', toPublicJob(job));
+  if (FINISHED_STATUSES.has(job.status)) {
+    stream.send(job.status, toPublicJob(job));
+    stream.end();
+    return;
+  }
+
+  const listeners = JOB_EVENTS.map(([queueEvent, streamEvent]) => {
+    const listener = (updated) => {
+      if (updated.id !== jobId) {
+        return;
+      }
+      stream.send(streamEvent, toPublicJob(updated));
+      if (FINISHED_STATUSES.has(streamEvent)) {
+        stream.end();
+      }
+    };
+    queue.on(queueEvent, listener);
+    return [queueEvent, listener];
+  });
+  stream.onClose(() => {
+    listeners.forEach(([queueEvent, listener]) => queue.off(queueEvent, listener));
+  });
+}
+
+function toMintedItems(job) {
+  const items = job.type === 'batch' ? job.result?.items ?? [] : [job.result];
+  return items
+    .filter((item) => typeof item?.itemIndex === 'number')
+    .map((item) => ({
+      id: `${job.payload?.collectionId ?? 'default'}:${item.itemIndex}`,
+      jobId: job.id,
+      collectionId: job.payload?.collectionId ?? null,
+      itemIndex: item.itemIndex,
+      nftAddress: item.nftAddress ?? null,
+      ownerAddress: item.ownerAddress ?? null,
+      color: item.color ?? null,
+      mintedAt: item.mintedAt ?? job.finishedAt ?? null,
+    }));
+}
+
+/**
+ * Every item minted by the queue, in order, for the "just minted" ticker, including the items
+ * of jobs reconciliation recovered after they failed. Keeps the last
+ * `bufferSize` items so a client reconnecting with `Last-Event-ID` (`<collectionId>:<itemIndex>`)
+ * catches up.
+ */
+export class MintFeed extends EventEmitter {
+  constructor({ queue, bufferSize = 50 }) {
+    super();
+    this.bufferSize = bufferSize;
+    this.recent = [];
+    queue.on('job:succeeded', (job) => this.publish(job));
+    queue.on('job:recovered', (job) => this.publish(job));
+  }
+
+  publish(job) {
+    for (const item of toMintedItems(job)) {
+      this.recent.push(item);
+      if (this.recent.length > this.bufferSize) {
+        this.recent.shift();
+      }
+      this.emit('minted', item);
+    }
+  }
+
+  /**
+   * Items published after `lastEventId`; nothing when that item has already left the buffer.
+   */
+  since(lastEventId) {
+    const position = this.recent.findIndex((item) => item.id === lastEventId);
+    return position === -1 ? [] : this.recent.slice(position + 1);
+  }
+}
+
+export function createMintFeed({ queue = mintJobQueue, ...options } = {}) {
+  return new MintFeed({ queue, ...options });
+}
+
+export const mintFeed = createMintFeed();
+
+/**
+ * Stream `minted` events from the feed. Items missed since `Last-Event-ID` are replayed first.
+ */
+export function streamMintFeed(req, res, { feed = mintFeed, heartbeatMs } = {}) {
+  const stream = openEventStream(req, res, { heartbeatMs });
+  const send = (item) => stream.send('minted', item, { id: item.id });
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    feed.since(lastEventId).forEach(send);
+  }
+
+  feed.on('minted', send);
+  stream.onClose(() => feed.off('minted', send));
+}
+
+export default {
+  closeEventStreams,
+  streamMintJob,
+  streamMintFeed,
+};
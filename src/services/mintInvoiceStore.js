@@ -0,0 +1,154 @@
+import { randomBytes, randomUUID } from 'node:crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const toIsoString = () => new Date().toISOString();
+
+/**
+ * `pending` until a payment arrives; `paid` once the mint is queued; `expired` when nothing
+ * arrived in time; `refunded` or `flagged` when a payment could not be used (underpaid, late,
+ * or the mint was refused) and was sent back or needs an operator.
+ */
+export const MINT_INVOICE_STATUSES = Object.freeze(['pending', 'paid', 'expired', 'refunded', 'flagged']);
+
+// Short enough to type by hand in a wallet app, unique enough not to collide.
+function generateComment() {
+  return `tc-${randomBytes(6).toString('hex')}`;
+}
+
+export class MintInvoiceStore {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.invoices = new Map();
+    this.cursor = null;
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { invoices: [], cursor: null });
+    const invoices = Array.isArray(snapshot?.invoices) ? snapshot.invoices : [];
+    for (const invoice of invoices) {
+      if (invoice && typeof invoice.id === 'string') {
+        this.invoices.set(invoice.id, invoice);
+      }
+    }
+    this.cursor = snapshot?.cursor ?? null;
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { invoices: this.all(), cursor: this.cursor });
+  }
+
+  create({ request, amountNano, receivingAddress, expiresAt, source = null }) {
+    let comment = generateComment();
+    while (this.getByComment(comment)) {
+      comment = generateComment();
+    }
+    const now = toIsoString();
+    const invoice = {
+      id: randomUUID(),
+      status: 'pending',
+      request,
+      source,
+      amountNano: String(amountNano),
+      receivingAddress,
+      comment,
+      payments: [],
+      jobId: null,
+      flagReason: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt,
+    };
+    this.invoices.set(invoice.id, invoice);
+    this.persist();
+    return invoice;
+  }
+
+  get(invoiceId) {
+    return this.invoices.get(invoiceId) ?? null;
+  }
+
+  getByComment(comment) {
+    for (const invoice of this.invoices.values()) {
+      if (invoice.comment === comment) {
+        return invoice;
+      }
+    }
+    return null;
+  }
+
+  getByJobId(jobId) {
+    for (const invoice of this.invoices.values()) {
+      if (invoice.jobId === jobId) {
+        return invoice;
+      }
+    }
+    return null;
+  }
+
+  update(invoiceId, patch) {
+    const existing = this.invoices.get(invoiceId);
+    if (!existing) {
+      throw new Error(`Mint invoice ${invoiceId} does not exist`);
+    }
+    if (patch.status && !MINT_INVOICE_STATUSES.includes(patch.status)) {
+      throw new Error(`Unknown mint invoice status "${patch.status}"`);
+    }
+    const patched = {
+      ...existing,
+      ...patch,
+      updatedAt: toIsoString(),
+    };
+    this.invoices.set(invoiceId, patched);
+    this.persist();
+    return patched;
+  }
+
+  hasPayment(transactionHash) {
+    for (const invoice of this.invoices.values()) {
+      if (invoice.payments.some((payment) => payment.hash === transactionHash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Logical time and hash of the newest transaction already processed on the receiving
+   * address, so polling resumes where it stopped after a restart.
+   */
+  getCursor() {
+    return this.cursor;
+  }
+
+  setCursor(cursor) {
+    this.cursor = cursor;
+    this.persist();
+  }
+
+  listByStatus(status) {
+    return this.all().filter((invoice) => invoice.status === status);
+  }
+
+  all() {
+    return Array.from(this.invoices.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  clear() {
+    this.invoices.clear();
+    this.cursor = null;
+    this.persist();
+  }
+}
+
+export function createMintInvoiceStore(options) {
+  return new MintInvoiceStore(options);
+}
+
+export default MintInvoiceStore;
@@ -0,0 +1,496 @@
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import config from '../config/env.js';
+import { createMintJobStore } from './mintJobStore.js';
+import {
+  IdempotencyConflictError,
+  createIdempotencyStore,
+  fingerprintRequest,
+} from './idempotencyStore.js';
+import { batchMintColorNfts, mintColorNft } from './mintService.js';
+import { colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+import { mintQuotaTracker as defaultQuotaTracker } from './mintQuota.js';
+import { collectionRegistry as defaultCollectionRegistry } from './collectionRegistry.js';
+import { mintingControl as defaultMintingControl } from './mintingControl.js';
+import { telegramPrivacyStore as defaultTelegramPrivacy } from './telegramPrivacy.js';
+
+const toIsoString = () => new Date().toISOString();
+
+function serializeError(error) {
+  const serialized = {
+    message: error?.message ?? String(error),
+    code: error?.code ?? 'MINT_FAILED',
+  };
+  if (typeof error?.statusCode === 'number') {
+    serialized.statusCode = error.statusCode;
+  }
+  if (error?.details && typeof error.details === 'object') {
+    serialized.details = error.details;
+  }
+  return serialized;
+}
+
+function deserializeError(serialized) {
+  const error = new Error(serialized?.message ?? 'Mint failed');
+  error.code = serialized?.code ?? 'MINT_FAILED';
+  if (typeof serialized?.statusCode === 'number') {
+    error.statusCode = serialized.statusCode;
+  }
+  if (serialized?.details) {
+    error.details = serialized.details;
+  }
+  return error;
+}
+
+export class MintQueueClosedError extends Error {
+  constructor(message = 'The server is shutting down and not accepting mints; try again shortly', { details } = {}) {
+    super(message);
+    this.name = 'MintQueueClosedError';
+    this.code = 'SERVER_SHUTTING_DOWN';
+    this.statusCode = 503;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+function payloadEntries(type, payload) {
+  if (type === 'batch') {
+    return payload?.items ?? [];
+  }
+  return payload ? [payload] : [];
+}
+
+// Payloads and results name the Telegram user, singly or per batch item.
+function redactTelegramUsers(part, telegramPrivacy) {
+  if (!part) {
+    return null;
+  }
+  const redacted = telegramPrivacy.redact(part);
+  return Array.isArray(part.items)
+    ? { ...redacted, items: part.items.map((item) => telegramPrivacy.redact(item)) }
+    : redacted;
+}
+
+/**
+ * The job as API responses and event streams show it. Telegram users appear only as their
+ * privacy setting allows (see TelegramPrivacyStore#redact).
+ */
+export function toPublicJob(job, { telegramPrivacy = defaultTelegramPrivacy } = {}) {
+  return {
+    jobId: job.id,
+    type: job.type ?? 'mint',
+    source: job.source ?? null,
+    status: job.status,
+    request: redactTelegramUsers(job.payload, telegramPrivacy),
+    result: redactTelegramUsers(job.result, telegramPrivacy),
+    error: job.error ?? null,
+    attempts: job.attempts ?? 0,
+    progress: job.progress ?? null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt ?? null,
+    finishedAt: job.finishedAt ?? null,
+  };
+}
+
+/**
+ * Durable mint queue. Jobs are written to the store before anything runs so callers can poll
+ * them by ID, and queued jobs survive a restart. Up to `concurrency` jobs run at once (one per
+ * minter wallet); the mint service keeps jobs for the same collection in order. While
+ * `mintingControl` is paused, queued jobs stay queued and resume with it. Emits `job:queued`,
+ * `job:running`, `job:progress`, `job:succeeded` and `job:failed` with the stored job as
+ * payload; `job.progress` holds the latest phase reported by the mint handler. `shutdown()`
+ * closes the queue for good. Jobs carried over from a previous process get `restartedAt`, so
+ * whoever was waiting on them can be told how they ended; `job:recovered` is emitted when
+ * reconciliation finds that an interrupted job did land.
+ */
+export class MintJobQueue extends EventEmitter {
+  constructor({
+    store,
+    mintHandler,
+    batchMintHandler = null,
+    idempotencyStore = null,
+    colourRegistry = null,
+    quotaTracker = null,
+    collectionRegistry = null,
+    concurrency = 1,
+    mintingControl = null,
+  }) {
+    super();
+    if (!store) {
+      throw new Error('MintJobQueue requires a job store');
+    }
+    if (typeof mintHandler !== 'function') {
+      throw new Error('MintJobQueue requires a mint handler');
+    }
+    this.store = store;
+    this.idempotencyStore = idempotencyStore;
+    this.colourRegistry = colourRegistry;
+    this.quotaTracker = quotaTracker;
+    this.collectionRegistry = collectionRegistry;
+    this.concurrency = concurrency;
+    this.mintingControl = mintingControl;
+    mintingControl?.on('resumed', () => this.drain());
+    this.handlers = {
+      mint: mintHandler,
+      batch: batchMintHandler,
+    };
+    this.draining = null;
+    this.started = false;
+    this.closed = false;
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Recover state left behind by a previous process and resume queued jobs. Jobs that were
+   * running when the process died may already have been submitted on-chain, so they are
+   * failed rather than retried blindly, and left to reconciliation.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    const restartedAt = toIsoString();
+
+    for (const job of this.store.listByStatus('queued')) {
+      this.store.update(job.id, { restartedAt });
+    }
+    for (const job of this.store.listByStatus('running')) {
+      const failed = this.store.update(job.id, {
+        status: 'failed',
+        restartedAt,
+        error: {
+          message: 'Mint was interrupted by a server restart; check the collection before retrying',
+          code: 'MINT_INTERRUPTED',
+        },
+        finishedAt: toIsoString(),
+      });
+      this.emit('job:failed', failed);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * `source` records where the mint was asked for (see MINT_SOURCES in mintLedger.js).
+   */
+  enqueue(request, { type = 'mint', source = null } = {}) {
+    if (this.closed) {
+      throw new MintQueueClosedError();
+    }
+    if (typeof this.handlers[type] !== 'function') {
+      throw new Error(`No handler registered for mint job type "${type}"`);
+    }
+    // Pin the job to a collection that is open right now, so a later change of default
+    // collection cannot move queued work.
+    const payload = this.collectionRegistry
+      ? { ...request, collectionId: this.collectionRegistry.assertMintable(request.collectionId).id }
+      : request;
+    const { collectionId } = payload;
+
+    // Count the quota and reserve colours under the job ID up front so over-quota requests and
+    // duplicates are refused before queueing; the mint path re-checks the colour right before deploying.
+    const jobId = randomUUID();
+    const entries = payloadEntries(type, payload);
+    const colours = entries.map((entry) => entry.color).filter(Boolean);
+    this.quotaTracker?.consume(entries, { holder: jobId });
+
+    let job;
+    try {
+      if (this.colourRegistry && colours.length > 0) {
+        this.colourRegistry.reserveMany(colours, {
+          holder: jobId,
+          ownerAddress: payload.walletAddress ?? null,
+          telegramUserId: payload.telegramUserId ?? null,
+          collectionId,
+        });
+      }
+      job = this.store.create(payload, { type, id: jobId, source });
+    } catch (error) {
+      this.quotaTracker?.release(jobId);
+      colours.forEach((color) => this.colourRegistry?.release(color, { holder: jobId, collectionId }));
+      throw error;
+    }
+    this.emit('job:queued', job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Enqueue once per idempotency key. A repeat with the same payload returns the original job
+   * (`replayed: true`); a repeat with a different payload throws IdempotencyConflictError.
+   * Keys only collide within one `scope` (the caller), so one caller can neither replay nor
+   * block another caller's job by guessing its key.
+   */
+  enqueueIdempotent(payload, { type = 'mint', idempotencyKey = null, scope = null, source = null } = {}) {
+    if (!idempotencyKey || !this.idempotencyStore) {
+      return { job: this.enqueue(payload, { type, source }), replayed: false };
+    }
+
+    const storeKey = scope ? `${scope}:${idempotencyKey}` : idempotencyKey;
+    const fingerprint = fingerprintRequest({ type, payload });
+    const record = this.idempotencyStore.get(storeKey);
+    if (record) {
+      const existing = this.store.get(record.jobId);
+      if (existing) {
+        if (record.fingerprint !== fingerprint) {
+          throw new IdempotencyConflictError('Idempotency key was already used with a different request', {
+            details: { idempotencyKey, jobId: existing.id },
+          });
+        }
+        return { job: existing, replayed: true };
+      }
+    }
+
+    const job = this.enqueue(payload, { type, source });
+    this.idempotencyStore.set(storeKey, { fingerprint, jobId: job.id });
+    return { job, replayed: false };
+  }
+
+  get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * Resolve with the mint result once the job finishes, or reject with the recorded error.
+   */
+  waitFor(jobId) {
+    const job = this.store.get(jobId);
+    if (!job) {
+      return Promise.reject(new Error(`Mint job ${jobId} does not exist`));
+    }
+    if (job.status === 'succeeded') {
+      return Promise.resolve(job.result);
+    }
+    if (job.status === 'failed') {
+      return Promise.reject(deserializeError(job.error));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onSucceeded = (finished) => {
+        if (finished.id !== jobId) {
+          return;
+        }
+        cleanup();
+        resolve(finished.result);
+      };
+      const onFailed = (finished) => {
+        if (finished.id !== jobId) {
+          return;
+        }
+        cleanup();
+        reject(deserializeError(finished.error));
+      };
+      const onClosed = (unfinished) => {
+        const pending = unfinished.find((candidate) => candidate.id === jobId);
+        if (!pending) {
+          return;
+        }
+        cleanup();
+        const message = pending.status === 'queued'
+          ? 'The server restarted before this mint started; it runs once the server is back'
+          : 'The server restarted while this mint was being sent; it is checked against the collection once the server is back';
+        reject(new MintQueueClosedError(message, { details: { jobId, status: pending.status } }));
+      };
+      const cleanup = () => {
+        this.off('job:succeeded', onSucceeded);
+        this.off('job:failed', onFailed);
+        this.off('closed', onClosed);
+      };
+      this.on('job:succeeded', onSucceeded);
+      this.on('job:failed', onFailed);
+      this.on('closed', onClosed);
+    });
+  }
+
+  async submit(payload, options) {
+    const job = this.enqueue(payload, options);
+    return this.waitFor(job.id);
+  }
+
+  drain() {
+    if (!this.draining) {
+      this.draining = this.processQueued().finally(() => {
+        this.draining = null;
+        // A job enqueued after the loop's last check joined the finishing drain; pick it up.
+        if (!this.closed && !this.mintingControl?.paused && this.store.listByStatus('queued').length > 0) {
+          this.drain();
+        }
+      });
+    }
+    return this.draining;
+  }
+
+  /**
+   * Stop picking up jobs and give the running ones up to `timeoutMs` to finish. A file-backed
+   * store keeps whatever is left for the next start (running jobs then fail as interrupted and
+   * are left to reconciliation), and anyone waiting on those jobs is rejected with
+   * MintQueueClosedError. An in-memory store would lose them, so they are failed here instead:
+   * queued jobs with `SERVER_SHUTTING_DOWN`, giving back their quota and colours, and running
+   * ones with `MINT_INTERRUPTED`. Returns what was left unfinished.
+   */
+  async shutdown({ timeoutMs = 0 } = {}) {
+    this.closed = true;
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeoutMs);
+    });
+    await Promise.race([Promise.allSettled(this.activeJobs), deadline]);
+    clearTimeout(timer);
+
+    const unfinished = this.store.all().filter((job) => job.status === 'queued' || job.status === 'running');
+    const persisted = Boolean(this.store.filePath);
+    if (persisted) {
+      this.emit('closed', unfinished);
+    } else {
+      for (const job of unfinished) {
+        if (job.status === 'queued') {
+          this.releaseHolds(job);
+        }
+        const failed = this.store.update(job.id, {
+          status: 'failed',
+          error: job.status === 'queued'
+            ? { message: 'The server shut down before this mint started; nothing was sent', code: 'SERVER_SHUTTING_DOWN' }
+            : { message: 'Mint was interrupted by a server shutdown; check the collection before retrying', code: 'MINT_INTERRUPTED' },
+          finishedAt: toIsoString(),
+        });
+        this.emit('job:failed', failed);
+      }
+    }
+
+    return {
+      persisted,
+      queued: unfinished.filter((job) => job.status === 'queued').length,
+      running: unfinished.filter((job) => job.status === 'running').length,
+    };
+  }
+
+  async processQueued() {
+    // Let the caller that triggered the drain receive its job ID before work starts.
+    await Promise.resolve();
+
+    // runJob marks its job running before its first await, so workers never pick the same job.
+    const nextQueued = () => (this.closed || this.mintingControl?.paused ? undefined : this.store.listByStatus('queued')[0]);
+    const work = async () => {
+      let next = nextQueued();
+      while (next) {
+        const running = this.runJob(next);
+        this.activeJobs.add(running);
+        await running;
+        this.activeJobs.delete(running);
+        next = nextQueued();
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, work));
+  }
+
+  // Give back the quota and colours a job took when it was queued. Only for jobs that never
+  // reached the mint handler; the mint service releases colours itself once it was called.
+  releaseHolds(job) {
+    this.quotaTracker?.release(job.id);
+    payloadEntries(job.type, job.payload).forEach((entry) => this.colourRegistry?.release(entry.color, {
+      holder: job.id,
+      collectionId: job.payload?.collectionId,
+    }));
+  }
+
+  async runJob(job) {
+    // A job queued before its collection was stopped would send mint value to a contract that
+    // now rejects it, so it fails here without touching the chain.
+    try {
+      this.mintingControl?.assertNotStopped({ collectionId: job.payload?.collectionId });
+    } catch (error) {
+      this.releaseHolds(job);
+      const failed = this.store.update(job.id, {
+        status: 'failed',
+        error: serializeError(error),
+        finishedAt: toIsoString(),
+      });
+      this.emit('job:failed', failed);
+      return;
+    }
+
+    const running = this.store.update(job.id, {
+      status: 'running',
+      attempts: (job.attempts ?? 0) + 1,
+      startedAt: toIsoString(),
+    });
+    this.emit('job:running', running);
+
+    try {
+      const handler = this.handlers[running.type ?? 'mint'];
+      if (typeof handler !== 'function') {
+        throw new Error(`No handler registered for mint job type "${running.type}"`);
+      }
+      const onProgress = (progress) => {
+        // Progress is only for live listeners; writing the file on every tick is not worth it.
+        const updated = this.store.update(job.id, { progress: { ...progress, at: toIsoString() } }, { persist: false });
+        this.emit('job:progress', updated);
+      };
+      const result = await handler(running.payload, { jobId: running.id, onProgress });
+      const succeeded = this.store.update(job.id, {
+        status: 'succeeded',
+        result,
+        error: null,
+        finishedAt: toIsoString(),
+      });
+      this.emit('job:succeeded', succeeded);
+    } catch (error) {
+      console.error(`[mintJobQueue] Mint job ${job.id} failed`, error);
+      // A confirmation timeout may still land on-chain, and a batch that failed part-way did
+      // mint some items, so both keep counting against the quota.
+      if (error?.code !== 'MINT_CONFIRMATION_TIMEOUT' && !error?.partialResult) {
+        this.quotaTracker?.release(job.id);
+      }
+      const failed = this.store.update(job.id, {
+        status: 'failed',
+        // The items a batch did mint before failing, so each keeps its own outcome.
+        result: error?.partialResult ?? null,
+        error: serializeError(error),
+        finishedAt: toIsoString(),
+      });
+      this.emit('job:failed', failed);
+    }
+  }
+}
+
+export function createMintJobQueue({
+  store = createMintJobStore({
+    filePath: config.dataDir ? path.join(config.dataDir, 'mint-jobs.json') : null,
+    retentionMs: config.mintJobRetentionDays * 24 * 60 * 60 * 1000,
+  }),
+  mintHandler = (payload, { jobId, onProgress }) => mintColorNft({ ...payload, reservationId: jobId, onProgress }),
+  batchMintHandler = (payload, { jobId, onProgress }) => batchMintColorNfts(payload.items, {
+    collectionId: payload.collectionId,
+    reservationId: jobId,
+    onProgress,
+  }),
+  idempotencyStore = createIdempotencyStore({
+    filePath: config.dataDir ? path.join(config.dataDir, 'idempotency-keys.json') : null,
+    ttlMs: config.idempotencyKeyTtlHours * 60 * 60 * 1000,
+  }),
+  colourRegistry = defaultColourRegistry,
+  quotaTracker = defaultQuotaTracker,
+  collectionRegistry = defaultCollectionRegistry,
+  concurrency = config.minterWallets.length,
+  mintingControl = defaultMintingControl,
+} = {}) {
+  return new MintJobQueue({
+    store,
+    mintHandler,
+    batchMintHandler,
+    idempotencyStore,
+    colourRegistry,
+    quotaTracker,
+    collectionRegistry,
+    concurrency,
+    mintingControl,
+  });
+}
+
+export const mintJobQueue = createMintJobQueue();
+
+export default mintJobQueue;
@@ -0,0 +1,127 @@
+import { randomUUID } from 'node:crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const toIsoString = () => new Date().toISOString();
+
+export const MINT_JOB_STATUSES = Object.freeze(['queued', 'running', 'succeeded', 'failed']);
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed']);
+
+/**
+ * Mint jobs by ID, written to `filePath` as one JSON file. Jobs that finished more than
+ * `retentionMs` ago (0 keeps them for good) are dropped whenever a job is created or loaded;
+ * the mint ledger keeps the history.
+ */
+export class MintJobStore {
+  constructor({ filePath = null, retentionMs = 0 } = {}) {
+    this.filePath = filePath;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { jobs: [] });
+    const jobs = Array.isArray(snapshot?.jobs) ? snapshot.jobs : [];
+    for (const job of jobs) {
+      if (job && typeof job.id === 'string') {
+        this.jobs.set(job.id, job);
+      }
+    }
+    this.prune();
+  }
+
+  prune(now = Date.now()) {
+    if (!this.retentionMs) {
+      return 0;
+    }
+    const cutoff = now - this.retentionMs;
+    let pruned = 0;
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATUSES.has(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        pruned += 1;
+      }
+    }
+    return pruned;
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { jobs: this.all() });
+  }
+
+  create(payload, { type = 'mint', id = randomUUID(), source = null } = {}) {
+    const now = toIsoString();
+    const job = {
+      id,
+      type,
+      source,
+      status: 'queued',
+      payload,
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.prune();
+    this.jobs.set(job.id, job);
+    this.persist();
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) ?? null;
+  }
+
+  /**
+   * Pass `persist: false` for changes that need not survive a restart, such as progress ticks;
+   * they are written with the next persisted change.
+   */
+  update(jobId, patch, { persist = true } = {}) {
+    const existing = this.jobs.get(jobId);
+    if (!existing) {
+      throw new Error(`Mint job ${jobId} does not exist`);
+    }
+    if (patch.status && !MINT_JOB_STATUSES.includes(patch.status)) {
+      throw new Error(`Unknown mint job status "${patch.status}"`);
+    }
+    const patched = {
+      ...existing,
+      ...patch,
+      updatedAt: toIsoString(),
+    };
+    this.jobs.set(jobId, patched);
+    if (persist) {
+      this.persist();
+    }
+    return patched;
+  }
+
+  listByStatus(status) {
+    return this.all().filter((job) => job.status === status);
+  }
+
+  all() {
+    return Array.from(this.jobs.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  clear() {
+    this.jobs.clear();
+    this.persist();
+  }
+}
+
+export function createMintJobStore(options) {
+  return new MintJobStore(options);
+}
+
+export default MintJobStore;
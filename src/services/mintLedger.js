@@ -0,0 +1,305 @@
+import { Address } from '@ton/ton';
+import path from 'node:path';
+import config from '../config/env.js';
+import { normalizeHexColor } from '../utils/color.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { mintJobQueue } from './mintJobQueue.js';
+import { MINT_JOB_STATUSES } from './mintJobStore.js';
+import { telegramPrivacyStore as defaultTelegramPrivacy } from './telegramPrivacy.js';
+
+const toIsoString = () => new Date().toISOString();
+
+/**
+ * Where a mint was asked for: the bot's `/mint` command, the Mini App's `web_app_data`, or the
+ * HTTP API (including invoices paid for through it).
+ */
+export const MINT_SOURCES = Object.freeze(['command', 'mini-app', 'api']);
+
+export const DEFAULT_MINT_LEDGER_PAGE_SIZE = 50;
+export const MAX_MINT_LEDGER_PAGE_SIZE = 200;
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'INVALID_MINT_QUERY';
+  return error;
+}
+
+function toRawAddress(value) {
+  try {
+    return Address.parse(value).toRawString();
+  } catch (_error) {
+    return null;
+  }
+}
+
+function encodeCursor(seq) {
+  return Buffer.from(String(seq)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const seq = Number(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!Number.isSafeInteger(seq) || seq < 1) {
+    throw invalidQuery('cursor is not valid; pass the nextCursor of a previous page');
+  }
+  return seq;
+}
+
+function parseDate(value, name) {
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw invalidQuery(`${name} must be an ISO 8601 date`);
+  }
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Validate the query string of `GET /mints` into the filters `MintLedger#query` takes. Empty
+ * parameters are ignored; malformed ones throw a 400 with `code: "INVALID_MINT_QUERY"`.
+ */
+export function parseMintLedgerQuery(query = {}) {
+  const present = (name) => typeof query[name] === 'string' && query[name].trim() !== '';
+  const filters = { limit: DEFAULT_MINT_LEDGER_PAGE_SIZE };
+
+  if (present('wallet')) {
+    filters.wallet = toRawAddress(query.wallet.trim());
+    if (!filters.wallet) {
+      throw invalidQuery('wallet must be a valid TON address');
+    }
+  }
+  if (present('telegramUserId')) {
+    filters.telegramUserId = Number(query.telegramUserId);
+    if (!Number.isSafeInteger(filters.telegramUserId)) {
+      throw invalidQuery('telegramUserId must be an integer');
+    }
+  }
+  if (present('color')) {
+    try {
+      filters.color = normalizeHexColor(query.color);
+    } catch (error) {
+      throw invalidQuery(error.message);
+    }
+  }
+  if (present('status')) {
+    if (!MINT_JOB_STATUSES.includes(query.status)) {
+      throw invalidQuery(`status must be one of ${MINT_JOB_STATUSES.join(', ')}`);
+    }
+    filters.status = query.status;
+  }
+  if (present('source')) {
+    if (!MINT_SOURCES.includes(query.source)) {
+      throw invalidQuery(`source must be one of ${MINT_SOURCES.join(', ')}`);
+    }
+    filters.source = query.source;
+  }
+  if (present('collection')) {
+    filters.collectionId = query.collection;
+  }
+  if (present('from')) {
+    filters.from = parseDate(query.from, 'from');
+  }
+  if (present('to')) {
+    filters.to = parseDate(query.to, 'to');
+  }
+  if (present('limit')) {
+    filters.limit = Number(query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_MINT_LEDGER_PAGE_SIZE) {
+      throw invalidQuery(`limit must be between 1 and ${MAX_MINT_LEDGER_PAGE_SIZE}`);
+    }
+  }
+  if (present('cursor')) {
+    filters.cursor = query.cursor;
+  }
+  return filters;
+}
+
+/**
+ * One ledger entry per colour of a job, in payload order: a batch of three is three entries
+ * sharing a `jobId`. Entries mirror the job's status and carry the mint's result once known,
+ * except that items a failed batch did mint before failing are recorded as succeeded.
+ */
+function entriesFromJob(job) {
+  const requests = job.type === 'batch' ? job.payload?.items ?? [] : [job.payload ?? {}];
+  const results = job.type === 'batch' ? job.result?.items ?? [] : [job.result];
+  return requests.map((request, position) => {
+    const result = results[position] ?? null;
+    const minted = job.status === 'failed' && typeof result?.itemIndex === 'number';
+    return {
+      id: `${job.id}:${position}`,
+      jobId: job.id,
+      position,
+      jobType: job.type ?? 'mint',
+      source: job.source ?? null,
+      collectionId: result?.collectionId ?? job.payload?.collectionId ?? null,
+      color: normalizeHexColor(request.color),
+      ownerAddress: result?.ownerAddress ?? request.walletAddress ?? null,
+      telegramUserId: request.telegramUserId ?? null,
+      status: minted ? 'succeeded' : job.status,
+      itemIndex: result?.itemIndex ?? null,
+      nftAddress: result?.nftAddress ?? null,
+      transactionHash: result?.transaction?.hash ?? null,
+      failure: job.error && !minted ? { code: job.error.code ?? 'MINT_FAILED', message: job.error.message ?? null } : null,
+      queuedAt: job.createdAt,
+      startedAt: job.startedAt ?? null,
+      finishedAt: job.finishedAt ?? null,
+      mintedAt: result?.mintedAt ?? null,
+      updatedAt: job.updatedAt ?? toIsoString(),
+    };
+  });
+}
+
+/**
+ * The entry as GET /mints shows it. The ledger keeps the raw Telegram ID so it can be
+ * filtered by user; responses show the user only as their privacy setting allows.
+ */
+export function toPublicMintEntry(entry, { telegramPrivacy = defaultTelegramPrivacy } = {}) {
+  return telegramPrivacy.redact(entry);
+}
+
+/**
+ * Durable history of every mint the queue accepted, one entry per colour, kept after the job
+ * itself stops mattering. It follows the queue's events, so an entry moves from `queued` to
+ * `running` to `succeeded` or `failed` with its job and keeps the failure reason. Entries are
+ * numbered in the order they were first recorded; `query()` pages through them newest first.
+ */
+export class MintLedger {
+  constructor({ filePath = null, queue = null } = {}) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.nextSeq = 1;
+    this.load();
+    if (queue) {
+      // Jobs written while the ledger was not listening: before it existed, or by the
+      // reconcile CLI in another process.
+      this.sync(queue.store.all());
+      this.attachTo(queue);
+    }
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { entries: [], nextSeq: 1 });
+    const entries = Array.isArray(snapshot?.entries) ? snapshot.entries : [];
+    for (const entry of entries) {
+      if (entry && typeof entry.id === 'string' && Number.isSafeInteger(entry.seq)) {
+        this.entries.set(entry.id, entry);
+        this.nextSeq = Math.max(this.nextSeq, entry.seq + 1);
+      }
+    }
+    this.nextSeq = Math.max(this.nextSeq, Number(snapshot?.nextSeq) || 1);
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { entries: this.all(), nextSeq: this.nextSeq });
+  }
+
+  attachTo(queue) {
+    for (const event of ['job:queued', 'job:running', 'job:succeeded', 'job:failed']) {
+      queue.on(event, (job) => this.record(job));
+    }
+  }
+
+  upsert(job) {
+    return entriesFromJob(job).map((fresh) => {
+      const existing = this.entries.get(fresh.id);
+      const entry = existing ? { ...fresh, seq: existing.seq } : { ...fresh, seq: this.nextSeq++ };
+      this.entries.set(entry.id, entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Write a job's current state into its entries.
+   */
+  record(job) {
+    const entries = this.upsert(job);
+    this.persist();
+    return entries;
+  }
+
+  /**
+   * Record the jobs whose entries are missing or older than the job, in one write.
+   */
+  sync(jobs) {
+    const stale = jobs.filter((job) => {
+      const entry = this.entries.get(`${job.id}:0`);
+      return !entry || entry.updatedAt < job.updatedAt;
+    });
+    if (stale.length === 0) {
+      return 0;
+    }
+    stale.forEach((job) => this.upsert(job));
+    this.persist();
+    return stale.length;
+  }
+
+  get(entryId) {
+    return this.entries.get(entryId) ?? null;
+  }
+
+  /**
+   * Entries matching every given filter, newest first, `limit` at a time. `from` is inclusive
+   * and `to` exclusive, both compared with `queuedAt`. Pass the returned `nextCursor` back as
+   * `cursor` for the next page; it is null on the last one. Entries recorded after the first
+   * page do not shift later pages.
+   */
+  query({
+    wallet,
+    telegramUserId,
+    color,
+    status,
+    source,
+    collectionId,
+    from,
+    to,
+    limit = DEFAULT_MINT_LEDGER_PAGE_SIZE,
+    cursor,
+  } = {}) {
+    const beforeSeq = cursor ? decodeCursor(cursor) : Infinity;
+    const walletRaw = wallet ? toRawAddress(wallet) : null;
+    const normalizedColor = color ? normalizeHexColor(color) : null;
+    const matches = this.all()
+      .reverse()
+      .filter((entry) => entry.seq < beforeSeq
+        && (!walletRaw || toRawAddress(entry.ownerAddress) === walletRaw)
+        && (telegramUserId === undefined || entry.telegramUserId === telegramUserId)
+        && (!normalizedColor || entry.color === normalizedColor)
+        && (!status || entry.status === status)
+        && (!source || entry.source === source)
+        && (!collectionId || entry.collectionId === collectionId)
+        && (!from || entry.queuedAt >= from)
+        && (!to || entry.queuedAt < to));
+
+    const page = matches.slice(0, limit);
+    return {
+      mints: page,
+      nextCursor: matches.length > limit ? encodeCursor(page[page.length - 1].seq) : null,
+    };
+  }
+
+  all() {
+    return Array.from(this.entries.values()).sort((a, b) => a.seq - b.seq);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.nextSeq = 1;
+    this.persist();
+  }
+}
+
+export function createMintLedger({
+  filePath = config.dataDir ? path.join(config.dataDir, 'mint-ledger.json') : null,
+  queue = mintJobQueue,
+} = {}) {
+  return new MintLedger({ filePath, queue });
+}
+
+export const mintLedger = createMintLedger();
+
+export default mintLedger;
@@ -0,0 +1,263 @@
+import path from 'node:path';
+import { Address } from '@ton/ton';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class MintQuotaExceededError extends Error {
+  constructor(message, { scope, limit, used, nextAllowedAt = null }) {
+    super(message);
+    this.name = 'MintQuotaExceededError';
+    this.code = 'MINT_QUOTA_EXCEEDED';
+    this.statusCode = 429;
+    this.details = { scope, limit, used, nextAllowedAt };
+    if (nextAllowedAt) {
+      this.retryAfterSeconds = Math.max(1, Math.ceil((Date.parse(nextAllowedAt) - Date.now()) / 1000));
+    }
+  }
+}
+
+// Friendly and raw forms of the same wallet must share one quota.
+function walletKey(walletAddress) {
+  if (!walletAddress) {
+    return null;
+  }
+  try {
+    return Address.parse(String(walletAddress).trim()).toRawString();
+  } catch (_error) {
+    return String(walletAddress).trim();
+  }
+}
+
+function userKey(telegramUserId) {
+  return telegramUserId === undefined || telegramUserId === null ? null : String(telegramUserId);
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value !== null) {
+      counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Tracks mints per Telegram user (rolling 24 h window) and per wallet (lifetime). Mints are
+ * recorded under a holder (the mint job ID) when accepted and released again if the job fails,
+ * so concurrent requests cannot overshoot a quota. Entries whose user or wallet is exempt are
+ * neither checked nor counted. Records older than the window are folded into per-wallet totals
+ * on every write, so the file only grows with the number of wallets, not of mints.
+ */
+export class MintQuotaTracker {
+  constructor({
+    filePath = null,
+    perUserDaily = 0,
+    perWalletTotal = 0,
+    exemptTelegramUserIds = [],
+    exemptWallets = [],
+    windowMs = DAY_MS,
+  } = {}) {
+    this.filePath = filePath;
+    this.perUserDaily = perUserDaily;
+    this.perWalletTotal = perWalletTotal;
+    this.windowMs = windowMs;
+    this.staticExemptions = {
+      telegramUser: new Set(exemptTelegramUserIds.map(userKey)),
+      wallet: new Set(exemptWallets.map(walletKey)),
+    };
+    this.records = [];
+    this.walletTotals = new Map();
+    this.exemptions = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { records: [], walletTotals: {}, exemptions: [] });
+    this.records = Array.isArray(snapshot?.records) ? snapshot.records : [];
+    for (const [wallet, total] of Object.entries(snapshot?.walletTotals ?? {})) {
+      if (Number.isInteger(total) && total > 0) {
+        this.walletTotals.set(wallet, total);
+      }
+    }
+    for (const exemption of Array.isArray(snapshot?.exemptions) ? snapshot.exemptions : []) {
+      if (exemption?.scope && exemption.value) {
+        this.exemptions.set(`${exemption.scope}:${exemption.value}`, exemption);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, {
+      records: this.records,
+      walletTotals: Object.fromEntries(this.walletTotals),
+      exemptions: Array.from(this.exemptions.values()),
+    });
+  }
+
+  /**
+   * Drop records that left the per-user window. Lifetime wallet quotas still need them, so
+   * their wallets are added to `walletTotals` first, even while the wallet quota is off, so
+   * turning it on later counts every earlier mint. A job released after its record was pruned
+   * keeps its wallet count.
+   */
+  prune(now = Date.now()) {
+    const windowStart = now - this.windowMs;
+    const kept = [];
+    for (const record of this.records) {
+      if (Date.parse(record.at) > windowStart) {
+        kept.push(record);
+      } else if (record.wallet) {
+        this.walletTotals.set(record.wallet, (this.walletTotals.get(record.wallet) ?? 0) + 1);
+      }
+    }
+    const pruned = this.records.length - kept.length;
+    this.records = kept;
+    return pruned;
+  }
+
+  get enabled() {
+    return this.perUserDaily > 0 || this.perWalletTotal > 0;
+  }
+
+  hasExemption(scope, value) {
+    return value !== null && (this.staticExemptions[scope].has(value) || this.exemptions.has(`${scope}:${value}`));
+  }
+
+  isExempt({ telegramUserId = null, walletAddress = null } = {}) {
+    return this.hasExemption('telegramUser', userKey(telegramUserId))
+      || this.hasExemption('wallet', walletKey(walletAddress));
+  }
+
+  countedEntries(entries) {
+    return entries
+      .filter((entry) => !this.isExempt(entry))
+      .map((entry) => ({ user: userKey(entry.telegramUserId), wallet: walletKey(entry.walletAddress) }));
+  }
+
+  /**
+   * Throw MintQuotaExceededError if minting `entries` would push any user or wallet over
+   * its quota. `nextAllowedAt` is when enough of the user's window frees up; wallet quotas
+   * never reset, so theirs is null.
+   */
+  check(entries, { now = Date.now() } = {}) {
+    const counted = this.countedEntries(entries);
+
+    if (this.perUserDaily > 0) {
+      const windowStart = now - this.windowMs;
+      for (const [user, requested] of countBy(counted.map((entry) => entry.user))) {
+        const recent = this.records
+          .filter((record) => record.telegramUserId === user && Date.parse(record.at) > windowStart)
+          .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+        const excess = recent.length + requested - this.perUserDaily;
+        if (excess > 0) {
+          const freeing = recent[excess - 1];
+          const nextAllowedAt = requested <= this.perUserDaily && freeing
+            ? new Date(Date.parse(freeing.at) + this.windowMs).toISOString()
+            : null;
+          throw new MintQuotaExceededError(
+            `Telegram user ${user} has reached the limit of ${this.perUserDaily} mints per day`,
+            { scope: 'telegramUser', limit: this.perUserDaily, used: recent.length, nextAllowedAt }
+          );
+        }
+      }
+    }
+
+    if (this.perWalletTotal > 0) {
+      for (const [wallet, requested] of countBy(counted.map((entry) => entry.wallet))) {
+        const used = (this.walletTotals.get(wallet) ?? 0)
+          + this.records.filter((record) => record.wallet === wallet).length;
+        if (used + requested > this.perWalletTotal) {
+          throw new MintQuotaExceededError(
+            `Wallet has reached the limit of ${this.perWalletTotal} mints`,
+            { scope: 'wallet', limit: this.perWalletTotal, used, nextAllowedAt: null }
+          );
+        }
+      }
+    }
+  }
+
+  consume(entries, { holder }) {
+    if (!holder) {
+      throw new Error('Mint quota records require a holder');
+    }
+    if (!this.enabled) {
+      return;
+    }
+    this.check(entries);
+    const counted = this.countedEntries(entries);
+    if (counted.length === 0) {
+      return;
+    }
+    this.prune();
+    const at = new Date().toISOString();
+    for (const entry of counted) {
+      this.records.push({ holder, telegramUserId: entry.user, wallet: entry.wallet, at });
+    }
+    this.persist();
+  }
+
+  release(holder) {
+    const before = this.records.length;
+    this.records = this.records.filter((record) => record.holder !== holder);
+    const released = before - this.records.length;
+    if (released > 0 || this.prune() > 0) {
+      this.persist();
+    }
+    return released;
+  }
+
+  grantExemption({ telegramUserId = null, walletAddress = null, grantedBy = null }) {
+    const scope = telegramUserId !== null ? 'telegramUser' : 'wallet';
+    const value = telegramUserId !== null ? userKey(telegramUserId) : walletKey(walletAddress);
+    if (!value) {
+      throw new Error('An exemption needs a Telegram user ID or a wallet address');
+    }
+    const exemption = {
+      scope,
+      value,
+      grantedBy: userKey(grantedBy),
+      grantedAt: new Date().toISOString(),
+    };
+    this.exemptions.set(`${scope}:${value}`, exemption);
+    this.persist();
+    return exemption;
+  }
+
+  revokeExemption({ telegramUserId = null, walletAddress = null }) {
+    const key = telegramUserId !== null
+      ? `telegramUser:${userKey(telegramUserId)}`
+      : `wallet:${walletKey(walletAddress)}`;
+    const removed = this.exemptions.delete(key);
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  clear() {
+    this.records = [];
+    this.walletTotals.clear();
+    this.exemptions.clear();
+    this.persist();
+  }
+}
+
+export function createMintQuotaTracker(options) {
+  return new MintQuotaTracker(options);
+}
+
+export const mintQuotaTracker = createMintQuotaTracker({
+  filePath: config.dataDir ? path.join(config.dataDir, 'mint-quotas.json') : null,
+  ...config.mintQuota,
+});
+
+export default mintQuotaTracker;
@@ -0,0 +1,332 @@
+import { Address } from '@ton/ton';
+import config from '../config/env.js';
+import { normalizeHexColor } from '../utils/color.js';
+import { iterateCollectionItems } from './collectionItems.js';
+import { colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+import { collectionRegistry as defaultCollectionRegistry } from './collectionRegistry.js';
+import { mintJobQueue } from './mintJobQueue.js';
+import { mintLedger } from './mintLedger.js';
+import { createAdminNotifier } from './telegramBotService.js';
+
+const toIsoString = () => new Date().toISOString();
+
+const IN_FLIGHT_JOB_STATUSES = new Set(['queued', 'running']);
+
+function sameAddress(left, right) {
+  if (!left || !right) {
+    return true;
+  }
+  try {
+    return Address.parse(left).equals(Address.parse(right));
+  } catch (_error) {
+    return left === right;
+  }
+}
+
+function describeItem(item) {
+  return {
+    itemIndex: item.itemIndex,
+    nftAddress: item.nftAddress,
+    color: item.content.color,
+    ownerAddress: item.ownerAddress,
+    contentWalletAddress: item.content.walletAddress,
+    telegramUserId: item.content.telegramUserId,
+  };
+}
+
+function jobEntries(job) {
+  return job.type === 'batch' ? job.payload?.items ?? [] : [job.payload];
+}
+
+/**
+ * One line per finding category, or null when the report found nothing to act on.
+ */
+export function summarizeReconciliationReport(report) {
+  const counts = [
+    [report.backfilled.length, 'records backfilled'],
+    [report.recoveredJobs.length, 'interrupted jobs recovered'],
+    [report.orphans.length, 'orphaned items'],
+    [report.mismatches.length, 'mismatches'],
+    [report.missing.length, 'records missing on-chain'],
+    [report.unresolvedJobs.length, 'interrupted jobs not found on-chain'],
+    [report.failures.length, 'unreadable items'],
+  ].filter(([count]) => count > 0);
+  if (counts.length === 0) {
+    return null;
+  }
+  return `Reconciled ${report.scanned} items of ${report.collectionId}${report.dryRun ? ' (dry run)' : ''}: `
+    + counts.map(([count, label]) => `${count} ${label}`).join(', ');
+}
+
+/**
+ * Compares the colour registry and the mint job store with what a collection holds on-chain,
+ * so items whose `MINT_RESULT` was lost (for example to a crash mid-mint) are not lost with it.
+ * Walking the items from `fromIndex` to the collection's `next_item_index`:
+ * - reserved colours that did land, and minted records without an item index, are backfilled;
+ * - jobs failed with `MINT_INTERRUPTED` whose colours all landed are marked succeeded;
+ * - on-chain colours with no local record are reported as orphans and recorded;
+ * - records that disagree with the chain, and minted records beyond the last item, are only
+ *   reported: which side is right needs a human.
+ * Reservations of queued or running jobs are left alone. `dryRun` reports without writing.
+ */
+export class MintReconciler {
+  constructor({
+    colourRegistry,
+    jobStore,
+    collectionRegistry,
+    readItems = iterateCollectionItems,
+    notify = null,
+    onJobRecovered = null,
+    intervalMs = 0,
+  }) {
+    this.colourRegistry = colourRegistry;
+    this.jobStore = jobStore;
+    this.collectionRegistry = collectionRegistry;
+    this.readItems = readItems;
+    this.notify = notify;
+    this.onJobRecovered = onJobRecovered;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = null;
+  }
+
+  isInFlight(holder) {
+    return IN_FLIGHT_JOB_STATUSES.has(this.jobStore.get(holder)?.status);
+  }
+
+  async reconcile({ collectionId, fromIndex = 0, toIndex, dryRun = false } = {}) {
+    const collection = this.collectionRegistry.get(collectionId);
+    const report = {
+      collectionId: collection.id,
+      dryRun,
+      fromIndex,
+      scanned: 0,
+      backfilled: [],
+      recoveredJobs: [],
+      orphans: [],
+      mismatches: [],
+      missing: [],
+      unresolvedJobs: [],
+      failures: [],
+      startedAt: toIsoString(),
+      finishedAt: null,
+    };
+
+    const chainByIndex = new Map();
+    const chainByColour = new Map();
+    for await (const item of this.readItems({ collectionAddress: collection.address, fromIndex, toIndex })) {
+      report.scanned += 1;
+      if (!item.deployed) {
+        report.failures.push({ itemIndex: item.itemIndex, nftAddress: item.nftAddress, reason: 'unreadable', error: item.error });
+        continue;
+      }
+      if (!item.content?.color) {
+        report.failures.push({
+          itemIndex: item.itemIndex,
+          nftAddress: item.nftAddress,
+          reason: 'unparsedContent',
+          content: item.individualContent ?? null,
+        });
+        continue;
+      }
+      chainByIndex.set(item.itemIndex, item);
+      const first = chainByColour.get(item.content.color);
+      if (first) {
+        report.mismatches.push({
+          reason: 'duplicateColour',
+          color: item.content.color,
+          itemIndex: item.itemIndex,
+          firstItemIndex: first.itemIndex,
+        });
+        continue;
+      }
+      chainByColour.set(item.content.color, item);
+    }
+    // The walk stops at `toIndex` or at the collection's next_item_index, whichever comes first.
+    const endIndex = fromIndex + report.scanned;
+    const reachedEnd = toIndex === undefined || endIndex < toIndex;
+
+    for (const [color, item] of chainByColour) {
+      const entry = this.colourRegistry.get(color, { collectionId: collection.id });
+      if (!entry) {
+        report.orphans.push(describeItem(item));
+        continue;
+      }
+      if (entry.status === 'reserved' && this.isInFlight(entry.holder)) {
+        continue;
+      }
+      if (entry.status === 'reserved' || typeof entry.itemIndex !== 'number') {
+        report.backfilled.push({
+          ...describeItem(item),
+          holder: entry.holder,
+          reason: entry.status === 'reserved' ? 'reservedButMinted' : 'missingItemIndex',
+        });
+        if (!dryRun) {
+          this.colourRegistry.confirm(color, {
+            holder: entry.holder,
+            collectionId: collection.id,
+            itemIndex: item.itemIndex,
+            nftAddress: item.nftAddress,
+            ownerAddress: entry.ownerAddress ?? item.content.walletAddress,
+            mintedAt: entry.mintedAt ?? null,
+          });
+        }
+      } else if (entry.itemIndex !== item.itemIndex) {
+        report.mismatches.push({ reason: 'itemIndex', color, itemIndex: item.itemIndex, recordedItemIndex: entry.itemIndex });
+      } else if (entry.holder !== 'seed' && !sameAddress(entry.ownerAddress, item.content.walletAddress)) {
+        // Seeded entries hold the owner at seeding time, which a transfer may since have changed.
+        report.mismatches.push({
+          reason: 'ownerAddress',
+          color,
+          itemIndex: item.itemIndex,
+          recordedOwnerAddress: entry.ownerAddress,
+          contentWalletAddress: item.content.walletAddress,
+        });
+      }
+    }
+    if (!dryRun && report.orphans.length > 0) {
+      this.colourRegistry.seed(report.orphans, { collectionId: collection.id });
+    }
+
+    for (const entry of this.colourRegistry.all()) {
+      if (entry.collectionId !== collection.id || entry.status !== 'minted' || typeof entry.itemIndex !== 'number') {
+        continue;
+      }
+      if (entry.itemIndex < fromIndex || (entry.itemIndex >= endIndex && !reachedEnd)) {
+        continue;
+      }
+      const item = chainByIndex.get(entry.itemIndex);
+      if (entry.itemIndex >= endIndex) {
+        report.missing.push({ color: entry.color, recordedItemIndex: entry.itemIndex, holder: entry.holder });
+      } else if (item && item.content.color !== entry.color) {
+        report.mismatches.push({
+          reason: 'colour',
+          itemIndex: entry.itemIndex,
+          color: item.content.color,
+          recordedColor: entry.color,
+        });
+      }
+    }
+
+    for (const job of this.jobStore.listByStatus('failed')) {
+      const jobCollectionId = job.payload?.collectionId ?? this.collectionRegistry.defaultId;
+      if (job.error?.code !== 'MINT_INTERRUPTED' || jobCollectionId !== collection.id) {
+        continue;
+      }
+      const entries = jobEntries(job);
+      const items = entries.map((entry) => chainByColour.get(normalizeHexColor(entry.color)));
+      const landed = items.every((item, position) => item && sameAddress(entries[position].walletAddress, item.content.walletAddress));
+      if (!landed) {
+        report.unresolvedJobs.push({ jobId: job.id, colors: entries.map((entry) => normalizeHexColor(entry.color)) });
+        continue;
+      }
+
+      const results = items.map((item, position) => ({
+        collectionId: collection.id,
+        itemIndex: item.itemIndex,
+        nftAddress: item.nftAddress,
+        color: item.content.color,
+        ownerAddress: entries[position].walletAddress,
+        telegramUserId: entries[position].telegramUserId ?? null,
+        mintedAt: null,
+      }));
+      report.recoveredJobs.push({ jobId: job.id, itemIndexes: results.map((result) => result.itemIndex) });
+      if (!dryRun) {
+        const recovered = this.jobStore.update(job.id, {
+          status: 'succeeded',
+          result: job.type === 'batch'
+            ? { collectionId: collection.id, count: results.length, items: results, reconciled: true }
+            : { ...results[0], reconciled: true },
+          error: null,
+          reconciledAt: toIsoString(),
+        });
+        this.onJobRecovered?.(recovered);
+      }
+    }
+
+    report.finishedAt = toIsoString();
+    return report;
+  }
+
+  /**
+   * Reconcile every configured collection in turn. A collection that cannot be walked (for
+   * example because the RPC endpoint is down) is logged and skipped.
+   */
+  async reconcileAll(options = {}) {
+    const reports = [];
+    for (const collection of this.collectionRegistry.list()) {
+      try {
+        reports.push(await this.reconcile({ ...options, collectionId: collection.id }));
+      } catch (error) {
+        console.error(`[mintReconciler] Reconciling collection ${collection.id} failed`, error?.message ?? error);
+      }
+    }
+    return reports;
+  }
+
+  /**
+   * The scheduled pass: reconcile everything and tell the alert chats about what was found.
+   * Overlapping calls share the run already in progress.
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.reconcileAll()
+        .then((reports) => {
+          for (const summary of reports.map(summarizeReconciliationReport).filter(Boolean)) {
+            console.warn(`[mintReconciler] ${summary}`);
+            this.notify?.(`🔎 ${summary}. Run npm run reconcile:mints for details.`)
+              .catch((error) => console.error('[mintReconciler] Failed to send alert', error));
+          }
+          return reports;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  start() {
+    if (this.timer || this.intervalMs === 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run();
+    }, this.intervalMs);
+    this.timer.unref?.();
+    // Right after a restart is when interrupted mints need recovering.
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export function createMintReconciler({
+  colourRegistry = defaultColourRegistry,
+  jobStore = mintJobQueue.store,
+  collectionRegistry = defaultCollectionRegistry,
+  readItems = iterateCollectionItems,
+  notify = createAdminNotifier({ chatIds: config.minterBalance.alertChatIds }),
+  onJobRecovered = (job) => {
+    mintLedger.record(job);
+    mintJobQueue.emit('job:recovered', job);
+  },
+  intervalMs = config.reconcileIntervalMs,
+} = {}) {
+  return new MintReconciler({
+    colourRegistry,
+    jobStore,
+    collectionRegistry,
+    readItems,
+    notify,
+    onJobRecovered,
+    intervalMs,
+  });
+}
+
+export const mintReconciler = createMintReconciler();
+
+export default mintReconciler;
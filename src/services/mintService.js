@@ -1,10 +1,21 @@
 import { spawn } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
 import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
 import config from '../config/env.js';
 import { buildMetadataUri } from './metadataService.js';
 import { normalizeHexColor } from '../utils/color.js';
-import { getMinterWallet, getTonWeb } from './tonClient.js';
+import { Address, beginCell, toNano as tonToNano } from '@ton/ton';
+import { getMinterWallet, getTonClient, getTonWeb } from './tonClient.js';
 import { uploadColorSvgToMinio, isMinioConfigured } from './minioStorage.js';
+import { runNativeBatchMint, runNativeMint, sendFromMinterWallet, waitForSeqnoAfter } from './nativeMinter.js';
+import { findMinterTransaction } from './transactionLookup.js';
+import { buildStopMintingBody, getMintingCompleteFlag } from './collectionContract.js';
+import { colourRegistry } from './colourRegistry.js';
+import { itemMetadataStore } from './itemMetadataStore.js';
+import { telegramPrivacyStore } from './telegramPrivacy.js';
+import { collectionRegistry } from './collectionRegistry.js';
+import { PRIMARY_MINTER_WALLET_ID, minterWalletPool } from './minterWalletPool.js';
 
 const RESULT_PREFIX = 'MINT_RESULT=';
 const SCRIPT_CWD = path.resolve(process.cwd(), 'the-path-season-1-nft');
@@ -39,8 +50,6 @@ function buildScriptArgs() {
   return args;
 }
 
-let mintQueue = Promise.resolve();
-
 class MintPreconditionError extends Error {
   constructor(message, { code = 'MINT_PRECONDITION_FAILED', statusCode = 503, details } = {}) {
     super(message);
@@ -96,8 +105,11 @@ function formatWalletAddress(address, { bounceable = true, testOnly = config.ton
   });
 }
 
-async function resolveMinterWalletStatus() {
-  const { wallet } = await getMinterWallet();
+/**
+ * Balance and state of minter wallet `walletId`, also recorded on the wallet pool.
+ */
+export async function resolveMinterWalletStatus(walletId = PRIMARY_MINTER_WALLET_ID) {
+  const { wallet } = await getMinterWallet(walletId);
   const tonweb = getTonWeb();
   const walletAddress = await wallet.getAddress();
   const testOnly = config.tonNetwork !== 'mainnet';
@@ -108,6 +120,7 @@ async function resolveMinterWalletStatus() {
     const info = await tonweb.provider.getAddressInfo(friendlyAddress);
     const balanceNano = info?.balance ? BigInt(info.balance) : 0n;
     const state = info?.state ?? 'unknown';
+    minterWalletPool.recordStatus(walletId, { address: walletAddress, balanceNano, state });
     return {
       friendlyAddress,
       nonBounceableAddress,
@@ -120,6 +133,7 @@ async function resolveMinterWalletStatus() {
       statusCode: 502,
       details: {
         cause: error?.message ?? String(error),
+        walletId,
         walletAddress: friendlyAddress,
         walletAddressNonBounceable: nonBounceableAddress,
       },
@@ -138,33 +152,49 @@ function toNano(valueTon) {
   return BigInt(scaled);
 }
 
-async function ensureMinterWalletReady() {
+/**
+ * Refuse to mint `itemCount` items from a wallet that cannot pay for them: below the mint value
+ * plus a safety buffer, or below `MINT_WALLET_MIN_BALANCE_TON` when that is higher. Failing here
+ * gives a clear 503 instead of a transfer the wallet silently skips.
+ */
+async function ensureMinterWalletReady(collection, walletId, { itemCount = 1 } = {}) {
   const {
     friendlyAddress,
     nonBounceableAddress,
     balanceNano,
     state,
-  } = await resolveMinterWalletStatus();
-
-  const requiredTransfer = toNano(config.collectionMintValueTon);
-  const safetyBuffer = toNano(Math.max(config.collectionMintValueTon * 0.1, 0.02));
-  const requiredBalance = requiredTransfer + safetyBuffer;
+  } = await resolveMinterWalletStatus(walletId);
 
-  const warnings = [];
+  const requiredTransfer = toNano(collection.mintValueTon) * BigInt(itemCount);
+  const safetyBuffer = toNano(Math.max(collection.mintValueTon * 0.1, 0.02));
+  const minimumBalance = config.minterBalance.minTon === null ? 0n : toNano(config.minterBalance.minTon);
+  const requiredBalance = requiredTransfer + safetyBuffer > minimumBalance
+    ? requiredTransfer + safetyBuffer
+    : minimumBalance;
 
   if (balanceNano < requiredBalance) {
-    const missingTon = Number(requiredBalance - balanceNano) / 1e9;
-    warnings.push(
-      `Balance ${Number(balanceNano) / 1e9} TON may be insufficient (needs ${Number(requiredBalance) / 1e9}). Missing ${missingTon.toFixed(3)} TON.`
-    );
+    throw new MintPreconditionError('Minter wallet balance is too low to mint; top it up and retry', {
+      code: 'MINTER_WALLET_UNDERFUNDED',
+      statusCode: 503,
+      details: {
+        walletId,
+        walletAddress: friendlyAddress,
+        walletAddressNonBounceable: nonBounceableAddress,
+        balanceTon: Number(balanceNano) / 1e9,
+        requiredTon: Number(requiredBalance) / 1e9,
+      },
+    });
   }
 
+  const warnings = [];
+
   if (state !== 'active' && state !== 'uninitialized') {
     warnings.push(`Wallet state is "${state}"; expected active or uninitialized.`);
   }
 
   if (warnings.length > 0) {
     console.warn('[mintService] Minter wallet precheck warnings:', {
+      walletId,
       walletAddress: friendlyAddress,
       walletAddressNonBounceable: nonBounceableAddress,
       balanceTon: Number(balanceNano) / 1e9,
@@ -183,9 +213,26 @@ async function ensureMinterWalletReady() {
   };
 }
 
-function enqueueMint(task) {
-  const next = mintQueue.then(task, task);
-  mintQueue = next.then(() => undefined, () => undefined);
+const collectionQueues = new Map();
+
+/**
+ * Run `task(walletId)` on a pool wallet allowed to mint into `collection`. Item indexes come
+ * from the collection's `next_item_index` and the contract rejects any index past it, so mints
+ * into one collection go one at a time whichever wallet sends them. The second wallet only lets
+ * two collections mint side by side, keeps refunds off a busy wallet, and takes over when the
+ * other one is unhealthy; it does not speed up a single collection.
+ */
+function enqueueMint(collection, task) {
+  const previous = collectionQueues.get(collection.id) ?? Promise.resolve();
+  const run = () => minterWalletPool.useForCollection(collection, task);
+  const next = previous.then(run, run);
+  const settled = next.then(() => undefined, () => undefined);
+  collectionQueues.set(collection.id, settled);
+  settled.then(() => {
+    if (collectionQueues.get(collection.id) === settled) {
+      collectionQueues.delete(collection.id);
+    }
+  });
   return next;
 }
 
@@ -205,22 +252,53 @@ function parseMintResult(stdout) {
   throw new Error('Mint script did not produce a result payload');
 }
 
-async function runDeployScript({ walletAddress, color, telegramUserId }) {
+// Phases the deploy script prints while it runs; the attempt prompt is redrawn in place, so
+// chunks are matched as they arrive rather than line by line.
+const SCRIPT_PROGRESS_PATTERNS = [
+  [/Submitted mint for colour/, () => ({ phase: 'submitted' })],
+  [/Attempt (\d+)/g, (match) => ({ phase: 'waiting', attempt: Number(match[1]) })],
+  [/Minted item address: (\S+)/, (match) => ({ phase: 'deployed', nftAddress: match[1] })],
+];
+
+function reportScriptProgress(chunk, onProgress) {
+  for (const [pattern, toProgress] of SCRIPT_PROGRESS_PATTERNS) {
+    const matches = pattern.global ? chunk.matchAll(pattern) : [chunk.match(pattern)].filter(Boolean);
+    for (const match of matches) {
+      onProgress(toProgress(match));
+    }
+  }
+}
+
+function mnemonicOf(walletId) {
+  return config.minterWallets.find((wallet) => wallet.id === walletId).mnemonicWords;
+}
+
+// How deployNftItem.ts should show the Telegram user: `none`, `id`, `hash:<hex>` or `username:@name`.
+function scriptTelegramIdentity(telegramUserId) {
+  const identity = telegramPrivacyStore.publicIdentity(telegramUserId);
+  if (!identity) {
+    return 'none';
+  }
+  return identity.type === 'id' ? 'id' : `${identity.type}:${identity.value}`;
+}
+
+async function runDeployScript({ walletAddress, color, telegramUserId, collection, walletId, onProgress }) {
   const env = {
     ...process.env,
     TON_COLOURS_AUTOMATION: 'true',
-    TON_COLOURS_COLLECTION_ADDRESS: config.collectionAddress,
+    TON_COLOURS_COLLECTION_ADDRESS: collection.address,
     TON_COLOURS_ITEM_OWNER: walletAddress,
     TON_COLOURS_ITEM_COLOR: color,
     TON_COLOURS_ITEM_TELEGRAM_ID: String(telegramUserId),
-    TON_WALLET_MNEMONIC: config.mnemonicWords.join(' '),
+    TON_COLOURS_ITEM_TELEGRAM_IDENTITY: scriptTelegramIdentity(telegramUserId),
+    TON_WALLET_MNEMONIC: mnemonicOf(walletId).join(' '),
     TON_WALLET_VERSION: config.walletVersion,
     TON_NETWORK: config.tonNetwork,
     TON_ENDPOINT: config.tonEndpoint,
     TON_API_KEY: config.tonApiKey || '',
   };
 
-  const child = spawn(SCRIPT_COMMAND, [...buildScriptArgs(), config.collectionAddress], {
+  const child = spawn(SCRIPT_COMMAND, [...buildScriptArgs(), collection.address], {
     cwd: SCRIPT_CWD,
     env,
     stdio: ['ignore', 'pipe', 'pipe'], // ignore stdin since we don't need it
@@ -230,7 +308,9 @@ async function runDeployScript({ walletAddress, color, telegramUserId }) {
   let stderr = '';
 
   child.stdout.on('data', (chunk) => {
-    stdout += chunk.toString();
+    const text = chunk.toString();
+    stdout += text;
+    reportScriptProgress(text, onProgress);
   });
 
   child.stderr.on('data', (chunk) => {
@@ -253,33 +333,103 @@ async function runDeployScript({ walletAddress, color, telegramUserId }) {
   return { result: parsed, stdout, stderr };
 }
 
-export async function mintColorNft({ walletAddress, telegramUserId, color }) {
-  return enqueueMint(async () => {
-    await ensureMinterWalletReady();
-    const normalizedColor = normalizeHexColor(color);
+// The blueprint script does not report its external message, so match the minter wallet's
+// recent transactions on the mint message it produced. The script only exits after the
+// item is deployed, so a single lookup is enough.
+async function findScriptMintTransaction(itemIndex, collection, walletId) {
+  try {
+    const { wallet } = await getMinterWallet(walletId);
+    return await findMinterTransaction({
+      client: getTonClient(),
+      walletAddress: await wallet.getAddress(),
+      collectionAddress: Address.parse(collection.address),
+      itemIndex,
+      timeoutMs: 0,
+    });
+  } catch (error) {
+    console.warn('[mintService] Failed to locate minter wallet transaction', error);
+    return null;
+  }
+}
+
+async function runDeployStep({ walletAddress, color, telegramUserId, collection, walletId, onProgress }) {
+  if (config.mintStrategy === 'blueprint') {
+    const scriptRun = await runDeployScript({ walletAddress, color, telegramUserId, collection, walletId, onProgress });
+    if (typeof scriptRun.result?.itemIndex === 'number') {
+      scriptRun.result.transaction = await findScriptMintTransaction(scriptRun.result.itemIndex, collection, walletId);
+    }
+    return scriptRun;
+  }
+  const result = await runNativeMint({ walletAddress, color, telegramUserId, collection, walletId, onProgress });
+  return { result, stdout: '', stderr: '' };
+}
+
+async function uploadSvgIfConfigured(color) {
+  if (!isMinioConfigured()) {
+    return null;
+  }
+  try {
+    console.log(`[mintService] Uploading SVG to MinIO for color ${color}`);
+    const minioUrl = await uploadColorSvgToMinio(color);
+    console.log(`[mintService] SVG uploaded to MinIO: ${minioUrl}`);
+    return minioUrl;
+  } catch (error) {
+    console.error('[mintService] MinIO upload failed, continuing with backend URL:', error);
+    // Continue minting even if MinIO fails (fallback to backend URL)
+    return null;
+  }
+}
+
+// A confirmation timeout does not mean the message was dropped; the item may still land,
+// so its colour stays reserved until reconciliation says otherwise.
+function releaseColours(colours, { holder, collectionId }, error) {
+  if (error?.code === 'MINT_CONFIRMATION_TIMEOUT') {
+    return;
+  }
+  colours.forEach((color) => colourRegistry.release(color, { holder, collectionId }));
+}
+
+/**
+ * Mint one colour into `collectionId` (the default collection when omitted). `onProgress` is
+ * called with `{ phase: 'submitted' | 'waiting' | 'deployed', ... }` as the mint moves along,
+ * whichever strategy runs it.
+ */
+export async function mintColorNft({
+  walletAddress,
+  telegramUserId,
+  color,
+  collectionId,
+  reservationId,
+  onProgress = () => {},
+}) {
+  const collection = collectionRegistry.get(collectionId);
+  const normalizedColor = normalizeHexColor(color);
+  const holder = reservationId ?? randomUUID();
+  colourRegistry.reserve(normalizedColor, {
+    holder,
+    ownerAddress: walletAddress,
+    telegramUserId,
+    collectionId: collection.id,
+  });
+
+  return enqueueMint(collection, async (walletId) => {
+    await ensureMinterWalletReady(collection, walletId);
     const normalizedWallet = walletAddress;
 
     // Upload SVG to MinIO before minting (if configured)
-    let minioUrl = null;
-    if (isMinioConfigured()) {
-      try {
-        console.log(`[mintService] Uploading SVG to MinIO for color ${normalizedColor}`);
-        minioUrl = await uploadColorSvgToMinio(normalizedColor);
-        console.log(`[mintService] SVG uploaded to MinIO: ${minioUrl}`);
-      } catch (error) {
-        console.error('[mintService] MinIO upload failed, continuing with backend URL:', error);
-        // Continue minting even if MinIO fails (fallback to backend URL)
-      }
-    }
+    const minioUrl = await uploadSvgIfConfigured(normalizedColor);
 
-    const { result, stdout, stderr } = await runDeployScript({
+    const { result, stdout, stderr } = await runDeployStep({
       walletAddress: normalizedWallet,
       color: normalizedColor,
       telegramUserId,
+      collection,
+      walletId,
+      onProgress,
     });
 
     if (typeof result.itemIndex !== 'number' || Number.isNaN(result.itemIndex)) {
-      const error = new Error('Mint script result is missing a numeric itemIndex');
+      const error = new Error('Mint result is missing a numeric itemIndex');
       error.result = result;
       error.stdout = stdout;
       error.stderr = stderr;
@@ -289,19 +439,40 @@ export async function mintColorNft({ walletAddress, telegramUserId, color }) {
     const itemIndex = result.itemIndex;
     const mintedAt = typeof result.mintedAt === 'string' ? result.mintedAt : new Date().toISOString();
     const metadataUri = buildMetadataUri({
-      baseUrl: config.backendBaseUrl,
+      baseUrl: collection.metadataBaseUrl,
+      itemIndex,
+      color: normalizedColor,
+      walletAddress: normalizedWallet,
+      telegramUserId,
+      mintedAt,
+    });
+
+    const nftAddress = typeof result.nftAddress === 'string' ? result.nftAddress : null;
+    colourRegistry.confirm(normalizedColor, {
+      holder,
+      collectionId: collection.id,
+      itemIndex,
+      nftAddress,
+      ownerAddress: normalizedWallet,
+      mintedAt,
+    });
+    itemMetadataStore.record({
+      collectionId: collection.id,
       itemIndex,
       color: normalizedColor,
       walletAddress: normalizedWallet,
       telegramUserId,
       mintedAt,
+      minioUrl,
     });
 
     return {
+      collectionId: collection.id,
+      minterWalletId: walletId,
       itemIndex,
       metadataUri,
-      transaction: null,
-      nftAddress: typeof result.nftAddress === 'string' ? result.nftAddress : null,
+      transaction: result.transaction ?? null,
+      nftAddress,
       color: normalizedColor,
       ownerAddress: normalizedWallet,
       mintedAt,
@@ -309,9 +480,175 @@ export async function mintColorNft({ walletAddress, telegramUserId, color }) {
       itemContent: result.itemContent ?? null,
       minioUrl: minioUrl ?? null, // Include MinIO URL in response
     };
+  }).catch((error) => {
+    releaseColours([normalizedColor], { holder, collectionId: collection.id }, error);
+    throw error;
+  });
+}
+
+/**
+ * Mint several colours through the collection's `batch_mint` op. Always uses the native
+ * path; the blueprint script only knows how to deploy a single item. Each chunk is recorded
+ * as soon as it lands; when a later chunk fails, the error carries the items minted before it
+ * as `partialResult` and only the remaining colours are released.
+ */
+export async function batchMintColorNfts(entries, { collectionId, reservationId, onProgress } = {}) {
+  const collection = collectionRegistry.get(collectionId);
+  const normalizedEntries = entries.map((entry) => ({
+    walletAddress: entry.walletAddress,
+    telegramUserId: entry.telegramUserId,
+    color: normalizeHexColor(entry.color),
+  }));
+  const colours = normalizedEntries.map((entry) => entry.color);
+  const holder = reservationId ?? randomUUID();
+  colourRegistry.reserveMany(colours, { holder, collectionId: collection.id });
+
+  return enqueueMint(collection, async (walletId) => {
+    await ensureMinterWalletReady(collection, walletId, { itemCount: normalizedEntries.length });
+
+    const minioUrls = new Map();
+    for (const { color } of normalizedEntries) {
+      if (!minioUrls.has(color)) {
+        minioUrls.set(color, await uploadSvgIfConfigured(color));
+      }
+    }
+
+    const items = [];
+    const recordItem = (entry, result) => {
+      colourRegistry.confirm(entry.color, {
+        holder,
+        collectionId: collection.id,
+        itemIndex: result.itemIndex,
+        nftAddress: result.nftAddress,
+        ownerAddress: entry.walletAddress,
+        mintedAt: result.mintedAt,
+      });
+      itemMetadataStore.record({
+        collectionId: collection.id,
+        itemIndex: result.itemIndex,
+        color: entry.color,
+        walletAddress: entry.walletAddress,
+        telegramUserId: entry.telegramUserId,
+        mintedAt: result.mintedAt,
+        minioUrl: minioUrls.get(entry.color) ?? null,
+      });
+      return {
+        collectionId: collection.id,
+        itemIndex: result.itemIndex,
+        metadataUri: buildMetadataUri({
+          baseUrl: collection.metadataBaseUrl,
+          itemIndex: result.itemIndex,
+          color: entry.color,
+          walletAddress: entry.walletAddress,
+          telegramUserId: entry.telegramUserId,
+          mintedAt: result.mintedAt,
+        }),
+        nftAddress: result.nftAddress,
+        transaction: result.transaction ?? null,
+        color: entry.color,
+        ownerAddress: entry.walletAddress,
+        telegramUserId: entry.telegramUserId,
+        mintedAt: result.mintedAt,
+        itemContent: result.itemContent,
+        minioUrl: minioUrls.get(entry.color) ?? null,
+      };
+    };
+    // Chunks land in input order, so the items minted so far are always a prefix of the entries.
+    const recordChunk = (results) => {
+      const offset = items.length;
+      items.push(...results.map((result, position) => recordItem(normalizedEntries[offset + position], result)));
+    };
+    const batchResult = () => ({
+      collectionId: collection.id,
+      minterWalletId: walletId,
+      count: items.length,
+      items,
+    });
+
+    try {
+      await runNativeBatchMint(normalizedEntries, { collection, walletId, onProgress, onChunkMinted: recordChunk });
+    } catch (error) {
+      if (items.length > 0) {
+        error.partialResult = batchResult();
+      }
+      throw error;
+    }
+    return batchResult();
+  }).catch((error) => {
+    releaseColours(colours.slice(error?.partialResult?.count ?? 0), { holder, collectionId: collection.id }, error);
+    throw error;
+  });
+}
+
+/**
+ * Send TON back from the primary minter wallet. Leases the wallet from the pool like mints do,
+ * and keeps it until the wallet's seqno has moved on, so the two never race for a seqno.
+ * Returns the external message hash of the transfer; throws if the transfer was not accepted.
+ */
+export async function refundFromMinterWallet({ to, amountNano, comment }) {
+  return minterWalletPool.useWallet(PRIMARY_MINTER_WALLET_ID, async (walletId) => {
+    const { externalMessageHash, seqno } = await sendFromMinterWallet({
+      walletId,
+      to: Address.parse(to),
+      value: BigInt(amountNano),
+      body: comment ? beginCell().storeUint(0, 32).storeStringTail(comment).endCell() : undefined,
+    });
+    await waitForSeqnoAfter({ walletId, seqno });
+    console.log(`[mintService] Sent refund of ${amountNano} nanoTON to ${to} (seqno ${seqno})`);
+    return { externalMessageHash, seqno };
+  });
+}
+
+// Poll `get_minting_complete_flag` until the collection reports it, the same way native mints
+// wait for their item. A message the contract bounced (e.g. from a wallet it no longer accepts)
+// never sets the flag and ends in STOP_MINTING_NOT_CONFIRMED.
+async function confirmMintingStopped(collection, details) {
+  const client = getTonClient();
+  const deadline = Date.now() + config.mintConfirmTimeoutMs;
+  for (;;) {
+    try {
+      if (await getMintingCompleteFlag(client, collection.address)) {
+        return;
+      }
+    } catch (error) {
+      console.warn(`[mintService] Failed to read the minting flag of collection ${collection.id}`, error);
+    }
+    if (Date.now() >= deadline) {
+      const error = new Error(`Collection ${collection.id} did not report minting as stopped within ${config.mintConfirmTimeoutMs} ms`);
+      error.code = 'STOP_MINTING_NOT_CONFIRMED';
+      error.statusCode = 504;
+      error.details = { collectionId: collection.id, ...details };
+      throw error;
+    }
+    await sleep(config.mintConfirmPollIntervalMs);
+  }
+}
+
+/**
+ * Send `stop_minting` to a collection, after any mint already running into it. Irreversible:
+ * the contract rejects every later mint. Needs a wallet the collection accepts admin ops from
+ * (its owner or second owner), like a mint. Resolves only once the collection reports minting
+ * as complete; throws STOP_MINTING_NOT_CONFIRMED if it does not within MINT_CONFIRM_TIMEOUT_MS.
+ */
+export async function stopMintingOnChain({ collectionId }) {
+  const collection = collectionRegistry.get(collectionId);
+  return enqueueMint(collection, async (walletId) => {
+    const { externalMessageHash, seqno } = await sendFromMinterWallet({
+      walletId,
+      to: Address.parse(collection.address),
+      value: tonToNano('0.05'),
+      body: buildStopMintingBody(),
+    });
+    console.warn(`[mintService] Sent stop_minting to collection ${collection.id} from wallet ${walletId} (seqno ${seqno})`);
+    await confirmMintingStopped(collection, { walletId, externalMessageHash, seqno });
+    return { collectionId: collection.id, walletId, externalMessageHash, seqno };
   });
 }
 
 export default {
+  resolveMinterWalletStatus,
   mintColorNft,
+  batchMintColorNfts,
+  refundFromMinterWallet,
+  stopMintingOnChain,
 };
@@ -0,0 +1,125 @@
+import config from '../config/env.js';
+import { minterWalletPool } from './minterWalletPool.js';
+import { resolveMinterWalletStatus } from './mintService.js';
+import { createAdminNotifier } from './telegramBotService.js';
+
+const toTon = (nano) => Number(nano) / 1e9;
+const toNano = (ton) => (ton === null ? null : BigInt(Math.round(ton * 1e9)));
+
+function formatAddress(address) {
+  if (!address) {
+    return 'unknown address';
+  }
+  return typeof address === 'string' ? address : address.toString({ testOnly: config.tonNetwork !== 'mainnet' });
+}
+
+/**
+ * Watches minter wallet balances. Every balance the pool records (the periodic `check()` and
+ * the pre-mint check alike) is compared with `warnBelowNano`; a wallet under it triggers an
+ * alert, repeated every `alertRepeatMs` while it stays low, and a recovery message once it is
+ * topped up again.
+ */
+export class MinterBalanceMonitor {
+  constructor({
+    pool,
+    readStatus,
+    warnBelowNano = null,
+    refuseBelowNano = null,
+    notify = null,
+    intervalMs = 0,
+    alertRepeatMs = 60 * 60 * 1000,
+    now = Date.now,
+  }) {
+    this.pool = pool;
+    this.readStatus = readStatus;
+    this.warnBelowNano = warnBelowNano;
+    this.refuseBelowNano = refuseBelowNano;
+    this.notify = notify;
+    this.intervalMs = intervalMs;
+    this.alertRepeatMs = alertRepeatMs;
+    this.now = now;
+    this.lowSince = new Map();
+    this.timer = null;
+    pool.on('status', (status) => this.evaluate(status));
+  }
+
+  evaluate({ walletId, address, balanceNano }) {
+    if (this.warnBelowNano === null || balanceNano === null || balanceNano === undefined) {
+      return;
+    }
+    const lastAlertAt = this.lowSince.get(walletId);
+    if (balanceNano < this.warnBelowNano) {
+      if (lastAlertAt !== undefined && this.now() - lastAlertAt < this.alertRepeatMs) {
+        return;
+      }
+      this.lowSince.set(walletId, this.now());
+      const refused = this.refuseBelowNano !== null && balanceNano < this.refuseBelowNano;
+      this.send([
+        `⚠️ Minter wallet ${walletId} (${formatAddress(address)}) has ${toTon(balanceNano)} TON,`,
+        `below the ${toTon(this.warnBelowNano)} TON warning threshold.`,
+        refused ? 'Mints from it are refused until it is topped up.' : '',
+      ].filter(Boolean).join(' '));
+    } else if (lastAlertAt !== undefined) {
+      this.lowSince.delete(walletId);
+      this.send(`✅ Minter wallet ${walletId} is back to ${toTon(balanceNano)} TON.`);
+    }
+  }
+
+  send(text) {
+    console.warn(`[minterBalanceMonitor] ${text}`);
+    this.notify?.(text).catch((error) => console.error('[minterBalanceMonitor] Failed to send alert', error));
+  }
+
+  /**
+   * Read every wallet's balance once. A wallet whose lookup fails is skipped and logged.
+   */
+  async check() {
+    for (const walletId of this.pool.wallets.keys()) {
+      try {
+        await this.readStatus(walletId);
+      } catch (error) {
+        console.warn(`[minterBalanceMonitor] Balance check for minter wallet ${walletId} failed`, error?.message ?? error);
+      }
+    }
+  }
+
+  start() {
+    if (this.timer || this.intervalMs === 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.check();
+    }, this.intervalMs);
+    this.timer.unref?.();
+    this.check();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export function createMinterBalanceMonitor({
+  pool = minterWalletPool,
+  readStatus = resolveMinterWalletStatus,
+  warnBelowNano = toNano(config.minterBalance.warnTon),
+  refuseBelowNano = toNano(config.minterBalance.minTon),
+  notify = createAdminNotifier({ chatIds: config.minterBalance.alertChatIds }),
+  intervalMs = config.minterBalance.checkIntervalMs,
+  alertRepeatMs = config.minterBalance.alertRepeatMs,
+} = {}) {
+  return new MinterBalanceMonitor({
+    pool,
+    readStatus,
+    warnBelowNano,
+    refuseBelowNano,
+    notify,
+    intervalMs,
+    alertRepeatMs,
+  });
+}
+
+export const minterBalanceMonitor = createMinterBalanceMonitor();
+
+export default minterBalanceMonitor;
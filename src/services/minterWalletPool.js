@@ -0,0 +1,251 @@
+import { EventEmitter } from 'node:events';
+import config from '../config/env.js';
+import { getMinterWallet, getTonClient } from './tonClient.js';
+import { getCollectionData, getSecondOwnerAddress } from './collectionContract.js';
+
+export const PRIMARY_MINTER_WALLET_ID = 'primary';
+
+export class NoAuthorisedMinterWalletError extends Error {
+  constructor(collection, walletIds) {
+    super(`None of the minter wallets may mint into collection "${collection.id}"; set one as the collection's second owner`);
+    this.name = 'NoAuthorisedMinterWalletError';
+    this.code = 'NO_AUTHORISED_MINTER_WALLET';
+    this.statusCode = 503;
+    this.details = {
+      collectionId: collection.id,
+      collectionAddress: collection.address,
+      walletIds,
+    };
+  }
+}
+
+// The collection contract accepts mints from its owner and from a single second owner.
+async function readCollectionMinters(collection, client = getTonClient()) {
+  const { ownerAddress } = await getCollectionData(client, collection.address);
+  const secondOwnerAddress = await getSecondOwnerAddress(client, collection.address);
+  return [ownerAddress, secondOwnerAddress].filter(Boolean);
+}
+
+async function resolveWalletAddress(walletId) {
+  const { walletContract } = await getMinterWallet(walletId);
+  return walletContract.address;
+}
+
+function toErrorSummary(error, at) {
+  return {
+    message: error?.message ?? String(error),
+    code: error?.code ?? null,
+    at,
+  };
+}
+
+/**
+ * The minter wallets, each leased to one task at a time so no two transfers race for a seqno.
+ * A lease for a collection only hands out wallets that collection accepts mints from (checked
+ * on-chain, cached for `authorisationTtlMs`); with a single wallet there is nothing to choose
+ * and the check is skipped. Wallets that failed `maxConsecutiveFailures` tasks in a row, or whose
+ * last known balance is under `minBalanceNano`, are only used when no healthy authorised wallet
+ * is left. Emits `status` with `{ walletId, address, balanceNano, state }` whenever a balance is recorded.
+ */
+export class MinterWalletPool extends EventEmitter {
+  constructor({
+    walletIds,
+    resolveAddress = resolveWalletAddress,
+    readMinters = readCollectionMinters,
+    authorisationTtlMs = config.minterWalletAuthorisationTtlMs,
+    maxConsecutiveFailures = 3,
+    minBalanceNano = null,
+    now = Date.now,
+  }) {
+    super();
+    if (!Array.isArray(walletIds) || walletIds.length === 0) {
+      throw new Error('MinterWalletPool requires at least one wallet');
+    }
+    this.wallets = new Map(walletIds.map((id) => [id, {
+      id,
+      address: null,
+      busy: false,
+      collectionId: null,
+      tasks: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastUsedAt: null,
+      balanceNano: null,
+      state: null,
+      checkedAt: null,
+    }]));
+    this.resolveAddress = resolveAddress;
+    this.readMinters = readMinters;
+    this.authorisationTtlMs = authorisationTtlMs;
+    this.maxConsecutiveFailures = maxConsecutiveFailures;
+    this.minBalanceNano = minBalanceNano;
+    this.now = now;
+    this.authorisations = new Map();
+    this.waiters = [];
+  }
+
+  get size() {
+    return this.wallets.size;
+  }
+
+  async addressOf(walletId) {
+    const wallet = this.wallets.get(walletId);
+    if (!wallet.address) {
+      wallet.address = await this.resolveAddress(walletId);
+    }
+    return wallet.address;
+  }
+
+  /**
+   * IDs of the wallets `collection` accepts mints from. Not cached when the lookup fails, so
+   * the next lease asks the chain again.
+   */
+  async authorisedWalletIds(collection) {
+    const walletIds = Array.from(this.wallets.keys());
+    if (walletIds.length === 1) {
+      return walletIds;
+    }
+
+    const cached = this.authorisations.get(collection.id);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.walletIds;
+    }
+
+    const minters = await this.readMinters(collection);
+    const authorised = [];
+    for (const walletId of walletIds) {
+      const address = await this.addressOf(walletId);
+      if (minters.some((minter) => minter.equals(address))) {
+        authorised.push(walletId);
+      }
+    }
+    this.authorisations.set(collection.id, {
+      walletIds: authorised,
+      expiresAt: this.now() + this.authorisationTtlMs,
+    });
+    return authorised;
+  }
+
+  isUnderfunded(wallet) {
+    return this.minBalanceNano !== null && wallet.balanceNano !== null && wallet.balanceNano < this.minBalanceNano;
+  }
+
+  isHealthy(wallet) {
+    return wallet.consecutiveFailures < this.maxConsecutiveFailures && !this.isUnderfunded(wallet);
+  }
+
+  async lease(walletIds, collectionId) {
+    for (;;) {
+      const candidates = walletIds.map((walletId) => this.wallets.get(walletId));
+      const healthy = candidates.filter((wallet) => this.isHealthy(wallet));
+      const idle = (healthy.length > 0 ? healthy : candidates)
+        .filter((wallet) => !wallet.busy)
+        .sort((a, b) => (a.lastUsedAt ?? '').localeCompare(b.lastUsedAt ?? ''));
+      if (idle.length > 0) {
+        const [wallet] = idle;
+        wallet.busy = true;
+        wallet.collectionId = collectionId;
+        return wallet.id;
+      }
+      await new Promise((resolve) => {
+        this.waiters.push(resolve);
+      });
+    }
+  }
+
+  release(walletId, { error } = {}) {
+    const wallet = this.wallets.get(walletId);
+    const at = new Date(this.now()).toISOString();
+    wallet.busy = false;
+    wallet.collectionId = null;
+    wallet.lastUsedAt = at;
+    wallet.tasks += 1;
+    if (error) {
+      wallet.failures += 1;
+      wallet.consecutiveFailures += 1;
+      wallet.lastError = toErrorSummary(error, at);
+    } else {
+      wallet.consecutiveFailures = 0;
+    }
+    this.waiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  async run(walletId, task) {
+    let result;
+    try {
+      result = await task(walletId);
+    } catch (error) {
+      this.release(walletId, { error });
+      throw error;
+    }
+    this.release(walletId);
+    return result;
+  }
+
+  /**
+   * Run `task(walletId)` on an idle wallet allowed to mint into `collection`, waiting for one
+   * to free up when all of them are busy.
+   */
+  async useForCollection(collection, task) {
+    const walletIds = await this.authorisedWalletIds(collection);
+    if (walletIds.length === 0) {
+      throw new NoAuthorisedMinterWalletError(collection, Array.from(this.wallets.keys()));
+    }
+    return this.run(await this.lease(walletIds, collection.id), task);
+  }
+
+  /**
+   * Run `task(walletId)` on one specific wallet once it is idle.
+   */
+  async useWallet(walletId, task) {
+    if (!this.wallets.has(walletId)) {
+      throw new Error(`Minter wallet "${walletId}" is not configured`);
+    }
+    return this.run(await this.lease([walletId], null), task);
+  }
+
+  recordStatus(walletId, { address, balanceNano, state }) {
+    const wallet = this.wallets.get(walletId);
+    wallet.address = address ?? wallet.address;
+    wallet.balanceNano = balanceNano;
+    wallet.state = state;
+    wallet.checkedAt = new Date(this.now()).toISOString();
+    this.emit('status', { walletId, address: wallet.address, balanceNano, state });
+  }
+
+  status() {
+    const testOnly = config.tonNetwork !== 'mainnet';
+    return Array.from(this.wallets.values()).map((wallet) => ({
+      id: wallet.id,
+      address: wallet.address ? wallet.address.toString({ testOnly }) : null,
+      busy: wallet.busy,
+      collectionId: wallet.collectionId,
+      healthy: this.isHealthy(wallet),
+      underfunded: this.isUnderfunded(wallet),
+      balanceTon: wallet.balanceNano === null ? null : Number(wallet.balanceNano) / 1e9,
+      state: wallet.state,
+      checkedAt: wallet.checkedAt,
+      tasks: wallet.tasks,
+      failures: wallet.failures,
+      consecutiveFailures: wallet.consecutiveFailures,
+      lastError: wallet.lastError,
+      lastUsedAt: wallet.lastUsedAt,
+      authorisedCollections: Array.from(this.authorisations.entries())
+        .filter(([, { walletIds }]) => walletIds.includes(wallet.id))
+        .map(([collectionId]) => collectionId),
+    }));
+  }
+}
+
+export function createMinterWalletPool({
+  walletIds = config.minterWallets.map((wallet) => wallet.id),
+  minBalanceNano = config.minterBalance.minTon === null ? null : BigInt(Math.round(config.minterBalance.minTon * 1e9)),
+  ...options
+} = {}) {
+  return new MinterWalletPool({ walletIds, minBalanceNano, ...options });
+}
+
+export const minterWalletPool = createMinterWalletPool();
+
+export default minterWalletPool;
@@ -0,0 +1,188 @@
+import { randomBytes } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+export class MintingPausedError extends Error {
+  constructor(pause) {
+    super(pause.reason ? `Minting is paused: ${pause.reason}` : 'Minting is paused; try again later');
+    this.name = 'MintingPausedError';
+    this.code = 'MINTING_PAUSED';
+    this.statusCode = 503;
+    this.details = {
+      reason: pause.reason,
+      pausedAt: pause.pausedAt,
+    };
+  }
+}
+
+export class MintingStoppedError extends Error {
+  constructor(collectionId, stop) {
+    super(`Minting into collection "${collectionId}" was stopped on-chain and cannot resume`);
+    this.name = 'MintingStoppedError';
+    this.code = 'COLLECTION_MINTING_STOPPED';
+    this.statusCode = 410;
+    this.details = {
+      collectionId,
+      stoppedAt: stop.stoppedAt,
+    };
+  }
+}
+
+/**
+ * Admin switches for minting: a pause flag that request paths refuse on and the job queue holds
+ * queued work for, plus the collections whose contract had `stop_minting` sent. Both survive
+ * restarts. Emits `paused` and `resumed`.
+ *
+ * Stopping a collection on-chain is irreversible, so it takes two steps from the same admin:
+ * `requestStop()` hands out a short code, and only `confirmStop()` with that code, within
+ * `stopConfirmationTtlMs`, says go.
+ */
+export class MintingControl extends EventEmitter {
+  constructor({
+    filePath = null,
+    defaultCollectionId = config.defaultCollectionId,
+    stopConfirmationTtlMs = 2 * 60 * 1000,
+    now = Date.now,
+  } = {}) {
+    super();
+    this.filePath = filePath;
+    this.defaultCollectionId = defaultCollectionId;
+    this.stopConfirmationTtlMs = stopConfirmationTtlMs;
+    this.now = now;
+    this.pause = null;
+    this.stoppedCollections = new Map();
+    this.pendingStops = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, {});
+    this.pause = snapshot?.pause ?? null;
+    for (const stop of Array.isArray(snapshot?.stoppedCollections) ? snapshot.stoppedCollections : []) {
+      if (stop?.collectionId) {
+        this.stoppedCollections.set(stop.collectionId, stop);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, {
+      pause: this.pause,
+      stoppedCollections: Array.from(this.stoppedCollections.values()),
+    });
+  }
+
+  get paused() {
+    return this.pause !== null;
+  }
+
+  pauseMinting({ reason = null, pausedBy = null } = {}) {
+    this.pause = {
+      reason,
+      pausedBy: pausedBy === null ? null : String(pausedBy),
+      pausedAt: new Date(this.now()).toISOString(),
+    };
+    this.persist();
+    this.emit('paused', this.pause);
+    return this.pause;
+  }
+
+  resumeMinting() {
+    if (!this.pause) {
+      return false;
+    }
+    this.pause = null;
+    this.persist();
+    this.emit('resumed');
+    return true;
+  }
+
+  /**
+   * Throw unless new mints into `collectionId` (the default collection when omitted) may be
+   * accepted right now.
+   */
+  assertOpen({ collectionId } = {}) {
+    this.assertNotStopped({ collectionId });
+    if (this.pause) {
+      throw new MintingPausedError(this.pause);
+    }
+  }
+
+  /**
+   * Throw MintingStoppedError once `stop_minting` was recorded for `collectionId` (the default
+   * collection when omitted). Unlike assertOpen, a pause does not count.
+   */
+  assertNotStopped({ collectionId } = {}) {
+    const stop = this.stoppedCollections.get(collectionId ?? this.defaultCollectionId);
+    if (stop) {
+      throw new MintingStoppedError(stop.collectionId, stop);
+    }
+  }
+
+  requestStop({ collectionId, requestedBy }) {
+    const code = randomBytes(3).toString('hex').toUpperCase();
+    this.pendingStops.set(String(requestedBy), {
+      collectionId,
+      code,
+      expiresAt: this.now() + this.stopConfirmationTtlMs,
+    });
+    return code;
+  }
+
+  /**
+   * Consume the pending stop of `requestedBy` when `collectionId` and `code` match it.
+   * Returns whether the stop may go ahead.
+   */
+  confirmStop({ collectionId, requestedBy, code }) {
+    const pending = this.pendingStops.get(String(requestedBy));
+    if (!pending || pending.expiresAt <= this.now()) {
+      this.pendingStops.delete(String(requestedBy));
+      return false;
+    }
+    if (pending.collectionId !== collectionId || pending.code !== String(code).toUpperCase()) {
+      return false;
+    }
+    this.pendingStops.delete(String(requestedBy));
+    return true;
+  }
+
+  recordStop({ collectionId, stoppedBy = null, externalMessageHash = null }) {
+    const stop = {
+      collectionId,
+      stoppedBy: stoppedBy === null ? null : String(stoppedBy),
+      stoppedAt: new Date(this.now()).toISOString(),
+      externalMessageHash,
+    };
+    this.stoppedCollections.set(collectionId, stop);
+    this.persist();
+    return stop;
+  }
+
+  status() {
+    return {
+      paused: this.paused,
+      reason: this.pause?.reason ?? null,
+      pausedAt: this.pause?.pausedAt ?? null,
+      stoppedCollections: Array.from(this.stoppedCollections.values())
+        .map(({ collectionId, stoppedAt }) => ({ collectionId, stoppedAt })),
+    };
+  }
+}
+
+export function createMintingControl(options) {
+  return new MintingControl(options);
+}
+
+export const mintingControl = createMintingControl({
+  filePath: config.dataDir ? path.join(config.dataDir, 'minting-control.json') : null,
+});
+
+export default mintingControl;
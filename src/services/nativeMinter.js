@@ -0,0 +1,373 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Address, SendMode, external, internal, toNano } from '@ton/ton';
+import config from '../config/env.js';
+import { getMinterWallet, getTonClient } from './tonClient.js';
+import {
+  MAX_BATCH_MINT_ITEMS,
+  buildBatchMintBody,
+  buildItemContent,
+  buildMintBody,
+  getCollectionData,
+  getNftAddressByIndex,
+  getNftData,
+} from './collectionContract.js';
+import { findMinterTransaction, hashMessage } from './transactionLookup.js';
+import { collectionRegistry } from './collectionRegistry.js';
+import { telegramPrivacyStore } from './telegramPrivacy.js';
+
+function resolveMetadataUri(itemContent, collectionBaseUrl) {
+  try {
+    return new URL(itemContent, collectionBaseUrl).toString();
+  } catch (_error) {
+    return itemContent;
+  }
+}
+
+/**
+ * Sign a transfer from a minter wallet (the primary one unless `walletId` names a pool wallet)
+ * and send it as an external message we build ourselves, so its hash is known and the
+ * resulting wallet transaction can be found later.
+ */
+export async function sendFromMinterWallet({ client = getTonClient(), walletId, to, value, body, bounce = false }) {
+  const { walletContract, keyPair } = await getMinterWallet(walletId);
+  const wallet = client.open(walletContract);
+  const seqno = await wallet.getSeqno();
+
+  const transfer = walletContract.createTransfer({
+    seqno,
+    secretKey: keyPair.secretKey,
+    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
+    messages: [
+      internal({
+        to,
+        value,
+        bounce,
+        body,
+      }),
+    ],
+  });
+
+  const message = external({
+    to: walletContract.address,
+    init: seqno === 0 ? walletContract.init : undefined,
+    body: transfer,
+  });
+  await client.sendMessage(message);
+
+  return {
+    seqno,
+    walletAddress: walletContract.address,
+    externalMessageHash: hashMessage(message),
+  };
+}
+
+/**
+ * Poll minter wallet `walletId` until its seqno has moved past `seqno`, i.e. the transfer
+ * signed with it was accepted. Callers that only send TON (no collection state to wait on)
+ * hold the wallet lease through this, so the next transfer cannot reuse the same seqno.
+ * Throws MINTER_SEQNO_TIMEOUT if the seqno does not move within MINT_CONFIRM_TIMEOUT_MS.
+ */
+export async function waitForSeqnoAfter({ client = getTonClient(), walletId, seqno }) {
+  const { walletContract } = await getMinterWallet(walletId);
+  const wallet = client.open(walletContract);
+  const deadline = Date.now() + config.mintConfirmTimeoutMs;
+  for (;;) {
+    try {
+      if (await wallet.getSeqno() > seqno) {
+        return;
+      }
+    } catch (error) {
+      console.warn(`[nativeMinter] Failed to read the seqno of minter wallet ${walletId ?? 'primary'}`, error);
+    }
+    if (Date.now() >= deadline) {
+      const error = new Error(`Minter wallet seqno did not move past ${seqno} within ${config.mintConfirmTimeoutMs} ms`);
+      error.code = 'MINTER_SEQNO_TIMEOUT';
+      error.statusCode = 504;
+      error.details = { walletId: walletId ?? null, seqno };
+      throw error;
+    }
+    await sleep(config.mintConfirmPollIntervalMs);
+  }
+}
+
+function sendToCollection({ client, walletId, collectionAddress, value, body }) {
+  return sendFromMinterWallet({ client, walletId, to: collectionAddress, value, body });
+}
+
+// The mint is already confirmed on the collection at this point, so a failed lookup only
+// costs us the explorer link; it must not fail the mint.
+async function lookupTransaction({ client, walletAddress, externalMessageHash }) {
+  try {
+    return await findMinterTransaction({ client, walletAddress, externalMessageHash });
+  } catch (error) {
+    console.warn('[nativeMinter] Failed to locate minter wallet transaction', error);
+    return null;
+  }
+}
+
+/**
+ * Poll `get_collection_data` until `next_item_index` reaches `targetNextItemId`.
+ * Returns the number of polls it took.
+ */
+async function waitForNextItemId({ client, collectionAddress, currentNextItemId, targetNextItemId, details, onProgress }) {
+  const deadline = Date.now() + config.mintConfirmTimeoutMs;
+  let attempts = 0;
+  let nextItemId = currentNextItemId;
+  while (nextItemId < targetNextItemId) {
+    if (Date.now() >= deadline) {
+      const error = new Error(`Mint of items up to #${targetNextItemId - 1} was not confirmed within ${config.mintConfirmTimeoutMs} ms`);
+      error.code = 'MINT_CONFIRMATION_TIMEOUT';
+      error.statusCode = 504;
+      error.details = { ...details, attempts };
+      throw error;
+    }
+    await sleep(config.mintConfirmPollIntervalMs);
+    attempts += 1;
+    onProgress({ phase: 'waiting', ...details, attempt: attempts });
+    ({ nextItemId } = await getCollectionData(client, collectionAddress));
+  }
+  return attempts;
+}
+
+async function readNftData(client, nftAddress) {
+  try {
+    return await getNftData(client, nftAddress);
+  } catch (_error) {
+    // The collection consumes the index before the item contract is deployed; until then
+    // its get method fails.
+    return null;
+  }
+}
+
+/**
+ * A consumed index only means some mint took it: another process or wallet minting into the
+ * same collection could have got there first. Poll `get_nft_data` until the item is deployed
+ * and check it holds our content and owner. Returns the item's address.
+ */
+async function confirmMintedItem({ client, collectionAddress, itemIndex, ownerAddress, itemContent, details }) {
+  const nftAddress = await getNftAddressByIndex(client, collectionAddress, itemIndex);
+  const deadline = Date.now() + config.mintConfirmTimeoutMs;
+  for (;;) {
+    const nftData = await readNftData(client, nftAddress);
+    if (nftData?.initialized) {
+      const ours = nftData.individualContent === itemContent
+        && nftData.ownerAddress?.equals(Address.parse(ownerAddress));
+      if (!ours) {
+        const error = new Error(`Item #${itemIndex} was minted, but not by this request`);
+        error.code = 'MINT_NOT_CONFIRMED';
+        error.statusCode = 502;
+        error.details = {
+          ...details,
+          itemIndex,
+          expectedContent: itemContent,
+          foundContent: nftData.individualContent,
+          foundOwner: nftData.ownerAddress?.toString() ?? null,
+        };
+        throw error;
+      }
+      return nftAddress;
+    }
+    if (Date.now() >= deadline) {
+      const error = new Error(`Item #${itemIndex} was not deployed within ${config.mintConfirmTimeoutMs} ms`);
+      error.code = 'MINT_CONFIRMATION_TIMEOUT';
+      error.statusCode = 504;
+      error.details = { ...details, itemIndex };
+      throw error;
+    }
+    await sleep(config.mintConfirmPollIntervalMs);
+  }
+}
+
+/**
+ * Send a single `mint` message to the collection from minter wallet `walletId`, wait until
+ * `get_collection_data` reports that the item index has been consumed, then confirm the item
+ * at that index is the one we sent (content and owner) before reporting success.
+ *
+ * Resolves with the same shape the blueprint deploy script prints after `MINT_RESULT=`.
+ * `onProgress` receives the `submitted`, `waiting` (once per poll) and `deployed` phases.
+ */
+export async function runNativeMint({
+  walletAddress,
+  color,
+  telegramUserId,
+  collection = collectionRegistry.default,
+  walletId,
+  onProgress = () => {},
+}) {
+  const client = getTonClient();
+  const collectionAddress = Address.parse(collection.address);
+
+  const collectionData = await getCollectionData(client, collectionAddress);
+  const itemIndex = collectionData.nextItemId;
+  const itemContent = buildItemContent({
+    itemIndex,
+    color,
+    ownerAddress: walletAddress,
+    telegramUserId: telegramPrivacyStore.contentTelegramUserId(telegramUserId),
+  });
+  const mintedAt = new Date().toISOString();
+
+  const { seqno, walletAddress: minterAddress, externalMessageHash } = await sendToCollection({
+    client,
+    walletId,
+    collectionAddress,
+    value: toNano(String(collection.mintValueTon)),
+    body: buildMintBody({
+      itemIndex,
+      ownerAddress: Address.parse(walletAddress),
+      itemContent,
+      itemDeployAmount: toNano(String(collection.itemDeployAmountTon)),
+    }),
+  });
+
+  console.log(`[nativeMinter] Submitted mint #${itemIndex} for ${color} (wallet ${walletId ?? 'primary'}, seqno ${seqno})`);
+  onProgress({ phase: 'submitted', itemIndex, seqno });
+
+  const attempts = await waitForNextItemId({
+    client,
+    collectionAddress,
+    currentNextItemId: collectionData.nextItemId,
+    targetNextItemId: itemIndex + 1,
+    details: { itemIndex, seqno },
+    onProgress,
+  });
+
+  const nftAddress = await confirmMintedItem({
+    client,
+    collectionAddress,
+    itemIndex,
+    ownerAddress: walletAddress,
+    itemContent,
+    details: { seqno },
+  });
+  onProgress({ phase: 'deployed', itemIndex, nftAddress: nftAddress.toString(), attempts });
+  const transaction = await lookupTransaction({ client, walletAddress: minterAddress, externalMessageHash });
+
+  return {
+    collectionId: collection.id,
+    collectionAddress: collectionAddress.toString(),
+    itemIndex,
+    ownerAddress: walletAddress,
+    colour: color,
+    telegramUserId,
+    itemContent,
+    metadataUri: resolveMetadataUri(itemContent, collectionData.collectionContent),
+    nftAddress: nftAddress.toString(),
+    transaction,
+    seqno,
+    attempts,
+    timestamp: new Date().toISOString(),
+    mintedAt,
+  };
+}
+
+/**
+ * Mint many items with as few `batch_mint` messages as the contract allows. Each chunk is
+ * confirmed, item by item as in `runNativeMint`, before the next one is sent so item indexes
+ * stay contiguous.
+ *
+ * Resolves with one entry per input item, in input order. `onProgress` receives the same
+ * phases as `runNativeMint`, once per chunk, with `firstIndex` and `lastIndex` instead of `itemIndex`.
+ * `onChunkMinted` receives each chunk's entries as soon as it is confirmed, so they can be
+ * recorded even if a later chunk fails.
+ */
+export async function runNativeBatchMint(entries, {
+  collection = collectionRegistry.default,
+  walletId,
+  onProgress = () => {},
+  onChunkMinted = () => {},
+} = {}) {
+  const client = getTonClient();
+  const collectionAddress = Address.parse(collection.address);
+  const itemDeployAmount = toNano(String(collection.itemDeployAmountTon));
+  const mintValue = toNano(String(collection.mintValueTon));
+
+  const results = [];
+  for (let offset = 0; offset < entries.length; offset += MAX_BATCH_MINT_ITEMS) {
+    const chunk = entries.slice(offset, offset + MAX_BATCH_MINT_ITEMS);
+    const collectionData = await getCollectionData(client, collectionAddress);
+    const firstIndex = collectionData.nextItemId;
+    const mintedAt = new Date().toISOString();
+
+    const items = chunk.map((entry, position) => {
+      const itemIndex = firstIndex + position;
+      return {
+        ...entry,
+        itemIndex,
+        itemContent: buildItemContent({
+          itemIndex,
+          color: entry.color,
+          ownerAddress: entry.walletAddress,
+          telegramUserId: telegramPrivacyStore.contentTelegramUserId(entry.telegramUserId),
+        }),
+      };
+    });
+
+    const { seqno, walletAddress: minterAddress, externalMessageHash } = await sendToCollection({
+      client,
+      walletId,
+      collectionAddress,
+      value: mintValue * BigInt(items.length),
+      body: buildBatchMintBody({
+        items: items.map((item) => ({
+          itemIndex: item.itemIndex,
+          ownerAddress: Address.parse(item.walletAddress),
+          itemContent: item.itemContent,
+          itemDeployAmount,
+        })),
+      }),
+    });
+
+    const lastIndex = firstIndex + items.length - 1;
+    console.log(`[nativeMinter] Submitted batch mint #${firstIndex}-#${lastIndex} (${items.length} items, wallet ${walletId ?? 'primary'}, seqno ${seqno})`);
+    onProgress({ phase: 'submitted', firstIndex, lastIndex, seqno });
+
+    const attempts = await waitForNextItemId({
+      client,
+      collectionAddress,
+      currentNextItemId: collectionData.nextItemId,
+      targetNextItemId: lastIndex + 1,
+      details: { firstIndex, lastIndex, seqno },
+      onProgress,
+    });
+    const nftAddresses = [];
+    for (const item of items) {
+      nftAddresses.push(await confirmMintedItem({
+        client,
+        collectionAddress,
+        itemIndex: item.itemIndex,
+        ownerAddress: item.walletAddress,
+        itemContent: item.itemContent,
+        details: { firstIndex, lastIndex, seqno },
+      }));
+    }
+    onProgress({ phase: 'deployed', firstIndex, lastIndex, attempts });
+
+    const transaction = await lookupTransaction({ client, walletAddress: minterAddress, externalMessageHash });
+
+    const chunkResults = items.map((item, position) => ({
+      collectionId: collection.id,
+      itemIndex: item.itemIndex,
+      ownerAddress: item.walletAddress,
+      colour: item.color,
+      telegramUserId: item.telegramUserId,
+      itemContent: item.itemContent,
+      metadataUri: resolveMetadataUri(item.itemContent, collectionData.collectionContent),
+      nftAddress: nftAddresses[position].toString(),
+      transaction,
+      seqno,
+      mintedAt,
+    }));
+    await onChunkMinted(chunkResults);
+    results.push(...chunkResults);
+  }
+
+  return results;
+}
+
+export default {
+  runNativeMint,
+  runNativeBatchMint,
+  sendFromMinterWallet,
+  waitForSeqnoAfter,
+};
@@ -0,0 +1,112 @@
+import config from '../config/env.js';
+import { readCollectionItem } from './collectionItems.js';
+import { collectionRegistry as defaultCollectionRegistry } from './collectionRegistry.js';
+
+export class NftNotFoundError extends Error {
+  constructor(collectionId, itemIndex) {
+    super(`NFT item ${itemIndex} of collection "${collectionId}" is not deployed`);
+    this.name = 'NftNotFoundError';
+    this.code = 'NFT_NOT_FOUND';
+    this.statusCode = 404;
+    this.details = { collectionId, itemIndex };
+  }
+}
+
+export class NftLookupError extends Error {
+  constructor(collectionId, itemIndex, cause) {
+    super(`Could not read NFT item ${itemIndex} of collection "${collectionId}" from the chain: ${cause?.message ?? cause}`);
+    this.name = 'NftLookupError';
+    this.code = 'NFT_LOOKUP_FAILED';
+    this.statusCode = 502;
+    this.details = { collectionId, itemIndex };
+  }
+}
+
+function toPublicItem(collection, item, fetchedAt) {
+  return {
+    collectionId: collection.id,
+    itemIndex: item.itemIndex,
+    nftAddress: item.nftAddress,
+    initialized: item.initialized,
+    ownerAddress: item.ownerAddress,
+    individualContent: item.individualContent,
+    color: item.content?.color ?? null,
+    content: item.content,
+    fetchedAt,
+  };
+}
+
+/**
+ * Current on-chain state of collection items: the address from `get_nft_address_by_index`,
+ * then `get_nft_data`. Results, including "not deployed", are cached for `ttlMs` so bursts of
+ * requests for the same item cost one pair of RPC calls; concurrent lookups share the call in
+ * flight. RPC failures are not cached. At most `maxEntries` items are kept, oldest dropped first.
+ */
+export class NftLookup {
+  constructor({
+    collectionRegistry,
+    readItem = readCollectionItem,
+    ttlMs = config.nftLookupCacheTtlMs,
+    maxEntries = 1000,
+    now = Date.now,
+  }) {
+    this.collectionRegistry = collectionRegistry;
+    this.readItem = readItem;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.cache = new Map();
+  }
+
+  async lookup(itemIndex, { collectionId } = {}) {
+    if (!Number.isSafeInteger(itemIndex) || itemIndex < 0) {
+      const error = new Error('itemIndex must be a non-negative integer');
+      error.statusCode = 400;
+      throw error;
+    }
+    const collection = this.collectionRegistry.get(collectionId);
+    const key = `${collection.id}:${itemIndex}`;
+
+    const cached = this.cache.get(key);
+    if (cached && (!cached.expiresAt || cached.expiresAt > this.now())) {
+      return cached.promise;
+    }
+
+    const promise = this.readItem({ collectionAddress: collection.address, itemIndex })
+      .then((item) => {
+        this.cache.set(key, { promise, expiresAt: this.now() + this.ttlMs });
+        if (!item.deployed) {
+          throw new NftNotFoundError(collection.id, itemIndex);
+        }
+        return toPublicItem(collection, item, new Date(this.now()).toISOString());
+      }, (error) => {
+        this.cache.delete(key);
+        throw new NftLookupError(collection.id, itemIndex, error);
+      });
+    // Keep the rejection of an undeployed item from being reported as unhandled while cached.
+    promise.catch(() => {});
+
+    this.cache.delete(key);
+    this.cache.set(key, { promise, expiresAt: null });
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return promise;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+export function createNftLookup({
+  collectionRegistry = defaultCollectionRegistry,
+  readItem = readCollectionItem,
+  ttlMs = config.nftLookupCacheTtlMs,
+} = {}) {
+  return new NftLookup({ collectionRegistry, readItem, ttlMs });
+}
+
+export const nftLookup = createNftLookup();
+
+export default nftLookup;
@@ -0,0 +1,407 @@
+import path from 'node:path';
+import { Address, fromNano, toNano } from '@ton/ton';
+import config from '../config/env.js';
+import { normalizeHexColor } from '../utils/color.js';
+import { createMintInvoiceStore } from './mintInvoiceStore.js';
+import { mintJobQueue } from './mintJobQueue.js';
+import { refundFromMinterWallet } from './mintService.js';
+import { getMinterWallet, getTonClient } from './tonClient.js';
+import { ColourAlreadyMintedError, colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+import { mintQuotaTracker as defaultQuotaTracker } from './mintQuota.js';
+import { collectionRegistry as defaultCollectionRegistry } from './collectionRegistry.js';
+import { PRIMARY_MINTER_WALLET_ID } from './minterWalletPool.js';
+import { telegramPrivacyStore as defaultTelegramPrivacy } from './telegramPrivacy.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Mint failures that may still have landed on-chain: refunding those could give away the NFT.
+const MINT_FAILURES_TO_CHECK = new Set(['MINT_CONFIRMATION_TIMEOUT', 'MINT_INTERRUPTED']);
+
+/**
+ * Reduce an incoming transaction to the transfer it carries, or null when it is not a plain
+ * (non-bounced) internal message. Text comments are op 0 followed by a string tail.
+ */
+export function parseIncomingTransfer(transaction) {
+  const message = transaction.inMessage;
+  if (!message || message.info.type !== 'internal' || message.info.bounced) {
+    return null;
+  }
+  let comment = null;
+  try {
+    const body = message.body.beginParse();
+    if (body.remainingBits >= 32 && body.loadUint(32) === 0) {
+      comment = body.loadStringTail().trim();
+    }
+  } catch (_error) {
+    comment = null;
+  }
+  return {
+    hash: transaction.hash().toString('hex'),
+    lt: transaction.lt.toString(),
+    from: message.info.src.toString(),
+    amountNano: message.info.value.coins,
+    comment,
+    timestamp: transaction.now ? new Date(transaction.now * 1000).toISOString() : new Date().toISOString(),
+  };
+}
+
+export function buildPaymentUrl({ receivingAddress, amountNano, comment }) {
+  const params = new URLSearchParams({ amount: String(amountNano), text: comment });
+  return `ton://transfer/${receivingAddress}?${params.toString()}`;
+}
+
+export function toPublicInvoice(invoice, { telegramPrivacy = defaultTelegramPrivacy } = {}) {
+  return {
+    invoiceId: invoice.id,
+    status: invoice.status,
+    address: invoice.receivingAddress,
+    amount: fromNano(BigInt(invoice.amountNano)),
+    amountNano: invoice.amountNano,
+    comment: invoice.comment,
+    paymentUrl: buildPaymentUrl(invoice),
+    request: telegramPrivacy.redact(invoice.request),
+    jobId: invoice.jobId,
+    flagReason: invoice.flagReason,
+    payments: invoice.payments,
+    createdAt: invoice.createdAt,
+    expiresAt: invoice.expiresAt,
+  };
+}
+
+/**
+ * Paid mint mode. `createInvoice` hands out a unique comment; `poll` reads new transactions on
+ * the receiving address and queues the mint for every invoice paid in full before it expired.
+ * Payments that cannot be used (underpaid, late, duplicate, or refused by the mint queue) are
+ * refunded when a refund handler is configured and flagged for an operator otherwise; so are
+ * payments whose mint fails, once `attachTo(queue)` follows the queue. Refunds leave from
+ * `refundWalletAddress()`, which `start()` checks is the receiving address.
+ */
+export class PaidMintService {
+  constructor({
+    store,
+    queue,
+    client,
+    receivingAddress,
+    priceNano,
+    invoiceTtlMs,
+    pollIntervalMs = 10000,
+    refundHandler = null,
+    refundWalletAddress = null,
+    refundFeeNano = 0n,
+    colourRegistry = null,
+    quotaTracker = null,
+    collectionRegistry = null,
+    pageSize = DEFAULT_PAGE_SIZE,
+  }) {
+    this.store = store;
+    this.queue = queue;
+    this.client = client;
+    this.receivingAddress = Address.parse(receivingAddress);
+    this.priceNano = BigInt(priceNano);
+    this.invoiceTtlMs = invoiceTtlMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.refundHandler = refundHandler;
+    this.refundWalletAddress = refundWalletAddress;
+    this.refundFeeNano = BigInt(refundFeeNano);
+    this.colourRegistry = colourRegistry;
+    this.quotaTracker = quotaTracker;
+    this.collectionRegistry = collectionRegistry;
+    this.pageSize = pageSize;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Refuse invoices that could never be minted. The colour is not reserved here, so unpaid
+   * invoices cannot hold colours hostage: the first paid invoice wins, later payments for the
+   * same colour are refunded, and so is the winner if its mint fails. `source` is passed on to
+   * the mint job once the invoice is paid.
+   */
+  createInvoice(request, { source = 'api' } = {}) {
+    const color = normalizeHexColor(request.color);
+    const collectionId = this.collectionRegistry?.assertMintable(request.collectionId).id ?? request.collectionId;
+    if (this.colourRegistry?.isTaken(color, { collectionId })) {
+      throw new ColourAlreadyMintedError(color, this.colourRegistry.get(color, { collectionId }));
+    }
+    this.quotaTracker?.check([request]);
+
+    return this.store.create({
+      request: { ...request, color, ...(collectionId ? { collectionId } : {}) },
+      amountNano: this.priceNano,
+      receivingAddress: this.receivingAddress.toString(),
+      expiresAt: new Date(Date.now() + this.invoiceTtlMs).toISOString(),
+      source,
+    });
+  }
+
+  get(invoiceId) {
+    return this.store.get(invoiceId);
+  }
+
+  /**
+   * Start polling for payments. Refunds are sent from the refund wallet, so they would pay
+   * out of a wallet that never received the money unless it is the receiving address: rejects
+   * when the two differ.
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+    await this.assertRefundWallet();
+    this.timer = setInterval(() => {
+      this.poll().catch((error) => console.error('[paidMintService] Payment poll failed', error));
+    }, this.pollIntervalMs);
+    this.timer.unref?.();
+    this.poll().catch((error) => console.error('[paidMintService] Payment poll failed', error));
+  }
+
+  /**
+   * Stop polling. Resolves once a poll already in progress has finished, so no payment is
+   * half-handled when the process exits.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.polling?.catch(() => {}) ?? Promise.resolve();
+  }
+
+  poll() {
+    if (!this.polling) {
+      this.polling = this.processNewPayments().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async processNewPayments() {
+    const transactions = await this.fetchNewTransactions();
+    for (const transaction of transactions) {
+      const transfer = parseIncomingTransfer(transaction);
+      if (transfer) {
+        await this.handleTransfer(transfer);
+      }
+      this.store.setCursor({ lt: transaction.lt.toString(), hash: transaction.hash().toString('base64') });
+    }
+    this.expirePending();
+  }
+
+  /**
+   * Transactions newer than the stored cursor, oldest first. On the very first poll only the
+   * latest page is read; older history cannot contain payments for invoices we issued.
+   */
+  async fetchNewTransactions() {
+    const cursor = this.store.getCursor();
+    const collected = [];
+    let page = await this.client.getTransactions(this.receivingAddress, { limit: this.pageSize, archival: true });
+
+    while (page.length > 0) {
+      for (const transaction of page) {
+        if (cursor && BigInt(transaction.lt) <= BigInt(cursor.lt)) {
+          return collected.reverse();
+        }
+        collected.push(transaction);
+      }
+      if (!cursor || page.length < this.pageSize) {
+        break;
+      }
+      const oldest = page[page.length - 1];
+      page = await this.client.getTransactions(this.receivingAddress, {
+        limit: this.pageSize,
+        lt: oldest.lt.toString(),
+        hash: oldest.hash().toString('base64'),
+        inclusive: false,
+        archival: true,
+      });
+    }
+    return collected.reverse();
+  }
+
+  async handleTransfer(transfer) {
+    const invoice = transfer.comment ? this.store.getByComment(transfer.comment) : null;
+    if (!invoice || this.store.hasPayment(transfer.hash)) {
+      return;
+    }
+
+    const payment = {
+      hash: transfer.hash,
+      lt: transfer.lt,
+      from: transfer.from,
+      amountNano: transfer.amountNano.toString(),
+      receivedAt: transfer.timestamp,
+    };
+
+    // Judge lateness by when the transfer landed, so a payment sent in time but noticed
+    // after the invoice was marked expired is still honoured.
+    if (!['pending', 'expired'].includes(invoice.status)) {
+      await this.rejectPayment(invoice, payment, 'INVOICE_ALREADY_SETTLED');
+      return;
+    }
+    if (Date.parse(transfer.timestamp) > Date.parse(invoice.expiresAt)) {
+      await this.rejectPayment(invoice, payment, 'INVOICE_EXPIRED');
+      return;
+    }
+    if (transfer.amountNano < BigInt(invoice.amountNano)) {
+      await this.rejectPayment(invoice, payment, 'UNDERPAID');
+      return;
+    }
+
+    let job;
+    try {
+      job = this.queue.enqueue(invoice.request, { source: invoice.source ?? 'api' });
+    } catch (error) {
+      // Shutting down is no reason to refund: leave the transfer for the next start's poll.
+      if (error?.code === 'SERVER_SHUTTING_DOWN') {
+        throw error;
+      }
+      await this.rejectPayment(invoice, payment, error?.code ?? 'MINT_REFUSED');
+      return;
+    }
+
+    this.store.update(invoice.id, {
+      status: 'paid',
+      jobId: job.id,
+      payments: [...invoice.payments, { ...payment, outcome: 'accepted' }],
+    });
+    console.log(`[paidMintService] Invoice ${invoice.id} paid by ${transfer.from}; queued mint job ${job.id}`);
+  }
+
+  async assertRefundWallet() {
+    if (!this.refundHandler || !this.refundWalletAddress) {
+      return;
+    }
+    const refundWallet = await this.refundWalletAddress();
+    if (!refundWallet.equals(this.receivingAddress)) {
+      const error = new Error(`Refunds are sent from ${refundWallet.toString()}, but payments go to ${this.receivingAddress.toString()}; `
+        + 'receive payments on the primary minter wallet or set PAID_MINT_REFUNDS=false to flag unusable payments instead');
+      error.code = 'REFUND_WALLET_MISMATCH';
+      throw error;
+    }
+  }
+
+  /**
+   * Send `payment` back minus the refund fee. Resolves with the payment as recorded: `refunded`
+   * with the transfer, or `flagged` for an operator when it cannot be refunded.
+   */
+  async settleUnusedPayment(invoice, payment, reason, { mayRefund = true } = {}) {
+    let outcome = 'flagged';
+    let refund = null;
+    const refundable = BigInt(payment.amountNano) - this.refundFeeNano;
+    if (mayRefund && this.refundHandler && refundable > 0n) {
+      try {
+        refund = await this.refundHandler({
+          to: payment.from,
+          amountNano: refundable.toString(),
+          comment: `Refund for ${invoice.comment}: ${reason}`,
+        });
+        outcome = 'refunded';
+      } catch (error) {
+        console.error(`[paidMintService] Refund for invoice ${invoice.id} failed`, error);
+      }
+    }
+    if (outcome === 'flagged') {
+      console.warn(`[paidMintService] Payment ${payment.hash} for invoice ${invoice.id} needs attention: ${reason}`);
+    }
+    return {
+      ...payment,
+      outcome,
+      reason,
+      refund: refund ? { amountNano: refundable.toString(), ...refund } : null,
+    };
+  }
+
+  async rejectPayment(invoice, payment, reason) {
+    const settled = await this.settleUnusedPayment(invoice, payment, reason);
+    const { outcome } = settled;
+    const patch = {
+      payments: [...invoice.payments, settled],
+    };
+    // A stray second payment must not undo an invoice that already led to a mint.
+    if (invoice.status !== 'paid') {
+      patch.status = outcome;
+      patch.flagReason = reason;
+    }
+    this.store.update(invoice.id, patch);
+  }
+
+  /**
+   * Follow `queue` so the payment behind a failed mint is refunded. Subscribe before the queue
+   * starts, so mints interrupted by a restart are flagged too.
+   */
+  attachTo(queue) {
+    queue.on('job:failed', (job) => {
+      this.refundFailedMint(job).catch((error) => {
+        console.error(`[paidMintService] Could not settle the payment for failed mint job ${job.id}`, error);
+      });
+    });
+  }
+
+  /**
+   * Refund the accepted payment of the invoice whose mint `job` was. A mint that timed out or
+   * was interrupted may still have landed, so its payment is flagged for an operator instead.
+   */
+  async refundFailedMint(job) {
+    const invoice = this.store.getByJobId(job.id);
+    const payment = invoice?.payments.find((entry) => entry.outcome === 'accepted');
+    if (invoice?.status !== 'paid' || !payment) {
+      return;
+    }
+    const reason = job.error?.code ?? 'MINT_FAILED';
+    const settled = await this.settleUnusedPayment(invoice, payment, reason, {
+      mayRefund: !MINT_FAILURES_TO_CHECK.has(reason),
+    });
+    // Re-read: a stray payment may have been recorded while the refund was being sent.
+    const current = this.store.get(invoice.id);
+    this.store.update(invoice.id, {
+      status: settled.outcome,
+      flagReason: reason,
+      payments: current.payments.map((entry) => (entry.hash === payment.hash ? settled : entry)),
+    });
+  }
+
+  expirePending(now = Date.now()) {
+    for (const invoice of this.store.listByStatus('pending')) {
+      if (Date.parse(invoice.expiresAt) < now) {
+        this.store.update(invoice.id, { status: 'expired' });
+      }
+    }
+  }
+}
+
+export function createPaidMintService({
+  store = createMintInvoiceStore({
+    filePath: config.dataDir ? path.join(config.dataDir, 'mint-invoices.json') : null,
+  }),
+  queue = mintJobQueue,
+  client = getTonClient(),
+  receivingAddress = config.paidMint.receivingAddress,
+  priceNano = toNano(String(config.paidMint.priceTon)),
+  invoiceTtlMs = config.paidMint.invoiceTtlMinutes * 60 * 1000,
+  pollIntervalMs = config.paidMint.pollIntervalMs,
+  refundHandler = config.paidMint.refunds ? refundFromMinterWallet : null,
+  refundWalletAddress = async () => (await getMinterWallet(PRIMARY_MINTER_WALLET_ID)).walletContract.address,
+  refundFeeNano = toNano(String(config.paidMint.refundFeeTon)),
+  colourRegistry = defaultColourRegistry,
+  quotaTracker = defaultQuotaTracker,
+  collectionRegistry = defaultCollectionRegistry,
+} = {}) {
+  return new PaidMintService({
+    store,
+    queue,
+    client,
+    receivingAddress,
+    priceNano,
+    invoiceTtlMs,
+    pollIntervalMs,
+    refundHandler,
+    refundWalletAddress,
+    refundFeeNano,
+    colourRegistry,
+    quotaTracker,
+    collectionRegistry,
+  });
+}
+
+export const paidMintService = config.paidMint.enabled ? createPaidMintService() : null;
+
+export default paidMintService;
@@ -0,0 +1,82 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+export const DEFAULT_SERVER_LOCK_PATH = config.dataDir ? path.join(config.dataDir, 'server.lock') : null;
+
+export class ServerRunningError extends Error {
+  constructor(lock, { action, lockPath }) {
+    super(`The server is running (pid ${lock.pid}, since ${lock.startedAt}); stop it before you ${action}. `
+      + `If it is not running, delete ${lockPath} or pass --force`);
+    this.name = 'ServerRunningError';
+    this.code = 'SERVER_RUNNING';
+    this.details = { pid: lock.pid, startedAt: lock.startedAt, lockPath };
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The lock another live process holds on `lockPath`, or null. Locks left behind by a process
+ * that died, or by this process, do not count.
+ */
+export function readServerLock(lockPath = DEFAULT_SERVER_LOCK_PATH) {
+  if (!lockPath) {
+    return null;
+  }
+  const lock = readJsonFile(lockPath, null);
+  if (!Number.isInteger(lock?.pid) || lock.pid === process.pid || !isAlive(lock.pid)) {
+    return null;
+  }
+  return lock;
+}
+
+/**
+ * Claim `DATA_DIR/server.lock` for this server process until it exits, so the CLI scripts that
+ * send from the minter wallets or rewrite the data files can refuse to run alongside it.
+ * Throws ServerRunningError when another server already runs on the same data directory.
+ */
+export function acquireServerLock(lockPath = DEFAULT_SERVER_LOCK_PATH) {
+  if (!lockPath) {
+    return;
+  }
+  const holder = readServerLock(lockPath);
+  if (holder) {
+    throw new ServerRunningError(holder, { action: 'start another one on the same DATA_DIR', lockPath });
+  }
+  writeJsonFile(lockPath, { pid: process.pid, startedAt: new Date().toISOString() });
+  process.on('exit', () => {
+    if (readJsonFile(lockPath, null)?.pid === process.pid) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  });
+}
+
+/**
+ * For CLI scripts: throw ServerRunningError while a server holds the lock, unless `force`.
+ * `action` finishes the sentence "stop it before you ...".
+ */
+export function assertServerStopped({ action, force = false, lockPath = DEFAULT_SERVER_LOCK_PATH }) {
+  if (force) {
+    return;
+  }
+  const holder = readServerLock(lockPath);
+  if (holder) {
+    throw new ServerRunningError(holder, { action, lockPath });
+  }
+}
+
+export default {
+  acquireServerLock,
+  assertServerStopped,
+  readServerLock,
+};
@@ -1,6 +1,8 @@
-import { normalizeHexColor } from '../utils/color.js';
+import { hexToHsl, normalizeHexColor } from '../utils/color.js';
 
 const SVG_SIZE = 512;
+const PALETTE_MAX_COLOURS = 4096;
+const PALETTE_EMPTY_FILL = '#1F1F1F';
 
 export function buildColorSvg(color) {
   const normalized = normalizeHexColor(color);
@@ -13,4 +15,53 @@ export function buildColorSvg(color) {
   ].join('\n');
 }
 
-export default { buildColorSvg };
+// Rainbow order: by hue, with near-greys last, light to dark within a hue.
+function paletteOrder(left, right) {
+  const key = (color) => {
+    const { h, s, l } = hexToHsl(color);
+    return [s < 10 ? 360 : h, -l];
+  };
+  const [leftHue, leftLightness] = key(left);
+  const [rightHue, rightLightness] = key(right);
+  return leftHue - rightHue || leftLightness - rightLightness;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A mosaic of `colours`, one cell each, laid out in rows that fill `width` x `height` with no
+ * gaps. Beyond PALETTE_MAX_COLOURS an even sample is drawn. An empty palette is a plain tile.
+ */
+export function buildPaletteSvg(colours, { width = SVG_SIZE, height = SVG_SIZE } = {}) {
+  let palette = Array.from(new Set(colours.map((color) => normalizeHexColor(color)))).sort(paletteOrder);
+  if (palette.length > PALETTE_MAX_COLOURS) {
+    const step = palette.length / PALETTE_MAX_COLOURS;
+    palette = Array.from({ length: PALETTE_MAX_COLOURS }, (_, position) => palette[Math.floor(position * step)]);
+  }
+
+  const cells = [];
+  if (palette.length === 0) {
+    cells.push(`  <rect width="${width}" height="${height}" fill="${PALETTE_EMPTY_FILL}" />`);
+  } else {
+    const columns = Math.ceil(Math.sqrt((palette.length * width) / height));
+    const rows = Math.ceil(palette.length / columns);
+    const cellHeight = height / rows;
+    for (let row = 0; row < rows; row += 1) {
+      const rowColours = palette.slice(row * columns, (row + 1) * columns);
+      const cellWidth = width / rowColours.length;
+      rowColours.forEach((color, column) => {
+        // Overlap by a pixel so anti-aliasing leaves no seams between cells.
+        cells.push(`  <rect x="${round(column * cellWidth)}" y="${round(row * cellHeight)}" width="${round(cellWidth + 1)}" height="${round(cellHeight + 1)}" fill="${color}" />`);
+      });
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+    ...cells,
+    '</svg>',
+  ].join('\n');
+}
+
+export default { buildColorSvg, buildPaletteSvg };
@@ -1,9 +1,17 @@
+import path from 'node:path';
 import express from 'express';
 import config from '../config/env.js';
 import { assertHexColor, assertTonAddress } from '../utils/validation.js';
 import { normalizeHexColor } from '../utils/color.js';
-import { mintColorNft } from './mintService.js';
+import { mintJobQueue } from './mintJobQueue.js';
+import { colourRegistry as defaultColourRegistry } from './colourRegistry.js';
+import { mintQuotaTracker as defaultQuotaTracker } from './mintQuota.js';
+import { paidMintService, toPublicInvoice } from './paidMintService.js';
+import { mintingControl as defaultMintingControl } from './mintingControl.js';
+import { collectionRegistry as defaultCollectionRegistry } from './collectionRegistry.js';
+import { stopMintingOnChain } from './mintService.js';
 import { createTelegramSessionStore } from './telegramSessionStore.js';
+import { telegramPrivacyStore as defaultPrivacyStore } from './telegramPrivacy.js';
 
 const HELP_MESSAGE = [
   'Welcome to TON Colours! 🎨',
@@ -12,6 +20,7 @@ const HELP_MESSAGE = [
   '• /start — register yourself with the bot and see this help',
   '• /wallet <TON address> — set or update the wallet used for minting',
   '• /mint <hex colour> [TON address] — mint the specified colour NFT (wallet optional if already set)',
+  '• /privacy [hidden | hashed | username | default] — choose how you appear in your NFTs\' public metadata',
   '',
   'You can also use the Telegram Mini App to submit mint requests — the bot will process the payload automatically.',
 ].join('\n');
@@ -69,6 +78,94 @@ function parseCommand(input) {
   return { command, args: parts };
 }
 
+function formatColourTakenMessage(colour, details) {
+  if (details?.status === 'minted') {
+    const item = typeof details.itemIndex === 'number' ? ` as item #${details.itemIndex}` : '';
+    return `🎨 ${colour} has already been minted${item}. Every colour can only be minted once — try another shade!`;
+  }
+  return `🎨 ${colour} is being minted by someone else right now. Try another shade!`;
+}
+
+function formatQuotaExceededMessage(details) {
+  if (details?.scope === 'wallet') {
+    return `⏳ This wallet has reached its limit of ${details.limit} mints. Try minting to a different wallet.`;
+  }
+  const limit = details?.limit ? ` of ${details.limit} mints` : '';
+  const retry = details?.nextAllowedAt
+    ? ` You can mint again after ${new Date(details.nextAllowedAt).toUTCString()}.`
+    : ' Please try again tomorrow.';
+  return `⏳ You have reached today's limit${limit}.${retry}`;
+}
+
+function formatShutdownMessage(details, backendBaseUrl) {
+  if (!details?.jobId) {
+    return '🔄 The bot is restarting and could not take this mint. Nothing was sent; please try again in a minute.';
+  }
+  const track = backendBaseUrl ? ` You can follow it at ${backendBaseUrl}/mint/${details.jobId}` : '';
+  if (details.status === 'queued') {
+    return `🔄 The bot is restarting before your mint started. It is saved and runs once the bot is back; I'll message you when it finishes.${track}`;
+  }
+  return `🔄 The bot is restarting while your mint was being sent. Once it is back I'll check the collection and tell you whether it landed.${track}`;
+}
+
+function formatMintSuccessMessage(colour, mintResult, mintedAt) {
+  return [
+    '✅ Mint successful!',
+    `Colour: ${colour}`,
+    `Item #${mintResult.itemIndex}`,
+    mintResult.nftAddress ? `NFT Address: ${mintResult.nftAddress}` : null,
+    mintResult.metadataUri ? `Metadata: ${mintResult.metadataUri}` : null,
+    mintedAt ? `Minted At: ${mintedAt}` : null,
+    mintResult.transaction?.explorerUrl ? `Transaction: ${mintResult.transaction.explorerUrl}` : null,
+    mintResult.transaction?.lt ? `Logical Time: ${mintResult.transaction.lt}` : null,
+    mintResult.transaction?.walletFees?.totalTon ? `Minter wallet fees: ${mintResult.transaction.walletFees.totalTon} TON` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Jobs the bot queued itself; their owners waited on them in chat.
+const BOT_JOB_SOURCES = new Set(['command', 'mini-app']);
+
+const jobColour = (job) => normalizeHexColor(job.payload.color);
+
+function formatInvoiceMessage(colour, invoice) {
+  return [
+    `💳 To mint ${colour}, send exactly ${invoice.amount} TON to:`,
+    invoice.address,
+    `with the comment: ${invoice.comment}`,
+    '',
+    `Pay before ${new Date(invoice.expiresAt).toUTCString()}. The mint starts as soon as the payment arrives; late or short payments are refunded.`,
+    invoice.paymentUrl,
+  ].join('\n');
+}
+
+const PRIVACY_CHOICES = {
+  hidden: 'omit',
+  hashed: 'hash',
+  username: 'username',
+};
+
+function describePrivacyMode(mode, preference) {
+  switch (mode) {
+    case 'public':
+      return 'your Telegram user ID';
+    case 'hash':
+      return 'a salted hash of your Telegram user ID';
+    case 'username':
+      return preference?.username ? `your username @${preference.username}` : 'nothing (you have no public username)';
+    default:
+      return 'nothing about your Telegram account';
+  }
+}
+
+function parseExemptionTarget(value) {
+  if (/^\d+$/.test(value)) {
+    return { telegramUserId: Number(value) };
+  }
+  return { walletAddress: assertTonAddress(value) };
+}
+
 function truncateAddress(address, { head = 4, tail = 4 } = {}) {
   if (!address || address.length <= head + tail + 2) {
     return address;
@@ -129,6 +226,14 @@ export class TelegramBotController {
     transport,
     sessionStore,
     mintHandler,
+    colourRegistry = null,
+    quotaTracker = null,
+    invoiceHandler = null,
+    mintingControl = null,
+    collectionRegistry = null,
+    stopMintingHandler = null,
+    privacyStore = null,
+    adminIds = [],
     webhookPath,
     secretToken,
     backendBaseUrl,
@@ -137,6 +242,14 @@ export class TelegramBotController {
     this.transport = transport;
     this.sessionStore = sessionStore;
     this.mintHandler = mintHandler;
+    this.colourRegistry = colourRegistry;
+    this.quotaTracker = quotaTracker;
+    this.invoiceHandler = invoiceHandler;
+    this.mintingControl = mintingControl;
+    this.collectionRegistry = collectionRegistry;
+    this.stopMintingHandler = stopMintingHandler;
+    this.privacyStore = privacyStore;
+    this.adminIds = new Set(adminIds.map(String));
     this.webhookPath = webhookPath;
     this.secretToken = secretToken;
     this.autoSetWebhook = autoSetWebhook;
@@ -200,6 +313,7 @@ export class TelegramBotController {
     }
 
     this.sessionStore.upsertUser(fromUser);
+    this.privacyStore?.refreshUsername(fromUser);
 
     if (message.web_app_data?.data) {
       await this.handleWebAppData({
@@ -234,6 +348,20 @@ export class TelegramBotController {
       case '/mint':
         await this.handleMint({ user: fromUser, chatId, args: command.args });
         break;
+      case '/privacy':
+        await this.handlePrivacy({ user: fromUser, chatId, args: command.args });
+        break;
+      case '/exempt':
+      case '/unexempt':
+        await this.handleExemption({ user: fromUser, chatId, args: command.args, revoke: command.command === '/unexempt' });
+        break;
+      case '/pause':
+      case '/resume':
+        await this.handlePause({ user: fromUser, chatId, args: command.args, resume: command.command === '/resume' });
+        break;
+      case '/stopminting':
+        await this.handleStopMinting({ user: fromUser, chatId, args: command.args });
+        break;
       default:
         await this.sendMessage(chatId, 'Unknown command. Type /help for instructions.');
         break;
@@ -266,6 +394,156 @@ export class TelegramBotController {
     }
   }
 
+  /**
+   * `/privacy` shows how the user's items present them in public metadata; `/privacy <choice>`
+   * changes it for every item they minted, and `/privacy default` goes back to the server's setting.
+   */
+  async handlePrivacy({ user, chatId, args }) {
+    if (!this.privacyStore) {
+      await this.sendMessage(chatId, 'Unknown command. Type /help for instructions.');
+      return;
+    }
+
+    const choice = args?.[0]?.toLowerCase();
+    if (!choice) {
+      const preference = this.privacyStore.get(user.id);
+      await this.sendMessage(chatId, [
+        `🔒 Your NFTs' public metadata shows ${describePrivacyMode(this.privacyStore.modeFor(user.id), preference)}.`,
+        'Change it with /privacy hidden, /privacy hashed, /privacy username or /privacy default.',
+      ].join('\n'));
+      return;
+    }
+
+    if (choice === 'default') {
+      this.privacyStore.reset(user.id);
+      await this.sendMessage(chatId, `🔒 Back to the default: your NFTs show ${describePrivacyMode(this.privacyStore.mode)}.`);
+      return;
+    }
+
+    const mode = PRIVACY_CHOICES[choice];
+    if (!mode) {
+      await this.sendMessage(chatId, 'Usage: /privacy [hidden | hashed | username | default]');
+      return;
+    }
+
+    try {
+      const preference = this.privacyStore.set(user.id, { mode, username: user.username ?? null });
+      await this.sendMessage(chatId, `🔒 Saved. Your NFTs now show ${describePrivacyMode(mode, preference)}.`);
+    } catch (error) {
+      await this.sendMessage(chatId, `❌ ${mode === 'username' ? 'Set a public Telegram username first' : error.message}`);
+    }
+  }
+
+  isAdmin(user) {
+    return this.adminIds.has(String(user.id));
+  }
+
+  async handleExemption({ user, chatId, args, revoke }) {
+    if (!this.isAdmin(user) || !this.quotaTracker) {
+      await this.sendMessage(chatId, 'Unknown command. Type /help for instructions.');
+      return;
+    }
+    if (!args?.length) {
+      await this.sendMessage(chatId, `Usage: /${revoke ? 'unexempt' : 'exempt'} <Telegram user ID | TON address>`);
+      return;
+    }
+
+    let target;
+    try {
+      target = parseExemptionTarget(args[0]);
+    } catch (error) {
+      await this.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+
+    if (revoke) {
+      const removed = this.quotaTracker.revokeExemption(target);
+      await this.sendMessage(chatId, removed ? `Quota exemption removed for ${args[0]}` : `${args[0]} had no quota exemption`);
+      return;
+    }
+
+    this.quotaTracker.grantExemption({ ...target, grantedBy: user.id });
+    console.log(`[telegram] Quota exemption granted for ${args[0]} by ${formatTelegramUserForLog(user)}`);
+    await this.sendMessage(chatId, `✅ ${args[0]} is now exempt from mint quotas`);
+  }
+
+  async handlePause({ user, chatId, args, resume }) {
+    if (!this.isAdmin(user) || !this.mintingControl) {
+      await this.sendMessage(chatId, 'Unknown command. Type /help for instructions.');
+      return;
+    }
+
+    if (resume) {
+      const resumed = this.mintingControl.resumeMinting();
+      console.log(`[telegram] Minting resumed by ${formatTelegramUserForLog(user)}`);
+      await this.sendMessage(chatId, resumed ? '▶️ Minting resumed. Held jobs are running again.' : 'Minting was not paused.');
+      return;
+    }
+
+    const reason = args?.length ? args.join(' ') : null;
+    this.mintingControl.pauseMinting({ reason, pausedBy: user.id });
+    console.log(`[telegram] Minting paused by ${formatTelegramUserForLog(user)}${reason ? `: ${reason}` : ''}`);
+    await this.sendMessage(chatId, '⏸ Minting paused. New requests are refused and queued jobs are held until /resume.');
+  }
+
+  /**
+   * `/stopminting <collection>` replies with a confirmation code; only repeating the command
+   * with that code (`/stopminting <collection> <code>`) sends `stop_minting` on-chain. The stop
+   * is recorded once the collection confirms it.
+   */
+  async handleStopMinting({ user, chatId, args }) {
+    if (!this.isAdmin(user) || !this.mintingControl || !this.stopMintingHandler) {
+      await this.sendMessage(chatId, 'Unknown command. Type /help for instructions.');
+      return;
+    }
+    if (!args?.length) {
+      await this.sendMessage(chatId, 'Usage: /stopminting <collection ID>');
+      return;
+    }
+
+    let collection;
+    try {
+      collection = this.collectionRegistry.get(args[0]);
+    } catch (error) {
+      await this.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+
+    if (args.length === 1) {
+      const code = this.mintingControl.requestStop({ collectionId: collection.id, requestedBy: user.id });
+      const minutes = Math.round(this.mintingControl.stopConfirmationTtlMs / 60000);
+      await this.sendMessage(chatId, [
+        `⚠️ This sends stop_minting to collection ${collection.id} (${collection.address}).`,
+        'The contract will then refuse every further mint into it. This cannot be undone.',
+        `To go ahead, send within ${minutes} minutes:`,
+        `/stopminting ${collection.id} ${code}`,
+      ].join('\n'));
+      return;
+    }
+
+    if (!this.mintingControl.confirmStop({ collectionId: collection.id, requestedBy: user.id, code: args[1] })) {
+      await this.sendMessage(chatId, `That confirmation code is wrong or has expired. Start again with /stopminting ${collection.id}`);
+      return;
+    }
+
+    try {
+      const { seqno, externalMessageHash } = await this.stopMintingHandler({ collectionId: collection.id });
+      this.mintingControl.recordStop({ collectionId: collection.id, stoppedBy: user.id, externalMessageHash });
+      console.log(`[telegram] stop_minting sent to ${collection.id} by ${formatTelegramUserForLog(user)}`);
+      await this.sendMessage(chatId, `⛔ stop_minting sent to ${collection.id} (seqno ${seqno}). New mints into it are refused.`);
+    } catch (error) {
+      console.error('[telegram] stop_minting failed', error);
+      if (error?.code === 'STOP_MINTING_NOT_CONFIRMED') {
+        await this.sendMessage(chatId, [
+          `⚠️ stop_minting was sent to ${collection.id} (seqno ${error.details?.seqno}), but the collection has not confirmed it.`,
+          `Minting into it is not marked as stopped. Check the collection and start again with /stopminting ${collection.id} if needed.`,
+        ].join('\n'));
+        return;
+      }
+      await this.sendMessage(chatId, `❌ Failed to send stop_minting: ${error?.message ?? 'Unknown error'}`);
+    }
+  }
+
   async handleMint({ user, chatId, args }) {
     if (!args || args.length === 0) {
       await this.sendMessage(chatId, 'Usage: /mint <hex colour> [TON address]');
@@ -340,14 +618,41 @@ export class TelegramBotController {
     this.sessionStore.setWallet(user.id, normalizedWallet);
     this.sessionStore.setLastColor(user.id, normalizedColour);
 
+    if (this.colourRegistry?.isTaken(normalizedColour)) {
+      const entry = this.colourRegistry.get(normalizedColour);
+      await this.sendMessage(chatId, formatColourTakenMessage(normalizeHexColor(normalizedColour), entry));
+      return;
+    }
+
+    try {
+      this.quotaTracker?.check([{ telegramUserId: user.id, walletAddress: normalizedWallet }]);
+    } catch (error) {
+      await this.sendMessage(chatId, formatQuotaExceededMessage(error.details));
+      return;
+    }
+
+    try {
+      this.mintingControl?.assertOpen();
+    } catch (error) {
+      await this.sendMessage(chatId, `⏸ ${error.message}`);
+      return;
+    }
+
+    const mintRequest = {
+      walletAddress: normalizedWallet,
+      telegramUserId: user.id,
+      color: normalizedColour,
+    };
+
+    if (this.invoiceHandler) {
+      await this.requestInvoice({ chatId, mintRequest, source });
+      return;
+    }
+
     await this.sendMessage(chatId, DEFAULT_ACK_MESSAGE);
 
     try {
-      const mintResult = await this.mintHandler({
-        walletAddress: normalizedWallet,
-        telegramUserId: user.id,
-        color: normalizedColour,
-      });
+      const mintResult = await this.mintHandler(mintRequest, { source });
 
       const mintedAt = mintResult.mintedAt ?? new Date().toISOString();
       this.sessionStore.recordMint(user.id, {
@@ -361,25 +666,87 @@ export class TelegramBotController {
         source,
       });
 
-      const successMessage = [
-        '✅ Mint successful!',
-        `Colour: ${normalizeHexColor(normalizedColour)}`,
-        `Item #${mintResult.itemIndex}`,
-        mintResult.nftAddress ? `NFT Address: ${mintResult.nftAddress}` : null,
-        `Metadata: ${mintResult.metadataUri}`,
-        mintedAt ? `Minted At: ${mintedAt}` : null,
-      ]
-        .filter(Boolean)
-        .join('\n');
-
-      await this.sendMessage(chatId, successMessage);
+      await this.sendMessage(chatId, formatMintSuccessMessage(normalizeHexColor(normalizedColour), mintResult, mintedAt));
     } catch (error) {
+      if (error?.code === 'COLOUR_ALREADY_MINTED') {
+        await this.sendMessage(chatId, formatColourTakenMessage(normalizeHexColor(normalizedColour), error.details));
+        return;
+      }
+      if (error?.code === 'MINT_QUOTA_EXCEEDED') {
+        await this.sendMessage(chatId, formatQuotaExceededMessage(error.details));
+        return;
+      }
+      if (error?.code === 'SERVER_SHUTTING_DOWN') {
+        await this.sendMessage(chatId, formatShutdownMessage(error.details, this.backendBaseUrl));
+        return;
+      }
       console.error('[telegram] Mint request failed', error);
       const errorMessage = error?.message ?? 'Unknown error';
       await this.sendMessage(chatId, `❌ Mint failed: ${errorMessage}`);
     }
   }
 
+  /**
+   * Tell users how mints carried over a restart ended: the chat that asked for them was told to
+   * wait, and the process that would have answered is gone. Private chats share the user's ID.
+   */
+  followUpRestartedJobs(jobQueue) {
+    const isFollowedUp = (job) => Boolean(job.restartedAt)
+      && BOT_JOB_SOURCES.has(job.source)
+      && (job.type ?? 'mint') === 'mint'
+      && job.payload?.telegramUserId;
+
+    jobQueue.on('job:succeeded', async (job) => {
+      if (!isFollowedUp(job)) {
+        return;
+      }
+      this.recordRestartedMint(job);
+      const mintedAt = job.result?.mintedAt ?? job.finishedAt;
+      await this.sendMessage(job.payload.telegramUserId, formatMintSuccessMessage(jobColour(job), job.result ?? {}, mintedAt));
+    });
+    jobQueue.on('job:failed', async (job) => {
+      if (!isFollowedUp(job)) {
+        return;
+      }
+      if (job.error?.code === 'MINT_INTERRUPTED') {
+        await this.sendMessage(job.payload.telegramUserId, `⚠️ Your mint of ${jobColour(job)} was cut off by the restart. I'm checking the collection and will tell you if it landed; don't mint it again yet.`);
+        return;
+      }
+      await this.sendMessage(job.payload.telegramUserId, `❌ Mint of ${jobColour(job)} failed: ${job.error?.message ?? 'Unknown error'}`);
+    });
+    jobQueue.on('job:recovered', async (job) => {
+      if (!isFollowedUp(job)) {
+        return;
+      }
+      this.recordRestartedMint(job);
+      await this.sendMessage(job.payload.telegramUserId, formatMintSuccessMessage(jobColour(job), job.result ?? {}, job.result?.mintedAt));
+    });
+  }
+
+  recordRestartedMint(job) {
+    const mintedAt = job.result?.mintedAt ?? job.finishedAt ?? new Date().toISOString();
+    this.sessionStore.recordMint(job.payload.telegramUserId, {
+      itemIndex: job.result?.itemIndex ?? null,
+      metadataUri: job.result?.metadataUri ?? null,
+      nftAddress: job.result?.nftAddress ?? null,
+      color: jobColour(job),
+      ownerAddress: job.result?.ownerAddress ?? job.payload.walletAddress,
+      mintedAt,
+      timestamp: mintedAt,
+      source: job.source,
+    });
+  }
+
+  async requestInvoice({ chatId, mintRequest, source }) {
+    try {
+      const invoice = await this.invoiceHandler(mintRequest, { source });
+      await this.sendMessage(chatId, formatInvoiceMessage(normalizeHexColor(mintRequest.color), invoice));
+    } catch (error) {
+      console.error('[telegram] Invoice request failed', error);
+      await this.sendMessage(chatId, `❌ Could not create a payment invoice: ${error?.message ?? 'Unknown error'}`);
+    }
+  }
+
   async sendMessage(chatId, text, extra = {}) {
     try {
       await this.transport.sendMessage({
@@ -394,10 +761,42 @@ export class TelegramBotController {
   }
 }
 
+/**
+ * Send operational alerts to Telegram chats (admins' private chats by default). Returns null
+ * when the bot is not configured or there is nobody to tell. Failed sends are logged, not thrown.
+ */
+export function createAdminNotifier({
+  chatIds = config.telegram.adminIds,
+  transport = config.telegram?.enabled ? new TelegramTransport(config.telegram) : null,
+} = {}) {
+  if (!transport || chatIds.length === 0) {
+    return null;
+  }
+  return async (text) => {
+    await Promise.all(chatIds.map(async (chatId) => {
+      try {
+        await transport.sendMessage({ chat_id: chatId, text, disable_web_page_preview: true });
+      } catch (error) {
+        console.error(`[telegram] Failed to send admin alert to ${chatId}`, error);
+      }
+    }));
+  };
+}
+
 export function registerTelegramBot(app, {
-  sessionStore = createTelegramSessionStore(),
+  sessionStore = createTelegramSessionStore({
+    filePath: config.dataDir ? path.join(config.dataDir, 'telegram-sessions.json') : null,
+  }),
   transport: providedTransport,
-  mintHandler = mintColorNft,
+  mintHandler = (request, options) => mintJobQueue.submit(request, options),
+  colourRegistry = defaultColourRegistry,
+  quotaTracker = defaultQuotaTracker,
+  invoiceHandler = paidMintService
+    ? (request, options) => toPublicInvoice(paidMintService.createInvoice(request, options))
+    : null,
+  mintingControl = defaultMintingControl,
+  privacyStore = defaultPrivacyStore,
+  jobQueue = mintJobQueue,
 } = {}) {
   if (!config.telegram?.enabled) {
     return null;
@@ -408,6 +807,14 @@ export function registerTelegramBot(app, {
     transport,
     sessionStore,
     mintHandler,
+    colourRegistry,
+    quotaTracker,
+    invoiceHandler,
+    mintingControl,
+    collectionRegistry: defaultCollectionRegistry,
+    stopMintingHandler: stopMintingOnChain,
+    privacyStore,
+    adminIds: config.telegram.adminIds,
     webhookPath: config.telegram.webhookPath,
     secretToken: config.telegram.secretToken,
     backendBaseUrl: config.backendBaseUrl,
@@ -441,6 +848,7 @@ export function registerTelegramBot(app, {
   }
 
   app.use(config.telegram.webhookPath, router);
+  controller.followUpRestartedJobs(jobQueue);
 
   controller.ensureWebhook().catch((error) => {
     console.error('[telegram] ensureWebhook error', error);
@@ -453,6 +861,7 @@ export function registerTelegramBot(app, {
 }
 
 export default {
+  createAdminNotifier,
   registerTelegramBot,
   TelegramBotController,
   TelegramTransport,
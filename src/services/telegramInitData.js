@@ -0,0 +1,81 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export class TelegramInitDataError extends Error {
+  constructor(message, { code = 'INIT_DATA_INVALID', statusCode = 401 } = {}) {
+    super(message);
+    this.name = 'TelegramInitDataError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function buildDataCheckString(params) {
+  return Array.from(params.entries())
+    .filter(([key]) => key !== 'hash')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+}
+
+export function signTelegramInitData(params, botToken) {
+  const secretKey = createHmac('sha256', 'WebAppData').update(botToken).digest();
+  return createHmac('sha256', secretKey).update(buildDataCheckString(params)).digest('hex');
+}
+
+/**
+ * Verify a Telegram Mini App `initData` query string as described in
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * and return the signed user. Throws TelegramInitDataError (401) when the signature does not
+ * match or `auth_date` is older than `maxAgeSeconds`.
+ */
+export function verifyTelegramInitData(initData, { botToken, maxAgeSeconds, now = Date.now() }) {
+  if (!botToken) {
+    throw new TelegramInitDataError('Telegram bot token is not configured; cannot verify initData', {
+      code: 'TELEGRAM_NOT_CONFIGURED',
+      statusCode: 503,
+    });
+  }
+  if (typeof initData !== 'string' || !initData.trim()) {
+    throw new TelegramInitDataError('Telegram initData must be a non-empty string');
+  }
+
+  const params = new URLSearchParams(initData.trim());
+  const hash = params.get('hash');
+  if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) {
+    throw new TelegramInitDataError('Telegram initData is missing a valid hash');
+  }
+
+  const expected = Buffer.from(signTelegramInitData(params, botToken), 'hex');
+  if (!timingSafeEqual(expected, Buffer.from(hash, 'hex'))) {
+    throw new TelegramInitDataError('Telegram initData signature is invalid');
+  }
+
+  const authDate = Number(params.get('auth_date'));
+  if (!Number.isSafeInteger(authDate) || authDate <= 0) {
+    throw new TelegramInitDataError('Telegram initData is missing auth_date');
+  }
+  if (maxAgeSeconds && now / 1000 - authDate > maxAgeSeconds) {
+    throw new TelegramInitDataError('Telegram initData has expired; reopen the mini app', { code: 'INIT_DATA_EXPIRED' });
+  }
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user') ?? 'null');
+  } catch (_error) {
+    user = null;
+  }
+  if (!user || !Number.isSafeInteger(user.id)) {
+    throw new TelegramInitDataError('Telegram initData does not contain a user');
+  }
+
+  return {
+    user,
+    authDate: new Date(authDate * 1000).toISOString(),
+    queryId: params.get('query_id'),
+  };
+}
+
+export default {
+  signTelegramInitData,
+  verifyTelegramInitData,
+};
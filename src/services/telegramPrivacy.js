@@ -0,0 +1,174 @@
+import path from 'node:path';
+import { createHmac } from 'node:crypto';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+// What a user can pick with /privacy, on top of the operator's TELEGRAM_ID_PRIVACY default.
+export const TELEGRAM_PRIVACY_PREFERENCES = ['omit', 'hash', 'username'];
+
+// The metadata trait each kind of public identity is published under.
+export const TELEGRAM_IDENTITY_TRAITS = {
+  id: 'Telegram User ID',
+  hash: 'Telegram User Hash',
+  username: 'Telegram Username',
+};
+
+export function hashTelegramUserId(telegramUserId, salt) {
+  return createHmac('sha256', salt).update(String(telegramUserId)).digest('hex');
+}
+
+/**
+ * Decides how a Telegram user shows up in public item metadata. The operator picks the default
+ * (`omit`, `hash` or `public`); each user can replace it for their own items with `omit`, `hash`
+ * or their public `@username`. Metadata is built on request, so a changed preference applies to
+ * items minted earlier too. Only the `public` identity keeps the raw ID in item content on-chain.
+ */
+export class TelegramPrivacyStore {
+  constructor({ filePath = null, mode = 'omit', hashSalt = null } = {}) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.hashSalt = hashSalt;
+    this.preferences = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { preferences: [] });
+    for (const preference of Array.isArray(snapshot?.preferences) ? snapshot.preferences : []) {
+      if (preference?.telegramUserId && TELEGRAM_PRIVACY_PREFERENCES.includes(preference.mode)) {
+        this.preferences.set(String(preference.telegramUserId), preference);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { preferences: this.all() });
+  }
+
+  get(telegramUserId) {
+    return this.preferences.get(String(telegramUserId)) ?? null;
+  }
+
+  set(telegramUserId, { mode, username = null }) {
+    if (!TELEGRAM_PRIVACY_PREFERENCES.includes(mode)) {
+      throw new Error(`Unknown privacy preference "${mode}". Expected one of: ${TELEGRAM_PRIVACY_PREFERENCES.join(', ')}`);
+    }
+    if (mode === 'hash' && !this.hashSalt) {
+      throw new Error('Hashed Telegram IDs are not enabled on this server');
+    }
+    if (mode === 'username' && !username) {
+      throw new Error('A public Telegram username is required');
+    }
+    const preference = {
+      telegramUserId: String(telegramUserId),
+      mode,
+      username: mode === 'username' ? username : null,
+      updatedAt: new Date().toISOString(),
+    };
+    this.preferences.set(preference.telegramUserId, preference);
+    this.persist();
+    return preference;
+  }
+
+  /**
+   * Keep an opted-in username current: users who rename themselves are shown under the new
+   * name, and users who drop their username are no longer shown at all.
+   */
+  refreshUsername(user) {
+    const preference = this.get(user?.id);
+    if (preference?.mode !== 'username' || preference.username === (user.username ?? null)) {
+      return;
+    }
+    this.preferences.set(preference.telegramUserId, {
+      ...preference,
+      username: user.username ?? null,
+      updatedAt: new Date().toISOString(),
+    });
+    this.persist();
+  }
+
+  reset(telegramUserId) {
+    const removed = this.preferences.delete(String(telegramUserId));
+    if (removed) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  modeFor(telegramUserId) {
+    return this.get(telegramUserId)?.mode ?? this.mode;
+  }
+
+  /**
+   * `{ type, value }` to publish for `telegramUserId` (`type` is a key of
+   * TELEGRAM_IDENTITY_TRAITS), or null when nothing should be shown.
+   */
+  publicIdentity(telegramUserId) {
+    if (telegramUserId === undefined || telegramUserId === null || telegramUserId === '') {
+      return null;
+    }
+    const preference = this.get(telegramUserId);
+    switch (preference?.mode ?? this.mode) {
+      case 'public':
+        return { type: 'id', value: String(telegramUserId) };
+      case 'hash':
+        return this.hashSalt ? { type: 'hash', value: hashTelegramUserId(telegramUserId, this.hashSalt) } : null;
+      case 'username':
+        return preference.username ? { type: 'username', value: `@${preference.username}` } : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The Telegram ID to write into item content and metadata URIs, which stay public for good:
+   * only users shown by raw ID keep it there.
+   */
+  contentTelegramUserId(telegramUserId) {
+    return this.publicIdentity(telegramUserId)?.type === 'id' ? telegramUserId : null;
+  }
+
+  /**
+   * A copy of an API response or webhook record with its raw `telegramUserId` swapped for what
+   * the user agreed to show: the ID only in `public` mode, and the public identity (hash or
+   * username) under `telegramIdentity`. Records without a `telegramUserId` come back as is.
+   */
+  redact(record) {
+    if (!record || typeof record !== 'object' || !('telegramUserId' in record)) {
+      return record;
+    }
+    const telegramIdentity = this.publicIdentity(record.telegramUserId);
+    return {
+      ...record,
+      telegramUserId: telegramIdentity?.type === 'id' ? record.telegramUserId : null,
+      telegramIdentity,
+    };
+  }
+
+  all() {
+    return Array.from(this.preferences.values());
+  }
+
+  clear() {
+    this.preferences.clear();
+    this.persist();
+  }
+}
+
+export function createTelegramPrivacyStore({
+  filePath = config.dataDir ? path.join(config.dataDir, 'telegram-privacy.json') : null,
+  mode = config.telegramIdPrivacy.mode,
+  hashSalt = config.telegramIdPrivacy.hashSalt,
+} = {}) {
+  return new TelegramPrivacyStore({ filePath, mode, hashSalt });
+}
+
+export const telegramPrivacyStore = createTelegramPrivacyStore();
+
+export default telegramPrivacyStore;
@@ -1,10 +1,66 @@
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
 const toIsoString = () => new Date().toISOString();
 
+export const SESSION_FILE_VERSION = 1;
+
+function emptySession(userId, now) {
+  return {
+    userId,
+    username: null,
+    firstName: null,
+    lastName: null,
+    languageCode: null,
+    walletAddress: null,
+    lastColor: null,
+    lastMint: null,
+    totalMints: 0,
+    createdAt: now,
+    updatedAt: now,
+    lastInteractionAt: now,
+  };
+}
+
+/**
+ * Bring a stored session up to the current shape: numeric `userId`, every field present, and
+ * `lastMint.mintedAt` filled from the `timestamp` older summaries only had. Returns null for
+ * records without a usable user ID.
+ */
+export function normalizeSession(raw) {
+  const userId = Number(raw?.userId ?? raw?.id);
+  if (!Number.isSafeInteger(userId)) {
+    return null;
+  }
+  const createdAt = raw.createdAt ?? raw.updatedAt ?? raw.lastInteractionAt ?? toIsoString();
+  const session = {
+    ...emptySession(userId, createdAt),
+    ...raw,
+    userId,
+    totalMints: Number.isInteger(raw.totalMints) ? raw.totalMints : (raw.lastMint ? 1 : 0),
+  };
+  delete session.id;
+  if (session.lastMint) {
+    const mintedAt = session.lastMint.mintedAt ?? session.lastMint.timestamp ?? null;
+    session.lastMint = { ...session.lastMint, mintedAt, timestamp: session.lastMint.timestamp ?? mintedAt };
+  }
+  return session;
+}
+
+/**
+ * Telegram bot sessions, one per user: profile, saved wallet, last colour and mint summary.
+ * This class keeps them in memory; every change goes through `save()`, which subclasses
+ * extend to persist it. `FileTelegramSessionStore` is the durable one.
+ */
 export class TelegramSessionStore {
   constructor() {
     this.sessions = new Map();
   }
 
+  save(session) {
+    this.sessions.set(session.userId, session);
+    return session;
+  }
+
   upsertUser(user) {
     if (!user || typeof user.id !== 'number') {
       throw new Error('Cannot upsert Telegram user without a numeric id');
@@ -13,7 +69,7 @@ export class TelegramSessionStore {
     const existing = this.sessions.get(user.id);
     const now = toIsoString();
     if (existing) {
-      const patched = {
+      return this.save({
         ...existing,
         username: user.username ?? existing.username ?? null,
         firstName: user.first_name ?? existing.firstName ?? null,
@@ -21,57 +77,29 @@ export class TelegramSessionStore {
         languageCode: user.language_code ?? existing.languageCode ?? null,
         lastInteractionAt: now,
         updatedAt: now,
-      };
-      this.sessions.set(user.id, patched);
-      return patched;
+      });
     }
 
-    const created = {
-      userId: user.id,
+    return this.save({
+      ...emptySession(user.id, now),
       username: user.username ?? null,
       firstName: user.first_name ?? null,
       lastName: user.last_name ?? null,
       languageCode: user.language_code ?? null,
-      walletAddress: null,
-      lastColor: null,
-      lastMint: null,
-      totalMints: 0,
-      createdAt: now,
-      updatedAt: now,
-      lastInteractionAt: now,
-    };
-    this.sessions.set(user.id, created);
-    return created;
+    });
   }
 
   touch(userId) {
     const session = this.sessions.get(userId);
     const now = toIsoString();
     if (session) {
-      const patched = {
+      return this.save({
         ...session,
         lastInteractionAt: now,
         updatedAt: now,
-      };
-      this.sessions.set(userId, patched);
-      return patched;
+      });
     }
-    const created = {
-      userId,
-      username: null,
-      firstName: null,
-      lastName: null,
-      languageCode: null,
-      walletAddress: null,
-      lastColor: null,
-      lastMint: null,
-      totalMints: 0,
-      createdAt: now,
-      updatedAt: now,
-      lastInteractionAt: now,
-    };
-    this.sessions.set(userId, created);
-    return created;
+    return this.save(emptySession(userId, now));
   }
 
   get(userId) {
@@ -79,41 +107,26 @@ export class TelegramSessionStore {
   }
 
   setWallet(userId, walletAddress) {
-    if (!this.sessions.has(userId)) {
-      this.touch(userId);
-    }
-    const now = toIsoString();
-    const session = this.sessions.get(userId);
-    const patched = {
+    const session = this.sessions.get(userId) ?? this.touch(userId);
+    return this.save({
       ...session,
       walletAddress: walletAddress ?? null,
-      updatedAt: now,
-    };
-    this.sessions.set(userId, patched);
-    return patched;
+      updatedAt: toIsoString(),
+    });
   }
 
   setLastColor(userId, color) {
-    if (!this.sessions.has(userId)) {
-      this.touch(userId);
-    }
-    const now = toIsoString();
-    const session = this.sessions.get(userId);
-    const patched = {
+    const session = this.sessions.get(userId) ?? this.touch(userId);
+    return this.save({
       ...session,
       lastColor: color ?? null,
-      updatedAt: now,
-    };
-    this.sessions.set(userId, patched);
-    return patched;
+      updatedAt: toIsoString(),
+    });
   }
 
   recordMint(userId, mintSummary) {
-    if (!this.sessions.has(userId)) {
-      this.touch(userId);
-    }
+    const session = this.sessions.get(userId) ?? this.touch(userId);
     const now = toIsoString();
-    const session = this.sessions.get(userId);
     const mintedAt = mintSummary?.mintedAt ?? mintSummary?.timestamp ?? now;
     const summary = {
       itemIndex: mintSummary?.itemIndex ?? null,
@@ -125,15 +138,13 @@ export class TelegramSessionStore {
       timestamp: mintSummary?.timestamp ?? mintedAt ?? now,
       source: mintSummary?.source ?? null,
     };
-    const patched = {
+    return this.save({
       ...session,
       lastMint: summary,
       lastColor: summary.color ?? session.lastColor ?? null,
       totalMints: (session.totalMints ?? 0) + 1,
       updatedAt: now,
-    };
-    this.sessions.set(userId, patched);
-    return patched;
+    });
   }
 
   all() {
@@ -145,8 +156,68 @@ export class TelegramSessionStore {
   }
 }
 
-export function createTelegramSessionStore() {
-  return new TelegramSessionStore();
+/**
+ * Sessions kept in a JSON file (`{ version, sessions }`), rewritten on every change. Besides its
+ * own format it loads a bare array of sessions or the `{ users }` body of the bot's `/sessions`
+ * endpoint, so sessions dumped from a server that kept them in memory can be carried over;
+ * either is rewritten in the current format on load.
+ */
+export class FileTelegramSessionStore extends TelegramSessionStore {
+  constructor({ filePath }) {
+    super();
+    if (!filePath) {
+      throw new Error('FileTelegramSessionStore requires a file path');
+    }
+    this.filePath = filePath;
+    this.load();
+  }
+
+  load() {
+    const snapshot = readJsonFile(this.filePath, null);
+    if (snapshot === null) {
+      return;
+    }
+    let records = [];
+    if (Array.isArray(snapshot)) {
+      records = snapshot;
+    } else if (Array.isArray(snapshot.sessions)) {
+      records = snapshot.sessions;
+    } else if (Array.isArray(snapshot.users)) {
+      records = snapshot.users;
+    }
+    for (const record of records) {
+      const session = normalizeSession(record);
+      if (session) {
+        this.sessions.set(session.userId, session);
+      }
+    }
+    if (snapshot.version !== SESSION_FILE_VERSION) {
+      console.log(`[telegramSessionStore] Migrated ${this.sessions.size} sessions in ${this.filePath} to version ${SESSION_FILE_VERSION}`);
+      this.persist();
+    }
+  }
+
+  persist() {
+    writeJsonFile(this.filePath, { version: SESSION_FILE_VERSION, sessions: this.all() });
+  }
+
+  save(session) {
+    super.save(session);
+    this.persist();
+    return session;
+  }
+
+  clear() {
+    super.clear();
+    this.persist();
+  }
+}
+
+/**
+ * A file-backed store when `filePath` is given, otherwise an in-memory one.
+ */
+export function createTelegramSessionStore({ filePath = null } = {}) {
+  return filePath ? new FileTelegramSessionStore({ filePath }) : new TelegramSessionStore();
 }
 
 export default TelegramSessionStore;
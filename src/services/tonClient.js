@@ -1,6 +1,7 @@
 import TonWeb from 'tonweb';
 import { mnemonicToPrivateKey } from '@ton/crypto';
 import {
+  TonClient,
   WalletContractV1R1,
   WalletContractV1R2,
   WalletContractV1R3,
@@ -24,6 +25,8 @@ if (config.tonApiKey && endpointUrl.includes('toncenter.com')) {
 const provider = new TonWeb.HttpProvider(endpointUrl);
 const tonweb = new TonWeb(provider);
 
+let tonClient;
+
 const walletFactories = new Map([
   ['v1r1', WalletContractV1R1],
   ['v1r2', WalletContractV1R2],
@@ -36,8 +39,8 @@ const walletFactories = new Map([
   ['v5r1', WalletContractV5R1],
 ]);
 
-let cachedKeyPairPromise;
-let cachedWalletContract;
+// Key pairs and wallet contracts per minter wallet ID; deriving a key from a mnemonic is slow.
+const minterWalletCache = new Map();
 
 function resolveWalletFactory(version) {
   const factory = walletFactories.get(version);
@@ -47,19 +50,17 @@ function resolveWalletFactory(version) {
   return factory;
 }
 
-async function getKeyPair() {
-  if (!cachedKeyPairPromise) {
-    cachedKeyPairPromise = mnemonicToPrivateKey(config.mnemonicWords);
+function resolveWalletConfig(walletId) {
+  const walletConfig = config.minterWallets.find((entry) => entry.id === walletId);
+  if (!walletConfig) {
+    throw new Error(`Minter wallet "${walletId}" is not configured`);
   }
-  return cachedKeyPairPromise;
+  return walletConfig;
 }
 
-async function getWalletContract() {
-  if (cachedWalletContract) {
-    return cachedWalletContract;
-  }
-  const keyPair = await getKeyPair();
-  const WalletClass = resolveWalletFactory(config.walletVersion);
+async function createWalletContract({ mnemonicWords, version }) {
+  const keyPair = await mnemonicToPrivateKey(mnemonicWords);
+  const WalletClass = resolveWalletFactory(version);
   
   const createOptions = {
     workchain: 0,
@@ -67,7 +68,7 @@ async function getWalletContract() {
   };
   
   // For v5r1 wallets, we need to specify the walletId to match the expected address
-  if (config.walletVersion === 'v5r1') {
+  if (version === 'v5r1') {
     createOptions.walletId = {
       networkGlobalId: -3, // Testnet
       workChain: 0,
@@ -76,13 +77,20 @@ async function getWalletContract() {
     };
   }
   
-  cachedWalletContract = WalletClass.create(createOptions);
-  return cachedWalletContract;
+  return { keyPair, walletContract: WalletClass.create(createOptions) };
 }
 
-export async function getMinterWallet() {
-  const walletContract = await getWalletContract();
-  const keyPair = await getKeyPair();
+/**
+ * Key pair and wallet contract of one minter wallet from `config.minterWallets`; the
+ * primary wallet (`MINT_WALLET_MNEMONIC`) when no ID is given.
+ */
+export async function getMinterWallet(walletId = 'primary') {
+  if (!minterWalletCache.has(walletId)) {
+    const pending = createWalletContract(resolveWalletConfig(walletId));
+    minterWalletCache.set(walletId, pending);
+    pending.catch(() => minterWalletCache.delete(walletId));
+  }
+  const { keyPair, walletContract } = await minterWalletCache.get(walletId);
   const address = walletContract.address;
 
   const walletAdapter = {
@@ -103,7 +111,19 @@ export function getTonWeb() {
   return tonweb;
 }
 
+// @ton/ton client used for native message building and get-method calls.
+export function getTonClient() {
+  if (!tonClient) {
+    tonClient = new TonClient({
+      endpoint: config.tonEndpoint,
+      apiKey: config.tonApiKey,
+    });
+  }
+  return tonClient;
+}
+
 export default {
   getTonWeb,
+  getTonClient,
   getMinterWallet,
 };
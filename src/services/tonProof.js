@@ -0,0 +1,213 @@
+import { createHash, randomBytes } from 'node:crypto';
+import {
+  Address,
+  Cell,
+  WalletContractV3R1,
+  WalletContractV3R2,
+  WalletContractV4,
+  WalletContractV5R1,
+  contractAddress,
+  loadStateInit,
+} from '@ton/ton';
+import { signVerify } from '@ton/crypto';
+import config from '../config/env.js';
+
+const TON_PROOF_PREFIX = 'ton-proof-item-v2/';
+const TON_CONNECT_PREFIX = 'ton-connect';
+const FUTURE_SKEW_SECONDS = 60;
+
+export class TonProofError extends Error {
+  constructor(message, { code = 'TON_PROOF_INVALID', statusCode = 401 } = {}) {
+    super(message);
+    this.name = 'TonProofError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+
+/**
+ * Single-use `ton_proof` payloads. Each one is bound to the Telegram user it was issued for
+ * and expires after `ttlMs`; payloads only need to live for one TON Connect round trip, so
+ * they are kept in memory.
+ */
+export class TonProofPayloadStore {
+  constructor({ ttlMs = 15 * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.payloads = new Map();
+  }
+
+  issue({ telegramUserId }) {
+    const now = Date.now();
+    for (const [payload, record] of this.payloads) {
+      if (record.expiresAt <= now) {
+        this.payloads.delete(payload);
+      }
+    }
+    const payload = randomBytes(32).toString('hex');
+    const record = { telegramUserId, expiresAt: now + this.ttlMs };
+    this.payloads.set(payload, record);
+    return { payload, expiresAt: new Date(record.expiresAt).toISOString() };
+  }
+
+  consume(payload, { telegramUserId }) {
+    const record = this.payloads.get(payload);
+    if (!record || record.expiresAt <= Date.now() || record.telegramUserId !== telegramUserId) {
+      throw new TonProofError('ton_proof payload is unknown, expired or was issued to another user', {
+        code: 'TON_PROOF_PAYLOAD_INVALID',
+      });
+    }
+    this.payloads.delete(payload);
+  }
+}
+
+export function createTonProofPayloadStore(options) {
+  return new TonProofPayloadStore(options);
+}
+
+// Data layouts of the standard wallets: everything before the public key, in bits.
+const WALLET_PUBLIC_KEY_OFFSETS = [
+  [WalletContractV3R1, 64],
+  [WalletContractV3R2, 64],
+  [WalletContractV4, 64],
+  [WalletContractV5R1, 65],
+];
+
+let knownWalletCodes = null;
+
+function getKnownWalletCodes() {
+  if (!knownWalletCodes) {
+    knownWalletCodes = new Map(WALLET_PUBLIC_KEY_OFFSETS.map(([Wallet, offsetBits]) => {
+      const { init } = Wallet.create({ workchain: 0, publicKey: Buffer.alloc(32) });
+      return [init.code.hash().toString('hex'), offsetBits];
+    }));
+  }
+  return knownWalletCodes;
+}
+
+/**
+ * Read the public key out of a standard wallet's state init. The state init must also hash
+ * to `address`, otherwise it proves nothing about that wallet.
+ */
+export function publicKeyFromStateInit(stateInitBase64, address) {
+  let stateInit;
+  try {
+    stateInit = loadStateInit(Cell.fromBase64(stateInitBase64).beginParse());
+  } catch (_error) {
+    throw new TonProofError('state_init is not a valid StateInit cell');
+  }
+  if (!stateInit.code || !stateInit.data) {
+    throw new TonProofError('state_init has no code or data');
+  }
+  if (!contractAddress(address.workChain, stateInit).equals(address)) {
+    throw new TonProofError('state_init does not belong to the claimed address');
+  }
+
+  const offsetBits = getKnownWalletCodes().get(stateInit.code.hash().toString('hex'));
+  if (offsetBits === undefined) {
+    throw new TonProofError('Unsupported wallet contract; cannot read its public key', {
+      code: 'TON_PROOF_UNSUPPORTED_WALLET',
+      statusCode: 400,
+    });
+  }
+  const data = stateInit.data.beginParse();
+  data.skip(offsetBits);
+  return data.loadBuffer(32);
+}
+
+/**
+ * The bytes a wallet signs for `ton_proof`, as specified in
+ * https://docs.ton.org/develop/dapps/ton-connect/sign#concept-explanation
+ */
+export function buildTonProofMessage({ address, domain, timestamp, payload }) {
+  const workchain = Buffer.alloc(4);
+  workchain.writeInt32BE(address.workChain);
+  const domainLength = Buffer.alloc(4);
+  domainLength.writeUInt32LE(domain.lengthBytes);
+  const timestampBytes = Buffer.alloc(8);
+  timestampBytes.writeBigUInt64LE(BigInt(timestamp));
+
+  const message = Buffer.concat([
+    Buffer.from(TON_PROOF_PREFIX),
+    workchain,
+    address.hash,
+    domainLength,
+    Buffer.from(domain.value),
+    timestampBytes,
+    Buffer.from(payload),
+  ]);
+
+  return sha256(Buffer.concat([
+    Buffer.from([0xff, 0xff]),
+    Buffer.from(TON_CONNECT_PREFIX),
+    sha256(message),
+  ]));
+}
+
+/**
+ * Verify a TON Connect `ton_proof` for `address`. Checks, in order: the shape of the proof,
+ * the dApp domain, the timestamp window, the payload (single use, issued to this user),
+ * and the signature against the public key taken from the wallet's state init.
+ */
+export function verifyTonProof({ address, publicKey, proof }, {
+  telegramUserId,
+  payloadStore,
+  allowedDomains,
+  maxAgeSeconds,
+  now = Date.now(),
+}) {
+  let parsedAddress;
+  try {
+    parsedAddress = Address.parse(String(address ?? ''));
+  } catch (_error) {
+    throw new TonProofError('address must be a valid TON address', { statusCode: 400 });
+  }
+  if (!proof || typeof proof !== 'object' || !proof.domain || typeof proof.payload !== 'string'
+    || typeof proof.signature !== 'string' || typeof proof.state_init !== 'string') {
+    throw new TonProofError('proof must include domain, timestamp, payload, signature and state_init', { statusCode: 400 });
+  }
+
+  const domainValue = String(proof.domain.value ?? '');
+  if (Buffer.byteLength(domainValue) !== proof.domain.lengthBytes || !allowedDomains.includes(domainValue)) {
+    throw new TonProofError(`ton_proof domain "${domainValue}" is not allowed`, { code: 'TON_PROOF_DOMAIN_MISMATCH' });
+  }
+
+  const timestamp = Number(proof.timestamp);
+  const nowSeconds = Math.floor(now / 1000);
+  if (!Number.isSafeInteger(timestamp) || nowSeconds - timestamp > maxAgeSeconds || timestamp - nowSeconds > FUTURE_SKEW_SECONDS) {
+    throw new TonProofError('ton_proof timestamp is outside the accepted window', { code: 'TON_PROOF_EXPIRED' });
+  }
+
+  const walletPublicKey = publicKeyFromStateInit(proof.state_init, parsedAddress);
+  if (publicKey && Buffer.from(String(publicKey), 'hex').compare(walletPublicKey) !== 0) {
+    throw new TonProofError('public_key does not match the wallet state init');
+  }
+
+  payloadStore.consume(proof.payload, { telegramUserId });
+
+  const message = buildTonProofMessage({
+    address: parsedAddress,
+    domain: { lengthBytes: proof.domain.lengthBytes, value: domainValue },
+    timestamp,
+    payload: proof.payload,
+  });
+  if (!signVerify(message, Buffer.from(proof.signature, 'base64'), walletPublicKey)) {
+    throw new TonProofError('ton_proof signature is invalid');
+  }
+
+  return {
+    address: parsedAddress,
+    publicKey: walletPublicKey.toString('hex'),
+  };
+}
+
+export const tonProofPayloadStore = createTonProofPayloadStore({
+  ttlMs: config.tonProof.maxAgeSeconds * 1000,
+});
+
+export default {
+  buildTonProofMessage,
+  publicKeyFromStateInit,
+  verifyTonProof,
+};
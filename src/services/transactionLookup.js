@@ -0,0 +1,123 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Dictionary, beginCell, fromNano, storeMessage } from '@ton/ton';
+import config from '../config/env.js';
+import { CollectionOpcodes } from './collectionContract.js';
+
+const EXPLORER_BASE_URLS = {
+  mainnet: 'https://tonviewer.com/transaction',
+  testnet: 'https://testnet.tonviewer.com/transaction',
+};
+
+const TRANSACTION_PAGE_SIZE = 20;
+
+export function hashMessage(message) {
+  return beginCell().store(storeMessage(message)).endCell().hash().toString('hex');
+}
+
+export function buildExplorerUrl(transactionHash, network = config.tonNetwork) {
+  const baseUrl = EXPLORER_BASE_URLS[network] ?? EXPLORER_BASE_URLS.mainnet;
+  return `${baseUrl}/${transactionHash}`;
+}
+
+/**
+ * `walletFees` are the fees of this one minter wallet transaction. The collection and item
+ * transactions further down the trace pay their own fees out of the value forwarded to them,
+ * so they are not included.
+ */
+export function summarizeTransaction(transaction, { externalMessageHash = null } = {}) {
+  const hash = transaction.hash().toString('hex');
+  const totalFeesNano = transaction.totalFees?.coins ?? 0n;
+  return {
+    hash,
+    lt: transaction.lt.toString(),
+    externalMessageHash: externalMessageHash ?? (transaction.inMessage ? hashMessage(transaction.inMessage) : null),
+    walletFees: {
+      totalNano: totalFeesNano.toString(),
+      totalTon: fromNano(totalFeesNano),
+    },
+    timestamp: transaction.now ? new Date(transaction.now * 1000).toISOString() : null,
+    explorerUrl: buildExplorerUrl(hash),
+  };
+}
+
+const skipBatchValue = {
+  serialize() {
+    throw new Error('Serialising batch mint items is not supported');
+  },
+  parse(slice) {
+    return slice;
+  },
+};
+
+/**
+ * True when one of the transaction's outgoing messages is a collection `mint` (or
+ * `batch_mint`) that deploys `itemIndex`.
+ */
+export function isMintTransactionFor(transaction, { collectionAddress, itemIndex }) {
+  for (const message of transaction.outMessages.values()) {
+    if (message.info.type !== 'internal' || !message.info.dest.equals(collectionAddress)) {
+      continue;
+    }
+    try {
+      const body = message.body.beginParse();
+      const op = body.loadUint(32);
+      body.loadUintBig(64); // query_id
+      if (op === CollectionOpcodes.mint && body.loadUint(64) === itemIndex) {
+        return true;
+      }
+      if (op === CollectionOpcodes.batch_mint) {
+        const items = body.loadRef().beginParse().loadDictDirect(Dictionary.Keys.Uint(64), skipBatchValue);
+        if (items.has(itemIndex)) {
+          return true;
+        }
+      }
+    } catch (_error) {
+      // Not a collection op we understand; keep looking.
+    }
+  }
+  return false;
+}
+
+/**
+ * Poll the minter wallet's recent transactions until one matches. Match either on the hash
+ * of the external message we sent, or (when we did not build it ourselves) on the mint
+ * message it produced for `itemIndex`.
+ */
+export async function findMinterTransaction({
+  client,
+  walletAddress,
+  externalMessageHash = null,
+  collectionAddress = null,
+  itemIndex = null,
+  timeoutMs = config.mintConfirmTimeoutMs,
+  pollIntervalMs = config.mintConfirmPollIntervalMs,
+}) {
+  const matches = (transaction) => {
+    if (externalMessageHash) {
+      return transaction.inMessage?.info.type === 'external-in'
+        && hashMessage(transaction.inMessage) === externalMessageHash;
+    }
+    return isMintTransactionFor(transaction, { collectionAddress, itemIndex });
+  };
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const transactions = await client.getTransactions(walletAddress, { limit: TRANSACTION_PAGE_SIZE });
+    const found = transactions.find(matches);
+    if (found) {
+      return summarizeTransaction(found, { externalMessageHash });
+    }
+    if (Date.now() >= deadline) {
+      return null;
+    }
+    await sleep(pollIntervalMs);
+  }
+}
+
+export default {
+  buildExplorerUrl,
+  findMinterTransaction,
+  hashMessage,
+  isMintTransactionFor,
+  summarizeTransaction,
+};
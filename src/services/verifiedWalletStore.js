@@ -0,0 +1,88 @@
+import path from 'node:path';
+import { Address } from '@ton/ton';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+function rawAddress(walletAddress) {
+  try {
+    return Address.parse(String(walletAddress).trim()).toRawString();
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Wallets each Telegram user has proven control of with TON Connect `ton_proof`.
+ * Addresses are compared in raw form, so any friendly encoding of a verified wallet matches.
+ */
+export class VerifiedWalletStore {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { wallets: [] });
+    for (const record of Array.isArray(snapshot?.wallets) ? snapshot.wallets : []) {
+      if (record?.telegramUserId && record.rawAddress) {
+        this.records.set(`${record.telegramUserId}:${record.rawAddress}`, record);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { wallets: this.all() });
+  }
+
+  markVerified({ telegramUserId, walletAddress, publicKey = null }) {
+    const raw = rawAddress(walletAddress);
+    if (!raw) {
+      throw new Error('walletAddress must be a valid TON address');
+    }
+    const record = {
+      telegramUserId: String(telegramUserId),
+      walletAddress: Address.parse(raw).toString(),
+      rawAddress: raw,
+      publicKey,
+      verifiedAt: new Date().toISOString(),
+    };
+    this.records.set(`${record.telegramUserId}:${raw}`, record);
+    this.persist();
+    return record;
+  }
+
+  isVerified(telegramUserId, walletAddress) {
+    const raw = rawAddress(walletAddress);
+    return Boolean(raw && this.records.has(`${telegramUserId}:${raw}`));
+  }
+
+  listForUser(telegramUserId) {
+    return this.all().filter((record) => record.telegramUserId === String(telegramUserId));
+  }
+
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  clear() {
+    this.records.clear();
+    this.persist();
+  }
+}
+
+export function createVerifiedWalletStore(options) {
+  return new VerifiedWalletStore(options);
+}
+
+export const verifiedWalletStore = createVerifiedWalletStore({
+  filePath: config.dataDir ? path.join(config.dataDir, 'verified-wallets.json') : null,
+});
+
+export default verifiedWalletStore;
@@ -0,0 +1,294 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import path from 'node:path';
+import config from '../config/env.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { telegramPrivacyStore as defaultTelegramPrivacy } from './telegramPrivacy.js';
+
+const toIsoString = () => new Date().toISOString();
+
+export const SIGNATURE_HEADER = 'X-TonColours-Signature';
+
+/**
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers recompute the HMAC with
+ * the shared secret and should reject stale timestamps to stop replays.
+ */
+export function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function describeItem(item, telegramPrivacy) {
+  return telegramPrivacy.redact({
+    itemIndex: item?.itemIndex ?? null,
+    nftAddress: item?.nftAddress ?? null,
+    ownerAddress: item?.ownerAddress ?? item?.walletAddress ?? null,
+    color: item?.color ?? null,
+    telegramUserId: item?.telegramUserId ?? null,
+  });
+}
+
+/**
+ * Event payload for a mint job. Single mints carry the item fields at the top level; batch
+ * jobs list them under `items`. Telegram users are shown only as their privacy setting allows.
+ */
+export function buildMintEventData(job, { telegramPrivacy = defaultTelegramPrivacy } = {}) {
+  const data = {
+    jobId: job.id,
+    jobType: job.type ?? 'mint',
+    status: job.status,
+    collectionId: job.payload?.collectionId ?? null,
+  };
+  if (job.type === 'batch') {
+    // Results line up with the payload, and a batch that failed part-way only has the first ones.
+    const results = job.result?.items ?? [];
+    data.items = (job.payload?.items ?? []).map((item, position) => describeItem({ ...item, ...results[position] }, telegramPrivacy));
+  } else {
+    Object.assign(data, describeItem({ ...job.payload, ...job.result }, telegramPrivacy));
+    data.transaction = job.result?.transaction ?? null;
+  }
+  if (job.result?.reconciled) {
+    data.reconciled = true;
+  }
+  if (job.error) {
+    data.error = job.error;
+  }
+  return data;
+}
+
+export class WebhookDeliveryStore {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.deliveries = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const snapshot = readJsonFile(this.filePath, { deliveries: [] });
+    for (const delivery of Array.isArray(snapshot?.deliveries) ? snapshot.deliveries : []) {
+      if (delivery && typeof delivery.id === 'string') {
+        this.deliveries.set(delivery.id, delivery);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(this.filePath, { deliveries: this.all() });
+  }
+
+  create({ url, event, payload }) {
+    const now = toIsoString();
+    const delivery = {
+      id: randomUUID(),
+      url,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.deliveries.set(delivery.id, delivery);
+    this.persist();
+    return delivery;
+  }
+
+  get(deliveryId) {
+    return this.deliveries.get(deliveryId) ?? null;
+  }
+
+  update(deliveryId, patch) {
+    const existing = this.deliveries.get(deliveryId);
+    if (!existing) {
+      throw new Error(`Webhook delivery ${deliveryId} does not exist`);
+    }
+    const patched = { ...existing, ...patch, updatedAt: toIsoString() };
+    this.deliveries.set(deliveryId, patched);
+    this.persist();
+    return patched;
+  }
+
+  listByStatus(status) {
+    return this.all().filter((delivery) => delivery.status === status);
+  }
+
+  all() {
+    return Array.from(this.deliveries.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export function createWebhookDeliveryStore(options) {
+  return new WebhookDeliveryStore(options);
+}
+
+/**
+ * Posts signed mint lifecycle events to every configured endpoint. Each delivery is stored
+ * with every attempt (status code or error, duration) and retried with exponential backoff
+ * until it gets a 2xx or runs out of attempts; pending deliveries resume on `start()`.
+ */
+export class WebhookDispatcher {
+  constructor({
+    endpoints = [],
+    secret = null,
+    store,
+    fetchImpl = (...args) => fetch(...args),
+    maxAttempts = 6,
+    initialBackoffMs = 2000,
+    maxBackoffMs = 5 * 60 * 1000,
+    timeoutMs = 5000,
+    telegramPrivacy = defaultTelegramPrivacy,
+  }) {
+    if (endpoints.length > 0 && !secret) {
+      throw new Error('Webhook endpoints need a secret to sign deliveries with');
+    }
+    this.endpoints = endpoints;
+    this.secret = secret;
+    this.store = store;
+    this.fetchImpl = fetchImpl;
+    this.maxAttempts = maxAttempts;
+    this.initialBackoffMs = initialBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.timeoutMs = timeoutMs;
+    this.telegramPrivacy = telegramPrivacy;
+    this.timers = new Map();
+  }
+
+  get enabled() {
+    return this.endpoints.length > 0;
+  }
+
+  /**
+   * Subscribe to a MintJobQueue so every job transition becomes a webhook event. A job that
+   * reconciliation found on-chain after it failed gets a `mint.succeeded` with `reconciled: true`,
+   * which supersedes the earlier `mint.failed`.
+   */
+  attachTo(queue) {
+    const eventData = (job) => buildMintEventData(job, { telegramPrivacy: this.telegramPrivacy });
+    queue.on('job:queued', (job) => this.dispatch('mint.queued', eventData(job)));
+    queue.on('job:succeeded', (job) => this.dispatch('mint.succeeded', eventData(job)));
+    queue.on('job:failed', (job) => this.dispatch('mint.failed', eventData(job)));
+    queue.on('job:recovered', (job) => this.dispatch('mint.succeeded', eventData(job)));
+  }
+
+  start() {
+    for (const delivery of this.store.listByStatus('pending')) {
+      this.schedule(delivery);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  dispatch(event, data) {
+    if (!this.enabled) {
+      return [];
+    }
+    const payload = {
+      id: randomUUID(),
+      type: event,
+      createdAt: toIsoString(),
+      data,
+    };
+    return this.endpoints.map((url) => {
+      const delivery = this.store.create({ url, event, payload });
+      this.schedule(delivery);
+      return delivery;
+    });
+  }
+
+  schedule(delivery) {
+    const delayMs = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch((error) => {
+        console.error(`[webhooks] Delivery ${delivery.id} crashed`, error);
+      });
+    }, delayMs);
+    timer.unref?.();
+    this.timers.set(delivery.id, timer);
+  }
+
+  backoffMs(attemptNumber) {
+    return Math.min(this.maxBackoffMs, this.initialBackoffMs * 2 ** (attemptNumber - 1));
+  }
+
+  async attempt(deliveryId) {
+    const delivery = this.store.get(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return delivery;
+    }
+
+    const attemptNumber = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-TonColours-Event': delivery.event,
+      'X-TonColours-Delivery': delivery.id,
+      [SIGNATURE_HEADER]: signWebhookPayload(body, this.secret),
+    };
+
+    const startedAt = Date.now();
+    const record = { attempt: attemptNumber, at: new Date(startedAt).toISOString() };
+    try {
+      const response = await this.fetchImpl(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      record.statusCode = response.status;
+      record.ok = response.ok;
+    } catch (error) {
+      record.ok = false;
+      record.error = error?.message ?? String(error);
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, record];
+    if (record.ok) {
+      return this.store.update(deliveryId, { status: 'delivered', attempts, nextAttemptAt: null });
+    }
+    if (attemptNumber >= this.maxAttempts) {
+      console.error(`[webhooks] Giving up on ${delivery.event} delivery ${deliveryId} to ${delivery.url} after ${attemptNumber} attempts`);
+      return this.store.update(deliveryId, { status: 'failed', attempts, nextAttemptAt: null });
+    }
+
+    const nextAttemptAt = new Date(Date.now() + this.backoffMs(attemptNumber)).toISOString();
+    const updated = this.store.update(deliveryId, { attempts, nextAttemptAt });
+    this.schedule(updated);
+    return updated;
+  }
+}
+
+export function createWebhookDispatcher({
+  endpoints = config.webhooks.urls,
+  secret = config.webhooks.secret,
+  store = createWebhookDeliveryStore({
+    filePath: config.dataDir ? path.join(config.dataDir, 'webhook-deliveries.json') : null,
+  }),
+  ...options
+} = {}) {
+  return new WebhookDispatcher({
+    endpoints,
+    secret,
+    store,
+    maxAttempts: config.webhooks.maxAttempts,
+    initialBackoffMs: config.webhooks.initialBackoffMs,
+    timeoutMs: config.webhooks.timeoutMs,
+    ...options,
+  });
+}
+
+export const webhookDispatcher = createWebhookDispatcher();
+
+export default webhookDispatcher;
@@ -22,6 +22,35 @@ export function hexToRgb(hexColor) {
   return { r, g, b };
 }
 
+/**
+ * Hue in degrees (0-359), saturation and lightness in percent (0-100), all rounded.
+ */
+export function hexToHsl(hexColor) {
+  const { r, g, b } = hexToRgb(hexColor);
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) {
+    return { h: 0, s: 0, l: Math.round(lightness * 100) };
+  }
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) {
+    hue = ((green - blue) / delta) % 6;
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+  return {
+    h: Math.round((hue * 60 + 360) % 360) % 360,
+    s: Math.round(saturation * 100),
+    l: Math.round(lightness * 100),
+  };
+}
+
 export function isDarkColor(hexColor) {
   const { r, g, b } = hexToRgb(hexColor);
   const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
@@ -31,5 +60,6 @@ export function isDarkColor(hexColor) {
 export default {
   normalizeHexColor,
   hexToRgb,
+  hexToHsl,
   isDarkColor,
 };
@@ -0,0 +1,43 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Read and parse a JSON file, returning `fallback` when the file does not exist yet.
+ */
+export function readJsonFile(filePath, fallback = null) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+
+  if (!raw.trim()) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to parse JSON file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write JSON atomically: serialise into a sibling temp file, then rename over the target
+ * so a crash mid-write never leaves a truncated file behind.
+ */
+export function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+export default {
+  readJsonFile,
+  writeJsonFile,
+};
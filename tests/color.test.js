@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { hexToRgb, isDarkColor, normalizeHexColor } from '../src/utils/color.js';
+import { hexToHsl, hexToRgb, isDarkColor, normalizeHexColor } from '../src/utils/color.js';
 
 describe('normalizeHexColor', () => {
   it('normalizes lowercase without hash', () => {
@@ -17,6 +17,14 @@ describe('hexToRgb', () => {
   });
 });
 
+describe('hexToHsl', () => {
+  it('converts hex to hue, saturation and lightness', () => {
+    expect(hexToHsl('#FF0000')).toEqual({ h: 0, s: 100, l: 50 });
+    expect(hexToHsl('#3267D6')).toEqual({ h: 221, s: 67, l: 52 });
+    expect(hexToHsl('#808080')).toEqual({ h: 0, s: 0, l: 50 });
+  });
+});
+
 describe('isDarkColor', () => {
   it('detects dark colors', () => {
     expect(isDarkColor('#000000')).toBe(true);
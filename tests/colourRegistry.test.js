@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+vi.mock('../src/services/collectionItems.js', () => ({
+  iterateCollectionItems: vi.fn(async function* iterate() {
+    yield { itemIndex: 0, nftAddress: 'EQitem0', ownerAddress: 'EQowner', deployed: true, content: { color: '#010203', telegramUserId: '5' } };
+    yield { itemIndex: 1, nftAddress: 'EQitem1', ownerAddress: null, deployed: false, content: null };
+    yield { itemIndex: 2, nftAddress: 'EQitem2', ownerAddress: 'EQowner', deployed: true, content: { color: '#010203', telegramUserId: null } };
+  }),
+}));
+
+const {
+  ColourAlreadyMintedError,
+  createColourRegistry,
+  seedColourRegistryFromChain,
+} = await import('../src/services/colourRegistry.js');
+
+describe('ColourRegistry', () => {
+  it('reserves a colour for one holder and rejects everyone else', () => {
+    const registry = createColourRegistry();
+    registry.reserve('#aabbcc', { holder: 'job-1' });
+
+    expect(registry.reserve('AABBCC', { holder: 'job-1' }).holder).toBe('job-1');
+    expect(() => registry.reserve('#AABBCC', { holder: 'job-2' })).toThrow(ColourAlreadyMintedError);
+    expect(registry.isTaken('#AABBCC')).toBe(true);
+    expect(registry.isTaken('#AABBCC', { holder: 'job-1' })).toBe(false);
+  });
+
+  it('reserves batches all-or-nothing', () => {
+    const registry = createColourRegistry();
+    registry.reserve('#000001', { holder: 'job-1' });
+
+    expect(() => registry.reserveMany(['#000002', '#000001'], { holder: 'job-2' })).toThrow(/already being minted/);
+    expect(() => registry.reserveMany(['#000003', '#000003'], { holder: 'job-2' })).toThrow(ColourAlreadyMintedError);
+    expect(registry.get('#000002')).toBeNull();
+    expect(registry.get('#000003')).toBeNull();
+  });
+
+  it('releases only unconfirmed reservations of the same holder', () => {
+    const registry = createColourRegistry();
+    registry.reserve('#123456', { holder: 'job-1' });
+
+    expect(registry.release('#123456', { holder: 'job-2' })).toBe(false);
+    expect(registry.release('#123456', { holder: 'job-1' })).toBe(true);
+    expect(registry.get('#123456')).toBeNull();
+
+    registry.reserve('#123456', { holder: 'job-3' });
+    registry.confirm('#123456', { holder: 'job-3', itemIndex: 9, nftAddress: 'EQnine' });
+    expect(registry.release('#123456', { holder: 'job-3' })).toBe(false);
+
+    expect(() => registry.reserve('#123456', { holder: 'job-4' })).toThrow(expect.objectContaining({
+      statusCode: 409,
+      code: 'COLOUR_ALREADY_MINTED',
+      details: { color: '#123456', collectionId: 'default', status: 'minted', itemIndex: 9, nftAddress: 'EQnine' },
+    }));
+  });
+
+  it('tracks each collection separately', () => {
+    const registry = createColourRegistry();
+    registry.confirm('#ABCDEF', { holder: 'job-5', itemIndex: 1 });
+
+    expect(registry.isTaken('#ABCDEF', { collectionId: 'season-2' })).toBe(false);
+    registry.reserve('#ABCDEF', { holder: 'job-6', collectionId: 'season-2' });
+    expect(registry.get('#abcdef', { collectionId: 'season-2' })).toMatchObject({ status: 'reserved', collectionId: 'season-2' });
+    expect(registry.release('#ABCDEF', { holder: 'job-6' })).toBe(false);
+    expect(registry.release('#ABCDEF', { holder: 'job-6', collectionId: 'season-2' })).toBe(true);
+    expect(registry.get('#ABCDEF')).toMatchObject({ status: 'minted', itemIndex: 1 });
+  });
+
+  describe('with a data directory', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'colour-registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('persists entries across restarts', () => {
+      const filePath = path.join(tempDir, 'colour-registry.json');
+      const registry = createColourRegistry({ filePath });
+      registry.reserve('#FEDCBA', { holder: 'job-1' });
+      registry.confirm('#FEDCBA', { holder: 'job-1', itemIndex: 4 });
+
+      const reloaded = createColourRegistry({ filePath });
+      expect(reloaded.get('#FEDCBA')).toMatchObject({ status: 'minted', itemIndex: 4 });
+    });
+
+    it('loads entries written before collections existed into the default collection', () => {
+      const filePath = path.join(tempDir, 'colour-registry.json');
+      fs.writeFileSync(filePath, JSON.stringify({ colours: [{ color: '#0F0F0F', status: 'minted', itemIndex: 2 }] }));
+
+      const registry = createColourRegistry({ filePath, defaultCollectionId: 'season-1' });
+      expect(registry.get('#0F0F0F')).toMatchObject({ collectionId: 'season-1', itemIndex: 2 });
+      expect(registry.isTaken('#0F0F0F', { collectionId: 'season-2' })).toBe(false);
+    });
+  });
+
+  it('seeds colours found on-chain, keeping the first item per colour', async () => {
+    const registry = createColourRegistry();
+
+    const summary = await seedColourRegistryFromChain({ registry });
+
+    expect(summary).toEqual({ scanned: 3, added: 1 });
+    expect(registry.get('#010203')).toMatchObject({ status: 'minted', itemIndex: 0, nftAddress: 'EQitem0', holder: 'seed' });
+
+    const again = await seedColourRegistryFromChain({ registry });
+    expect(again.added).toBe(0);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+import { createColourRarityIndex, deriveColourTraits } from '../src/services/colourTraits.js';
+import { nearestColorName } from '../src/utils/colorNames.js';
+
+describe('nearestColorName', () => {
+  it('names exact and nearby CSS colours', () => {
+    expect(nearestColorName('#FF0000')).toBe('Red');
+    expect(nearestColorName('#fe0101')).toBe('Red');
+    expect(nearestColorName('#ABCDEF')).toBe('Light Blue');
+    expect(nearestColorName('#000001')).toBe('Black');
+  });
+});
+
+describe('deriveColourTraits', () => {
+  it('derives bands, tone and special patterns', () => {
+    expect(deriveColourTraits('#ABCDEF')).toEqual({
+      name: 'Light Blue',
+      hueFamily: 'Blue',
+      lightness: 'Very Light',
+      saturation: 'Moderate',
+      tone: 'Light',
+      patterns: [],
+    });
+    expect(deriveColourTraits('#000000')).toMatchObject({
+      hueFamily: 'Neutral',
+      lightness: 'Very Dark',
+      saturation: 'Unsaturated',
+      tone: 'Dark',
+      patterns: ['Greyscale', 'Palindrome', 'Shorthand', 'Web Safe'],
+    });
+    expect(deriveColourTraits('#FFFF00').patterns).toEqual(['Secondary', 'Shorthand', 'Web Safe']);
+    expect(deriveColourTraits('#FF0000').patterns).toEqual(['Primary', 'Shorthand', 'Web Safe']);
+    expect(deriveColourTraits('#12AB21')).toMatchObject({ hueFamily: 'Green', lightness: 'Dark', saturation: 'Vivid' });
+  });
+});
+
+describe('ColourRarityIndex', () => {
+  it('scores minted colours against their collection and ranks the rarest first', () => {
+    const registry = createColourRegistry({ filePath: null, defaultCollectionId: 'default' });
+    const index = createColourRarityIndex({ colourRegistry: registry });
+    for (const color of ['#FF0000', '#FE0101', '#FF0101', '#808080']) {
+      registry.confirm(color, { holder: 'test', ownerAddress: 'EQowner' });
+    }
+    registry.confirm('#808080', { holder: 'test', ownerAddress: 'EQowner', collectionId: 'season-2' });
+
+    expect(index.rarityOf('#808080', { collectionId: 'default' })).toEqual({ score: 18, rank: 1, total: 4 });
+    expect(index.rarityOf('#FF0000', { collectionId: 'default' })).toEqual({ score: 10, rank: 2, total: 4 });
+    expect(index.rarityOf('#FE0101', { collectionId: 'default' })).toEqual({ score: 8, rank: 3, total: 4 });
+    expect(index.rarityOf('#FF0101', { collectionId: 'default' })).toEqual({ score: 8, rank: 3, total: 4 });
+    // Not minted yet: scored as the fifth colour, without a rank.
+    expect(index.rarityOf('#0000FF', { collectionId: 'default' })).toEqual({ score: 15.75, rank: null, total: 4 });
+    expect(index.rarityOf('#808080', { collectionId: 'season-2' })).toEqual({ score: 6, rank: 1, total: 1 });
+
+    registry.confirm('#0000FF', { holder: 'test', ownerAddress: 'EQowner' });
+    expect(index.rarityOf('#0000FF', { collectionId: 'default' })).toEqual({ score: 15.75, rank: 2, total: 5 });
+    expect(index.rarityOf('#808080', { collectionId: 'default' })).toMatchObject({ rank: 1, total: 5 });
+  });
+});
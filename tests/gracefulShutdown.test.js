@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { handleShutdownSignals, shutdownGracefully } from '../src/services/gracefulShutdown.js';
+import { MintJobQueue } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+
+const request = {
+  walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+  telegramUserId: 77,
+  color: '#FF0000',
+};
+
+function createServer({ closesAfterMs = 0 } = {}) {
+  return {
+    close: vi.fn((callback) => {
+      if (closesAfterMs !== null) {
+        setTimeout(callback, closesAfterMs);
+      }
+    }),
+    closeAllConnections: vi.fn(),
+  };
+}
+
+describe('shutdownGracefully', () => {
+  let logSpy;
+  let warnSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  it('stops intake, waits for the running mint, then closes streams and services', async () => {
+    const order = [];
+    let releaseMint;
+    const queue = new MintJobQueue({
+      store: createMintJobStore(),
+      mintHandler: () => new Promise((resolve) => {
+        releaseMint = () => {
+          order.push('mint finished');
+          resolve({ itemIndex: 1 });
+        };
+      }),
+    });
+    const job = queue.enqueue(request);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const server = createServer();
+
+    const stopping = shutdownGracefully({
+      server,
+      queue,
+      timeoutMs: 1000,
+      stopIntake: [() => order.push('intake stopped')],
+      stopServices: [() => order.push('services stopped')],
+      closeStreams: () => order.push('streams closed'),
+    });
+    setTimeout(() => releaseMint(), 5);
+
+    await expect(stopping).resolves.toEqual({ persisted: false, queued: 0, running: 0 });
+    expect(order).toEqual(['intake stopped', 'mint finished', 'streams closed', 'services stopped']);
+    expect(server.close).toHaveBeenCalledTimes(1);
+    expect(server.closeAllConnections).not.toHaveBeenCalled();
+    expect(queue.get(job.id).status).toBe('succeeded');
+  });
+
+  it('gives up on stuck mints and open connections at the deadline', async () => {
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: () => new Promise(() => {}) });
+    const job = queue.enqueue(request);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const server = createServer({ closesAfterMs: null });
+
+    const unfinished = await shutdownGracefully({ server, queue, timeoutMs: 20, closeStreams: () => {} });
+
+    expect(unfinished).toEqual({ persisted: false, queued: 0, running: 1 });
+    expect(queue.get(job.id).error.code).toBe('MINT_INTERRUPTED');
+    expect(server.closeAllConnections).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('handleShutdownSignals', () => {
+  it('shuts down once and exits straight away on a second signal', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const exit = vi.fn();
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: vi.fn() });
+    const onSignal = handleShutdownSignals(
+      { server: createServer(), queue, timeoutMs: 100, closeStreams: () => {} },
+      { signals: [], exit },
+    );
+
+    onSignal('SIGTERM');
+    onSignal('SIGINT');
+    expect(exit).toHaveBeenCalledWith(1);
+
+    await vi.waitFor(() => expect(exit).toHaveBeenCalledWith(0));
+    expect(queue.closed).toBe(true);
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+import { createItemMetadataStore } from '../src/services/itemMetadataStore.js';
+
+const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+describe('ItemMetadataStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-metadata-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('records an item once per collection and index and keeps it across restarts', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const filePath = path.join(tempDir, 'item-metadata.json');
+    const store = createItemMetadataStore({ filePath, colourRegistry: null, defaultCollectionId: 'default' });
+
+    store.record({ itemIndex: 4, color: 'abcdef', walletAddress: wallet, telegramUserId: 77, mintedAt: '2026-01-01T00:00:00.000Z' });
+    store.record({ itemIndex: 4, color: '#000000' });
+    store.record({ collectionId: 'season-2', itemIndex: 4, color: '#123456' });
+
+    const restarted = createItemMetadataStore({ filePath, colourRegistry: null, defaultCollectionId: 'default' });
+    expect(restarted.get(4)).toMatchObject({ collectionId: 'default', color: '#ABCDEF', walletAddress: wallet, telegramUserId: 77 });
+    expect(restarted.get(4, { collectionId: 'season-2' }).color).toBe('#123456');
+    expect(restarted.get(5)).toBeNull();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('ignoring #000000'));
+    warnSpy.mockRestore();
+  });
+
+  it('takes items minted before it existed from the colour registry', () => {
+    const colourRegistry = createColourRegistry({ defaultCollectionId: 'default' });
+    colourRegistry.reserve('#FF0000', { holder: 'job-1', ownerAddress: wallet, telegramUserId: 77 });
+    colourRegistry.confirm('#FF0000', { holder: 'job-1', itemIndex: 9, mintedAt: '2026-01-02T00:00:00.000Z' });
+    colourRegistry.reserve('#00FF00', { holder: 'job-2' });
+    const store = createItemMetadataStore({ filePath: null, colourRegistry, defaultCollectionId: 'default' });
+
+    expect(store.get(9)).toMatchObject({
+      color: '#FF0000',
+      walletAddress: wallet,
+      telegramUserId: 77,
+      mintedAt: '2026-01-02T00:00:00.000Z',
+    });
+    expect(store.all()).toHaveLength(1);
+    expect(store.get(9, { collectionId: 'season-2' })).toBeNull();
+    expect(store.get(null)).toBeNull();
+  });
+});
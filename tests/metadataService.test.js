@@ -1,5 +1,8 @@
 import { describe, expect, it } from 'vitest';
 import { buildMetadata, buildMetadataUri } from '../src/services/metadataService.js';
+import { createTelegramPrivacyStore } from '../src/services/telegramPrivacy.js';
+
+const publicTelegramIds = createTelegramPrivacyStore({ filePath: null, mode: 'public' });
 
 describe('buildMetadata', () => {
   it('returns metadata with svg image', () => {
@@ -9,13 +12,56 @@ describe('buildMetadata', () => {
       walletAddress: 'EQ123',
       telegramUserId: 42,
       mintedAt: '2025-01-01T00:00:00.000Z',
+      telegramPrivacy: publicTelegramIds,
     });
 
     expect(metadata.name).toContain('#ABCDEF');
     expect(metadata.image).toContain('/image/1?color=ABCDEF');
     expect(metadata.image_data).toBeTruthy();
     expect(metadata.image_data).toMatch(/^[A-Za-z0-9+/=]+$/); // Base64 pattern
-    expect(metadata.attributes).toHaveLength(4);
+    expect(metadata.attributes).toEqual([
+      { trait_type: 'Color', value: '#ABCDEF' },
+      { trait_type: 'Color Name', value: 'Light Blue' },
+      { trait_type: 'Hue Family', value: 'Blue' },
+      { trait_type: 'Lightness', value: 'Very Light' },
+      { trait_type: 'Saturation', value: 'Moderate' },
+      { trait_type: 'Tone', value: 'Light' },
+      { trait_type: 'Telegram User ID', value: '42' },
+      { trait_type: 'Wallet Address', value: 'EQ123' },
+      { trait_type: 'Minted At', value: '2025-01-01T00:00:00.000Z' },
+    ]);
+    expect(metadata.properties.rarity).toBeNull();
+  });
+
+  it('shows the Telegram user as the privacy settings say', () => {
+    const privacy = createTelegramPrivacyStore({ filePath: null, mode: 'omit', hashSalt: 'pepper' });
+    privacy.set(43, { mode: 'hash' });
+    privacy.set(44, { mode: 'username', username: 'painter' });
+    const telegramOf = (telegramUserId) => {
+      const metadata = buildMetadata({ itemIndex: 1, color: '#ABCDEF', telegramUserId, telegramPrivacy: privacy });
+      return {
+        attributes: metadata.attributes.filter((attribute) => attribute.trait_type.startsWith('Telegram')),
+        properties: { telegramUserId: metadata.properties.telegramUserId, telegram: metadata.properties.telegram },
+      };
+    };
+
+    expect(telegramOf(42)).toEqual({ attributes: [], properties: { telegramUserId: null, telegram: null } });
+    const hashed = telegramOf(43);
+    expect(hashed.attributes).toEqual([{ trait_type: 'Telegram User Hash', value: expect.stringMatching(/^[0-9a-f]{64}$/) }]);
+    expect(hashed.attributes[0].value).not.toContain('43');
+    expect(hashed.properties.telegramUserId).toBeNull();
+    expect(telegramOf(44).attributes).toEqual([{ trait_type: 'Telegram Username', value: '@painter' }]);
+  });
+
+  it('adds a trait per special pattern and the rarity when given', () => {
+    const metadata = buildMetadata({ itemIndex: 2, color: '#FF0000', rarity: { score: 10, rank: 2, total: 4 } });
+
+    expect(metadata.attributes.filter((attribute) => attribute.trait_type === 'Pattern').map((attribute) => attribute.value))
+      .toEqual(['Primary', 'Shorthand', 'Web Safe']);
+    expect(metadata.attributes).toContainEqual({ trait_type: 'Rarity Score', value: 10, display_type: 'number' });
+    expect(metadata.attributes).toContainEqual({ trait_type: 'Rarity Rank', value: 2, display_type: 'number', max_value: 4 });
+    expect(metadata.properties.traits).toMatchObject({ name: 'Red', hueFamily: 'Red' });
+    expect(metadata.properties.rarity).toEqual({ score: 10, rank: 2, total: 4 });
   });
 });
 
@@ -28,6 +74,7 @@ describe('buildMetadataUri', () => {
       walletAddress: 'EQ123',
       telegramUserId: 99,
       mintedAt: '2025-01-01T00:00:00.000Z',
+      telegramPrivacy: publicTelegramIds,
     });
 
     expect(url).toContain('/metadata/3');
@@ -36,4 +83,10 @@ describe('buildMetadataUri', () => {
     expect(url).toContain('tg=99');
     expect(url).toContain('mintedAt=2025-01-01T00%3A00%3A00.000Z');
   });
+
+  it('leaves the Telegram ID out unless it is shown publicly', () => {
+    const url = buildMetadataUri({ baseUrl: 'https://example.com', itemIndex: 3, color: '#123456', telegramUserId: 99 });
+
+    expect(url).not.toContain('tg=');
+  });
 });
@@ -0,0 +1,143 @@
+import http from 'node:http';
+import { describe, expect, it } from 'vitest';
+import express from 'express';
+import { MintFeed, streamMintFeed, streamMintJob } from '../src/services/mintEventStream.js';
+import { MintJobQueue } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+
+const request = {
+  walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+  telegramUserId: 77,
+  color: '#FF0000',
+};
+
+function parseEvents(text) {
+  return text.split('\n\n')
+    .map((block) => Object.fromEntries(block.split('\n')
+      .filter((line) => /^(id|event|data): /.test(line))
+      .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+    .filter((event) => event.event)
+    .map((event) => ({ ...event, data: JSON.parse(event.data) }));
+}
+
+/**
+ * Serve `app` on an ephemeral port and collect the SSE body until `count` events arrived
+ * or the server ends the stream.
+ */
+function collectEvents(app, path, { count = Infinity, headers = {}, onOpen = () => {} } = {}) {
+  const server = app.listen(0);
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path, headers }, (res) => {
+      let body = '';
+      const finish = () => {
+        req.destroy();
+        server.close();
+        resolve({ res, events: parseEvents(body) });
+      };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (parseEvents(body).length >= count) {
+          finish();
+        }
+      });
+      res.on('end', finish);
+      onOpen();
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('mint event streams', () => {
+  it('streams a job from snapshot through progress to its result, then closes', async () => {
+    let releaseMint;
+    const queue = new MintJobQueue({
+      store: createMintJobStore(),
+      mintHandler: async (_payload, { onProgress }) => {
+        await new Promise((resolve) => {
+          releaseMint = resolve;
+        });
+        onProgress({ phase: 'submitted', itemIndex: 9, seqno: 3 });
+        onProgress({ phase: 'waiting', itemIndex: 9, seqno: 3, attempt: 1 });
+        return { itemIndex: 9, nftAddress: 'EQnine', ownerAddress: request.walletAddress, color: '#FF0000' };
+      },
+    });
+    const job = queue.enqueue(request);
+    const app = express();
+    app.get('/mint/:jobId/events', (req, res) => streamMintJob(req, res, { queue, jobId: req.params.jobId }));
+
+    const { res, events } = await collectEvents(app, `/mint/${job.id}/events`, {
+      onOpen: () => setTimeout(() => releaseMint(), 10),
+    });
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(events.map((event) => event.event)).toEqual(['snapshot', 'progress', 'progress', 'succeeded']);
+    expect(events[0].data.status).toBe('running');
+    expect(events[1].data.progress).toMatchObject({ phase: 'submitted', itemIndex: 9 });
+    expect(events[2].data.progress).toMatchObject({ phase: 'waiting', attempt: 1 });
+    expect(events[3].data.result.nftAddress).toBe('EQnine');
+  });
+
+  it('ends immediately for a job that already finished', async () => {
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: async () => ({ itemIndex: 1 }) });
+    const job = queue.enqueue(request);
+    await queue.waitFor(job.id);
+    const app = express();
+    app.get('/mint/:jobId/events', (req, res) => streamMintJob(req, res, { queue, jobId: req.params.jobId }));
+
+    const { events } = await collectEvents(app, `/mint/${job.id}/events`);
+
+    expect(events.map((event) => event.event)).toEqual(['snapshot', 'succeeded']);
+  });
+
+  it('publishes every minted item to the global feed and replays missed ones', async () => {
+    const singleIndexes = [30, 33];
+    const queue = new MintJobQueue({
+      store: createMintJobStore(),
+      mintHandler: async (payload) => {
+        const itemIndex = singleIndexes.shift();
+        return { itemIndex, nftAddress: `EQsingle${itemIndex}`, ownerAddress: payload.walletAddress, color: payload.color };
+      },
+      batchMintHandler: async (payload) => ({
+        count: payload.items.length,
+        items: payload.items.map((item, position) => ({ ...item, itemIndex: 31 + position, nftAddress: `EQbatch${position}` })),
+      }),
+    });
+    const feed = new MintFeed({ queue, bufferSize: 2 });
+    await queue.submit({ ...request, collectionId: 'season-2' });
+    await queue.submit({ items: [{ ...request, color: '#00FF00' }, { ...request, color: '#0000FF' }] }, { type: 'batch' });
+
+    expect(feed.recent.map((item) => item.itemIndex)).toEqual([31, 32]);
+
+    const app = express();
+    app.get('/events/mints', (req, res) => streamMintFeed(req, res, { feed }));
+    const { events } = await collectEvents(app, '/events/mints', {
+      count: 2,
+      headers: { 'Last-Event-ID': 'default:31' },
+      onOpen: () => setTimeout(() => queue.submit({ ...request, color: '#123456' }), 10),
+    });
+
+    expect(events.map((event) => [event.id, event.data.nftAddress])).toEqual([
+      ['default:32', 'EQbatch1'],
+      ['default:33', 'EQsingle33'],
+    ]);
+    expect(feed.since('season-2:30')).toEqual([]);
+    expect(events[0].data).not.toHaveProperty('telegramUserId');
+  });
+
+  it('publishes the items of jobs recovered by reconciliation', () => {
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: async () => ({}) });
+    const feed = new MintFeed({ queue });
+
+    queue.emit('job:recovered', {
+      id: 'job-recovered',
+      type: 'mint',
+      status: 'succeeded',
+      payload: { ...request, collectionId: 'default' },
+      result: { itemIndex: 40, nftAddress: 'EQrecovered', ownerAddress: request.walletAddress, color: '#FF0000', reconciled: true },
+      finishedAt: '2026-10-19T12:00:00.000Z',
+    });
+
+    expect(feed.recent).toEqual([expect.objectContaining({ id: 'default:40', jobId: 'job-recovered', nftAddress: 'EQrecovered' })]);
+  });
+});
@@ -0,0 +1,362 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MintJobQueue, MintQueueClosedError, toPublicJob } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+import { IdempotencyConflictError, createIdempotencyStore } from '../src/services/idempotencyStore.js';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+import { createMintQuotaTracker } from '../src/services/mintQuota.js';
+import { createMintingControl } from '../src/services/mintingControl.js';
+
+const request = {
+  walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+  telegramUserId: 77,
+  color: '#FF0000',
+};
+
+describe('MintJobQueue', () => {
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  it('returns a queued job immediately and records the result', async () => {
+    const mintHandler = vi.fn().mockResolvedValue({ itemIndex: 3, nftAddress: 'EQminted' });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler });
+
+    const job = queue.enqueue(request);
+    expect(job.status).toBe('queued');
+    expect(mintHandler).not.toHaveBeenCalled();
+
+    const result = await queue.waitFor(job.id);
+    expect(result.itemIndex).toBe(3);
+    expect(mintHandler).toHaveBeenCalledWith(request, { jobId: job.id, onProgress: expect.any(Function) });
+
+    const stored = toPublicJob(queue.get(job.id));
+    expect(stored.status).toBe('succeeded');
+    expect(stored.result.nftAddress).toBe('EQminted');
+    expect(stored.finishedAt).toBeTruthy();
+  });
+
+  it('records failures with error details', async () => {
+    const error = Object.assign(new Error('boom'), { code: 'SCRIPT_FAILED', statusCode: 502 });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: vi.fn().mockRejectedValue(error) });
+
+    const job = queue.enqueue(request);
+    await expect(queue.waitFor(job.id)).rejects.toThrow('boom');
+
+    const stored = queue.get(job.id);
+    expect(stored.status).toBe('failed');
+    expect(stored.error).toEqual({ message: 'boom', code: 'SCRIPT_FAILED', statusCode: 502 });
+  });
+
+  it('runs a job submitted as soon as the previous one resolves', async () => {
+    const mintHandler = vi.fn(async (payload) => ({ itemIndex: payload.color === '#FF0000' ? 1 : 2 }));
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler });
+
+    await queue.submit(request);
+    await expect(queue.submit({ ...request, color: '#00FF00' })).resolves.toEqual({ itemIndex: 2 });
+  });
+
+  it('processes jobs one at a time in submission order', async () => {
+    const order = [];
+    let releaseFirst;
+    const mintHandler = vi.fn(async (payload) => {
+      order.push(payload.color);
+      if (payload.color === '#111111') {
+        await new Promise((resolve) => {
+          releaseFirst = resolve;
+        });
+      }
+      return { itemIndex: order.length };
+    });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler });
+
+    const first = queue.enqueue({ ...request, color: '#111111' });
+    const second = queue.enqueue({ ...request, color: '#222222' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(mintHandler).toHaveBeenCalledTimes(1);
+    expect(queue.get(first.id).status).toBe('running');
+    expect(queue.get(second.id).status).toBe('queued');
+
+    releaseFirst();
+    await queue.waitFor(second.id);
+    expect(order).toEqual(['#111111', '#222222']);
+  });
+
+  it('runs up to `concurrency` jobs at once without picking a job twice', async () => {
+    const releases = [];
+    const mintHandler = vi.fn(async (payload) => {
+      await new Promise((resolve) => {
+        releases.push(resolve);
+      });
+      return { color: payload.color };
+    });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler, concurrency: 2 });
+
+    const jobs = ['#111111', '#222222', '#333333'].map((color) => queue.enqueue({ ...request, color }));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(jobs.map((job) => queue.get(job.id).status)).toEqual(['running', 'running', 'queued']);
+
+    releases[1]();
+    await queue.waitFor(jobs[1].id);
+    await vi.waitFor(() => expect(queue.get(jobs[2].id).status).toBe('running'));
+    releases[0]();
+    releases[2]();
+    await Promise.all(jobs.map((job) => queue.waitFor(job.id)));
+    expect(mintHandler).toHaveBeenCalledTimes(3);
+  });
+
+  it('holds queued jobs while minting is paused and runs them on resume', async () => {
+    const mintingControl = createMintingControl();
+    const mintHandler = vi.fn().mockResolvedValue({ itemIndex: 4 });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler, mintingControl });
+
+    mintingControl.pauseMinting({ reason: 'incident' });
+    const job = queue.enqueue(request);
+    await queue.drain();
+
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(queue.get(job.id).status).toBe('queued');
+
+    mintingControl.resumeMinting();
+    await expect(queue.waitFor(job.id)).resolves.toEqual({ itemIndex: 4 });
+  });
+
+  it('fails jobs queued before their collection was stopped without minting them', async () => {
+    const mintingControl = createMintingControl({ defaultCollectionId: 'default' });
+    const colourRegistry = createColourRegistry();
+    const quotaTracker = createMintQuotaTracker({ perUserDaily: 1 });
+    const mintHandler = vi.fn().mockResolvedValue({ itemIndex: 5 });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler, mintingControl, colourRegistry, quotaTracker });
+
+    mintingControl.pauseMinting();
+    const job = queue.enqueue({ ...request, collectionId: 'season-1' });
+    mintingControl.recordStop({ collectionId: 'season-1', stoppedBy: 1 });
+    mintingControl.resumeMinting();
+
+    await expect(queue.waitFor(job.id)).rejects.toMatchObject({ code: 'COLLECTION_MINTING_STOPPED' });
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(colourRegistry.get('#FF0000', { collectionId: 'season-1' })).toBeNull();
+    expect(() => quotaTracker.check([request])).not.toThrow();
+  });
+
+  it('lets running jobs finish on shutdown and fails what an in-memory store would lose', async () => {
+    let releaseFirst;
+    const mintHandler = vi.fn(async (payload) => {
+      if (payload.color === '#111111') {
+        await new Promise((resolve) => {
+          releaseFirst = resolve;
+        });
+      }
+      return { color: payload.color };
+    });
+    const colourRegistry = createColourRegistry();
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler, colourRegistry });
+    const first = queue.enqueue({ ...request, color: '#111111' });
+    const second = queue.enqueue({ ...request, color: '#222222' });
+    const secondResult = queue.waitFor(second.id);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const stopping = queue.shutdown({ timeoutMs: 1000 });
+    expect(() => queue.enqueue({ ...request, color: '#333333' })).toThrow(MintQueueClosedError);
+    releaseFirst();
+
+    await expect(stopping).resolves.toEqual({ persisted: false, queued: 1, running: 0 });
+    expect(queue.get(first.id).status).toBe('succeeded');
+    await expect(secondResult).rejects.toMatchObject({ code: 'SERVER_SHUTTING_DOWN' });
+    expect(mintHandler).toHaveBeenCalledTimes(1);
+    expect(colourRegistry.get('#222222')).toBeNull();
+  });
+
+  it('reserves colours at enqueue time and rejects duplicates before creating a job', () => {
+    const store = createMintJobStore();
+    const colourRegistry = createColourRegistry();
+    const queue = new MintJobQueue({ store, colourRegistry, mintHandler: vi.fn(() => new Promise(() => {})) });
+
+    const job = queue.enqueue(request);
+    expect(colourRegistry.get('#FF0000')).toMatchObject({ status: 'reserved', holder: job.id });
+
+    expect(() => queue.enqueue({ ...request, telegramUserId: 78 })).toThrow(expect.objectContaining({ code: 'COLOUR_ALREADY_MINTED' }));
+    expect(store.all()).toHaveLength(1);
+  });
+
+  it('counts quotas at enqueue time and gives them back when a mint fails', async () => {
+    const quotaTracker = createMintQuotaTracker({ perUserDaily: 1 });
+    const mintHandler = vi.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockRejectedValueOnce(Object.assign(new Error('slow'), { code: 'MINT_CONFIRMATION_TIMEOUT' }));
+    const queue = new MintJobQueue({ store: createMintJobStore(), quotaTracker, mintHandler });
+
+    const first = queue.enqueue(request);
+    expect(() => queue.enqueue(request)).toThrow(expect.objectContaining({ code: 'MINT_QUOTA_EXCEEDED' }));
+    await expect(queue.waitFor(first.id)).rejects.toThrow('boom');
+
+    const second = queue.enqueue(request);
+    await expect(queue.waitFor(second.id)).rejects.toThrow('slow');
+    expect(() => queue.enqueue(request)).toThrow(expect.objectContaining({ code: 'MINT_QUOTA_EXCEEDED' }));
+  });
+
+  it('deduplicates enqueues by idempotency key', async () => {
+    const mintHandler = vi.fn().mockResolvedValue({ itemIndex: 1 });
+    const queue = new MintJobQueue({
+      store: createMintJobStore(),
+      idempotencyStore: createIdempotencyStore(),
+      mintHandler,
+    });
+
+    const first = queue.enqueueIdempotent(request, { idempotencyKey: 'abc' });
+    const second = queue.enqueueIdempotent(request, { idempotencyKey: 'abc' });
+
+    expect(first.replayed).toBe(false);
+    expect(second.replayed).toBe(true);
+    expect(second.job.id).toBe(first.job.id);
+    expect(() => queue.enqueueIdempotent({ ...request, color: '#000000' }, { idempotencyKey: 'abc' }))
+      .toThrow(IdempotencyConflictError);
+
+    await queue.waitFor(first.job.id);
+    expect(mintHandler).toHaveBeenCalledTimes(1);
+
+    const otherScope = queue.enqueueIdempotent({ ...request, color: '#000000' }, { idempotencyKey: 'abc', scope: 'telegram:2' });
+    expect(otherScope.replayed).toBe(false);
+    expect(otherScope.job.id).not.toBe(first.job.id);
+  });
+
+  it('forgets idempotency keys once they expire', () => {
+    const idempotencyStore = createIdempotencyStore({ ttlMs: 1000 });
+    idempotencyStore.set('old', { fingerprint: 'x', jobId: 'job-1' });
+    idempotencyStore.records.get('old').createdAt = new Date(Date.now() - 5000).toISOString();
+
+    expect(idempotencyStore.get('old')).toBeNull();
+  });
+
+  describe('with a file-backed store', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-jobs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('resumes queued jobs and fails interrupted ones after a restart', async () => {
+      const filePath = path.join(tempDir, 'mint-jobs.json');
+      const store = createMintJobStore({ filePath });
+      const queued = store.create(request);
+      const interrupted = store.create({ ...request, color: '#00FF00' });
+      store.update(interrupted.id, { status: 'running' });
+
+      const mintHandler = vi.fn().mockResolvedValue({ itemIndex: 9 });
+      const queue = new MintJobQueue({ store: createMintJobStore({ filePath }), mintHandler });
+      queue.start();
+
+      await expect(queue.waitFor(queued.id)).resolves.toEqual({ itemIndex: 9 });
+      expect(mintHandler).toHaveBeenCalledTimes(1);
+      expect(queue.get(interrupted.id).status).toBe('failed');
+      expect(queue.get(interrupted.id).error.code).toBe('MINT_INTERRUPTED');
+      expect(queue.get(interrupted.id).restartedAt).toEqual(expect.any(String));
+      expect(queue.get(queued.id).restartedAt).toEqual(expect.any(String));
+
+      const reloaded = createMintJobStore({ filePath });
+      expect(reloaded.get(queued.id).status).toBe('succeeded');
+    });
+
+    it('keeps unfinished jobs for the next start and tells waiters so on shutdown', async () => {
+      const filePath = path.join(tempDir, 'mint-jobs.json');
+      const queue = new MintJobQueue({ store: createMintJobStore({ filePath }), mintHandler: vi.fn(() => new Promise(() => {})) });
+      const running = queue.enqueue(request);
+      const queued = queue.enqueue({ ...request, color: '#00FF00' });
+      const waiting = queue.waitFor(queued.id);
+      const waitingOnRunning = queue.waitFor(running.id);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      await expect(queue.shutdown({ timeoutMs: 10 })).resolves.toEqual({ persisted: true, queued: 1, running: 1 });
+      await expect(waiting).rejects.toMatchObject({
+        code: 'SERVER_SHUTTING_DOWN',
+        message: expect.stringContaining('it runs once the server is back'),
+        details: { jobId: queued.id, status: 'queued' },
+      });
+      await expect(waitingOnRunning).rejects.toMatchObject({
+        code: 'SERVER_SHUTTING_DOWN',
+        message: expect.stringContaining('checked against the collection'),
+        details: { jobId: running.id, status: 'running' },
+      });
+
+      const reloaded = createMintJobStore({ filePath });
+      expect(reloaded.get(running.id).status).toBe('running');
+      expect(reloaded.get(queued.id).status).toBe('queued');
+    });
+
+    it('keeps progress in memory and writes the file on status changes', async () => {
+      const filePath = path.join(tempDir, 'mint-jobs.json');
+      let finish;
+      const mintHandler = vi.fn((payload, { onProgress }) => {
+        onProgress({ phase: 'submitted' });
+        return new Promise((resolve) => {
+          finish = resolve;
+        });
+      });
+      const queue = new MintJobQueue({ store: createMintJobStore({ filePath }), mintHandler });
+      const job = queue.enqueue(request);
+      await vi.waitFor(() => expect(mintHandler).toHaveBeenCalled());
+
+      expect(queue.get(job.id).progress).toMatchObject({ phase: 'submitted' });
+      const written = createMintJobStore({ filePath }).get(job.id);
+      expect(written.status).toBe('running');
+      expect(written).not.toHaveProperty('progress');
+
+      finish({ itemIndex: 3 });
+      await queue.waitFor(job.id);
+      expect(createMintJobStore({ filePath }).get(job.id)).toMatchObject({ status: 'succeeded', progress: { phase: 'submitted' } });
+    });
+
+    it('drops finished jobs older than the retention period', () => {
+      const filePath = path.join(tempDir, 'mint-jobs.json');
+      const retentionMs = 24 * 60 * 60 * 1000;
+      const store = createMintJobStore({ filePath, retentionMs });
+      const old = store.create(request);
+      store.update(old.id, { status: 'succeeded', finishedAt: new Date(Date.now() - 2 * retentionMs).toISOString() });
+      const recent = store.create({ ...request, color: '#00FF00' });
+      store.update(recent.id, { status: 'failed', finishedAt: new Date().toISOString() });
+      const queued = store.create({ ...request, color: '#0000FF' });
+      store.update(queued.id, { createdAt: new Date(Date.now() - 2 * retentionMs).toISOString() });
+
+      const next = store.create({ ...request, color: '#FFFF00' });
+
+      expect(store.get(old.id)).toBeNull();
+      expect(store.all().map((job) => job.id).sort()).toEqual([recent.id, queued.id, next.id].sort());
+      expect(createMintJobStore({ filePath }).get(old.id)).toBeNull();
+    });
+
+    it('keeps idempotency keys across restarts', () => {
+      const storeOptions = { filePath: path.join(tempDir, 'mint-jobs.json') };
+      const keyOptions = { filePath: path.join(tempDir, 'idempotency-keys.json') };
+      const mintHandler = vi.fn(() => new Promise(() => {}));
+
+      const before = new MintJobQueue({
+        store: createMintJobStore(storeOptions),
+        idempotencyStore: createIdempotencyStore(keyOptions),
+        mintHandler,
+      });
+      const { job } = before.enqueueIdempotent(request, { idempotencyKey: 'persisted' });
+
+      const after = new MintJobQueue({
+        store: createMintJobStore(storeOptions),
+        idempotencyStore: createIdempotencyStore(keyOptions),
+        mintHandler,
+      });
+      const replay = after.enqueueIdempotent(request, { idempotencyKey: 'persisted' });
+      expect(replay).toEqual({ job: expect.objectContaining({ id: job.id }), replayed: true });
+    });
+  });
+});
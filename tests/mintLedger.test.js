@@ -0,0 +1,192 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MintJobQueue } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+import { MintLedger, parseMintLedgerQuery } from '../src/services/mintLedger.js';
+
+const alice = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+const bob = 'EQAREREREREREREREREREREREREREREREREREREREREREeYT';
+
+function createQueue(mintHandler, batchMintHandler = null) {
+  return new MintJobQueue({ store: createMintJobStore(), mintHandler, batchMintHandler });
+}
+
+describe('MintLedger', () => {
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  it('follows each job from queued to its result, one entry per colour', async () => {
+    const queue = createQueue(
+      vi.fn().mockRejectedValue(Object.assign(new Error('Minter wallet is out of TON'), { code: 'MINTER_WALLET_UNDERFUNDED' })),
+      vi.fn(async (payload) => ({
+        count: payload.items.length,
+        items: payload.items.map((item, position) => ({
+          itemIndex: 10 + position,
+          nftAddress: `EQitem${position}`,
+          ownerAddress: item.walletAddress,
+          mintedAt: '2026-10-19T10:00:00.000Z',
+          transaction: { hash: `hash${position}` },
+        })),
+      })),
+    );
+    const ledger = new MintLedger({ queue });
+
+    const failing = queue.enqueue({ walletAddress: alice, telegramUserId: 77, color: '#ff0000' }, { source: 'command' });
+    expect(ledger.get(`${failing.id}:0`)).toMatchObject({ status: 'queued', source: 'command', color: '#FF0000' });
+    await expect(queue.waitFor(failing.id)).rejects.toThrow('out of TON');
+
+    const batch = queue.enqueue({
+      items: [
+        { walletAddress: alice, telegramUserId: 77, color: '#00FF00' },
+        { walletAddress: bob, telegramUserId: 78, color: '#0000FF' },
+      ],
+    }, { type: 'batch', source: 'api' });
+    await queue.waitFor(batch.id);
+
+    expect(ledger.get(`${failing.id}:0`)).toMatchObject({
+      status: 'failed',
+      failure: { code: 'MINTER_WALLET_UNDERFUNDED', message: 'Minter wallet is out of TON' },
+      itemIndex: null,
+      finishedAt: expect.any(String),
+    });
+    expect(ledger.all().map((entry) => [entry.seq, entry.jobId, entry.position])).toEqual([
+      [1, failing.id, 0],
+      [2, batch.id, 0],
+      [3, batch.id, 1],
+    ]);
+    expect(ledger.get(`${batch.id}:1`)).toMatchObject({
+      jobType: 'batch',
+      source: 'api',
+      status: 'succeeded',
+      color: '#0000FF',
+      ownerAddress: bob,
+      telegramUserId: 78,
+      itemIndex: 11,
+      nftAddress: 'EQitem1',
+      transactionHash: 'hash1',
+      mintedAt: '2026-10-19T10:00:00.000Z',
+      failure: null,
+    });
+  });
+
+  it('keeps the items a failed batch minted before it failed', async () => {
+    const queue = createQueue(vi.fn(), vi.fn(async () => {
+      throw Object.assign(new Error('Item #11 was not deployed in time'), {
+        code: 'MINT_CONFIRMATION_TIMEOUT',
+        partialResult: { count: 1, items: [{ itemIndex: 10, nftAddress: 'EQitem0', mintedAt: '2026-10-19T11:00:00.000Z' }] },
+      });
+    }));
+    const ledger = new MintLedger({ queue });
+
+    const batch = queue.enqueue({
+      items: [
+        { walletAddress: alice, telegramUserId: 77, color: '#0A0A0A' },
+        { walletAddress: bob, telegramUserId: 78, color: '#0B0B0B' },
+      ],
+    }, { type: 'batch', source: 'api' });
+    await expect(queue.waitFor(batch.id)).rejects.toThrow('not deployed in time');
+
+    expect(queue.get(batch.id).result).toMatchObject({ count: 1 });
+    expect(ledger.get(`${batch.id}:0`)).toMatchObject({ status: 'succeeded', itemIndex: 10, nftAddress: 'EQitem0', failure: null });
+    expect(ledger.get(`${batch.id}:1`)).toMatchObject({
+      status: 'failed',
+      itemIndex: null,
+      failure: { code: 'MINT_CONFIRMATION_TIMEOUT', message: 'Item #11 was not deployed in time' },
+    });
+  });
+
+  it('filters and pages newest first with a stable cursor', async () => {
+    let itemIndex = 0;
+    const queue = createQueue(async () => ({ itemIndex: itemIndex++ }));
+    const ledger = new MintLedger({ queue });
+    const colours = ['#000001', '#000002', '#000003', '#000004'];
+    for (const color of colours) {
+      const job = queue.enqueue({ walletAddress: color === '#000003' ? bob : alice, telegramUserId: 77, color }, { source: 'mini-app' });
+      await queue.waitFor(job.id);
+    }
+
+    const byWallet = (cursor) => ledger.query(parseMintLedgerQuery({
+      wallet: 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ',
+      limit: '2',
+      ...(cursor ? { cursor } : {}),
+    }));
+    const first = byWallet();
+    expect(first.mints.map((entry) => entry.color)).toEqual(['#000004', '#000002']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    // A mint recorded between pages lands in front and does not shift the next page.
+    const late = queue.enqueue({ walletAddress: alice, telegramUserId: 77, color: '#000005' });
+    await queue.waitFor(late.id);
+    const second = byWallet(first.nextCursor);
+    expect(second.mints.map((entry) => entry.color)).toEqual(['#000001']);
+    expect(second.nextCursor).toBeNull();
+
+    expect(ledger.query(parseMintLedgerQuery({ color: '000003', status: 'succeeded' })).mints).toHaveLength(1);
+    expect(ledger.query(parseMintLedgerQuery({ telegramUserId: '78' })).mints).toEqual([]);
+    expect(ledger.query(parseMintLedgerQuery({ source: 'mini-app' })).mints).toHaveLength(4);
+    expect(ledger.query(parseMintLedgerQuery({ to: '2000-01-01' })).mints).toEqual([]);
+    expect(ledger.query(parseMintLedgerQuery({ from: '2000-01-01T00:00:00Z' })).mints).toHaveLength(5);
+  });
+
+  it('rejects malformed queries with 400', () => {
+    const cases = [
+      { wallet: 'not-an-address' },
+      { telegramUserId: 'abc' },
+      { color: 'red' },
+      { status: 'done' },
+      { source: 'email' },
+      { from: 'yesterday' },
+      { limit: '0' },
+      { limit: '201' },
+    ];
+    for (const query of cases) {
+      expect(() => parseMintLedgerQuery(query)).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_MINT_QUERY' }));
+    }
+    const ledger = new MintLedger();
+    expect(() => ledger.query({ cursor: 'bm9wZQ' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  describe('with a file', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-ledger-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('keeps entries across restarts and catches up with jobs changed while it was not listening', async () => {
+      const filePath = path.join(tempDir, 'mint-ledger.json');
+      const store = createMintJobStore({ filePath: path.join(tempDir, 'mint-jobs.json') });
+      const queue = new MintJobQueue({ store, mintHandler: vi.fn().mockResolvedValue({ itemIndex: 4 }) });
+      new MintLedger({ filePath, queue });
+      const job = queue.enqueue({ walletAddress: alice, telegramUserId: 77, color: '#ABCDEF' }, { source: 'api' });
+      await queue.waitFor(job.id);
+      // Stop the worker so the job below is only ever moved on by hand.
+      await queue.shutdown();
+
+      // Recorded before the ledger existed, then moved on by another process.
+      const earlier = store.create({ walletAddress: bob, telegramUserId: 78, color: '#123456' }, { source: 'command' });
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      store.update(earlier.id, { status: 'succeeded', result: { itemIndex: 3 } });
+
+      const restarted = new MintLedger({ filePath, queue: { store, on: vi.fn() } });
+      expect(restarted.all().map((entry) => [entry.color, entry.status, entry.itemIndex])).toEqual([
+        ['#ABCDEF', 'succeeded', 4],
+        ['#123456', 'succeeded', 3],
+      ]);
+      expect(new MintLedger({ filePath }).nextSeq).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MintQuotaExceededError, createMintQuotaTracker } from '../src/services/mintQuota.js';
+
+const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+const otherWallet = 'EQBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBU';
+
+describe('MintQuotaTracker', () => {
+  it('limits mints per Telegram user over a rolling day and reports when the next slot frees up', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 2 });
+    tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-1' });
+    tracker.consume([{ telegramUserId: 1, walletAddress: otherWallet }], { holder: 'job-2' });
+    tracker.consume([{ telegramUserId: 2, walletAddress: wallet }], { holder: 'job-3' });
+
+    let error;
+    try {
+      tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-4' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(MintQuotaExceededError);
+    expect(error.statusCode).toBe(429);
+    expect(error.details).toMatchObject({ scope: 'telegramUser', limit: 2, used: 2 });
+    const firstRecordedAt = Date.parse(tracker.records[0].at);
+    expect(Date.parse(error.details.nextAllowedAt)).toBe(firstRecordedAt + 24 * 60 * 60 * 1000);
+    expect(error.retryAfterSeconds).toBeGreaterThan(0);
+
+    expect(() => tracker.check([{ telegramUserId: 1 }], { now: firstRecordedAt + 24 * 60 * 60 * 1000 + 1 })).not.toThrow();
+  });
+
+  it('limits lifetime mints per wallet regardless of address form', () => {
+    const tracker = createMintQuotaTracker({ perWalletTotal: 1 });
+    tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-1' });
+
+    expect(() => tracker.check([{ telegramUserId: 2, walletAddress: '0:0000000000000000000000000000000000000000000000000000000000000000' }]))
+      .toThrow(expect.objectContaining({ details: expect.objectContaining({ scope: 'wallet', nextAllowedAt: null }) }));
+    expect(() => tracker.check([{ telegramUserId: 2, walletAddress: otherWallet }])).not.toThrow();
+  });
+
+  it('counts every entry of a batch and records nothing when it is rejected', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 2 });
+    const entries = [1, 1, 1].map((telegramUserId) => ({ telegramUserId, walletAddress: wallet }));
+
+    expect(() => tracker.consume(entries, { holder: 'batch' })).toThrow(MintQuotaExceededError);
+    expect(tracker.records).toHaveLength(0);
+  });
+
+  it('frees quota when a holder is released', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 1 });
+    tracker.consume([{ telegramUserId: 1 }], { holder: 'job-1' });
+    expect(tracker.release('job-1')).toBe(1);
+    expect(() => tracker.consume([{ telegramUserId: 1 }], { holder: 'job-2' })).not.toThrow();
+  });
+
+  it('prunes records that left the window but keeps counting them against wallets', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 1, perWalletTotal: 2 });
+    tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-1' });
+    tracker.consume([{ telegramUserId: 2, walletAddress: otherWallet }], { holder: 'job-2' });
+    for (const record of tracker.records) {
+      record.at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    }
+
+    tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-3' });
+
+    expect(tracker.records.map((record) => record.holder)).toEqual(['job-3']);
+    expect(() => tracker.check([{ telegramUserId: 3, walletAddress: wallet }]))
+      .toThrow(expect.objectContaining({ details: expect.objectContaining({ scope: 'wallet', used: 2 }) }));
+    expect(() => tracker.check([{ telegramUserId: 3, walletAddress: otherWallet }])).not.toThrow();
+  });
+
+  it('keeps wallet totals while the wallet quota is off, so enabling it later counts them', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 5, perWalletTotal: 0 });
+    tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-1' });
+    tracker.records[0].at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    tracker.consume([{ telegramUserId: 2, walletAddress: otherWallet }], { holder: 'job-2' });
+    expect(tracker.records).toHaveLength(1);
+
+    tracker.perWalletTotal = 1;
+    expect(() => tracker.check([{ telegramUserId: 3, walletAddress: wallet }]))
+      .toThrow(expect.objectContaining({ details: expect.objectContaining({ scope: 'wallet', used: 1 }) }));
+  });
+
+  it('skips exempt users and wallets', () => {
+    const tracker = createMintQuotaTracker({ perUserDaily: 1, perWalletTotal: 1, exemptWallets: [otherWallet] });
+    tracker.grantExemption({ telegramUserId: 7, grantedBy: 1 });
+
+    for (let i = 0; i < 3; i += 1) {
+      tracker.consume([{ telegramUserId: 7, walletAddress: wallet }], { holder: `admin-${i}` });
+      tracker.consume([{ telegramUserId: 8, walletAddress: otherWallet }], { holder: `static-${i}` });
+    }
+    expect(tracker.records).toHaveLength(0);
+
+    expect(tracker.revokeExemption({ telegramUserId: 7 })).toBe(true);
+    tracker.consume([{ telegramUserId: 7, walletAddress: wallet }], { holder: 'after-revoke' });
+    expect(() => tracker.check([{ telegramUserId: 7, walletAddress: wallet }])).toThrow(MintQuotaExceededError);
+  });
+
+  describe('with a data directory', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-quota-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('persists records and exemptions across restarts', () => {
+      const filePath = path.join(tempDir, 'mint-quotas.json');
+      const tracker = createMintQuotaTracker({ filePath, perUserDaily: 1 });
+      tracker.consume([{ telegramUserId: 1 }], { holder: 'job-1' });
+      tracker.grantExemption({ walletAddress: wallet });
+
+      const reloaded = createMintQuotaTracker({ filePath, perUserDaily: 1 });
+      expect(() => reloaded.check([{ telegramUserId: 1 }])).toThrow(MintQuotaExceededError);
+      expect(reloaded.isExempt({ walletAddress: wallet })).toBe(true);
+    });
+
+    it('persists the wallet totals of pruned records', () => {
+      const filePath = path.join(tempDir, 'mint-quotas.json');
+      const tracker = createMintQuotaTracker({ filePath, perWalletTotal: 1 });
+      tracker.consume([{ telegramUserId: 1, walletAddress: wallet }], { holder: 'job-1' });
+      tracker.records[0].at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+      tracker.consume([{ telegramUserId: 2, walletAddress: otherWallet }], { holder: 'job-2' });
+
+      const reloaded = createMintQuotaTracker({ filePath, perWalletTotal: 1 });
+      expect(reloaded.records).toHaveLength(1);
+      expect(() => reloaded.check([{ telegramUserId: 3, walletAddress: wallet }])).toThrow(MintQuotaExceededError);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MintReconciler, summarizeReconciliationReport } from '../src/services/mintReconciler.js';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+import { createCollectionRegistry } from '../src/services/collectionRegistry.js';
+
+const collectionAddress = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+const alice = 'EQBvW8Z5huBkMJYdnfAEM5JqTNkuWX3diqYENkWsIL0XggGG';
+const bob = 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ';
+
+const chainItem = (itemIndex, color, walletAddress = alice) => ({
+  itemIndex,
+  nftAddress: `EQitem${itemIndex}`,
+  deployed: true,
+  ownerAddress: walletAddress,
+  individualContent: `${itemIndex}.json?color=${color.slice(1)}`,
+  content: { itemIndex, color, walletAddress, telegramUserId: 5 },
+  error: null,
+});
+
+describe('MintReconciler', () => {
+  let colourRegistry;
+  let jobStore;
+  let chain;
+  let reconciler;
+
+  beforeEach(() => {
+    colourRegistry = createColourRegistry({ defaultCollectionId: 'default' });
+    jobStore = createMintJobStore();
+    chain = [];
+    reconciler = new MintReconciler({
+      colourRegistry,
+      jobStore,
+      collectionRegistry: createCollectionRegistry({
+        collections: [{ id: 'default', address: collectionAddress }],
+        defaultId: 'default',
+      }),
+      readItems: async function* readItems({ fromIndex, toIndex }) {
+        for (const item of chain.slice(fromIndex, toIndex)) {
+          yield item;
+        }
+      },
+    });
+  });
+
+  const interruptedJob = (payload, type = 'mint') => {
+    const job = jobStore.create({ ...payload, collectionId: 'default' }, { type });
+    return jobStore.update(job.id, { status: 'failed', error: { code: 'MINT_INTERRUPTED', message: 'interrupted' } });
+  };
+
+  it('recovers a mint interrupted after it landed on-chain', async () => {
+    const job = interruptedJob({ walletAddress: alice, telegramUserId: 5, color: '#112233' });
+    colourRegistry.reserve('#112233', { holder: job.id, ownerAddress: alice, collectionId: 'default' });
+    chain = [chainItem(0, '#112233')];
+
+    const report = await reconciler.reconcile();
+
+    expect(report.backfilled).toEqual([expect.objectContaining({ itemIndex: 0, color: '#112233', reason: 'reservedButMinted' })]);
+    expect(report.recoveredJobs).toEqual([{ jobId: job.id, itemIndexes: [0] }]);
+    expect(colourRegistry.get('#112233', { collectionId: 'default' })).toMatchObject({ status: 'minted', itemIndex: 0, nftAddress: 'EQitem0' });
+    expect(jobStore.get(job.id)).toMatchObject({
+      status: 'succeeded',
+      error: null,
+      result: { itemIndex: 0, nftAddress: 'EQitem0', color: '#112233', reconciled: true },
+    });
+  });
+
+  it('records orphans and flags records that disagree with the chain', async () => {
+    colourRegistry.seed([{ color: '#000002', itemIndex: 5 }], { collectionId: 'default' });
+    colourRegistry.reserve('#000003', { holder: 'job-x', ownerAddress: bob, collectionId: 'default' });
+    colourRegistry.confirm('#000003', { holder: 'job-x', itemIndex: 2, ownerAddress: bob, collectionId: 'default' });
+    colourRegistry.reserve('#000009', { holder: 'job-y', ownerAddress: alice, collectionId: 'default' });
+    colourRegistry.confirm('#000009', { holder: 'job-y', itemIndex: 9, ownerAddress: alice, collectionId: 'default' });
+    const unresolved = interruptedJob({ walletAddress: alice, color: '#0000AA' });
+    chain = [
+      chainItem(0, '#000001'),
+      { ...chainItem(1, '#000000'), deployed: false, content: null, error: 'exit code -13' },
+      chainItem(2, '#000003'),
+      chainItem(3, '#000001'),
+    ];
+
+    const report = await reconciler.reconcile();
+
+    expect(report.orphans).toEqual([expect.objectContaining({ itemIndex: 0, color: '#000001' })]);
+    expect(colourRegistry.get('#000001', { collectionId: 'default' })).toMatchObject({ status: 'minted', itemIndex: 0 });
+    expect(report.mismatches).toEqual(expect.arrayContaining([
+      { reason: 'duplicateColour', color: '#000001', itemIndex: 3, firstItemIndex: 0 },
+      expect.objectContaining({ reason: 'ownerAddress', color: '#000003', itemIndex: 2, recordedOwnerAddress: bob }),
+    ]));
+    expect(report.missing).toEqual(expect.arrayContaining([
+      { color: '#000002', recordedItemIndex: 5, holder: 'seed' },
+      { color: '#000009', recordedItemIndex: 9, holder: 'job-y' },
+    ]));
+    expect(report.unresolvedJobs).toEqual([{ jobId: unresolved.id, colors: ['#0000AA'] }]);
+    expect(report.failures).toEqual([{ itemIndex: 1, nftAddress: 'EQitem1', reason: 'unreadable', error: 'exit code -13' }]);
+    expect(summarizeReconciliationReport(report)).toBe(
+      'Reconciled 4 items of default: 1 orphaned items, 2 mismatches, 2 records missing on-chain, '
+      + '1 interrupted jobs not found on-chain, 1 unreadable items',
+    );
+  });
+
+  it('leaves in-flight reservations alone and writes nothing on a dry run', async () => {
+    const running = jobStore.create({ walletAddress: alice, color: '#445566', collectionId: 'default' });
+    jobStore.update(running.id, { status: 'running' });
+    colourRegistry.reserve('#445566', { holder: running.id, collectionId: 'default' });
+    colourRegistry.reserve('#778899', { holder: 'crashed', collectionId: 'default' });
+    chain = [chainItem(0, '#445566'), chainItem(1, '#778899'), chainItem(2, '#ABCDEF')];
+
+    const report = await reconciler.reconcile({ dryRun: true });
+
+    expect(report.backfilled.map((item) => item.color)).toEqual(['#778899']);
+    expect(report.orphans.map((item) => item.color)).toEqual(['#ABCDEF']);
+    expect(colourRegistry.get('#778899', { collectionId: 'default' }).status).toBe('reserved');
+    expect(colourRegistry.get('#ABCDEF', { collectionId: 'default' })).toBeNull();
+  });
+
+  it('only reports records beyond the walked range when the walk reached the end', async () => {
+    colourRegistry.seed([{ color: '#000002', itemIndex: 5 }], { collectionId: 'default' });
+    chain = [chainItem(0, '#000001'), chainItem(1, '#000003')];
+
+    expect((await reconciler.reconcile({ toIndex: 1, dryRun: true })).missing).toEqual([]);
+    expect((await reconciler.reconcile({ toIndex: 10, dryRun: true })).missing).toHaveLength(1);
+  });
+
+  describe('scheduled runs', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      reconciler.stop();
+      warnSpy.mockRestore();
+    });
+
+    it('alerts admins when a run finds something', async () => {
+      reconciler.notify = vi.fn(async () => {});
+      chain = [chainItem(0, '#010101')];
+
+      await reconciler.run();
+      await reconciler.run();
+
+      expect(reconciler.notify).toHaveBeenCalledTimes(1);
+      expect(reconciler.notify.mock.calls[0][0]).toContain('1 orphaned items');
+    });
+  });
+});
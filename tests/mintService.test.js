@@ -3,7 +3,14 @@ import { EventEmitter } from 'node:events';
 import path from 'node:path';
 import config from '../src/config/env.js';
 
+vi.hoisted(() => {
+  process.env.MINT_STRATEGY = 'blueprint';
+  process.env.MINT_CONFIRM_POLL_INTERVAL_MS = '1';
+  process.env.MINT_CONFIRM_TIMEOUT_MS = '50';
+});
+
 const getAddressInfoMock = vi.fn();
+const runMethodMock = vi.fn();
 
 vi.mock('node:child_process', () => ({
   spawn: vi.fn(),
@@ -24,6 +31,10 @@ vi.mock('../src/services/tonClient.js', () => {
         secretKey: Buffer.alloc(64),
       },
     })),
+    getTonClient: () => ({
+      getTransactions: vi.fn(async () => []),
+      runMethod: runMethodMock,
+    }),
     getTonWeb: () => ({
       provider: {
         getAddressInfo: getAddressInfoMock,
@@ -32,8 +43,23 @@ vi.mock('../src/services/tonClient.js', () => {
   };
 });
 
+vi.mock('../src/services/nativeMinter.js', () => ({
+  runNativeBatchMint: vi.fn(),
+  runNativeMint: vi.fn(),
+  sendFromMinterWallet: vi.fn(),
+  waitForSeqnoAfter: vi.fn(),
+}));
+
 const { spawn } = await import('node:child_process');
-const { mintColorNft } = await import('../src/services/mintService.js');
+const { runNativeBatchMint, sendFromMinterWallet, waitForSeqnoAfter } = await import('../src/services/nativeMinter.js');
+const {
+  batchMintColorNfts,
+  mintColorNft,
+  refundFromMinterWallet,
+  stopMintingOnChain,
+} = await import('../src/services/mintService.js');
+const { colourRegistry } = await import('../src/services/colourRegistry.js');
+const { itemMetadataStore } = await import('../src/services/itemMetadataStore.js');
 
 function createMockChild() {
   const child = new EventEmitter();
@@ -54,9 +80,11 @@ describe('mintService.mintColorNft', () => {
     spawn.mockReset();
     getAddressInfoMock.mockReset();
     getAddressInfoMock.mockResolvedValue({ state: 'active', balance: '100000000000' });
+    colourRegistry.clear();
+    itemMetadataStore.clear();
   });
 
-  it('spawns blueprint script with tonkeeper testnet flags and parses output', async () => {
+  it('spawns blueprint script with testnet automation flags and parses output', async () => {
     const child = createMockChild();
     spawn.mockReturnValueOnce(child);
 
@@ -77,7 +105,7 @@ describe('mintService.mintColorNft', () => {
       'blueprint',
       'run',
       '--testnet',
-      '--mnemonic',
+      '--tonconnect',
       'deployNftItem',
       'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
     ]);
@@ -85,8 +113,8 @@ describe('mintService.mintColorNft', () => {
     expect(options.env.TON_COLOURS_ITEM_COLOR).toBe('#FF0000');
     expect(options.env.TON_COLOURS_ITEM_OWNER).toBe('EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c');
     expect(options.env.TON_COLOURS_COLLECTION_ADDRESS).toBeDefined();
-    expect(options.env.WALLET_MNEMONIC.split(' ').length).toBe(24);
-    expect(options.env.WALLET_VERSION).toBe(config.walletVersion);
+    expect(options.env.TON_WALLET_MNEMONIC.split(' ').length).toBe(24);
+    expect(options.env.TON_WALLET_VERSION).toBe(config.walletVersion);
 
     child.stdout.emit('data', Buffer.from('Minting...\n'));
     child.stdout.emit('data', Buffer.from('MINT_RESULT={"itemIndex":7,"itemContent":"7?color=FF0000","nftAddress":"EQminted","mintedAt":"2025-01-01T00:00:00.000Z"}\n'));
@@ -100,6 +128,34 @@ describe('mintService.mintColorNft', () => {
     expect(result.mintedAt).toBe('2025-01-01T00:00:00.000Z');
   });
 
+  it('reports the deploy script phases as progress', async () => {
+    const child = createMockChild();
+    spawn.mockReturnValueOnce(child);
+    const onProgress = vi.fn();
+
+    const mintPromise = mintColorNft({
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      telegramUserId: 77,
+      color: '#00ff00',
+      onProgress,
+    });
+    await flushAsyncWork();
+
+    child.stdout.emit('data', Buffer.from('Submitted mint for colour #00FF00\nWaiting for deploy...\n'));
+    child.stdout.emit('data', Buffer.from('? Attempt 1\r? Attempt 2\r'));
+    child.stdout.emit('data', Buffer.from('Item deployed successfully!\nMinted item address: EQgreen\n'));
+    child.stdout.emit('data', Buffer.from('MINT_RESULT={"itemIndex":8,"nftAddress":"EQgreen","mintedAt":"2025-01-01T00:00:00.000Z"}\n'));
+    child.emit('close', 0, null);
+    await mintPromise;
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { phase: 'submitted' },
+      { phase: 'waiting', attempt: 1 },
+      { phase: 'waiting', attempt: 2 },
+      { phase: 'deployed', nftAddress: 'EQgreen' },
+    ]);
+  });
+
   it('throws when blueprint script does not emit a result payload', async () => {
     const child = createMockChild();
     spawn.mockReturnValueOnce(child);
@@ -136,28 +192,23 @@ describe('mintService.mintColorNft', () => {
     await expect(mintPromise).rejects.toThrow(/abnormally/);
   });
 
-  it('continues when minter wallet balance is insufficient', async () => {
-    getAddressInfoMock.mockResolvedValueOnce({ state: 'active', balance: '0' });
+  it('refuses to mint when the minter wallet cannot pay for it', async () => {
+    getAddressInfoMock.mockResolvedValueOnce({ state: 'active', balance: '20000000' });
 
-    const child = createMockChild();
-    spawn.mockReturnValueOnce(child);
-
-    const mintPromise = mintColorNft({
+    const error = await mintColorNft({
       walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
       telegramUserId: 42,
       color: '#112233',
-    });
-
-    await flushAsyncWork();
-
-    expect(spawn).toHaveBeenCalledTimes(1);
+    }).catch((rejection) => rejection);
 
-    child.stdout.emit('data', Buffer.from('MINT_RESULT={"itemIndex":12,"nftAddress":"EQlow","mintedAt":"2025-03-01T00:00:00.000Z"}\n'));
-    child.emit('close', 0, null);
-
-    const result = await mintPromise;
-    expect(result.itemIndex).toBe(12);
-    expect(result.nftAddress).toBe('EQlow');
+    expect(spawn).not.toHaveBeenCalled();
+    expect(error).toMatchObject({
+      code: 'MINTER_WALLET_UNDERFUNDED',
+      statusCode: 503,
+      details: { walletId: 'primary', balanceTon: 0.02 },
+    });
+    expect(error.details.requiredTon).toBeGreaterThan(0.02);
+    expect(colourRegistry.get('#112233')).toBeNull();
   });
 
   it('queues mint requests sequentially', async () => {
@@ -203,4 +254,150 @@ describe('mintService.mintColorNft', () => {
     expect(firstResult.mintedAt).toBe('2025-02-01T00:00:00.000Z');
     expect(firstResult.metadataUri).toContain('mintedAt=2025-02-01T00%3A00%3A00.000Z');
   });
+
+  it('records minted colours and rejects minting them again', async () => {
+    const child = createMockChild();
+    spawn.mockReturnValueOnce(child);
+
+    const mintPromise = mintColorNft({
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      telegramUserId: 7,
+      color: '#778899',
+    });
+
+    await expect(mintColorNft({
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      telegramUserId: 8,
+      color: '#778899',
+    })).rejects.toMatchObject({ code: 'COLOUR_ALREADY_MINTED', statusCode: 409 });
+
+    await flushAsyncWork();
+    child.stdout.emit('data', Buffer.from('MINT_RESULT={"itemIndex":30,"nftAddress":"EQcolour","mintedAt":"2025-03-01T00:00:00.000Z"}\n'));
+    child.emit('close', 0, null);
+    await mintPromise;
+
+    expect(colourRegistry.get('#778899')).toMatchObject({ status: 'minted', itemIndex: 30, nftAddress: 'EQcolour' });
+    expect(itemMetadataStore.get(30)).toMatchObject({
+      color: '#778899',
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      telegramUserId: 7,
+      mintedAt: '2025-03-01T00:00:00.000Z',
+    });
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the colour when the mint fails', async () => {
+    const child = createMockChild();
+    spawn.mockReturnValueOnce(child);
+
+    const mintPromise = mintColorNft({
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      telegramUserId: 7,
+      color: '#99AABB',
+    });
+
+    await flushAsyncWork();
+    child.emit('close', 1, null);
+
+    await expect(mintPromise).rejects.toThrow();
+    expect(colourRegistry.get('#99AABB')).toBeNull();
+  });
+});
+
+describe('mintService.batchMintColorNfts', () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+  beforeEach(() => {
+    getAddressInfoMock.mockReset();
+    getAddressInfoMock.mockResolvedValue({ state: 'active', balance: '100000000000' });
+    colourRegistry.clear();
+    itemMetadataStore.clear();
+  });
+
+  it('keeps the chunks that landed when a later one fails', async () => {
+    runNativeBatchMint.mockImplementationOnce(async (entries, { onChunkMinted }) => {
+      await onChunkMinted([{ itemIndex: 40, nftAddress: 'EQforty', mintedAt: '2026-10-19T12:00:00.000Z', transaction: { hash: 'h40' } }]);
+      throw Object.assign(new Error('Mint of items up to #41 was not confirmed'), { code: 'MINT_NOT_CONFIRMED' });
+    });
+
+    const error = await batchMintColorNfts([
+      { walletAddress: wallet, telegramUserId: 1, color: '#404040' },
+      { walletAddress: wallet, telegramUserId: 2, color: '#414141' },
+    ], { reservationId: 'batch-job' }).catch((rejection) => rejection);
+
+    expect(error.code).toBe('MINT_NOT_CONFIRMED');
+    expect(error.partialResult).toMatchObject({
+      count: 1,
+      items: [{ itemIndex: 40, nftAddress: 'EQforty', color: '#404040', telegramUserId: 1 }],
+    });
+    expect(colourRegistry.get('#404040')).toMatchObject({ status: 'minted', itemIndex: 40 });
+    expect(itemMetadataStore.get(40)).toMatchObject({ color: '#404040' });
+    expect(colourRegistry.get('#414141')).toBeNull();
+  });
+});
+
+describe('mintService.stopMintingOnChain', () => {
+  const mintingFlag = (value) => ({ stack: { readNumber: () => value } });
+
+  beforeEach(() => {
+    runMethodMock.mockReset();
+    sendFromMinterWallet.mockReset();
+    sendFromMinterWallet.mockResolvedValue({ externalMessageHash: 'ab'.repeat(32), seqno: 12 });
+  });
+
+  it('resolves once the collection reports minting as complete', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    runMethodMock.mockResolvedValueOnce(mintingFlag(0)).mockResolvedValue(mintingFlag(-1));
+
+    const result = await stopMintingOnChain({});
+
+    expect(result).toMatchObject({ seqno: 12, externalMessageHash: 'ab'.repeat(32) });
+    expect(runMethodMock).toHaveBeenCalledTimes(2);
+    expect(runMethodMock.mock.calls[0][1]).toBe('get_minting_complete_flag');
+    warnSpy.mockRestore();
+  });
+
+  it('throws STOP_MINTING_NOT_CONFIRMED when the flag never flips', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    runMethodMock.mockResolvedValue(mintingFlag(0));
+
+    await expect(stopMintingOnChain({})).rejects.toMatchObject({
+      code: 'STOP_MINTING_NOT_CONFIRMED',
+      statusCode: 504,
+      details: { seqno: 12 },
+    });
+    warnSpy.mockRestore();
+  });
+});
+
+describe('mintService.refundFromMinterWallet', () => {
+  const refund = (comment) => ({ to: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c', amountNano: '90000000', comment });
+
+  beforeEach(() => {
+    sendFromMinterWallet.mockReset();
+    waitForSeqnoAfter.mockReset();
+  });
+
+  it('keeps the wallet until its seqno moves, so refunds sent together use different seqnos', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    let chainSeqno = 20;
+    sendFromMinterWallet.mockImplementation(async () => ({ externalMessageHash: `hash-${chainSeqno}`, seqno: chainSeqno }));
+    waitForSeqnoAfter.mockImplementation(async ({ seqno }) => {
+      await flushAsyncWork();
+      chainSeqno = seqno + 1;
+    });
+
+    const results = await Promise.all([refundFromMinterWallet(refund('first')), refundFromMinterWallet(refund('second'))]);
+
+    expect(results.map((result) => result.seqno)).toEqual([20, 21]);
+    expect(waitForSeqnoAfter).toHaveBeenCalledTimes(2);
+    logSpy.mockRestore();
+  });
+
+  it('fails the refund when the seqno never moves', async () => {
+    sendFromMinterWallet.mockResolvedValue({ externalMessageHash: 'ab'.repeat(32), seqno: 30 });
+    waitForSeqnoAfter.mockRejectedValue(Object.assign(new Error('stuck'), { code: 'MINTER_SEQNO_TIMEOUT' }));
+
+    await expect(refundFromMinterWallet(refund('stuck'))).rejects.toMatchObject({ code: 'MINTER_SEQNO_TIMEOUT' });
+  });
 });
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MinterBalanceMonitor } from '../src/services/minterBalanceMonitor.js';
+import { MinterWalletPool } from '../src/services/minterWalletPool.js';
+import { createAdminNotifier } from '../src/services/telegramBotService.js';
+
+const TON = 1000000000n;
+
+describe('MinterBalanceMonitor', () => {
+  let clock;
+  let balances;
+  let pool;
+  let notify;
+  let monitor;
+  let warnSpy;
+
+  beforeEach(() => {
+    clock = 0;
+    balances = { primary: 5n * TON, 'pool-1': 5n * TON };
+    pool = new MinterWalletPool({
+      walletIds: ['primary', 'pool-1'],
+      minBalanceNano: TON / 2n,
+      now: () => clock,
+    });
+    notify = vi.fn(async () => {});
+    monitor = new MinterBalanceMonitor({
+      pool,
+      readStatus: async (walletId) => {
+        if (balances[walletId] instanceof Error) {
+          throw balances[walletId];
+        }
+        pool.recordStatus(walletId, { address: `EQ-${walletId}`, balanceNano: balances[walletId], state: 'active' });
+      },
+      warnBelowNano: 2n * TON,
+      refuseBelowNano: TON / 2n,
+      notify,
+      intervalMs: 1000,
+      alertRepeatMs: 60000,
+      now: () => clock,
+    });
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    warnSpy.mockRestore();
+  });
+
+  it('alerts once per repeat window while a wallet is low, then reports recovery', async () => {
+    balances['pool-1'] = TON;
+    await monitor.check();
+    await monitor.check();
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toContain('pool-1 (EQ-pool-1) has 1 TON, below the 2 TON warning threshold.');
+    expect(notify.mock.calls[0][0]).not.toContain('refused');
+
+    clock = 60000;
+    balances['pool-1'] = TON / 4n;
+    await monitor.check();
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls[1][0]).toContain('Mints from it are refused until it is topped up.');
+    expect(pool.status()[1]).toMatchObject({ id: 'pool-1', balanceTon: 0.25, underfunded: true, healthy: false });
+
+    balances['pool-1'] = 3n * TON;
+    await monitor.check();
+    expect(notify).toHaveBeenCalledTimes(3);
+    expect(notify.mock.calls[2][0]).toBe('✅ Minter wallet pool-1 is back to 3 TON.');
+  });
+
+  it('evaluates balances recorded by the pre-mint check too', () => {
+    pool.recordStatus('primary', { address: 'EQ-primary', balanceNano: TON, state: 'active' });
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toContain('Minter wallet primary');
+  });
+
+  it('keeps checking the other wallets when one lookup fails', async () => {
+    balances.primary = new Error('rate limited');
+    balances['pool-1'] = TON;
+
+    await monitor.check();
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toContain('pool-1');
+  });
+
+  it('checks right away on start and then on every interval', async () => {
+    vi.useFakeTimers();
+    try {
+      const readStatus = vi.spyOn(monitor, 'readStatus');
+      monitor.start();
+      expect(readStatus).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(readStatus).toHaveBeenCalledTimes(4);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('createAdminNotifier', () => {
+  it('sends the alert to every chat and survives a failing one', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const transport = {
+      sendMessage: vi.fn()
+        .mockRejectedValueOnce(new Error('Telegram API error 403: bot was blocked by the user'))
+        .mockResolvedValue({}),
+    };
+    const notifyAdmins = createAdminNotifier({ chatIds: ['11', '12'], transport });
+
+    await notifyAdmins('⚠️ low balance');
+
+    expect(transport.sendMessage.mock.calls.map(([params]) => params.chat_id)).toEqual(['11', '12']);
+    expect(errorSpy).toHaveBeenCalledTimes(1);
+    expect(createAdminNotifier({ chatIds: [], transport })).toBeNull();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it, vi } from 'vitest';
+import { Address } from '@ton/ton';
+import { MinterWalletPool, NoAuthorisedMinterWalletError } from '../src/services/minterWalletPool.js';
+
+const addresses = {
+  primary: new Address(0, Buffer.alloc(32, 1)),
+  'pool-1': new Address(0, Buffer.alloc(32, 2)),
+  'pool-2': new Address(0, Buffer.alloc(32, 3)),
+};
+const seasonOne = { id: 'default', address: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c' };
+const seasonTwo = { id: 'season-2', address: 'EQACAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAsoi' };
+
+function createPool({ minters = {}, ...options } = {}) {
+  const readMinters = vi.fn(async (collection) => (minters[collection.id] ?? ['primary']).map((id) => addresses[id]));
+  const pool = new MinterWalletPool({
+    walletIds: ['primary', 'pool-1', 'pool-2'],
+    resolveAddress: async (walletId) => addresses[walletId],
+    readMinters,
+    authorisationTtlMs: 60000,
+    ...options,
+  });
+  return { pool, readMinters };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe('MinterWalletPool', () => {
+  it('only leases wallets the collection accepts mints from', async () => {
+    const { pool, readMinters } = createPool({ minters: { 'season-2': ['primary', 'pool-2'] } });
+
+    const used = [];
+    await pool.useForCollection(seasonTwo, async (walletId) => used.push(walletId));
+    await pool.useForCollection(seasonTwo, async (walletId) => used.push(walletId));
+    await pool.useForCollection(seasonTwo, async (walletId) => used.push(walletId));
+
+    // Least recently used first, never pool-1.
+    expect(used).toEqual(['primary', 'pool-2', 'primary']);
+    expect(readMinters).toHaveBeenCalledTimes(1);
+    expect(pool.status().find((wallet) => wallet.id === 'pool-2').authorisedCollections).toEqual(['season-2']);
+  });
+
+  it('runs tasks on different wallets side by side and queues them once all are busy', async () => {
+    const { pool } = createPool({ minters: { default: ['primary'], 'season-2': ['pool-1'] } });
+    const first = deferred();
+    const second = deferred();
+
+    const running = [];
+    const seasonOneMint = pool.useForCollection(seasonOne, async (walletId) => {
+      running.push(walletId);
+      await first.promise;
+    });
+    const seasonTwoMint = pool.useForCollection(seasonTwo, async (walletId) => {
+      running.push(walletId);
+      await second.promise;
+    });
+
+    await vi.waitFor(() => expect(running).toEqual(['primary', 'pool-1']));
+    const refund = pool.useWallet('primary', async (walletId) => running.push(`refund:${walletId}`));
+    expect(pool.status().filter((wallet) => wallet.busy).map((wallet) => [wallet.id, wallet.collectionId]))
+      .toEqual([['primary', 'default'], ['pool-1', 'season-2']]);
+
+    first.resolve();
+    await Promise.all([seasonOneMint, refund]);
+    expect(running).toEqual(['primary', 'pool-1', 'refund:primary']);
+
+    second.resolve();
+    await seasonTwoMint;
+  });
+
+  it('tracks failures per wallet and prefers healthy wallets', async () => {
+    const { pool } = createPool({ minters: { default: ['primary', 'pool-1'] }, maxConsecutiveFailures: 2 });
+    const failing = () => pool.useWallet('pool-1', async () => {
+      const error = new Error('Failed to query minter wallet status from TON RPC');
+      error.code = 'MINTER_WALLET_STATUS_UNAVAILABLE';
+      throw error;
+    });
+
+    await expect(failing()).rejects.toThrow('TON RPC');
+    await expect(failing()).rejects.toThrow('TON RPC');
+    pool.recordStatus('primary', { address: addresses.primary, balanceNano: 2500000000n, state: 'active' });
+
+    const used = [];
+    await pool.useForCollection(seasonOne, async (walletId) => used.push(walletId));
+    await pool.useForCollection(seasonOne, async (walletId) => used.push(walletId));
+    expect(used).toEqual(['primary', 'primary']);
+
+    const [primary, poolOne] = pool.status();
+    expect(primary).toMatchObject({ healthy: true, balanceTon: 2.5, state: 'active', tasks: 2, failures: 0 });
+    expect(poolOne).toMatchObject({
+      healthy: false,
+      failures: 2,
+      consecutiveFailures: 2,
+      lastError: { code: 'MINTER_WALLET_STATUS_UNAVAILABLE' },
+    });
+  });
+
+  it('refuses collections none of the wallets may mint into', async () => {
+    const outsider = new Address(0, Buffer.alloc(32, 9));
+    const pool = new MinterWalletPool({
+      walletIds: ['primary', 'pool-1'],
+      resolveAddress: async (walletId) => addresses[walletId],
+      readMinters: async () => [outsider],
+    });
+
+    await expect(pool.useForCollection(seasonTwo, async () => {})).rejects.toBeInstanceOf(NoAuthorisedMinterWalletError);
+  });
+
+  it('skips the on-chain check with a single wallet', async () => {
+    const readMinters = vi.fn();
+    const pool = new MinterWalletPool({ walletIds: ['primary'], readMinters });
+
+    await expect(pool.useForCollection(seasonTwo, async (walletId) => walletId)).resolves.toBe('primary');
+    expect(readMinters).not.toHaveBeenCalled();
+  });
+});
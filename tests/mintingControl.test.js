@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MintingPausedError, MintingStoppedError, createMintingControl } from '../src/services/mintingControl.js';
+
+describe('MintingControl', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minting-control-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps the pause and on-chain stops across restarts', () => {
+    const filePath = path.join(tempDir, 'minting-control.json');
+    const control = createMintingControl({ filePath, defaultCollectionId: 'default' });
+    control.pauseMinting({ reason: 'RPC outage', pausedBy: 1 });
+    control.recordStop({ collectionId: 'season-0', stoppedBy: 1 });
+
+    const restarted = createMintingControl({ filePath, defaultCollectionId: 'default' });
+    expect(restarted.paused).toBe(true);
+    expect(() => restarted.assertOpen()).toThrow(MintingPausedError);
+    expect(() => restarted.assertOpen()).toThrow('Minting is paused: RPC outage');
+    expect(() => restarted.assertOpen({ collectionId: 'season-0' })).toThrow(MintingStoppedError);
+
+    expect(restarted.resumeMinting()).toBe(true);
+    expect(restarted.resumeMinting()).toBe(false);
+    expect(() => restarted.assertOpen()).not.toThrow();
+    expect(createMintingControl({ filePath }).status()).toMatchObject({
+      paused: false,
+      stoppedCollections: [{ collectionId: 'season-0' }],
+    });
+  });
+
+  it('only confirms a stop with the code issued to the same admin for the same collection', () => {
+    let clock = 0;
+    const control = createMintingControl({ stopConfirmationTtlMs: 1000, now: () => clock });
+
+    const code = control.requestStop({ collectionId: 'season-2', requestedBy: 1 });
+    expect(code).toMatch(/^[0-9A-F]{6}$/);
+    expect(control.confirmStop({ collectionId: 'season-2', requestedBy: 2, code })).toBe(false);
+    expect(control.confirmStop({ collectionId: 'default', requestedBy: 1, code })).toBe(false);
+    expect(control.confirmStop({ collectionId: 'season-2', requestedBy: 1, code: code.toLowerCase() })).toBe(true);
+    // The code is single use.
+    expect(control.confirmStop({ collectionId: 'season-2', requestedBy: 1, code })).toBe(false);
+
+    const expired = control.requestStop({ collectionId: 'season-2', requestedBy: 1 });
+    clock = 1000;
+    expect(control.confirmStop({ collectionId: 'season-2', requestedBy: 1, code: expired })).toBe(false);
+  });
+});
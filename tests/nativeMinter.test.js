@@ -0,0 +1,289 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Address, Dictionary, TupleReader, WalletContractV4, beginCell } from '@ton/ton';
+
+vi.hoisted(() => {
+  process.env.MINT_CONFIRM_POLL_INTERVAL_MS = '1';
+  process.env.MINT_CONFIRM_TIMEOUT_MS = '50';
+});
+
+// `items` maps an item index to what get_nft_data returns for it; by default it holds
+// whatever the last message sent to the collection minted.
+const collectionState = { nextItemId: 4, advanceAfter: 1, advanceBy: 1, polls: 0, items: new Map() };
+const sendMessageMock = vi.fn();
+const getTransactionsMock = vi.fn();
+const getSeqnoMock = vi.fn();
+const minterWallet = WalletContractV4.create({ workchain: 0, publicKey: Buffer.alloc(32, 1) });
+const createTransferSpy = vi.spyOn(minterWallet, 'createTransfer');
+
+const ownerAddress = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+const nftAddressFor = (itemIndex) => new Address(0, Buffer.alloc(32, itemIndex));
+const nftAddress = nftAddressFor(4);
+
+function mintedItems(message) {
+  const body = message.body.beginParse();
+  const op = body.loadUint(32);
+  body.loadUintBig(64);
+  const readItem = (slice) => {
+    slice.loadCoins();
+    const itemMessage = slice.loadRef().beginParse();
+    return { ownerAddress: itemMessage.loadAddress(), content: itemMessage.loadRef().beginParse().loadStringTail() };
+  };
+  if (op === 1) {
+    return [[body.loadUint(64), readItem(body)]];
+  }
+  const items = body.loadRef().beginParse().loadDictDirect(Dictionary.Keys.Uint(64), { serialize() {}, parse: readItem });
+  return items.keys().map((itemIndex) => [itemIndex, items.get(itemIndex)]);
+}
+
+function runMethod(address, method, args = []) {
+  if (method === 'get_collection_data') {
+    collectionState.polls += 1;
+    if (collectionState.advanceAfter !== null && collectionState.polls > collectionState.advanceAfter) {
+      collectionState.nextItemId += collectionState.advanceBy;
+      collectionState.advanceAfter = null;
+    }
+    const content = beginCell().storeUint(1, 8).storeStringTail('https://backend.example/metadata/').endCell();
+    return {
+      stack: new TupleReader([
+        { type: 'int', value: BigInt(collectionState.nextItemId) },
+        { type: 'cell', cell: content },
+        { type: 'slice', cell: beginCell().storeAddress(Address.parse(ownerAddress)).endCell() },
+      ]),
+    };
+  }
+  if (method === 'get_nft_address_by_index') {
+    return {
+      stack: new TupleReader([{ type: 'slice', cell: beginCell().storeAddress(nftAddressFor(Number(args[0].value))).endCell() }]),
+    };
+  }
+  if (method === 'get_nft_data') {
+    const itemIndex = address.hash[0];
+    const item = collectionState.items.get(itemIndex);
+    if (!item) {
+      throw new Error('exit_code: -13');
+    }
+    return {
+      stack: new TupleReader([
+        { type: 'int', value: -1n },
+        { type: 'int', value: BigInt(itemIndex) },
+        { type: 'slice', cell: beginCell().storeAddress(Address.parse(ownerAddress)).endCell() },
+        { type: 'slice', cell: beginCell().storeAddress(item.ownerAddress).endCell() },
+        { type: 'cell', cell: beginCell().storeStringTail(item.content).endCell() },
+      ]),
+    };
+  }
+  throw new Error(`Unexpected get method ${method}`);
+}
+
+vi.mock('../src/services/tonClient.js', () => ({
+  getTonClient: () => ({
+    runMethod: vi.fn(async (...args) => runMethod(...args)),
+    sendMessage: sendMessageMock,
+    getTransactions: getTransactionsMock,
+    open: () => ({
+      getSeqno: getSeqnoMock,
+    }),
+  }),
+  getMinterWallet: vi.fn(async () => ({
+    walletContract: minterWallet,
+    keyPair: { publicKey: Buffer.alloc(32), secretKey: Buffer.alloc(64) },
+  })),
+}));
+
+const { runNativeBatchMint, runNativeMint, waitForSeqnoAfter } = await import('../src/services/nativeMinter.js');
+const { MAX_BATCH_MINT_ITEMS } = await import('../src/services/collectionContract.js');
+
+describe('nativeMinter.runNativeMint', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    collectionState.nextItemId = 4;
+    collectionState.advanceAfter = 1;
+    collectionState.advanceBy = 1;
+    collectionState.polls = 0;
+    collectionState.items = new Map();
+    sendMessageMock.mockReset();
+    sendMessageMock.mockImplementation(async () => {
+      const [transfer] = createTransferSpy.mock.calls.at(-1);
+      for (const [itemIndex, item] of mintedItems(transfer.messages[0])) {
+        collectionState.items.set(itemIndex, item);
+      }
+    });
+    createTransferSpy.mockClear();
+    getTransactionsMock.mockReset();
+    getTransactionsMock.mockImplementation(async () => sendMessageMock.mock.calls.map(([message], position) => ({
+      hash: () => Buffer.alloc(32, position + 1),
+      lt: BigInt(1000 + position),
+      now: 1735689600,
+      totalFees: { coins: 3500000n },
+      inMessage: message,
+      outMessages: new Map(),
+    })));
+    getSeqnoMock.mockReset();
+    getSeqnoMock.mockResolvedValue(11);
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  it('sends a mint message with the current seqno and waits for the index to advance', async () => {
+    const onProgress = vi.fn();
+    const result = await runNativeMint({
+      walletAddress: ownerAddress,
+      color: '#FF0000',
+      telegramUserId: 77,
+      onProgress,
+    });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { phase: 'submitted', itemIndex: 4, seqno: 11 },
+      { phase: 'waiting', itemIndex: 4, seqno: 11, attempt: 1 },
+      { phase: 'deployed', itemIndex: 4, nftAddress: nftAddress.toString(), attempts: 1 },
+    ]);
+
+    expect(sendMessageMock).toHaveBeenCalledTimes(1);
+    const [transfer] = createTransferSpy.mock.calls[0];
+    expect(transfer.seqno).toBe(11);
+    expect(transfer.messages).toHaveLength(1);
+
+    const body = transfer.messages[0].body.beginParse();
+    expect(body.loadUint(32)).toBe(1);
+    expect(body.loadUintBig(64)).toBe(0n);
+    expect(body.loadUint(64)).toBe(4);
+    expect(body.loadCoins()).toBe(2000000n);
+    const itemMessage = body.loadRef().beginParse();
+    expect(itemMessage.loadAddress().equals(Address.parse(ownerAddress))).toBe(true);
+    expect(itemMessage.loadRef().beginParse().loadStringTail()).toBe(result.itemContent);
+
+    expect(result.itemIndex).toBe(4);
+    // TELEGRAM_ID_PRIVACY defaults to omit, so the Telegram ID stays off-chain.
+    expect(result.itemContent).toBe(`4?color=FF0000&wallet=${encodeURIComponent(ownerAddress)}`);
+    expect(result.metadataUri).toBe(`https://backend.example/metadata/${result.itemContent}`);
+    expect(result.nftAddress).toBe(nftAddress.toString());
+    expect(result.attempts).toBe(1);
+    expect(result.transaction).toEqual({
+      hash: '01'.repeat(32),
+      lt: '1000',
+      externalMessageHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      walletFees: { totalNano: '3500000', totalTon: '0.0035' },
+      timestamp: '2025-01-01T00:00:00.000Z',
+      explorerUrl: `https://testnet.tonviewer.com/transaction/${'01'.repeat(32)}`,
+    });
+  });
+
+  it('fails with a timeout when the collection never confirms the mint', async () => {
+    collectionState.advanceAfter = null;
+
+    await expect(runNativeMint({
+      walletAddress: ownerAddress,
+      color: '#00FF00',
+      telegramUserId: 5,
+    })).rejects.toMatchObject({ code: 'MINT_CONFIRMATION_TIMEOUT', statusCode: 504 });
+  });
+
+  it('mints several items with a single batch_mint message', async () => {
+    collectionState.advanceBy = 2;
+
+    const results = await runNativeBatchMint([
+      { walletAddress: ownerAddress, color: '#111111', telegramUserId: 1 },
+      { walletAddress: ownerAddress, color: '#222222', telegramUserId: 2 },
+    ]);
+
+    expect(sendMessageMock).toHaveBeenCalledTimes(1);
+    const [transfer] = createTransferSpy.mock.calls[0];
+    expect(transfer.messages[0].info.value.coins).toBe(18000000n);
+
+    const body = transfer.messages[0].body.beginParse();
+    expect(body.loadUint(32)).toBe(2);
+    body.loadUintBig(64);
+    const items = body.loadRef().beginParse().loadDictDirect(Dictionary.Keys.Uint(64), {
+      serialize() {},
+      parse(slice) {
+        slice.loadCoins();
+        const itemMessage = slice.loadRef().beginParse();
+        itemMessage.loadAddress();
+        return itemMessage.loadRef().beginParse().loadStringTail();
+      },
+    });
+    expect(items.keys()).toEqual([4, 5]);
+    expect(items.get(5)).toContain('color=222222');
+
+    expect(results.map((item) => item.itemIndex)).toEqual([4, 5]);
+    expect(results[1].colour).toBe('#222222');
+    expect(results.map((item) => item.nftAddress)).toEqual([nftAddressFor(4).toString(), nftAddressFor(5).toString()]);
+    expect(results[0].transaction.lt).toBe('1000');
+    expect(results[1].transaction).toBe(results[0].transaction);
+  });
+
+  it('waits for the item to be deployed before reporting success', async () => {
+    sendMessageMock.mockImplementation(async () => {
+      const [transfer] = createTransferSpy.mock.calls.at(-1);
+      const [[itemIndex, item]] = mintedItems(transfer.messages[0]);
+      setTimeout(() => collectionState.items.set(itemIndex, item), 5);
+    });
+
+    const result = await runNativeMint({ walletAddress: ownerAddress, color: '#0000FF', telegramUserId: 6 });
+
+    expect(result.nftAddress).toBe(nftAddress.toString());
+    expect(collectionState.items.get(4).content).toBe(result.itemContent);
+  });
+
+  it('fails when another mint took the item index', async () => {
+    sendMessageMock.mockImplementation(async () => {
+      collectionState.items.set(4, { ownerAddress: Address.parse(ownerAddress), content: '4?color=ABCDEF&wallet=someone-else' });
+    });
+
+    await expect(runNativeMint({
+      walletAddress: ownerAddress,
+      color: '#FFFF00',
+      telegramUserId: 7,
+    })).rejects.toMatchObject({
+      code: 'MINT_NOT_CONFIRMED',
+      statusCode: 502,
+      details: { itemIndex: 4, foundContent: '4?color=ABCDEF&wallet=someone-else' },
+    });
+  });
+
+  it('hands over each confirmed chunk before sending the next', async () => {
+    collectionState.advanceBy = MAX_BATCH_MINT_ITEMS;
+    const entries = Array.from({ length: MAX_BATCH_MINT_ITEMS + 1 }, (_, position) => ({
+      walletAddress: ownerAddress,
+      color: `#${position.toString(16).padStart(6, '0')}`,
+      telegramUserId: 1,
+    }));
+    const onChunkMinted = vi.fn();
+
+    await expect(runNativeBatchMint(entries, { onChunkMinted })).rejects.toMatchObject({ code: 'MINT_CONFIRMATION_TIMEOUT' });
+
+    expect(sendMessageMock).toHaveBeenCalledTimes(2);
+    expect(onChunkMinted).toHaveBeenCalledTimes(1);
+    const [chunk] = onChunkMinted.mock.calls[0];
+    expect(chunk).toHaveLength(MAX_BATCH_MINT_ITEMS);
+    expect(chunk[0]).toMatchObject({ itemIndex: 4, colour: '#000000' });
+  });
+});
+
+describe('nativeMinter.waitForSeqnoAfter', () => {
+  beforeEach(() => {
+    getSeqnoMock.mockReset();
+  });
+
+  it('resolves once the wallet seqno moves past the one used', async () => {
+    getSeqnoMock.mockResolvedValueOnce(5).mockResolvedValueOnce(5).mockResolvedValue(6);
+
+    await waitForSeqnoAfter({ seqno: 5 });
+
+    expect(getSeqnoMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('throws MINTER_SEQNO_TIMEOUT when the seqno never moves', async () => {
+    getSeqnoMock.mockResolvedValue(5);
+
+    await expect(waitForSeqnoAfter({ walletId: 'pool-1', seqno: 5 })).rejects.toMatchObject({
+      code: 'MINTER_SEQNO_TIMEOUT',
+      details: { walletId: 'pool-1', seqno: 5 },
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it, vi } from 'vitest';
+import { Address } from '@ton/ton';
+import { readCollectionItem } from '../src/services/collectionItems.js';
+import { createCollectionRegistry } from '../src/services/collectionRegistry.js';
+import { NftLookup } from '../src/services/nftLookup.js';
+
+const collectionAddress = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+const ownerAddress = 'EQAREREREREREREREREREREREREREREREREREREREREREeYT';
+
+function createLookup(readItem, { now = () => 0 } = {}) {
+  return new NftLookup({
+    collectionRegistry: createCollectionRegistry({
+      collections: [{ id: 'default', address: collectionAddress }],
+      defaultId: 'default',
+    }),
+    readItem,
+    ttlMs: 1000,
+    now,
+  });
+}
+
+const deployedItem = (itemIndex) => ({
+  itemIndex,
+  nftAddress: 'EQnft',
+  deployed: true,
+  initialized: true,
+  ownerAddress,
+  individualContent: `${itemIndex}?color=ABCDEF&wallet=${ownerAddress}&tg=77`,
+  content: { itemIndex, color: '#ABCDEF', walletAddress: ownerAddress, telegramUserId: 77 },
+  error: null,
+});
+
+describe('NftLookup', () => {
+  it('reads an item once per TTL, sharing the call in flight', async () => {
+    let clock = 0;
+    const readItem = vi.fn(async ({ itemIndex }) => deployedItem(itemIndex));
+    const lookup = createLookup(readItem, { now: () => clock });
+
+    const [first, second] = await Promise.all([lookup.lookup(42), lookup.lookup(42)]);
+    expect(first).toEqual({
+      collectionId: 'default',
+      itemIndex: 42,
+      nftAddress: 'EQnft',
+      initialized: true,
+      ownerAddress,
+      individualContent: `42?color=ABCDEF&wallet=${ownerAddress}&tg=77`,
+      color: '#ABCDEF',
+      content: { itemIndex: 42, color: '#ABCDEF', walletAddress: ownerAddress, telegramUserId: 77 },
+      fetchedAt: new Date(0).toISOString(),
+    });
+    expect(second).toBe(first);
+    expect(readItem).toHaveBeenCalledTimes(1);
+    expect(readItem).toHaveBeenCalledWith({ collectionAddress: expect.any(String), itemIndex: 42 });
+
+    clock = 999;
+    await lookup.lookup(42);
+    expect(readItem).toHaveBeenCalledTimes(1);
+
+    clock = 1000;
+    await lookup.lookup(42);
+    expect(readItem).toHaveBeenCalledTimes(2);
+  });
+
+  it('caches undeployed items as 404 but retries RPC failures', async () => {
+    const readItem = vi.fn()
+      .mockRejectedValueOnce(new Error('429 Too Many Requests'))
+      .mockResolvedValue({ itemIndex: 7, nftAddress: 'EQnft', deployed: false, error: 'exit code -13' });
+    const lookup = createLookup(readItem);
+
+    await expect(lookup.lookup(7)).rejects.toMatchObject({ code: 'NFT_LOOKUP_FAILED', statusCode: 502 });
+    await expect(lookup.lookup(7)).rejects.toMatchObject({ code: 'NFT_NOT_FOUND', statusCode: 404 });
+    await expect(lookup.lookup(7)).rejects.toMatchObject({ code: 'NFT_NOT_FOUND' });
+    expect(readItem).toHaveBeenCalledTimes(2);
+
+    await expect(lookup.lookup(-1)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(lookup.lookup(1, { collectionId: 'nope' })).rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND' });
+  });
+
+  it('reports a failing RPC as a lookup error and an undeployed contract as not found', async () => {
+    const nftData = vi.fn();
+    const client = {
+      runMethod: vi.fn(async (_address, method) => {
+        if (method === 'get_nft_address_by_index') {
+          return { stack: { readAddress: () => Address.parse(ownerAddress) } };
+        }
+        return nftData();
+      }),
+    };
+    const lookup = createLookup((options) => readCollectionItem({ ...options, client }));
+
+    nftData.mockRejectedValueOnce(new TypeError('fetch failed'));
+    await expect(lookup.lookup(9)).rejects.toMatchObject({ code: 'NFT_LOOKUP_FAILED', statusCode: 502 });
+
+    nftData.mockRejectedValueOnce(new Error('Unable to execute get method. Got exit_code: -13'));
+    await expect(lookup.lookup(9)).rejects.toMatchObject({ code: 'NFT_NOT_FOUND', statusCode: 404 });
+    expect(nftData).toHaveBeenCalledTimes(2);
+  });
+});
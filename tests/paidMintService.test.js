@@ -0,0 +1,258 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Address, beginCell } from '@ton/ton';
+import { PaidMintService } from '../src/services/paidMintService.js';
+import { createMintInvoiceStore } from '../src/services/mintInvoiceStore.js';
+import { MintJobQueue } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+
+const receivingAddress = new Address(0, Buffer.alloc(32, 9));
+const payer = new Address(0, Buffer.alloc(32, 5));
+const price = 100_000_000n;
+
+/**
+ * Stands in for the TON HTTP API: keeps the receiving wallet's transactions newest first and
+ * pages through them the way `TonClient.getTransactions` does.
+ */
+function createMockRpc() {
+  const transactions = [];
+  let nextLt = 1000n;
+
+  return {
+    transactions,
+    pay({ amount, comment, at = Date.now(), bounced = false, from = payer }) {
+      const lt = nextLt;
+      nextLt += 1n;
+      transactions.unshift({
+        lt,
+        now: Math.floor(at / 1000),
+        hash: () => Buffer.from(lt.toString(16).padStart(64, '0'), 'hex'),
+        inMessage: {
+          info: { type: 'internal', src: from, dest: receivingAddress, value: { coins: amount }, bounced },
+          body: comment === undefined
+            ? beginCell().endCell()
+            : beginCell().storeUint(0, 32).storeStringTail(comment).endCell(),
+        },
+      });
+    },
+    getTransactions: vi.fn(async (address, { limit, lt }) => {
+      expect(address.equals(receivingAddress)).toBe(true);
+      const older = lt ? transactions.filter((transaction) => transaction.lt < BigInt(lt)) : transactions;
+      return older.slice(0, limit);
+    }),
+  };
+}
+
+const request = {
+  walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+  telegramUserId: 77,
+  color: '#ff00ff',
+};
+
+describe('PaidMintService', () => {
+  let rpc;
+  let store;
+  let queue;
+  let mintHandler;
+  let refundHandler;
+  let colourRegistry;
+  let service;
+  let logSpy;
+  let warnSpy;
+
+  function createService(overrides = {}) {
+    return new PaidMintService({
+      store,
+      queue,
+      client: rpc,
+      receivingAddress: receivingAddress.toString(),
+      priceNano: price,
+      invoiceTtlMs: 60_000,
+      refundHandler,
+      refundFeeNano: 10_000_000n,
+      colourRegistry,
+      ...overrides,
+    });
+  }
+
+  beforeEach(() => {
+    rpc = createMockRpc();
+    store = createMintInvoiceStore();
+    colourRegistry = createColourRegistry();
+    mintHandler = vi.fn(() => new Promise(() => {}));
+    queue = new MintJobQueue({ store: createMintJobStore(), mintHandler, colourRegistry });
+    refundHandler = vi.fn(async () => ({ externalMessageHash: 'ab'.repeat(32), seqno: 3 }));
+    service = createService();
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  it('queues the mint once the invoice is paid in full with its comment', async () => {
+    const invoice = service.createInvoice(request);
+    expect(invoice.comment).toMatch(/^tc-[0-9a-f]{12}$/);
+    expect(invoice.request.color).toBe('#FF00FF');
+
+    rpc.pay({ amount: price, comment: 'someone else' });
+    rpc.pay({ amount: price + 1n, comment: invoice.comment });
+    await service.poll();
+
+    const paid = service.get(invoice.id);
+    expect(paid.status).toBe('paid');
+    expect(paid.payments).toEqual([expect.objectContaining({ outcome: 'accepted', from: payer.toString(), amountNano: '100000001' })]);
+    expect(queue.get(paid.jobId).payload).toEqual(invoice.request);
+    expect(refundHandler).not.toHaveBeenCalled();
+
+    await service.poll();
+    expect(store.get(invoice.id).payments).toHaveLength(1);
+  });
+
+  it('refunds underpayments minus the refund fee', async () => {
+    const invoice = service.createInvoice(request);
+    rpc.pay({ amount: 60_000_000n, comment: invoice.comment });
+    await service.poll();
+
+    expect(refundHandler).toHaveBeenCalledWith({
+      to: payer.toString(),
+      amountNano: '50000000',
+      comment: `Refund for ${invoice.comment}: UNDERPAID`,
+    });
+    const refunded = service.get(invoice.id);
+    expect(refunded.status).toBe('refunded');
+    expect(refunded.flagReason).toBe('UNDERPAID');
+    expect(refunded.jobId).toBeNull();
+  });
+
+  it('expires unpaid invoices and refunds payments that arrive late', async () => {
+    const invoice = service.createInvoice(request);
+    const late = Date.parse(invoice.expiresAt) + 5_000;
+    service.expirePending(late);
+    expect(service.get(invoice.id).status).toBe('expired');
+
+    rpc.pay({ amount: price, comment: invoice.comment, at: late });
+    await service.poll();
+
+    expect(service.get(invoice.id)).toMatchObject({ status: 'refunded', flagReason: 'INVOICE_EXPIRED' });
+  });
+
+  it('honours a payment made in time even if the invoice was already marked expired', async () => {
+    const invoice = service.createInvoice(request);
+    rpc.pay({ amount: price, comment: invoice.comment });
+    service.expirePending(Date.parse(invoice.expiresAt) + 1);
+
+    await service.poll();
+
+    expect(service.get(invoice.id).status).toBe('paid');
+  });
+
+  it('leaves a payment for the next start instead of refunding it while the queue shuts down', async () => {
+    const invoice = service.createInvoice(request);
+    await queue.shutdown();
+    rpc.pay({ amount: price, comment: invoice.comment });
+
+    await expect(service.poll()).rejects.toMatchObject({ code: 'SERVER_SHUTTING_DOWN' });
+
+    expect(refundHandler).not.toHaveBeenCalled();
+    expect(service.get(invoice.id)).toMatchObject({ status: 'pending', payments: [] });
+    expect(store.getCursor()).toBeNull();
+  });
+
+  it('flags payments it cannot refund', async () => {
+    service = createService({ refundHandler: null });
+    const invoice = service.createInvoice(request);
+    rpc.pay({ amount: 1n, comment: invoice.comment });
+    await service.poll();
+
+    expect(service.get(invoice.id)).toMatchObject({ status: 'flagged', flagReason: 'UNDERPAID' });
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  it('refunds the second payer when the colour was minted meanwhile', async () => {
+    const first = service.createInvoice(request);
+    const second = service.createInvoice({ ...request, telegramUserId: 78 });
+    rpc.pay({ amount: price, comment: first.comment });
+    rpc.pay({ amount: price, comment: second.comment });
+    await service.poll();
+
+    expect(service.get(first.id).status).toBe('paid');
+    expect(service.get(second.id)).toMatchObject({ status: 'refunded', flagReason: 'COLOUR_ALREADY_MINTED' });
+    expect(() => service.createInvoice({ ...request, telegramUserId: 79 })).toThrow(expect.objectContaining({ code: 'COLOUR_ALREADY_MINTED' }));
+  });
+
+  it('pages back to the stored cursor so no transfer is skipped between polls', async () => {
+    service = createService({ pageSize: 2 });
+    rpc.pay({ amount: 1n });
+    await service.poll();
+
+    const invoices = ['#010101', '#020202', '#030303'].map((color) => service.createInvoice({ ...request, color }));
+    invoices.forEach((invoice) => rpc.pay({ amount: price, comment: invoice.comment }));
+    rpc.pay({ amount: 5n, comment: 'unrelated' });
+    await service.poll();
+
+    expect(invoices.map((invoice) => service.get(invoice.id).status)).toEqual(['paid', 'paid', 'paid']);
+    expect(store.getCursor().lt).toBe('1004');
+    expect(rpc.getTransactions).toHaveBeenCalledTimes(4);
+  });
+
+  describe('when the paid mint fails', () => {
+    let errorSpy;
+
+    beforeEach(() => {
+      errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      errorSpy.mockRestore();
+    });
+
+    async function payForFailingMint(code) {
+      queue = new MintJobQueue({
+        store: createMintJobStore(),
+        mintHandler: vi.fn().mockRejectedValue(Object.assign(new Error('Mint failed'), { code })),
+        colourRegistry,
+      });
+      service = createService();
+      service.attachTo(queue);
+      const invoice = service.createInvoice(request);
+      rpc.pay({ amount: price, comment: invoice.comment });
+      await service.poll();
+      await queue.waitFor(service.get(invoice.id).jobId).catch(() => {});
+      await vi.waitFor(() => expect(service.get(invoice.id).status).not.toBe('paid'));
+      return service.get(invoice.id);
+    }
+
+    it('refunds the payer', async () => {
+      const invoice = await payForFailingMint('MINTER_WALLET_UNDERFUNDED');
+
+      expect(refundHandler).toHaveBeenCalledWith({
+        to: payer.toString(),
+        amountNano: '90000000',
+        comment: `Refund for ${invoice.comment}: MINTER_WALLET_UNDERFUNDED`,
+      });
+      expect(invoice).toMatchObject({ status: 'refunded', flagReason: 'MINTER_WALLET_UNDERFUNDED' });
+      expect(invoice.payments).toEqual([expect.objectContaining({ outcome: 'refunded', reason: 'MINTER_WALLET_UNDERFUNDED' })]);
+    });
+
+    it('flags mints that may still have landed instead of refunding them', async () => {
+      const invoice = await payForFailingMint('MINT_CONFIRMATION_TIMEOUT');
+
+      expect(refundHandler).not.toHaveBeenCalled();
+      expect(invoice).toMatchObject({ status: 'flagged', flagReason: 'MINT_CONFIRMATION_TIMEOUT' });
+    });
+  });
+
+  it('refuses to start when refunds would leave from another wallet than the one paid', async () => {
+    service = createService({ refundWalletAddress: async () => payer });
+    await expect(service.start()).rejects.toMatchObject({ code: 'REFUND_WALLET_MISMATCH' });
+    expect(rpc.getTransactions).not.toHaveBeenCalled();
+
+    service = createService({ refundWalletAddress: async () => receivingAddress });
+    await service.start();
+    await service.stop();
+    expect(rpc.getTransactions).toHaveBeenCalled();
+  });
+});
@@ -1,23 +1,565 @@
-import { describe, expect, it } from 'vitest';
+import { describe, expect, it, vi } from 'vitest';
 import request from 'supertest';
-import app from '../src/server.js';
+import { WalletContractV4, beginCell, storeStateInit } from '@ton/ton';
+import { keyPairFromSeed, sign } from '@ton/crypto';
+
+vi.hoisted(() => {
+  process.env.MINT_QUOTA_PER_USER_DAILY = '2';
+  process.env.TELEGRAM_BOT_TOKEN = '123456:test-bot-token';
+  process.env.NFT_COLLECTIONS_FILE = 'tests/fixtures/collections.json';
+  process.env.NFT_COLLECTION_METADATA_FILE = 'tests/fixtures/collection-metadata.json';
+  process.env.ADMIN_API_TOKEN = 'test-admin-token';
+});
+
+const adminAuth = 'Bearer test-admin-token';
+
+vi.mock('../src/services/mintService.js', () => ({
+  mintColorNft: vi.fn(async ({ walletAddress, color }) => ({
+    itemIndex: 5,
+    nftAddress: 'EQminted',
+    ownerAddress: walletAddress,
+    color,
+  })),
+  batchMintColorNfts: vi.fn(async (items) => ({
+    count: items.length,
+    items: items.map((item, index) => ({ ...item, itemIndex: 20 + index })),
+  })),
+  resolveMinterWalletStatus: vi.fn(),
+  stopMintingOnChain: vi.fn(),
+}));
+
+const { default: app } = await import('../src/server.js');
+const { default: config } = await import('../src/config/env.js');
+const { signTelegramInitData } = await import('../src/services/telegramInitData.js');
+const { buildTonProofMessage } = await import('../src/services/tonProof.js');
+const { itemMetadataStore } = await import('../src/services/itemMetadataStore.js');
+const { colourRegistry } = await import('../src/services/colourRegistry.js');
+const { telegramPrivacyStore } = await import('../src/services/telegramPrivacy.js');
+const { mintJobQueue } = await import('../src/services/mintJobQueue.js');
+
+function initDataFor(telegramUserId, { authDate = Math.floor(Date.now() / 1000) } = {}) {
+  const params = new URLSearchParams({
+    query_id: 'AAH-test',
+    user: JSON.stringify({ id: telegramUserId, first_name: 'Test' }),
+    auth_date: String(authDate),
+  });
+  params.set('hash', signTelegramInitData(params, config.telegram.botToken));
+  return params.toString();
+}
 
 describe('GET /metadata/:itemIndex', () => {
-  it('returns metadata JSON', async () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+  it('serves the metadata recorded at mint time, whatever the query string says', async () => {
+    itemMetadataStore.record({ itemIndex: 1, color: '#FF0000', walletAddress: wallet, telegramUserId: 77 });
+
     const response = await request(app)
       .get('/metadata/1')
-      .query({ color: 'ff0000', wallet: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c', tg: '77' });
+      .query({ color: '00ff00', wallet: 'EQAREREREREREREREREREREREREREREREREREREREREREeYT', tg: '1' });
 
     expect(response.status).toBe(200);
-    expect(response.body).toHaveProperty('name');
+    expect(response.body.name).toBe('TON Colour #FF0000');
+    expect(response.body.properties).toMatchObject({ color: '#FF0000', walletAddress: wallet, telegramUserId: null, telegram: null });
+    expect(response.body.properties.traits).toMatchObject({ name: 'Red', patterns: ['Primary', 'Shorthand', 'Web Safe'] });
+    expect(response.body.attributes).toContainEqual(expect.objectContaining({ trait_type: 'Rarity Score', display_type: 'number' }));
     expect(response.body).toHaveProperty('image');
   });
 
-  it('validates color parameter', async () => {
+  it('applies a Telegram privacy preference to items minted before it was set', async () => {
+    itemMetadataStore.record({ itemIndex: 2, color: '#00FFFF', walletAddress: wallet, telegramUserId: 103 });
+    const telegramTraits = async () => (await request(app).get('/metadata/2')).body.attributes
+      .filter((attribute) => attribute.trait_type.startsWith('Telegram'));
+
+    expect(await telegramTraits()).toEqual([]);
+    telegramPrivacyStore.set(103, { mode: 'username', username: 'painter' });
+    expect(await telegramTraits()).toEqual([{ trait_type: 'Telegram Username', value: '@painter' }]);
+    telegramPrivacyStore.reset(103);
+  });
+
+  it('returns 404 for items that were never minted', async () => {
     const response = await request(app)
-      .get('/metadata/1')
-      .query({ color: 'not-a-color' });
+      .get('/metadata/999')
+      .query({ color: 'ff0000' });
+
+    expect(response.status).toBe(404);
+    expect((await request(app).get('/metadata/abc')).status).toBe(404);
+  });
+});
+
+describe('POST /mint', () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+  const postMint = (telegramUserId) => request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(telegramUserId));
+
+  it('returns a job ID that can be polled until the mint completes', async () => {
+    const response = await postMint(77).send({ walletAddress: wallet, color: '#ff0000' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.status).toBe('queued');
+    expect(response.body.jobId).toBeTruthy();
+    expect(response.body.statusUrl).toContain(`/mint/${response.body.jobId}`);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const status = await request(app).get(`/mint/${response.body.jobId}`);
+    expect(status.status).toBe(200);
+    expect(status.body.status).toBe('succeeded');
+    expect(status.body.result.itemIndex).toBe(5);
+    expect(status.body.request.color).toBe('#FF0000');
+    expect(mintJobQueue.get(response.body.jobId).payload.telegramUserId).toBe(77);
+  });
+
+  it('takes the Telegram user from signed initData, ignoring the body', async () => {
+    const response = await request(app)
+      .post('/mint')
+      .send({ walletAddress: wallet, telegramUserId: 1, color: '#fe0000', initData: initDataFor(76) });
+
+    expect(response.status).toBe(202);
+    expect(mintJobQueue.get(response.body.jobId).payload.telegramUserId).toBe(76);
+  });
+
+  it('rejects requests without valid initData', async () => {
+    const body = { walletAddress: wallet, telegramUserId: 75, color: '#fd0000' };
+
+    const missing = await request(app).post('/mint').send(body);
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('INIT_DATA_REQUIRED');
+
+    const tampered = await request(app)
+      .post('/mint')
+      .set('X-Telegram-Init-Data', initDataFor(75).replace('%22id%22%3A75', '%22id%22%3A74'))
+      .send(body);
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.code).toBe('INIT_DATA_INVALID');
+
+    const expired = await request(app)
+      .post('/mint')
+      .set('X-Telegram-Init-Data', initDataFor(75, { authDate: Math.floor(Date.now() / 1000) - 2 * 86400 }))
+      .send(body);
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('INIT_DATA_EXPIRED');
+  });
+
+  it('trusts the body telegramUserId only when the insecure dev flag is set', async () => {
+    config.mintAuth.allowUnverified = true;
+    try {
+      const response = await request(app).post('/mint').send({ walletAddress: wallet, telegramUserId: 74, color: '#fc0000' });
+      expect(response.status).toBe(202);
+      expect(mintJobQueue.get(response.body.jobId).payload.telegramUserId).toBe(74);
+    } finally {
+      config.mintAuth.allowUnverified = false;
+    }
+  });
+
+  it('replays the original job for a repeated Idempotency-Key', async () => {
+    const body = { walletAddress: wallet, color: '#00ff00' };
+
+    const first = await postMint(78).set('Idempotency-Key', 'retry-1').send(body);
+    const second = await postMint(78).set('Idempotency-Key', 'retry-1').send(body);
+
+    expect(first.status).toBe(202);
+    expect(second.status).toBe(202);
+    expect(second.body.jobId).toBe(first.body.jobId);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+
+    const viaBody = await postMint(78).send({ ...body, idempotencyKey: 'retry-1' });
+    expect(viaBody.body.jobId).toBe(first.body.jobId);
+  });
+
+  it('keeps Idempotency-Key values apart per Telegram user', async () => {
+    const first = await postMint(106).set('Idempotency-Key', 'shared-key').send({ walletAddress: wallet, color: '#010106' });
+    const other = await postMint(107).set('Idempotency-Key', 'shared-key').send({ walletAddress: wallet, color: '#010107' });
+
+    expect(other.status).toBe(202);
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(other.body.jobId).not.toBe(first.body.jobId);
+    expect(mintJobQueue.get(other.body.jobId).payload.telegramUserId).toBe(107);
+  });
+
+  it('rejects an Idempotency-Key reused with a different payload', async () => {
+    const body = { walletAddress: wallet, color: '#0000ff' };
+
+    await postMint(79).set('Idempotency-Key', 'retry-2').send(body);
+    const conflict = await postMint(79).set('Idempotency-Key', 'retry-2').send({ ...body, color: '#0000fe' });
+
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.details.idempotencyKey).toBe('retry-2');
+  });
+
+  it('rejects a colour that is already reserved or minted', async () => {
+    const first = await postMint(80).send({ walletAddress: wallet, color: '#abcdef' });
+    const duplicate = await postMint(81).send({ walletAddress: wallet, color: 'ABCDEF' });
+
+    expect(first.status).toBe(202);
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe('COLOUR_ALREADY_MINTED');
+    expect(duplicate.body.details.color).toBe('#ABCDEF');
+  });
+
+  it('returns 429 with the next allowed time once a user exhausts their daily quota', async () => {
+    await postMint(90).send({ walletAddress: wallet, color: '#909090' });
+    await postMint(90).send({ walletAddress: wallet, color: '#909091' });
+    const limited = await postMint(90).send({ walletAddress: wallet, color: '#909092' });
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('MINT_QUOTA_EXCEEDED');
+    expect(limited.body.details).toMatchObject({ scope: 'telegramUser', limit: 2, used: 2 });
+    expect(Date.parse(limited.body.details.nextAllowedAt)).toBeGreaterThan(Date.now());
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('refuses mints with 503 while minting is paused', async () => {
+    const { mintingControl } = await import('../src/services/mintingControl.js');
+    mintingControl.pauseMinting({ reason: 'maintenance' });
+    try {
+      const paused = await postMint(101).send({ walletAddress: wallet, color: '#101010' });
+      expect(paused.status).toBe(503);
+      expect(paused.body.code).toBe('MINTING_PAUSED');
+      expect(paused.body.details.reason).toBe('maintenance');
+
+      const health = await request(app).get('/health');
+      expect(health.body.minting).toMatchObject({ paused: true, reason: 'maintenance' });
+    } finally {
+      mintingControl.resumeMinting();
+    }
+
+    const resumed = await postMint(101).send({ walletAddress: wallet, color: '#101010' });
+    expect(resumed.status).toBe(202);
+  });
+
+  it('does not issue invoices unless paid minting is enabled', async () => {
+    const response = await request(app)
+      .post('/mint/invoice')
+      .set('X-Telegram-Init-Data', initDataFor(91))
+      .send({ walletAddress: wallet, color: '#919191' });
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    const response = await request(app).get('/mint/does-not-exist');
+    expect(response.status).toBe(404);
+
+    const events = await request(app).get('/mint/does-not-exist/events');
+    expect(events.status).toBe(404);
+  });
+
+  it('streams a finished job as Server-Sent Events and closes the stream', async () => {
+    const accepted = await postMint(98).send({ walletAddress: wallet, color: '#0A0B0C' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const response = await request(app).get(`/mint/${accepted.body.jobId}/events`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    expect(response.text).toContain('event: snapshot');
+    expect(response.text).toContain('event: succeeded');
+  });
+});
+
+describe('GET /mints', () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+  it('lists recorded mints by Telegram user, newest first, a page at a time', async () => {
+    for (const color of ['#102102', '#102103']) {
+      await request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(102)).send({ walletAddress: wallet, color });
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const first = await request(app).get('/mints').set('Authorization', adminAuth).query({ telegramUserId: '102', limit: '1' });
+    expect(first.status).toBe(200);
+    expect(first.body.mints).toEqual([expect.objectContaining({
+      color: '#102103',
+      telegramUserId: null,
+      telegramIdentity: null,
+      source: 'api',
+      status: 'succeeded',
+      itemIndex: 5,
+      nftAddress: 'EQminted',
+    })]);
+
+    const second = await request(app)
+      .get('/mints')
+      .set('Authorization', adminAuth)
+      .query({ telegramUserId: '102', limit: '1', cursor: first.body.nextCursor });
+    expect(second.body.mints.map((entry) => entry.color)).toEqual(['#102102']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('only shows Mini App users their own mints and refuses anonymous callers', async () => {
+    const anonymous = await request(app).get('/mints');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.code).toBe('INIT_DATA_REQUIRED');
+
+    const own = await request(app).get('/mints').set('X-Telegram-Init-Data', initDataFor(104)).query({ telegramUserId: '102' });
+    expect(own.status).toBe(200);
+    expect(own.body.mints).toEqual([]);
+
+    const mine = await request(app).get('/mints').set('X-Telegram-Init-Data', initDataFor(102));
+    expect(mine.body.mints.map((entry) => entry.color)).toEqual(['#102103', '#102102']);
+  });
+
+  it('shows Telegram users in job status and ledger responses only as their privacy setting allows', async () => {
+    telegramPrivacyStore.set(105, { mode: 'username', username: 'ledger_fan' });
+    try {
+      const accepted = await request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(105)).send({ walletAddress: wallet, color: '#105105' });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const identity = { telegramUserId: null, telegramIdentity: { type: 'username', value: '@ledger_fan' } };
+
+      expect(accepted.body.request).toMatchObject(identity);
+      const status = await request(app).get(`/mint/${accepted.body.jobId}`);
+      expect(status.body.request).toMatchObject(identity);
+      const ledger = await request(app).get('/mints').set('Authorization', adminAuth).query({ telegramUserId: '105' });
+      expect(ledger.body.mints).toEqual([expect.objectContaining(identity)]);
+    } finally {
+      telegramPrivacyStore.reset(105);
+    }
+  });
+
+  it('rejects malformed filters', async () => {
+    const response = await request(app).get('/mints').set('Authorization', adminAuth).query({ status: 'done' });
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_MINT_QUERY');
+  });
+});
+
+describe('collections', () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+  const postMint = (path, telegramUserId) => request(app).post(path).set('X-Telegram-Init-Data', initDataFor(telegramUserId));
+
+  it('lists the default collection next to the configured seasons', async () => {
+    const response = await request(app).get('/collections');
+
+    expect(response.status).toBe(200);
+    expect(response.body.collections.map(({ id, default: isDefault, active }) => ({ id, isDefault, active }))).toEqual([
+      { id: 'default', isDefault: true, active: true },
+      { id: 'season-2', isDefault: false, active: true },
+      { id: 'season-0', isDefault: false, active: false },
+    ]);
+  });
+
+  it('mints into the collection named in the path, separately from the default one', async () => {
+    const { mintColorNft } = await import('../src/services/mintService.js');
+    await postMint('/mint', 99).send({ walletAddress: wallet, color: '#0D0E0F' });
+
+    const response = await postMint('/collections/season-2/mint', 99).send({ walletAddress: wallet, color: '#0D0E0F' });
+    expect(response.status).toBe(202);
+    expect(response.body.request.collectionId).toBe('season-2');
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(mintColorNft).toHaveBeenLastCalledWith(expect.objectContaining({ collectionId: 'season-2', color: '#0D0E0F' }));
+  });
+
+  it('rejects unknown collections and closed seasons', async () => {
+    const unknown = await postMint('/collections/nope/mint', 100).send({ walletAddress: wallet, color: '#0E0F10' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('COLLECTION_NOT_FOUND');
+
+    const closed = await postMint('/collections/season-0/mint', 100).send({ walletAddress: wallet, color: '#0E0F10' });
+    expect(closed.status).toBe(403);
+    expect(closed.body).toMatchObject({ code: 'COLLECTION_NOT_ACTIVE', details: { collectionId: 'season-0' } });
+  });
+
+  it('serves per-collection metadata', async () => {
+    itemMetadataStore.record({ collectionId: 'season-2', itemIndex: 3, color: '#00FF00' });
+    const response = await request(app).get('/collections/season-2/metadata/3');
+
+    expect(response.status).toBe(200);
+    expect(response.body.attributes).toContainEqual({ trait_type: 'Collection', value: 'Season 2' });
+    expect((await request(app).get('/metadata/3')).status).toBe(404);
+
+    const missing = await request(app).get('/collections/nope/metadata/3').query({ color: '00ff00' });
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('collection metadata', () => {
+  it('serves TEP-64 metadata for the default collection at /collection.json', async () => {
+    const response = await request(app).get('/collection.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      name: 'TON Colours',
+      image: `${config.backendBaseUrl}/collections/default/image.svg`,
+      cover_image: `${config.backendBaseUrl}/collections/default/cover.svg`,
+    });
+    expect(response.body).not.toHaveProperty('social_links');
+  });
+
+  it('applies the configured fields per collection', async () => {
+    const response = await request(app).get('/collections/season-2/collection.json');
+
+    expect(response.body).toEqual({
+      name: 'Season 2',
+      description: 'The second season of TON Colours.',
+      image: `${config.backendBaseUrl}/collections/season-2/image.svg`,
+      cover_image: `${config.backendBaseUrl}/collections/season-2/cover.svg`,
+      social_links: ['https://t.me/toncolours'],
+      marketplace: 'getgems.io',
+      external_url: 'https://toncolours.example',
+    });
+    expect((await request(app).get('/collections/nope/collection.json')).status).toBe(404);
+  });
+
+  it('draws the cover from the colours minted into the collection', async () => {
+    colourRegistry.reserve('#C0FFEE', { holder: 'cover-test', collectionId: 'season-0' });
+    colourRegistry.confirm('#C0FFEE', { holder: 'cover-test', collectionId: 'season-0', itemIndex: 0 });
+    colourRegistry.reserve('#BADA55', { holder: 'cover-test', collectionId: 'season-0' });
+
+    const response = await request(app).get('/collections/season-0/cover.svg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('image/svg+xml');
+    const svg = response.body.toString();
+    expect(svg).toContain('width="1500" height="500"');
+    expect(svg).toContain('fill="#C0FFEE"');
+    expect(svg).not.toContain('#BADA55');
+  });
+});
+
+describe('GET /minter-wallets', () => {
+  it('is only shown to operators', async () => {
+    const anonymous = await request(app).get('/minter-wallets');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.code).toBe('ADMIN_TOKEN_REQUIRED');
+
+    const admin = await request(app).get('/minter-wallets').set('Authorization', adminAuth);
+    expect(admin.status).toBe(200);
+    expect(admin.body.wallets).toEqual([expect.objectContaining({ id: 'primary' })]);
+  });
+});
+
+describe('GET /nft/:itemIndex', () => {
+  it('rejects malformed indexes and unknown collections before asking the chain', async () => {
+    const malformed = await request(app).get('/nft/abc');
+    expect(malformed.status).toBe(400);
+
+    const unknown = await request(app).get('/collections/nope/nft/1');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('COLLECTION_NOT_FOUND');
+  });
+});
+
+describe('POST /mint/batch', () => {
+  const wallet = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+  it('is refused without the admin API token', async () => {
+    const item = { walletAddress: wallet, telegramUserId: 1, color: '#101010' };
+    const anonymous = await request(app).post('/mint/batch').send({ items: [item] });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.code).toBe('ADMIN_TOKEN_REQUIRED');
+
+    const wrong = await request(app).post('/mint/batch').set('Authorization', 'Bearer nope').send({ items: [item] });
+    expect(wrong.status).toBe(401);
+
+    config.adminApiToken = null;
+    try {
+      const disabled = await request(app).post('/mint/batch').set('Authorization', adminAuth).send({ items: [item] });
+      expect(disabled.status).toBe(403);
+      expect(disabled.body.code).toBe('ADMIN_API_DISABLED');
+    } finally {
+      config.adminApiToken = 'test-admin-token';
+    }
+  });
+
+  it('queues a batch job and reports per-item results', async () => {
+    const response = await request(app)
+      .post('/mint/batch')
+      .set('Authorization', adminAuth)
+      .send({
+        items: [
+          { walletAddress: wallet, telegramUserId: 1, color: '#111111' },
+          { walletAddress: wallet, telegramUserId: 2, color: '#222222' },
+        ],
+      });
+
+    expect(response.status).toBe(202);
+    expect(response.body.type).toBe('batch');
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const status = await request(app).get(`/mint/${response.body.jobId}`);
+    expect(status.body.status).toBe('succeeded');
+    expect(status.body.result.items.map((item) => item.itemIndex)).toEqual([20, 21]);
+  });
+
+  it('rejects invalid entries with their positions', async () => {
+    const response = await request(app)
+      .post('/mint/batch')
+      .set('Authorization', adminAuth)
+      .send([
+        { walletAddress: wallet, telegramUserId: 1, color: '#111111' },
+        { walletAddress: wallet, telegramUserId: 2, color: 'nope' },
+      ]);
 
     expect(response.status).toBe(400);
+    expect(response.body.details.errors).toEqual([{ index: 1, error: expect.stringContaining('Invalid hex color') }]);
+  });
+});
+
+describe('TON Connect proof', () => {
+  const keyPair = keyPairFromSeed(Buffer.alloc(32, 3));
+  const tonWallet = WalletContractV4.create({ workchain: 0, publicKey: keyPair.publicKey });
+  const domain = config.tonProof.allowedDomains[0];
+
+  function signProof(payload) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const proofDomain = { lengthBytes: Buffer.byteLength(domain), value: domain };
+    const message = buildTonProofMessage({ address: tonWallet.address, domain: proofDomain, timestamp, payload });
+    return {
+      timestamp,
+      domain: proofDomain,
+      payload,
+      signature: sign(message, keyPair.secretKey).toString('base64'),
+      state_init: beginCell().store(storeStateInit(tonWallet.init)).endCell().toBoc().toString('base64'),
+    };
+  }
+
+  it('verifies a wallet for the Telegram user and lets POST /mint and POST /mint/batch require it', async () => {
+    config.mintAuth.requireWalletProof = true;
+    try {
+      const body = { walletAddress: tonWallet.address.toString(), color: '#5a5a5a' };
+      const unverified = await request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(95)).send(body);
+      expect(unverified.status).toBe(403);
+      expect(unverified.body.code).toBe('WALLET_NOT_VERIFIED');
+
+      const issued = await request(app).post('/ton-proof/payload').set('X-Telegram-Init-Data', initDataFor(95));
+      expect(issued.status).toBe(200);
+      expect(issued.body.payload).toMatch(/^[0-9a-f]{64}$/);
+
+      const verified = await request(app)
+        .post('/ton-proof/verify')
+        .set('X-Telegram-Init-Data', initDataFor(95))
+        .send({ address: tonWallet.address.toRawString(), proof: signProof(issued.body.payload) });
+      expect(verified.status).toBe(200);
+      expect(verified.body).toMatchObject({ telegramUserId: 95, walletAddress: tonWallet.address.toString() });
+
+      const otherUser = await request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(96)).send(body);
+      expect(otherUser.status).toBe(403);
+
+      const accepted = await request(app).post('/mint').set('X-Telegram-Init-Data', initDataFor(95)).send(body);
+      expect(accepted.status).toBe(202);
+
+      const batch = await request(app)
+        .post('/mint/batch')
+        .set('Authorization', adminAuth)
+        .send({
+          items: [
+            { walletAddress: body.walletAddress, telegramUserId: 95, color: '#5b5b5b' },
+            { walletAddress: body.walletAddress, telegramUserId: 96, color: '#5c5c5c' },
+          ],
+        });
+      expect(batch.status).toBe(400);
+      expect(batch.body.details.errors).toEqual([{ index: 1, error: expect.stringContaining('Prove ownership') }]);
+    } finally {
+      config.mintAuth.requireWalletProof = false;
+    }
+  });
+
+  it('rejects a proof over a payload that was never issued', async () => {
+    const response = await request(app)
+      .post('/ton-proof/verify')
+      .set('X-Telegram-Init-Data', initDataFor(97))
+      .send({ address: tonWallet.address.toString(), proof: signProof('f'.repeat(64)) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('TON_PROOF_PAYLOAD_INVALID');
   });
 });
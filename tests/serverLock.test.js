@@ -0,0 +1,43 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { acquireServerLock, assertServerStopped, readServerLock } from '../src/services/serverLock.js';
+
+describe('serverLock', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-lock-'));
+    lockPath = path.join(dir, 'server.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses CLI work while a live server holds the lock', () => {
+    // The test runner's parent process stands in for a running server.
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, startedAt: '2026-10-19T09:00:00.000Z' }));
+
+    expect(() => assertServerStopped({ action: 'rewrite the registry', lockPath })).toThrow(expect.objectContaining({
+      code: 'SERVER_RUNNING',
+      message: expect.stringContaining('stop it before you rewrite the registry'),
+      details: { pid: process.ppid, startedAt: '2026-10-19T09:00:00.000Z', lockPath },
+    }));
+    expect(() => assertServerStopped({ action: 'rewrite the registry', lockPath, force: true })).not.toThrow();
+    expect(() => acquireServerLock(lockPath)).toThrow(expect.objectContaining({ code: 'SERVER_RUNNING' }));
+  });
+
+  it('ignores locks left by a process that is gone, and takes them over', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2147483646, startedAt: '2026-10-19T09:00:00.000Z' }));
+    expect(readServerLock(lockPath)).toBeNull();
+    expect(() => assertServerStopped({ action: 'rewrite the registry', lockPath })).not.toThrow();
+
+    acquireServerLock(lockPath);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    // A process never blocks itself.
+    expect(readServerLock(lockPath)).toBeNull();
+  });
+});
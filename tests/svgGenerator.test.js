@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { buildColorSvg } from '../src/services/svgGenerator.js';
+import { buildColorSvg, buildPaletteSvg } from '../src/services/svgGenerator.js';
 
 describe('buildColorSvg', () => {
   it('renders svg with coloured square', () => {
@@ -10,3 +10,17 @@ describe('buildColorSvg', () => {
     expect(svg).not.toContain('TON Colours');
   });
 });
+
+describe('buildPaletteSvg', () => {
+  it('lays the colours out in hue order, once each, filling the canvas', () => {
+    const svg = buildPaletteSvg(['#0000ff', '#808080', '#FF0000', '#00FF00', '#ff0000'], { width: 300, height: 100 });
+    const fills = Array.from(svg.matchAll(/fill="(#[0-9A-F]{6})"/g), (match) => match[1]);
+    expect(fills).toEqual(['#FF0000', '#00FF00', '#0000FF', '#808080']);
+    expect(svg).toContain('width="300" height="100"');
+    expect(svg).toContain('x="225" y="0" width="76" height="101"');
+  });
+
+  it('draws a plain tile when nothing was minted yet', () => {
+    expect(buildPaletteSvg([]).match(/<rect /g)).toHaveLength(1);
+  });
+});
@@ -1,6 +1,12 @@
+import { EventEmitter } from 'node:events';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { TelegramBotController } from '../src/services/telegramBotService.js';
 import { createTelegramSessionStore } from '../src/services/telegramSessionStore.js';
+import { createColourRegistry } from '../src/services/colourRegistry.js';
+import { createMintQuotaTracker } from '../src/services/mintQuota.js';
+import { createMintingControl } from '../src/services/mintingControl.js';
+import { createCollectionRegistry } from '../src/services/collectionRegistry.js';
+import { createTelegramPrivacyStore } from '../src/services/telegramPrivacy.js';
 
 class MockTransport {
   constructor() {
@@ -36,6 +42,12 @@ describe('TelegramBotController', () => {
       color: '#FFAA00',
       ownerAddress: wallet,
       mintedAt: '2025-03-01T00:00:00.000Z',
+      transaction: {
+        hash: 'ab'.repeat(32),
+        lt: '48000000000001',
+        walletFees: { totalNano: '3500000', totalTon: '0.0035' },
+        explorerUrl: `https://testnet.tonviewer.com/transaction/${'ab'.repeat(32)}`,
+      },
     });
     controller = new TelegramBotController({
       transport,
@@ -91,11 +103,13 @@ describe('TelegramBotController', () => {
       walletAddress: wallet,
       telegramUserId: 77,
       color: '#FFAA00',
-    });
+    }, { source: 'command' });
 
     const lastMessage = transport.messages.at(-1);
     expect(lastMessage.text).toContain('Mint successful');
     expect(lastMessage.text).toContain('Minted At: 2025-03-01T00:00:00.000Z');
+    expect(lastMessage.text).toContain(`Transaction: https://testnet.tonviewer.com/transaction/${'ab'.repeat(32)}`);
+    expect(lastMessage.text).toContain('Minter wallet fees: 0.0035 TON');
 
     const session = sessionStore.get(77);
     expect(session.lastMint.mintedAt).toBe('2025-03-01T00:00:00.000Z');
@@ -133,13 +147,312 @@ describe('TelegramBotController', () => {
       walletAddress: wallet,
       telegramUserId: 300,
       color: '#123ABC',
-    });
+    }, { source: 'mini-app' });
 
     const lastMessage = transport.messages.at(-1);
     expect(lastMessage.text).toContain('Mint successful');
     expect(lastMessage.text).toContain('Minted At: 2025-03-01T00:00:00.000Z');
   });
 
+  it('tells the user when a colour has already been minted', async () => {
+    const colourRegistry = createColourRegistry();
+    colourRegistry.seed([{ color: '#FFAA00', itemIndex: 3 }]);
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      colourRegistry,
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+
+    await controller.handleUpdate({
+      message: {
+        chat: { id: 101 },
+        from: { id: 78 },
+        text: `/mint #ffaa00 ${wallet}`,
+      },
+    });
+
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0].text).toContain('#FFAA00 has already been minted as item #3');
+  });
+
+  it('reports colours taken while the request was queued', async () => {
+    const error = Object.assign(new Error('Colour #FFAA00 is already being minted'), {
+      code: 'COLOUR_ALREADY_MINTED',
+      details: { color: '#FFAA00', status: 'reserved' },
+    });
+    mintHandler.mockRejectedValueOnce(error);
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await controller.handleUpdate({
+      message: {
+        chat: { id: 101 },
+        from: { id: 79 },
+        text: `/mint #ffaa00 ${wallet}`,
+      },
+    });
+
+    expect(transport.messages.at(-1).text).toContain('#FFAA00 is being minted by someone else');
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('explains when the daily quota is used up and lets admins grant exemptions', async () => {
+    const quotaTracker = createMintQuotaTracker({ perUserDaily: 1 });
+    quotaTracker.consume([{ telegramUserId: 81, walletAddress: wallet }], { holder: 'earlier-job' });
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      quotaTracker,
+      adminIds: ['1'],
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+    const mint = { chat: { id: 102 }, from: { id: 81 }, text: `/mint #0a0b0c ${wallet}` };
+
+    await controller.handleUpdate({ message: mint });
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(transport.messages.at(-1).text).toContain("You have reached today's limit of 1 mints");
+    expect(transport.messages.at(-1).text).toContain('You can mint again after');
+
+    await controller.handleUpdate({ message: { chat: { id: 102 }, from: { id: 81 }, text: '/exempt 81' } });
+    expect(transport.messages.at(-1).text).toContain('Unknown command');
+
+    await controller.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text: '/exempt 81' } });
+    expect(transport.messages.at(-1).text).toContain('81 is now exempt from mint quotas');
+
+    await controller.handleUpdate({ message: mint });
+    expect(mintHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it('tells the user when a restart interrupts their mint', async () => {
+    mintHandler
+      .mockRejectedValueOnce(Object.assign(new Error('restarting'), {
+        code: 'SERVER_SHUTTING_DOWN',
+        details: { jobId: 'job-1', status: 'queued' },
+      }))
+      .mockRejectedValueOnce(Object.assign(new Error('restarting'), {
+        code: 'SERVER_SHUTTING_DOWN',
+        details: { jobId: 'job-2', status: 'running' },
+      }))
+      .mockRejectedValueOnce(Object.assign(new Error('shutting down'), { code: 'SERVER_SHUTTING_DOWN' }));
+    const mint = { chat: { id: 105 }, from: { id: 84 }, text: `/mint #131415 ${wallet}` };
+
+    await controller.handleUpdate({ message: mint });
+    expect(transport.messages.at(-1).text).toContain('It is saved and runs once the bot is back');
+    expect(transport.messages.at(-1).text).toContain('https://backend.example/mint/job-1');
+
+    await controller.handleUpdate({ message: mint });
+    expect(transport.messages.at(-1).text).toContain("I'll check the collection and tell you whether it landed");
+    expect(transport.messages.at(-1).text).not.toContain('It is saved');
+
+    await controller.handleUpdate({ message: mint });
+    expect(transport.messages.at(-1).text).toContain('Nothing was sent; please try again in a minute.');
+  });
+
+  it('tells users after a restart how their carried-over mints ended', async () => {
+    const jobQueue = new EventEmitter();
+    controller.followUpRestartedJobs(jobQueue);
+    const job = (overrides) => ({
+      id: 'job-3',
+      type: 'mint',
+      source: 'command',
+      restartedAt: '2025-03-01T00:00:00.000Z',
+      payload: { telegramUserId: 87, walletAddress: wallet, color: '#161718' },
+      ...overrides,
+    });
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    jobQueue.emit('job:succeeded', job({ restartedAt: undefined, result: { itemIndex: 1 } }));
+    jobQueue.emit('job:succeeded', job({ source: 'api', result: { itemIndex: 1 } }));
+    await flush();
+    expect(transport.messages).toHaveLength(0);
+
+    jobQueue.emit('job:failed', job({ status: 'failed', error: { code: 'MINT_INTERRUPTED', message: 'interrupted' } }));
+    await flush();
+    expect(transport.messages.at(-1)).toMatchObject({ chat_id: 87, text: expect.stringContaining('cut off by the restart') });
+
+    jobQueue.emit('job:recovered', job({ status: 'succeeded', result: { itemIndex: 30, nftAddress: 'EQrecovered', reconciled: true } }));
+    await flush();
+    expect(transport.messages.at(-1).text).toContain('✅ Mint successful!');
+    expect(transport.messages.at(-1).text).toContain('Item #30');
+    expect(sessionStore.get(87).lastMint).toMatchObject({ itemIndex: 30, color: '#161718', source: 'command' });
+
+    jobQueue.emit('job:failed', job({ id: 'job-4', status: 'failed', error: { code: 'MINT_FAILED', message: 'out of gas' } }));
+    await flush();
+    expect(transport.messages.at(-1).text).toBe('❌ Mint of #161718 failed: out of gas');
+  });
+
+  it('lets admins pause and resume minting', async () => {
+    const mintingControl = createMintingControl();
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      mintingControl,
+      adminIds: ['1'],
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+    const mint = { chat: { id: 104 }, from: { id: 83 }, text: `/mint #101112 ${wallet}` };
+
+    await controller.handleUpdate({ message: { chat: { id: 104 }, from: { id: 83 }, text: '/pause' } });
+    expect(transport.messages.at(-1).text).toContain('Unknown command');
+    expect(mintingControl.paused).toBe(false);
+
+    await controller.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text: '/pause RPC outage' } });
+    expect(transport.messages.at(-1).text).toContain('Minting paused');
+    expect(mintingControl.status()).toMatchObject({ paused: true, reason: 'RPC outage' });
+
+    await controller.handleUpdate({ message: mint });
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(transport.messages.at(-1).text).toBe('⏸ Minting is paused: RPC outage');
+
+    await controller.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text: '/resume' } });
+    expect(transport.messages.at(-1).text).toContain('Minting resumed');
+
+    await controller.handleUpdate({ message: mint });
+    expect(mintHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends stop_minting only after the admin repeats the command with its code', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const mintingControl = createMintingControl({ defaultCollectionId: 'default' });
+    const stopMintingHandler = vi.fn().mockResolvedValue({ seqno: 7, externalMessageHash: 'cd'.repeat(32) });
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      mintingControl,
+      stopMintingHandler,
+      collectionRegistry: createCollectionRegistry({
+        collections: [{ id: 'default', address: wallet }, { id: 'season-1', address: wallet }],
+        defaultId: 'default',
+      }),
+      adminIds: ['1'],
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+    const admin = (text) => controller.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text } });
+
+    await admin('/stopminting season-9');
+    expect(transport.messages.at(-1).text).toContain('❌');
+
+    await admin('/stopminting season-1');
+    const warning = transport.messages.at(-1).text;
+    expect(warning).toContain('This cannot be undone');
+    const code = warning.match(/\/stopminting season-1 ([0-9A-F]{6})/)[1];
+
+    await admin('/stopminting season-1 000000');
+    expect(transport.messages.at(-1).text).toContain('wrong or has expired');
+    expect(stopMintingHandler).not.toHaveBeenCalled();
+
+    await admin(`/stopminting season-1 ${code}`);
+
+    expect(stopMintingHandler).toHaveBeenCalledWith({ collectionId: 'season-1' });
+    expect(transport.messages.at(-1).text).toContain('stop_minting sent to season-1 (seqno 7)');
+    expect(() => mintingControl.assertOpen({ collectionId: 'season-1' })).toThrow(expect.objectContaining({ code: 'COLLECTION_MINTING_STOPPED' }));
+    expect(() => mintingControl.assertOpen()).not.toThrow();
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('does not record a stop the collection has not confirmed', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const mintingControl = createMintingControl({ defaultCollectionId: 'default' });
+    const stopMintingHandler = vi.fn().mockRejectedValue(Object.assign(new Error('not confirmed'), {
+      code: 'STOP_MINTING_NOT_CONFIRMED',
+      details: { collectionId: 'default', seqno: 8 },
+    }));
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      mintingControl,
+      stopMintingHandler,
+      collectionRegistry: createCollectionRegistry({ collections: [{ id: 'default', address: wallet }], defaultId: 'default' }),
+      adminIds: ['1'],
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+    const admin = (text) => controller.handleUpdate({ message: { chat: { id: 1 }, from: { id: 1 }, text } });
+
+    await admin('/stopminting default');
+    const code = transport.messages.at(-1).text.match(/\/stopminting default ([0-9A-F]{6})/)[1];
+    await admin(`/stopminting default ${code}`);
+
+    expect(transport.messages.at(-1).text).toContain('has not confirmed it');
+    expect(() => mintingControl.assertOpen()).not.toThrow();
+    errorSpy.mockRestore();
+  });
+
+  it('replies with payment instructions in paid mode instead of minting', async () => {
+    const invoiceHandler = vi.fn().mockResolvedValue({
+      amount: '0.1',
+      address: 'EQreceiver',
+      comment: 'tc-0123456789ab',
+      expiresAt: '2025-03-01T00:30:00.000Z',
+      paymentUrl: 'ton://transfer/EQreceiver?amount=100000000&text=tc-0123456789ab',
+    });
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      invoiceHandler,
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+
+    await controller.handleUpdate({
+      message: { chat: { id: 103 }, from: { id: 82 }, text: `/mint #0d0e0f ${wallet}` },
+    });
+
+    expect(mintHandler).not.toHaveBeenCalled();
+    expect(invoiceHandler).toHaveBeenCalledWith({ walletAddress: wallet, telegramUserId: 82, color: '#0D0E0F' }, { source: 'command' });
+    const { text } = transport.messages.at(-1);
+    expect(text).toContain('send exactly 0.1 TON');
+    expect(text).toContain('with the comment: tc-0123456789ab');
+    expect(text).toContain('ton://transfer/EQreceiver');
+  });
+
+  it('lets users choose how they appear in public metadata with /privacy', async () => {
+    const privacyStore = createTelegramPrivacyStore({ filePath: null, mode: 'omit', hashSalt: null });
+    controller = new TelegramBotController({
+      transport,
+      sessionStore,
+      mintHandler,
+      privacyStore,
+      webhookPath: '/telegram/webhook',
+      backendBaseUrl: 'https://backend.example',
+    });
+    const send = (text, from = { id: 85, username: 'painter' }) => controller.handleUpdate({
+      message: { chat: { id: 104 }, from, text },
+    });
+
+    await send('/privacy');
+    expect(transport.messages.at(-1).text).toContain('shows nothing about your Telegram account');
+
+    await send('/privacy username');
+    expect(transport.messages.at(-1).text).toContain('now show your username @painter');
+    expect(privacyStore.publicIdentity(85)).toEqual({ type: 'username', value: '@painter' });
+
+    await send('/help', { id: 85, username: 'muralist' });
+    expect(privacyStore.publicIdentity(85)).toEqual({ type: 'username', value: '@muralist' });
+
+    await send('/privacy hashed');
+    expect(transport.messages.at(-1).text).toBe('❌ Hashed Telegram IDs are not enabled on this server');
+    await send('/privacy username', { id: 86 });
+    expect(transport.messages.at(-1).text).toBe('❌ Set a public Telegram username first');
+
+    await send('/privacy default', { id: 85, username: 'muralist' });
+    expect(privacyStore.get(85)).toBeNull();
+    expect(transport.messages.at(-1).text).toContain('Back to the default');
+  });
+
   it('can register webhook when enabled', async () => {
     controller = new TelegramBotController({
       transport,
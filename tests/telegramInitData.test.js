@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { signTelegramInitData, verifyTelegramInitData } from '../src/services/telegramInitData.js';
+
+const botToken = '123456:test-bot-token';
+const authDate = 1_700_000_000;
+const now = authDate * 1000 + 60_000;
+
+function buildInitData(overrides = {}) {
+  const params = new URLSearchParams({
+    auth_date: String(authDate),
+    query_id: 'AAH-query',
+    user: JSON.stringify({ id: 4242, first_name: 'Ada', username: 'ada' }),
+    ...overrides,
+  });
+  params.set('hash', signTelegramInitData(params, botToken));
+  return params.toString();
+}
+
+describe('verifyTelegramInitData', () => {
+  it('returns the signed user for valid initData', () => {
+    const result = verifyTelegramInitData(buildInitData(), { botToken, maxAgeSeconds: 3600, now });
+
+    expect(result.user).toMatchObject({ id: 4242, username: 'ada' });
+    expect(result.authDate).toBe(new Date(authDate * 1000).toISOString());
+    expect(result.queryId).toBe('AAH-query');
+  });
+
+  it('rejects initData signed with another bot token or modified after signing', () => {
+    expect(() => verifyTelegramInitData(buildInitData(), { botToken: '654321:other', maxAgeSeconds: 3600, now }))
+      .toThrow(expect.objectContaining({ code: 'INIT_DATA_INVALID', statusCode: 401 }));
+
+    const tampered = buildInitData().replace('%22Ada%22', '%22Eve%22');
+    expect(() => verifyTelegramInitData(tampered, { botToken, maxAgeSeconds: 3600, now }))
+      .toThrow(/signature is invalid/);
+
+    expect(() => verifyTelegramInitData('user=%7B%7D', { botToken, maxAgeSeconds: 3600, now }))
+      .toThrow(/missing a valid hash/);
+  });
+
+  it('rejects initData older than the maximum age', () => {
+    expect(() => verifyTelegramInitData(buildInitData(), { botToken, maxAgeSeconds: 30, now }))
+      .toThrow(expect.objectContaining({ code: 'INIT_DATA_EXPIRED' }));
+  });
+
+  it('requires a user and a configured bot token', () => {
+    const withoutUser = new URLSearchParams({ auth_date: String(authDate) });
+    withoutUser.set('hash', signTelegramInitData(withoutUser, botToken));
+
+    expect(() => verifyTelegramInitData(withoutUser.toString(), { botToken, maxAgeSeconds: 3600, now }))
+      .toThrow(/does not contain a user/);
+    expect(() => verifyTelegramInitData(buildInitData(), { botToken: undefined, maxAgeSeconds: 3600, now }))
+      .toThrow(expect.objectContaining({ code: 'TELEGRAM_NOT_CONFIGURED', statusCode: 503 }));
+  });
+});
@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createTelegramPrivacyStore, hashTelegramUserId } from '../src/services/telegramPrivacy.js';
+
+describe('TelegramPrivacyStore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-privacy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('applies user preferences over the server mode and keeps them across restarts', () => {
+    const filePath = path.join(tempDir, 'telegram-privacy.json');
+    const store = createTelegramPrivacyStore({ filePath, mode: 'public', hashSalt: 'pepper' });
+
+    expect(store.publicIdentity(77)).toEqual({ type: 'id', value: '77' });
+    expect(store.contentTelegramUserId(77)).toBe(77);
+    expect(store.publicIdentity(null)).toBeNull();
+
+    store.set(78, { mode: 'omit' });
+    store.set(79, { mode: 'hash' });
+    store.set(80, { mode: 'username', username: 'painter' });
+
+    const restarted = createTelegramPrivacyStore({ filePath, mode: 'public', hashSalt: 'pepper' });
+    expect(restarted.publicIdentity(78)).toBeNull();
+    expect(restarted.contentTelegramUserId(78)).toBeNull();
+    expect(restarted.publicIdentity(79)).toEqual({ type: 'hash', value: hashTelegramUserId(79, 'pepper') });
+    expect(restarted.contentTelegramUserId(79)).toBeNull();
+    expect(restarted.publicIdentity(80)).toEqual({ type: 'username', value: '@painter' });
+
+    restarted.refreshUsername({ id: 80 });
+    expect(restarted.publicIdentity(80)).toBeNull();
+    expect(restarted.reset(80)).toBe(true);
+    expect(restarted.publicIdentity(80)).toEqual({ type: 'id', value: '80' });
+  });
+
+  it('salts hashes and refuses preferences it cannot honour', () => {
+    expect(hashTelegramUserId(77, 'pepper')).not.toBe(hashTelegramUserId(77, 'salt'));
+    expect(hashTelegramUserId(77, 'pepper')).toMatch(/^[0-9a-f]{64}$/);
+
+    const store = createTelegramPrivacyStore({ filePath: null, mode: 'omit', hashSalt: null });
+    expect(store.publicIdentity(77)).toBeNull();
+    expect(() => store.set(77, { mode: 'hash' })).toThrow('Hashed Telegram IDs are not enabled on this server');
+    expect(() => store.set(77, { mode: 'username' })).toThrow('A public Telegram username is required');
+    expect(() => store.set(77, { mode: 'public' })).toThrow('Unknown privacy preference "public"');
+  });
+
+  it('redacts raw IDs from API and webhook records', () => {
+    const store = createTelegramPrivacyStore({ filePath: null, mode: 'public', hashSalt: 'pepper' });
+    store.set(81, { mode: 'hash' });
+
+    expect(store.redact({ color: '#FF0000', telegramUserId: 77 })).toEqual({
+      color: '#FF0000',
+      telegramUserId: 77,
+      telegramIdentity: { type: 'id', value: '77' },
+    });
+    expect(store.redact({ telegramUserId: 81 })).toEqual({
+      telegramUserId: null,
+      telegramIdentity: { type: 'hash', value: hashTelegramUserId(81, 'pepper') },
+    });
+    expect(store.redact({ color: '#FF0000' })).toEqual({ color: '#FF0000' });
+    expect(store.redact(null)).toBeNull();
+  });
+});
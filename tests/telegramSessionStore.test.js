@@ -1,5 +1,12 @@
-import { beforeEach, describe, expect, it } from 'vitest';
-import { TelegramSessionStore } from '../src/services/telegramSessionStore.js';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  FileTelegramSessionStore,
+  TelegramSessionStore,
+  createTelegramSessionStore,
+} from '../src/services/telegramSessionStore.js';
 
 describe('TelegramSessionStore', () => {
   let store;
@@ -66,3 +73,64 @@ describe('TelegramSessionStore', () => {
     expect(users).toHaveLength(2);
   });
 });
+
+describe('FileTelegramSessionStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-sessions-'));
+    filePath = path.join(tempDir, 'telegram-sessions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps wallets, colours and mint counts across restarts', () => {
+    const store = createTelegramSessionStore({ filePath });
+    expect(store).toBeInstanceOf(FileTelegramSessionStore);
+    store.upsertUser({ id: 7, username: 'ton_user' });
+    store.setWallet(7, 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c');
+    store.recordMint(7, { itemIndex: 3, color: '#00FF00', mintedAt: '2025-01-01T00:00:00.000Z' });
+
+    const restarted = createTelegramSessionStore({ filePath });
+    expect(restarted.get(7)).toEqual(store.get(7));
+    expect(restarted.get(7)).toMatchObject({
+      username: 'ton_user',
+      walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+      lastColor: '#00FF00',
+      totalMints: 1,
+    });
+    expect(createTelegramSessionStore()).not.toBeInstanceOf(FileTelegramSessionStore);
+  });
+
+  it('migrates sessions dumped from the in-memory store', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    fs.writeFileSync(filePath, JSON.stringify({
+      users: [
+        {
+          userId: '42',
+          username: 'old_user',
+          walletAddress: 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c',
+          lastMint: { itemIndex: 1, color: '#123456', timestamp: '2024-12-01T00:00:00.000Z' },
+          createdAt: '2024-11-01T00:00:00.000Z',
+        },
+        { username: 'no id' },
+      ],
+    }));
+
+    const store = new FileTelegramSessionStore({ filePath });
+
+    expect(store.all()).toHaveLength(1);
+    expect(store.get(42)).toMatchObject({
+      userId: 42,
+      username: 'old_user',
+      firstName: null,
+      totalMints: 1,
+      lastMint: { mintedAt: '2024-12-01T00:00:00.000Z', timestamp: '2024-12-01T00:00:00.000Z' },
+    });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toMatchObject({ version: 1, sessions: [{ userId: 42 }] });
+    logSpy.mockRestore();
+  });
+});
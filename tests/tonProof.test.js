@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { WalletContractV4, WalletContractV5R1, beginCell, storeStateInit } from '@ton/ton';
+import { keyPairFromSeed, sign } from '@ton/crypto';
+import {
+  buildTonProofMessage,
+  createTonProofPayloadStore,
+  publicKeyFromStateInit,
+  verifyTonProof,
+} from '../src/services/tonProof.js';
+
+const keyPair = keyPairFromSeed(Buffer.alloc(32, 7));
+const otherKeyPair = keyPairFromSeed(Buffer.alloc(32, 8));
+const wallet = WalletContractV4.create({ workchain: 0, publicKey: keyPair.publicKey });
+const domain = 'colours.example';
+const now = 1_700_000_000_000;
+
+const encodeStateInit = (init) => beginCell().store(storeStateInit(init)).endCell().toBoc().toString('base64');
+
+function buildProof({ payload, signer = keyPair, stateInit = wallet.init, timestamp = now / 1000 - 10, proofDomain = domain }) {
+  const message = buildTonProofMessage({
+    address: wallet.address,
+    domain: { lengthBytes: Buffer.byteLength(proofDomain), value: proofDomain },
+    timestamp,
+    payload,
+  });
+  return {
+    timestamp,
+    domain: { lengthBytes: Buffer.byteLength(proofDomain), value: proofDomain },
+    payload,
+    signature: sign(message, signer.secretKey).toString('base64'),
+    state_init: encodeStateInit(stateInit),
+  };
+}
+
+function setup() {
+  const payloadStore = createTonProofPayloadStore();
+  const { payload } = payloadStore.issue({ telegramUserId: 42 });
+  const options = { telegramUserId: 42, payloadStore, allowedDomains: [domain], maxAgeSeconds: 900, now };
+  return { payload, payloadStore, options };
+}
+
+describe('verifyTonProof', () => {
+  it('accepts a proof signed by the wallet key from state init', () => {
+    const { payload, options } = setup();
+
+    const result = verifyTonProof({
+      address: wallet.address.toRawString(),
+      publicKey: keyPair.publicKey.toString('hex'),
+      proof: buildProof({ payload }),
+    }, options);
+
+    expect(result.address.equals(wallet.address)).toBe(true);
+    expect(result.publicKey).toBe(keyPair.publicKey.toString('hex'));
+  });
+
+  it('rejects a payload that is reused or was issued to another user', () => {
+    const { payload, payloadStore, options } = setup();
+    const proof = buildProof({ payload });
+    verifyTonProof({ address: wallet.address.toString(), proof }, options);
+
+    expect(() => verifyTonProof({ address: wallet.address.toString(), proof }, options))
+      .toThrow(expect.objectContaining({ code: 'TON_PROOF_PAYLOAD_INVALID' }));
+
+    const { payload: foreign } = payloadStore.issue({ telegramUserId: 7 });
+    expect(() => verifyTonProof({ address: wallet.address.toString(), proof: buildProof({ payload: foreign }) }, options))
+      .toThrow(expect.objectContaining({ code: 'TON_PROOF_PAYLOAD_INVALID' }));
+  });
+
+  it('checks domain and timestamp', () => {
+    const { payload, options } = setup();
+
+    expect(() => verifyTonProof({ address: wallet.address.toString(), proof: buildProof({ payload, proofDomain: 'evil.example' }) }, options))
+      .toThrow(expect.objectContaining({ code: 'TON_PROOF_DOMAIN_MISMATCH' }));
+    expect(() => verifyTonProof({ address: wallet.address.toString(), proof: buildProof({ payload, timestamp: now / 1000 - 3600 }) }, options))
+      .toThrow(expect.objectContaining({ code: 'TON_PROOF_EXPIRED' }));
+  });
+
+  it('rejects signatures from another key and state init of another wallet', () => {
+    const { payload, payloadStore, options } = setup();
+
+    expect(() => verifyTonProof({ address: wallet.address.toString(), proof: buildProof({ payload, signer: otherKeyPair }) }, options))
+      .toThrow(/signature is invalid/);
+
+    const { payload: second } = payloadStore.issue({ telegramUserId: 42 });
+    const otherWallet = WalletContractV4.create({ workchain: 0, publicKey: otherKeyPair.publicKey });
+    expect(() => verifyTonProof({
+      address: wallet.address.toString(),
+      proof: buildProof({ payload: second, signer: otherKeyPair, stateInit: otherWallet.init }),
+    }, options)).toThrow(/does not belong to the claimed address/);
+  });
+});
+
+describe('publicKeyFromStateInit', () => {
+  it('reads the key from v5r1 wallets', () => {
+    const v5 = WalletContractV5R1.create({ workChain: 0, publicKey: keyPair.publicKey });
+    expect(publicKeyFromStateInit(encodeStateInit(v5.init), v5.address)).toEqual(keyPair.publicKey);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { Address, internal } from '@ton/ton';
+import { buildMintBody } from '../src/services/collectionContract.js';
+import { buildExplorerUrl, isMintTransactionFor } from '../src/services/transactionLookup.js';
+
+const collectionAddress = Address.parse('EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c');
+const ownerAddress = new Address(0, Buffer.alloc(32, 3));
+
+function transactionWithMint(itemIndex) {
+  const message = internal({
+    to: collectionAddress,
+    value: 9000000n,
+    bounce: false,
+    body: buildMintBody({
+      itemIndex,
+      ownerAddress,
+      itemContent: `${itemIndex}?color=FF0000`,
+      itemDeployAmount: 2000000n,
+    }),
+  });
+  return { outMessages: new Map([[0, message]]) };
+}
+
+describe('buildExplorerUrl', () => {
+  it('links to the explorer for the requested network', () => {
+    expect(buildExplorerUrl('abc', 'mainnet')).toBe('https://tonviewer.com/transaction/abc');
+    expect(buildExplorerUrl('abc', 'testnet')).toBe('https://testnet.tonviewer.com/transaction/abc');
+  });
+});
+
+describe('isMintTransactionFor', () => {
+  it('matches the mint message for the given item index only', () => {
+    const transaction = transactionWithMint(7);
+    expect(isMintTransactionFor(transaction, { collectionAddress, itemIndex: 7 })).toBe(true);
+    expect(isMintTransactionFor(transaction, { collectionAddress, itemIndex: 8 })).toBe(false);
+    expect(isMintTransactionFor(transaction, { collectionAddress: ownerAddress, itemIndex: 7 })).toBe(false);
+  });
+});
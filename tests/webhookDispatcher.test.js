@@ -0,0 +1,163 @@
+import { createHmac } from 'node:crypto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  SIGNATURE_HEADER,
+  WebhookDispatcher,
+  buildMintEventData,
+  createWebhookDeliveryStore,
+  signWebhookPayload,
+} from '../src/services/webhookDispatcher.js';
+import { MintJobQueue } from '../src/services/mintJobQueue.js';
+import { createMintJobStore } from '../src/services/mintJobStore.js';
+import { createTelegramPrivacyStore, hashTelegramUserId } from '../src/services/telegramPrivacy.js';
+
+const walletAddress = 'EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c';
+
+function createDispatcher({ fetchImpl, ...options } = {}) {
+  return new WebhookDispatcher({
+    endpoints: ['https://game.example/hooks/mint'],
+    secret: 'whsec_test',
+    store: createWebhookDeliveryStore(),
+    fetchImpl,
+    initialBackoffMs: 1,
+    maxBackoffMs: 5,
+    ...options,
+  });
+}
+
+describe('webhookDispatcher', () => {
+  let dispatcher;
+
+  afterEach(() => {
+    dispatcher?.stop();
+  });
+
+  it('signs the raw body with the timestamped HMAC', () => {
+    const body = JSON.stringify({ type: 'mint.succeeded' });
+    const expected = createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(signWebhookPayload(body, 'secret', 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('posts signed mint lifecycle events from the queue', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, status: 200 }));
+    dispatcher = createDispatcher({
+      fetchImpl,
+      telegramPrivacy: createTelegramPrivacyStore({ filePath: null, mode: 'hash', hashSalt: 'pepper' }),
+    });
+    const queue = new MintJobQueue({
+      store: createMintJobStore(),
+      mintHandler: async (payload) => ({
+        itemIndex: 7,
+        nftAddress: 'EQ-nft-7',
+        ownerAddress: payload.walletAddress,
+        color: payload.color,
+        transaction: { hash: 'abc' },
+      }),
+    });
+    dispatcher.attachTo(queue);
+
+    const result = await queue.submit({ walletAddress, color: '#A1B2C3', telegramUserId: '42' });
+    expect(result.itemIndex).toBe(7);
+    await vi.waitFor(() => expect(fetchImpl).toHaveBeenCalledTimes(2));
+
+    const [url, init] = fetchImpl.mock.calls[1];
+    const body = JSON.parse(init.body);
+    expect(url).toBe('https://game.example/hooks/mint');
+    expect(init.headers['X-TonColours-Event']).toBe('mint.succeeded');
+    expect(body).toMatchObject({
+      type: 'mint.succeeded',
+      data: {
+        status: 'succeeded',
+        itemIndex: 7,
+        nftAddress: 'EQ-nft-7',
+        ownerAddress: walletAddress,
+        telegramUserId: null,
+        telegramIdentity: { type: 'hash', value: hashTelegramUserId('42', 'pepper') },
+      },
+    });
+
+    const [, timestamp, digest] = init.headers[SIGNATURE_HEADER].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    expect(digest).toBe(createHmac('sha256', 'whsec_test').update(`${timestamp}.${init.body}`).digest('hex'));
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).type).toBe('mint.queued');
+  });
+
+  it('sends mint.succeeded for a failed job that reconciliation recovered', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, status: 200 }));
+    dispatcher = createDispatcher({ fetchImpl });
+    const queue = new MintJobQueue({ store: createMintJobStore(), mintHandler: vi.fn() });
+    dispatcher.attachTo(queue);
+
+    queue.emit('job:recovered', {
+      id: 'job-recovered',
+      type: 'mint',
+      status: 'succeeded',
+      payload: { walletAddress, color: '#0A0B0C', collectionId: 'default' },
+      result: { itemIndex: 12, nftAddress: 'EQ-nft-12', ownerAddress: walletAddress, color: '#0A0B0C', reconciled: true },
+      error: null,
+    });
+    await vi.waitFor(() => expect(fetchImpl).toHaveBeenCalledTimes(1));
+
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toMatchObject({
+      type: 'mint.succeeded',
+      data: { jobId: 'job-recovered', status: 'succeeded', itemIndex: 12, nftAddress: 'EQ-nft-12', reconciled: true },
+    });
+  });
+
+  it('refuses endpoints without a signing secret', () => {
+    expect(() => createDispatcher({ secret: null })).toThrow('Webhook endpoints need a secret to sign deliveries with');
+    expect(createDispatcher({ endpoints: [], secret: null }).enabled).toBe(false);
+  });
+
+  it('retries failed deliveries with backoff and records every attempt', async () => {
+    const fetchImpl = vi.fn()
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce({ ok: false, status: 502 })
+      .mockResolvedValue({ ok: true, status: 204 });
+    dispatcher = createDispatcher({ fetchImpl });
+
+    const [delivery] = dispatcher.dispatch('mint.failed', { jobId: 'job-1', error: { code: 'MINT_FAILED' } });
+
+    await vi.waitFor(() => expect(dispatcher.store.get(delivery.id).status).toBe('delivered'));
+    const { attempts } = dispatcher.store.get(delivery.id);
+    expect(attempts.map(({ attempt, ok, statusCode, error }) => ({ attempt, ok, statusCode, error }))).toEqual([
+      { attempt: 1, ok: false, statusCode: undefined, error: 'connect ECONNREFUSED' },
+      { attempt: 2, ok: false, statusCode: 502, error: undefined },
+      { attempt: 3, ok: true, statusCode: 204, error: undefined },
+    ]);
+    // Every retry re-signs the same event so receivers can de-duplicate on its ID.
+    const eventIds = fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body).id);
+    expect(new Set(eventIds).size).toBe(1);
+  });
+
+  it('gives up after the configured number of attempts', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: false, status: 500 }));
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    dispatcher = createDispatcher({ fetchImpl, maxAttempts: 2 });
+
+    const [delivery] = dispatcher.dispatch('mint.queued', { jobId: 'job-2' });
+
+    await vi.waitFor(() => expect(dispatcher.store.get(delivery.id).status).toBe('failed'));
+    expect(dispatcher.store.get(delivery.id).attempts).toHaveLength(2);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    consoleError.mockRestore();
+  });
+
+  it('lists every item of a batch job, without Telegram IDs the users have not made public', () => {
+    const data = buildMintEventData({
+      id: 'job-3',
+      type: 'batch',
+      status: 'queued',
+      payload: { items: [{ walletAddress, color: '#111111', telegramUserId: '1' }] },
+    });
+
+    expect(data.items).toEqual([{
+      itemIndex: null,
+      nftAddress: null,
+      ownerAddress: walletAddress,
+      color: '#111111',
+      telegramUserId: null,
+      telegramIdentity: null,
+    }]);
+  });
+});
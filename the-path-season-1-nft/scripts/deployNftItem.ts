@@ -36,10 +36,45 @@ function createColourSvg(hexColour: string): string {
     ].join('\n');
 }
 
+type TelegramIdentityType = 'id' | 'hash' | 'username';
+type TelegramIdentity = { type: TelegramIdentityType; value: string } | null;
+
+const TELEGRAM_IDENTITY_TRAITS: Record<TelegramIdentityType, string> = {
+    id: 'Telegram User ID',
+    hash: 'Telegram User Hash',
+    username: 'Telegram Username',
+};
+
+// TON_COLOURS_ITEM_TELEGRAM_IDENTITY is set by the backend from its privacy settings: `none`,
+// `id`, `hash:<hex>` or `username:@name`. Without it the raw Telegram ID is published.
+function resolveTelegramIdentity(telegramUserId: number): TelegramIdentity {
+    const setting = readEnv('TON_COLOURS_ITEM_TELEGRAM_IDENTITY') ?? 'id';
+    if (setting === 'none') {
+        return null;
+    }
+    if (setting === 'id') {
+        return { type: 'id', value: String(telegramUserId) };
+    }
+    const separator = setting.indexOf(':');
+    const type = setting.slice(0, separator);
+    const value = setting.slice(separator + 1);
+    if (separator < 0 || !(type === 'hash' || type === 'username') || !value) {
+        throw new Error(`Unsupported TON_COLOURS_ITEM_TELEGRAM_IDENTITY "${setting}"`);
+    }
+    return { type, value };
+}
+
+function buildItemContent(itemIndex: number, colour: string, owner: Address, telegramUserId: number, telegramIdentity: TelegramIdentity): string {
+    const ownerForUri = encodeURIComponent(owner.toString());
+    const content = `${itemIndex}?color=${colour}&wallet=${ownerForUri}`;
+    return telegramIdentity?.type === 'id' ? `${content}&tg=${telegramUserId}` : content;
+}
+
 async function updateItemMetadata(
     colour: string,
     owner: Address,
     telegramUserId: number,
+    telegramIdentity: TelegramIdentity,
     metadataFile: string,
     mintedAt: string,
 ) {
@@ -61,7 +96,7 @@ async function updateItemMetadata(
             ? template.description.trim()
             : defaultDescription;
 
-    const reservedTraits = new Set(['Color', 'Telegram User ID', 'Owner Address', 'Minted At']);
+    const reservedTraits = new Set(['Color', ...Object.values(TELEGRAM_IDENTITY_TRAITS), 'Owner Address', 'Minted At']);
     const preservedAttributes = Array.isArray(template.attributes)
         ? template.attributes.filter((attribute: any) => attribute && !reservedTraits.has(attribute.trait_type))
         : [];
@@ -80,14 +115,17 @@ async function updateItemMetadata(
         attributes: [
             ...preservedAttributes,
             { trait_type: 'Color', value: colourWithHash },
-            { trait_type: 'Telegram User ID', value: String(telegramUserId) },
+            ...(telegramIdentity
+                ? [{ trait_type: TELEGRAM_IDENTITY_TRAITS[telegramIdentity.type], value: telegramIdentity.value }]
+                : []),
             { trait_type: 'Owner Address', value: owner.toString() },
             { trait_type: 'Minted At', value: mintedAt },
         ],
         properties: {
             ...propertiesTemplate,
             color: colourWithHash,
-            telegramUserId,
+            telegramUserId: telegramIdentity?.type === 'id' ? telegramUserId : null,
+            telegram: telegramIdentity,
             ownerAddress: owner.toString(),
             mintedAt,
             imageSource: 'inline-svg',
@@ -224,14 +262,14 @@ async function runAutomated(ui: any, args: string[]) {
 
     const metadataFile = resolveMetadataFile();
     const mintedAt = new Date().toISOString();
-    const { metadataPath } = await updateItemMetadata(colour, itemOwner, telegramUserId, metadataFile, mintedAt);
+    const telegramIdentity = resolveTelegramIdentity(telegramUserId);
+    const { metadataPath } = await updateItemMetadata(colour, itemOwner, telegramUserId, telegramIdentity, metadataFile, mintedAt);
 
     const collectionBaseUrl = collectionData.collectionContent;
 
-    const ownerForUri = encodeURIComponent(itemOwner.toString());
     const itemIndex = collectionData.nextItemId;
     const colourWithHash = `#${colour}`;
-    const itemContent = `${itemIndex}?color=${colour}&wallet=${ownerForUri}&tg=${telegramUserId}`;
+    const itemContent = buildItemContent(itemIndex, colour, itemOwner, telegramUserId, telegramIdentity);
 
     await collection.sendDeployNewNft(sender, {
         itemIndex,
@@ -338,14 +376,14 @@ export async function run(provider: NetworkProvider, args: string[]) {
 
     const metadataFile = resolveMetadataFile();
     const mintedAt = new Date().toISOString();
-    const { metadataPath } = await updateItemMetadata(colour, itemOwner, telegramUserId, metadataFile, mintedAt);
+    const telegramIdentity = resolveTelegramIdentity(telegramUserId);
+    const { metadataPath } = await updateItemMetadata(colour, itemOwner, telegramUserId, telegramIdentity, metadataFile, mintedAt);
 
     const collectionBaseUrl = collectionData.collectionContent;
 
-    const ownerForUri = encodeURIComponent(itemOwner.toString());
     const itemIndex = collectionData.nextItemId;
     const colourWithHash = `#${colour}`;
-    const itemContent = `${itemIndex}?color=${colour}&wallet=${ownerForUri}&tg=${telegramUserId}`;
+    const itemContent = buildItemContent(itemIndex, colour, itemOwner, telegramUserId, telegramIdentity);
 
     await collection.sendDeployNewNft(sender, {
         itemIndex,